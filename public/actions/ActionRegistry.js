@@ -1,10 +1,34 @@
 /* global chrome */
 import { domService } from '../services/DOMService.js';
+import { ExtractorAgent } from '../agents/ExtractorAgent.js';
+import { ProfileManager, profileManager, PROFILE_FIELDS } from '../managers/ProfileManager.js';
+import { RedactionService } from '../services/RedactionService.js';
+import { uploadManager } from '../managers/UploadManager.js';
+import { PolicyManager } from '../managers/PolicyManager.js';
+import { PacingManager } from '../managers/PacingManager.js';
+import { cdpInputService } from '../services/CDPInputService.js';
+
+const INPUT_BACKENDS = ['auto', 'synthetic', 'trusted'];
+// Interactions retried with trusted input when the synthetic events had no effect.
+// Only ones that are safe to repeat: a click or Enter whose response is slower than the
+// effect window would submit twice, and a trusted right-click opens the browser's own menu.
+const TRUSTED_RETRY_KINDS = ['hover', 'type'];
+// Synthetic pointer input that a paced run reaches with a mouse path first
+const POINTER_KINDS = ['click', 'double_click', 'context_click', 'hover'];
 
 export class ActionRegistry {
-  constructor(browserContext) {
+  constructor(browserContext, extractor = null) {
     this.browserContext = browserContext;
+    this.extractor = extractor;
     this.domService = domService;
+    this.profileManager = profileManager;
+    // Mirrors the autoLogin setting - profile data is only used when it is on
+    this.autofillEnabled = true;
+    // Input backend settings - see configureInput
+    this.inputBackend = 'auto';
+    this.trustedInputDomains = [];
+    // Typing, mouse and scroll timing - the executor shares its own so timing lands in its log
+    this.pacing = new PacingManager();
     this.actions = new Map();
     this.initializeActions();
   }
@@ -39,7 +63,8 @@ export class ActionRegistry {
             } catch (e) {
               console.log('Could not update tab, creating new one:', e);
               // Fallback: create new tab
-              newTab = await chrome.tabs.create({ url: url, active: true });
+              const windowId = this.browserContext.windowId;
+              newTab = await chrome.tabs.create({ url: url, active: true, ...(windowId ? { windowId } : {}) });
               this.browserContext.activeTabId = newTab.id;
             }
           } else {
@@ -117,12 +142,13 @@ export class ActionRegistry {
               includeInMemory: true
             };
           }
-          const result = await this.domService.performClick(tab.id, actionParams);
+          const result = await this.dispatchInput('click', tab, actionParams,
+            (tabId, params) => this.domService.performClick(tabId, params));
 
           return {
             success: result.success,
             extractedContent: result.success ?
-              `Successfully clicked: ${input.intent}` :
+              `Successfully clicked: ${input.intent}${ActionRegistry.describeInputBackend(result)}` :
               `Click failed: ${result.error}`,
             includeInMemory: true,
             error: result.error
@@ -182,12 +208,13 @@ export class ActionRegistry {
               includeInMemory: true
             };
           }
-          const result = await this.domService.performFill(tab.id, actionParams);
+          const result = await this.dispatchInput('type', tab, actionParams,
+            (tabId, params) => this.domService.performFill(tabId, params));
 
           return {
             success: result.success,
             extractedContent: result.success ?
-              `Successfully typed: "${input.text}"` :
+              `Successfully typed: "${input.text}"${ActionRegistry.describeInputBackend(result)}` :
               `Type failed: ${result.error}`,
             includeInMemory: true,
             error: result.error
@@ -210,6 +237,7 @@ export class ActionRegistry {
       schema: {
         direction: 'string - Direction to scroll (up, down, left, right)',
         amount: 'number - Amount to scroll in pixels (optional, default: 300)',
+        index: 'number - Optional element index to scroll the list, panel or frame that contains it instead of the page',
         intent: 'string - Description of why you are scrolling'
       },
       handler: async (input) => {
@@ -229,15 +257,21 @@ export class ActionRegistry {
             };
           }
 
+          // Paced runs ease the scroll in and out instead of the browser's smooth scroll
+          const pace = this.pacing.forPage(tab.id, tab.url);
+          const duration = pace ? pace.scrollMs() : 0;
           const result = await this.domService.performScroll(tab.id, {
             direction: direction,
-            amount: amount
+            amount: amount,
+            index: input.index,
+            duration
           });
+          if (result.success && duration) pace.recordScroll(duration);
 
           return {
             success: result.success,
             extractedContent: result.success ?
-              `Scrolled ${direction} by ${amount}px` :
+              result.message :
               `Scroll failed: ${result.error}`,
             includeInMemory: true,
             error: result.error
@@ -472,6 +506,453 @@ export class ActionRegistry {
       }
     });
 
+    // Open a URL in a new task-owned tab, keeping the current page intact
+    this.actions.set('open_tab', {
+      description: 'Open a URL in a new tab (keeps the current page open, e.g. to compare sources)',
+      schema: {
+        url: 'string - The complete URL to open',
+        label: 'string - Short name to refer to this tab later (e.g. "amazon")',
+        intent: 'string - Why this tab is needed'
+      },
+      handler: async (input) => {
+        try {
+          const url = this.validateAndFixUrl(input.url);
+          if (!url) {
+            throw new Error('Invalid or missing URL');
+          }
+
+          console.log(`🗂️ Opening new tab: ${url}`);
+          const windowId = this.browserContext.windowId;
+          const tab = await chrome.tabs.create({ url: url, active: true, ...(windowId ? { windowId } : {}) });
+          this.browserContext.activeTabId = tab.id;
+          this.browserContext.registerTaskTab(tab, input.label);
+
+          await this.browserContext.waitForReady(tab.id);
+          await new Promise(resolve => setTimeout(resolve, 1500));
+
+          const label = this.browserContext.findTaskTab({ tabId: tab.id })?.label;
+          return {
+            success: true,
+            extractedContent: `Opened tab ${tab.id} ("${label}") at ${url}`,
+            includeInMemory: true,
+            navigationCompleted: true
+          };
+        } catch (error) {
+          console.error('Open tab error:', error);
+          return {
+            success: false,
+            error: error.message,
+            extractedContent: `Open tab failed: ${error.message}`,
+            includeInMemory: true
+          };
+        }
+      }
+    });
+
+    // Switch between tabs owned by the task
+    this.actions.set('switch_tab', {
+      description: 'Switch to another tab owned by this task (by tab_id or label)',
+      schema: {
+        tab_id: 'number - Tab id from the TASK TABS list',
+        label: 'string - Tab label from the TASK TABS list (alternative to tab_id)',
+        intent: 'string - Why switching to this tab'
+      },
+      handler: async (input) => {
+        try {
+          await this.browserContext.refreshTaskTabs();
+          const target = this.browserContext.findTaskTab({ tabId: input.tab_id, label: input.label });
+          if (!target) {
+            return {
+              success: false,
+              error: `No task tab matches ${input.label ? `label "${input.label}"` : `id ${input.tab_id}`}`,
+              extractedContent: 'Switch tab failed: only tabs listed under TASK TABS can be used',
+              includeInMemory: true
+            };
+          }
+
+          console.log(`🗂️ Switching to tab ${target.tabId} ("${target.label}")`);
+          await this.browserContext.activateTab(target.tabId);
+          await this.browserContext.waitForReady(target.tabId);
+
+          return {
+            success: true,
+            extractedContent: `Switched to tab ${target.tabId} ("${target.label}"): ${target.title || target.url}`,
+            includeInMemory: true
+          };
+        } catch (error) {
+          console.error('Switch tab error:', error);
+          return {
+            success: false,
+            error: error.message,
+            extractedContent: `Switch tab failed: ${error.message}`,
+            includeInMemory: true
+          };
+        }
+      }
+    });
+
+    // List tabs owned by the task
+    this.actions.set('list_tabs', {
+      description: 'List the tabs owned by this task with their ids, labels, titles and URLs',
+      schema: {
+        intent: 'string - Why the tab list is needed'
+      },
+      handler: async (_input) => {
+        const tabs = await this.browserContext.refreshTaskTabs();
+        const summary = tabs.length > 0
+          ? tabs.map(tab => `[${tab.tabId}] "${tab.label}"${tab.active ? ' (active)' : ''}: ${tab.title || 'Untitled'} - ${tab.url}`).join('\n')
+          : 'No task tabs open';
+
+        return {
+          success: true,
+          extractedContent: `Task tabs:\n${summary}`,
+          includeInMemory: true
+        };
+      }
+    });
+
+    // Close a tab the task opened itself
+    this.actions.set('close_tab', {
+      description: 'Close a tab this task opened (by tab_id or label); the starting tab cannot be closed',
+      schema: {
+        tab_id: 'number - Tab id from the TASK TABS list',
+        label: 'string - Tab label from the TASK TABS list (alternative to tab_id)',
+        intent: 'string - Why closing this tab'
+      },
+      handler: async (input) => {
+        try {
+          await this.browserContext.refreshTaskTabs();
+          const target = this.browserContext.findTaskTab({ tabId: input.tab_id, label: input.label });
+          if (!target || !target.openedByAgent) {
+            return {
+              success: false,
+              error: target ? 'The starting tab belongs to the user and cannot be closed' : 'No matching task tab',
+              extractedContent: 'Close tab failed: only tabs opened by this task can be closed',
+              includeInMemory: true
+            };
+          }
+
+          await chrome.tabs.remove(target.tabId);
+          this.browserContext.taskTabs.delete(target.tabId);
+          console.log(`🗂️ Closed tab ${target.tabId} ("${target.label}")`);
+
+          // Continue on the most recent remaining task tab
+          const remaining = this.browserContext.listTaskTabs();
+          if (this.browserContext.activeTabId === target.tabId && remaining.length > 0) {
+            await this.browserContext.activateTab(remaining[remaining.length - 1].tabId);
+          }
+
+          return {
+            success: true,
+            extractedContent: `Closed tab ${target.tabId} ("${target.label}")`,
+            includeInMemory: true
+          };
+        } catch (error) {
+          console.error('Close tab error:', error);
+          return {
+            success: false,
+            error: error.message,
+            extractedContent: `Close tab failed: ${error.message}`,
+            includeInMemory: true
+          };
+        }
+      }
+    });
+
+    // Structured data extraction into validated records
+    this.actions.set('extract', {
+      description: 'Extract structured records (rows, products, results...) from the page or one element into a table',
+      schema: {
+        fields: 'array - Field names for each record (e.g. ["name", "price", "rating"])',
+        schema: 'object - Optional JSON schema for one record ({"type":"object","properties":{"price":{"type":"number"}}}), used instead of fields',
+        index: 'number - Optional element index to limit extraction to that element',
+        selector: 'string - Optional CSS selector to limit extraction scope',
+        xpath: 'string - Optional XPath to limit extraction scope',
+        instructions: 'string - What to extract (e.g. "all laptops in the results list")',
+        intent: 'string - Why this data is needed'
+      },
+      handler: async (input) => {
+        try {
+          if (!this.extractor) {
+            throw new Error('Extraction is not available without an LLM service');
+          }
+
+          const { columns, required } = ExtractorAgent.normalizeSchema(input);
+          if (columns.length === 0) {
+            return {
+              success: false,
+              error: 'No fields or schema provided',
+              extractedContent: 'Extract failed: specify fields or a schema',
+              includeInMemory: true
+            };
+          }
+
+          const tab = await this.browserContext.getCurrentActiveTab();
+          if (!tab || !tab.id) {
+            throw new Error('No active tab available for extraction');
+          }
+
+          const content = await this.domService.getPageContent(tab.id, {
+            index: input.index,
+            selector: input.selector,
+            xpath: input.xpath
+          });
+          if (!content.success) {
+            throw new Error(content.error);
+          }
+
+          const result = await this.extractor.extract({
+            task: input.intent,
+            instructions: input.instructions,
+            columns,
+            required,
+            content
+          });
+
+          const extraction = {
+            id: Date.now().toString(),
+            title: input.instructions || input.intent || content.title,
+            url: content.url,
+            columns: columns.map(column => column.name),
+            records: result.records,
+            notes: result.notes,
+            extractedAt: new Date().toISOString()
+          };
+
+          // Keep memory compact - the full table travels with the task result
+          const preview = JSON.stringify(result.records.slice(0, 10));
+          return {
+            success: result.records.length > 0,
+            error: result.records.length > 0 ? undefined : 'No records matched the requested fields',
+            extractedContent: `Extracted ${result.records.length} records (${extraction.columns.join(', ')}): ${preview}${result.records.length > 10 ? ' ...' : ''}`,
+            includeInMemory: true,
+            extraction,
+            usage: result.usage
+          };
+        } catch (error) {
+          console.error('Extract action error:', error);
+          return {
+            success: false,
+            error: error.message,
+            extractedContent: `Extract failed: ${error.message}`,
+            includeInMemory: true
+          };
+        }
+      }
+    });
+
+    // Fill the visible form from a saved profile without exposing the values
+    this.actions.set('fill_form', {
+      description: 'Fill the form fields on the page (name, email, phone, address...) from a saved profile',
+      schema: {
+        profile: 'string - Profile name from FORM PROFILES (e.g. "home")',
+        fields: 'array - Optional profile field keys to fill (default: every field that matches)',
+        intent: 'string - Which form is being filled and why'
+      },
+      handler: async (input) => {
+        try {
+          if (!this.autofillEnabled) {
+            throw new Error('Form autofill is turned off in settings');
+          }
+
+          const profile = await this.profileManager.getProfile(input.profile);
+          if (!profile) {
+            const names = (await this.profileManager.getSummaries()).map(summary => summary.name);
+            return {
+              success: false,
+              error: `No profile named "${input.profile}"`,
+              extractedContent: `Fill form failed: unknown profile "${input.profile}" (available: ${names.join(', ') || 'none'})`,
+              includeInMemory: true
+            };
+          }
+
+          const tab = await this.browserContext.getCurrentActiveTab();
+          if (!tab || !tab.id) {
+            throw new Error('No active tab available for form filling');
+          }
+
+          const state = await this.domService.getPageState(tab.id, { showHighlightElements: false });
+          if (!state.success) {
+            throw new Error(state.error);
+          }
+
+          const formElements = state.pageState.elements.filter(el => el.category === 'form' && el.xpath);
+          const labels = await this.domService.getFormFieldLabels(tab.id, formElements.map(el => el.xpath));
+          const wantedFields = Array.isArray(input.fields) && input.fields.length > 0 ? input.fields : null;
+
+          const filled = [];
+          const failed = [];
+          for (const element of formElements) {
+            const fieldKey = ProfileManager.matchField(element, labels[element.xpath]);
+            if (!fieldKey || !profile.fields[fieldKey]) continue;
+            if (wantedFields && !wantedFields.includes(fieldKey)) continue;
+
+            const result = await this.domService.performFill(tab.id, { xpath: element.xpath, framePath: element.framePath, text: profile.fields[fieldKey] });
+            const fieldLabel = PROFILE_FIELDS.find(field => field.key === fieldKey)?.label || fieldKey;
+            (result.success ? filled : failed).push(`${fieldLabel} → [${element.index}]`);
+          }
+
+          console.log(`🪪 Filled ${filled.length} fields from profile "${profile.name}"`);
+
+          // Only field names and element indices go back to the planner, never the values
+          return {
+            success: filled.length > 0,
+            error: filled.length > 0 ? undefined : 'No form fields matched the profile',
+            extractedContent: filled.length > 0
+              ? `Filled ${filled.length} fields from profile "${profile.name}": ${filled.join(', ')}${failed.length ? `. Could not fill: ${failed.join(', ')}` : ''}`
+              : `Fill form failed: no fields on this page matched profile "${profile.name}"`,
+            includeInMemory: true
+          };
+        } catch (error) {
+          console.error('Fill form error:', error);
+          return {
+            success: false,
+            error: error.message,
+            extractedContent: `Fill form failed: ${error.message}`,
+            includeInMemory: true
+          };
+        }
+      }
+    });
+
+    const targetSchema = {
+      index: 'number - The element index from the page state',
+      selector: 'string - CSS selector (from page state only)',
+      xpath: 'string - XPath selector (from page state only)'
+    };
+
+    // Pointer and keyboard interactions - realistic event sequences dispatched in the page
+    this.actions.set('hover', {
+      description: 'Move the mouse over an element to open menus, tooltips or previews that appear on hover',
+      schema: { ...targetSchema, intent: 'string - What should appear on hover' },
+      handler: async (input) => this.runInteraction('Hover', input,
+        (tabId, params) => this.domService.performHover(tabId, params), { inputKind: 'hover' })
+    });
+
+    this.actions.set('double_click', {
+      description: 'Double-click an element (open items, edit cells, select words)',
+      schema: { ...targetSchema, intent: 'string - Why the element is double-clicked' },
+      handler: async (input) => this.runInteraction('Double-click', input,
+        (tabId, params) => this.domService.performDoubleClick(tabId, params), { inputKind: 'double_click' })
+    });
+
+    this.actions.set('context_click', {
+      description: 'Right-click an element to open its context menu',
+      schema: { ...targetSchema, intent: 'string - Which menu is being opened and why' },
+      handler: async (input) => this.runInteraction('Right-click', input,
+        (tabId, params) => this.domService.performContextClick(tabId, params), { inputKind: 'context_click' })
+    });
+
+    this.actions.set('drag_and_drop', {
+      description: 'Drag an element and drop it onto another element (sortable lists, boards, sliders, file areas)',
+      schema: {
+        ...targetSchema,
+        target_index: 'number - Index of the element to drop onto',
+        intent: 'string - What is being moved where'
+      },
+      handler: async (input) => {
+        if (input.target_index === undefined || input.target_index === null) {
+          return {
+            success: false,
+            error: 'No target_index provided',
+            extractedContent: 'Drag and drop failed: No drop target specified',
+            includeInMemory: true
+          };
+        }
+        return this.runInteraction('Drag and drop', input,
+          (tabId, params) => this.domService.performDragAndDrop(tabId, { ...params, target: { index: input.target_index } }));
+      }
+    });
+
+    this.actions.set('press_key', {
+      description: 'Press a key or key combination (Enter, Escape, Tab, ArrowDown, Ctrl+A) on an element or on whatever has focus',
+      schema: {
+        key: 'string - Key or combo, e.g. "Enter", "Escape", "Shift+Tab", "Ctrl+A"',
+        modifiers: 'array - Optional modifier keys held during the press (Ctrl, Shift, Alt, Meta)',
+        index: 'number - Optional element to focus first (default: the focused element)',
+        intent: 'string - Why the key is pressed'
+      },
+      handler: async (input) => {
+        if (!input.key) {
+          return {
+            success: false,
+            error: 'No key provided',
+            extractedContent: 'Key press failed: No key specified',
+            includeInMemory: true
+          };
+        }
+        return this.runInteraction('Key press', input,
+          (tabId, params) => this.domService.performKeyPress(tabId, params),
+          { requireTarget: false, inputKind: 'press_key', extraParams: { key: input.key, modifiers: input.modifiers } });
+      }
+    });
+
+    this.actions.set('focus', {
+      description: 'Move keyboard focus to an element without clicking it',
+      schema: { ...targetSchema, intent: 'string - Why the element needs focus' },
+      handler: async (input) => this.runInteraction('Focus', input,
+        (tabId, params) => this.domService.performFocus(tabId, params))
+    });
+
+    // Form controls that are not text fields
+    this.actions.set('select_option', {
+      description: 'Choose an option in a dropdown - native <select> or a custom listbox/combobox - by value or visible label',
+      schema: {
+        ...targetSchema,
+        option: 'string - Option value or visible label (see the element\'s Control options)',
+        intent: 'string - Which option is chosen and why'
+      },
+      handler: async (input) => this.runInteraction('Select option', input,
+        (tabId, params) => this.domService.performSelectOption(tabId, { ...params, option: input.option ?? input.text }))
+    });
+
+    this.actions.set('set_checked', {
+      description: 'Check or uncheck a checkbox, select a radio button, or turn a switch on or off',
+      schema: {
+        ...targetSchema,
+        checked: 'boolean - true to check / turn on (default), false to uncheck / turn off',
+        intent: 'string - What is being ticked and why'
+      },
+      handler: async (input) => this.runInteraction('Set checked', input,
+        (tabId, params) => this.domService.performSetChecked(tabId, { ...params, checked: input.checked !== false && input.checked !== 'false' }))
+    });
+
+    this.actions.set('set_date', {
+      description: 'Enter a date or time into a date, time, datetime-local, month or week field (or a text field behind a date picker)',
+      schema: {
+        ...targetSchema,
+        value: 'string - Date and/or time, e.g. 2025-03-14, 14:30, 2025-03-14T14:30 or 2025-03',
+        intent: 'string - Which date is entered and why'
+      },
+      handler: async (input) => this.runInteraction('Set date', input,
+        (tabId, params) => this.domService.performSetDate(tabId, { ...params, value: input.value ?? input.text }))
+    });
+
+    // Only files the user added to the approved uploads list can be attached
+    this.actions.set('upload_file', {
+      description: 'Attach approved files (from UPLOADABLE FILES) to a file input or upload drop zone',
+      schema: {
+        ...targetSchema,
+        files: 'array - File names from UPLOADABLE FILES',
+        intent: 'string - Which files are uploaded and why'
+      },
+      handler: async (input) => {
+        try {
+          const files = await uploadManager.resolveFiles(input.files || input.file);
+          return this.runInteraction('Upload', input,
+            (tabId, params) => this.domService.performUploadFile(tabId, { ...params, files }));
+        } catch (error) {
+          console.error('Upload action error:', error);
+          return {
+            success: false,
+            error: error.message,
+            extractedContent: `Upload failed: ${error.message}`,
+            includeInMemory: true
+          };
+        }
+      }
+    });
+
     // Wait until text appears (basic condition wait)
     // this.actions.set('wait_for_text', {
     //   description: 'Wait until an element containing specific text appears (timeout ms)',
@@ -493,14 +974,152 @@ export class ActionRegistry {
     // });
   }
 
-  async executeAction(actionName, input) {
+  // Input settings from the extension config
+  configureInput(config = {}) {
+    this.inputBackend = INPUT_BACKENDS.includes(config.inputBackend) ? config.inputBackend : 'auto';
+    this.trustedInputDomains = PolicyManager.normalizeDomains(config.trustedInputDomains);
+  }
+
+  // Sites the user listed always get trusted input; elsewhere the global choice applies
+  inputBackendFor(url) {
+    const hostname = PolicyManager.getHostname(url);
+    if (hostname && this.trustedInputDomains.some(domain => PolicyManager.matchesDomain(hostname, domain))) {
+      return 'trusted';
+    }
+    return this.inputBackend;
+  }
+
+  /**
+   * Run an interaction through the input backend chosen for the tab's site.
+   * In auto mode synthetic events go first and are repeated once with trusted
+   * input when the page showed no reaction to them (isTrusted checks).
+   */
+  async dispatchInput(kind, tab, params, synthetic) {
+    const backend = this.inputBackendFor(tab.url);
+    const pace = this.pacing.forPage(tab.id, tab.url);
+    if (backend === 'trusted') {
+      const result = await cdpInputService.perform(tab.id, kind, params, { pace });
+      return { ...result, inputBackend: 'trusted' };
+    }
+
+    // Paced synthetic input: the pointer travels to the target first, text goes in key by key
+    if (pace && POINTER_KINDS.includes(kind)) {
+      await this.approachTarget(tab.id, params, pace);
+    }
+    const syntheticParams = pace && kind === 'type'
+      ? { ...params, keyDelays: pace.keystrokeDelays(params.text) }
+      : params;
+
+    if (backend !== 'auto' || !TRUSTED_RETRY_KINDS.includes(kind)) {
+      return { ...(await synthetic(tab.id, syntheticParams)), inputBackend: 'synthetic' };
+    }
+
+    const result = await this.domService.performWithEffectWatch(tab.id, syntheticParams, synthetic,
+      kind === 'type' ? { expectText: String(params.text ?? '') } : {});
+    if (!result.success || result.effect !== false) {
+      return { ...result, inputBackend: 'synthetic' };
+    }
+
+    console.log(`🛡️ The page ignored the synthetic ${kind} - retrying with trusted input`);
+    const trusted = await cdpInputService.perform(tab.id, kind, params, { pace });
+    if (!trusted.success) {
+      console.warn(`Trusted ${kind} retry failed:`, trusted.error);
+      return { ...result, inputBackend: 'synthetic' };
+    }
+    return { ...trusted, inputBackend: 'trusted', retriedWithTrustedInput: true };
+  }
+
+  // Eased scroll to the target if it is off screen, then a curved pointer path onto it
+  async approachTarget(tabId, params, pace) {
+    const point = await this.domService.getElementPoint(tabId, { ...params, scrollDuration: pace.scrollMs() });
+    // A missing element is reported by the action itself
+    if (!point.success) return;
+    if (point.scrolledMs) pace.recordScroll(point.scrolledMs);
+    await this.domService.dispatchMousePath(tabId, pace.mousePath(point, point.viewport));
+  }
+
+  // Tells the planner (and the task log) how the input reached the page
+  static describeInputBackend(result) {
+    if (result.retriedWithTrustedInput) return ' (the page ignored synthetic events - repeated with trusted input)';
+    return result.inputBackend === 'trusted' ? ' (trusted input)' : '';
+  }
+
+  // Shared body of the interaction actions: resolve the target and run it on the active tab
+  async runInteraction(label, input, perform, { requireTarget = true, inputKind = null, extraParams = {} } = {}) {
+    try {
+      console.log(`🖱️ ${label}: ${input.intent || ''}`);
+
+      const actionParams = { ...extraParams };
+      if (input.index !== undefined) {
+        actionParams.index = input.index;
+      }
+      if (input.selector) {
+        actionParams.selector = input.selector;
+      }
+      if (input.xpath) {
+        actionParams.xpath = input.xpath;
+      }
+
+      if (requireTarget && input.index === undefined && !input.selector && !input.xpath) {
+        return {
+          success: false,
+          error: 'No index or selector provided',
+          extractedContent: `${label} failed: No target specified`,
+          includeInMemory: true
+        };
+      }
+
+      const tab = await this.browserContext.getCurrentActiveTab();
+      if (!tab || !tab.id) {
+        return {
+          success: false,
+          error: `No active tab available for ${label.toLowerCase()}`,
+          extractedContent: `${label} failed: No active tab found`,
+          includeInMemory: true
+        };
+      }
+      const result = inputKind
+        ? await this.dispatchInput(inputKind, tab, actionParams, perform)
+        : await perform(tab.id, actionParams);
+
+      return {
+        success: result.success,
+        extractedContent: result.success ?
+          `${result.message || `${label} done`}${ActionRegistry.describeInputBackend(result)}${input.intent ? `: ${input.intent}` : ''}` :
+          `${label} failed: ${result.error}`,
+        includeInMemory: true,
+        error: result.error
+      };
+    } catch (error) {
+      console.error(`${label} action error:`, error);
+      return {
+        success: false,
+        error: error.message,
+        extractedContent: `${label} failed: ${error.message}`,
+        includeInMemory: true
+      };
+    }
+  }
+
+  // redaction is the task's RedactionService, whose token map the planner's parameters refer to
+  async executeAction(actionName, input, redaction = new RedactionService()) {
     const action = this.actions.get(actionName);
     if (!action) {
       throw new Error(`Unknown action: ${actionName}`);
     }
 
     try {
-      return await action.handler(input);
+      // [[EMAIL_1]]-style tokens from redacted page content become the real values again
+      const { params: unredacted, restored } = redaction.restoreParams(input);
+
+      if (!this.autofillEnabled) {
+        return redaction.maskResult(await action.handler(unredacted), restored);
+      }
+
+      // {{profile.home.zip}} placeholders are resolved here and masked again in the result
+      const { params, resolved } = await this.profileManager.resolveParams(unredacted);
+      const result = await action.handler(params);
+      return redaction.maskResult(ProfileManager.maskResult(result, resolved), restored);
     } catch (error) {
       return {
         success: false,
@@ -520,6 +1139,41 @@ export class ActionRegistry {
     return out;
   }
 
+  // Describe every action as a provider-neutral tool (name, description, JSON schema parameters)
+  getToolDefinitions() {
+    const tools = [];
+    this.actions.forEach((val, key) => {
+      tools.push({
+        name: key,
+        description: val.description,
+        parameters: this.schemaToJsonSchema(val.schema)
+      });
+    });
+    return tools;
+  }
+
+  // Convert the 'type - description' schema strings into a JSON schema object
+  schemaToJsonSchema(schema = {}) {
+    const properties = {};
+    Object.entries(schema).forEach(([param, spec]) => {
+      const match = String(spec).match(/^\s*(string|number|integer|boolean|array|object)\s*-\s*(.*)$/i);
+      const type = match ? match[1].toLowerCase() : 'string';
+      const property = {
+        type,
+        description: match ? match[2].trim() : String(spec)
+      };
+      if (type === 'array') {
+        property.items = { type: 'string' };
+      }
+      properties[param] = property;
+    });
+
+    return {
+      type: 'object',
+      properties
+    };
+  }
+
   validateAndFixUrl(url) {
     if (!url || typeof url !== 'string') {
       console.error('Invalid URL provided:', url);
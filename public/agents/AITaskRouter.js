@@ -1,9 +1,57 @@
+import { RedactionService } from '../services/RedactionService.js';
+
+const CLASSIFICATION_PROPERTIES = {
+  confidence: { type: 'number', description: 'Classification confidence from 0.0 to 1.0' },
+  reasoning: { type: 'string', description: 'Brief explanation of the classification' }
+};
+
+// Calling one of these tools is the classification: respond_chat for CHAT, plan_automation for WEB_AUTOMATION
+const RESPOND_CHAT_TOOL = {
+  name: 'respond_chat',
+  description: 'Answer a CHAT request (greetings, questions, explanations, code) directly.',
+  parameters: {
+    type: 'object',
+    properties: {
+      message: { type: 'string', description: 'The complete answer in markdown' },
+      ...CLASSIFICATION_PROPERTIES
+    },
+    required: ['message']
+  }
+};
+
+const PLAN_AUTOMATION_TOOL = {
+  name: 'plan_automation',
+  description: 'Start a WEB_AUTOMATION task (actions on websites or analysis of the current page).',
+  parameters: {
+    type: 'object',
+    properties: {
+      ...CLASSIFICATION_PROPERTIES,
+      observation: { type: 'string', description: 'Analysis of the current page state and task requirements' },
+      strategy: { type: 'string', description: 'Step-by-step approach with clear completion criteria' },
+      done: { type: 'boolean', description: 'true for analytical tasks answered from the current page, or if the task is already complete' },
+      next_action: { type: 'string', description: 'navigate | click | type | scroll | wait | go_back | complete' },
+      direct_url: { type: 'string', description: 'Closest URL for the task, or empty if already on the correct page' },
+      index: { type: 'number', description: 'Index of the element to click or type on, if known and on the correct page' },
+      selector: { type: 'string', description: 'Selector of the element to click or type on, if known' },
+      text: { type: 'string', description: 'Text to type, search term or button text' },
+      direction: { type: 'string', description: 'down | up (for scroll)' },
+      amount: { type: 'number', description: 'Scroll amount in pixels' },
+      duration: { type: 'number', description: 'Wait duration in milliseconds' },
+      analysis_result: { type: 'string', description: 'Detailed extraction/analysis of the page for analytical tasks' },
+      requires_auth: { type: 'boolean', description: 'true if the task needs the user to be signed in' },
+      navigation_needed: { type: 'boolean', description: 'true if the task has to navigate away from the current page' }
+    },
+    required: ['observation', 'strategy', 'done']
+  }
+};
+
 export class AITaskRouter {
-  constructor(llmService) {
+  constructor(llmService, redaction = new RedactionService()) {
     this.llmService = llmService;
+    this.redaction = redaction;
   }
 
-  async analyzeAndRoute(userMessage, currentState = {}) {
+  async analyzeAndRoute(userMessage, currentState = {}, options = {}) {
     // Store userMessage for use in fallback methods.
     this.userMessage = userMessage;
 
@@ -36,11 +84,11 @@ Classify user requests as either CHAT (general conversation) or WEB_AUTOMATION (
 "${userMessage}"
 
 # **CURRENT PAGE STATE**
-- URL: ${currentState.pageInfo?.url || 'unknown'}
+- URL: ${this.redaction.redactText(currentState.pageInfo?.url) || 'unknown'}
 - Platform: ${this.detectPlatformFromUrl(currentState.pageInfo?.url)}
 - Elements Count: ${currentState.interactiveElements?.length || 0}
 - Elements (First 40): ${this.formatElementsForContext(currentState.interactiveElements?.slice(0, 40) || [])}
-- Page Title: ${currentState.pageInfo?.title || 'unknown'}
+- Page Title: ${this.redaction.redactText(currentState.pageInfo?.title) || 'unknown'}
 - Page Type: ${currentState.pageContext?.pageType || 'unknown'}
 
 # **VISUAL CONTEXT (Screenshot Analysis)**
@@ -193,16 +241,61 @@ Always provide complete, well-formatted responses!
 3. Place it on a new line after your complete response
 4. Format: response content + newline + ===RESPONSE_END===`;
 
+      // Prefer provider-native tool calls; the delimited text stays as the fallback path
+      const useTools = await this.shouldUseToolCalling();
+      const callOptions = { maxTokens: 2000 };
+      let prompt = intelligentPrompt;
+
+      if (useTools) {
+        callOptions.tools = [RESPOND_CHAT_TOOL, PLAN_AUTOMATION_TOOL];
+        prompt += `
+
+# **TOOL CALLING MODE**
+Instead of writing the delimited blocks above, respond ONLY with exactly one tool call:
+- CHAT: call respond_chat with the complete markdown answer in message
+- WEB_AUTOMATION: call plan_automation with the automation fields described above
+- Both tools take confidence and reasoning for the classification`;
+      }
+
+      // Stream the CHAT answer as it is generated; automation plans are only used once complete
+      if (typeof options.onChatChunk === 'function') {
+        let lastStreamed = '';
+        const emit = (partialMessage) => {
+          if (partialMessage && partialMessage !== lastStreamed) {
+            lastStreamed = partialMessage;
+            options.onChatChunk(partialMessage);
+          }
+        };
+        callOptions.onToken = (delta, fullText) => emit(this.extractStreamingChatMessage(fullText));
+        if (useTools) {
+          callOptions.onToolDelta = (name, argumentsSoFar) => {
+            if (name === RESPOND_CHAT_TOOL.name) emit(this.extractStreamingToolMessage(argumentsSoFar));
+          };
+        }
+      }
+
       const response = await this.llmService.call([
-        { role: 'user', content: intelligentPrompt }
-      ], { maxTokens: 2000 });
+        { role: 'user', content: prompt }
+      ], callOptions);
 
       console.log('[AITaskRouter] LLM response:', response);
 
       const responseText = typeof response === 'string' ? response : response.text;
       const usage = typeof response === 'object' && response.usage ? response.usage : null;
+      const toolCalls = typeof response === 'object' ? response.toolCalls || [] : [];
 
-      const result = this.parseDelimitedResponse(responseText);
+      let result;
+      if (toolCalls.length > 0) {
+        try {
+          result = this.parseToolCallResponse(toolCalls);
+        } catch (toolError) {
+          if (!responseText) throw toolError;
+          console.warn('⚠️ Tool-call classification invalid, falling back to delimiter parsing:', toolError.message);
+          result = this.parseDelimitedResponse(responseText);
+        }
+      } else {
+        result = this.parseDelimitedResponse(responseText);
+      }
 
       if (usage) {
         result.usage = usage;
@@ -222,6 +315,49 @@ Always provide complete, well-formatted responses!
     }
   }
 
+  async shouldUseToolCalling() {
+    if (typeof this.llmService.supportsToolCalling !== 'function') {
+      return false;
+    }
+
+    try {
+      return await this.llmService.supportsToolCalling('planner');
+    } catch (error) {
+      console.warn('⚠️ Could not determine tool calling support:', error.message);
+      return false;
+    }
+  }
+
+  // Build the same result shape as parseDelimitedResponse from the classification tool call
+  parseToolCallResponse(toolCalls) {
+    const call = toolCalls.find(c => c.name === RESPOND_CHAT_TOOL.name || c.name === PLAN_AUTOMATION_TOOL.name);
+    if (!call) {
+      throw new Error(`Unknown tool(s) called: ${toolCalls.map(c => c.name).join(', ')}`);
+    }
+
+    const { confidence, reasoning, ...fields } = call.arguments || {};
+    const classification = {
+      confidence: Number.isFinite(confidence) ? confidence : 0.8,
+      reasoning: reasoning || 'Classified via tool call'
+    };
+
+    if (call.name === RESPOND_CHAT_TOOL.name) {
+      if (!fields.message) {
+        throw new Error('respond_chat was called without a message');
+      }
+      return { intent: 'CHAT', ...classification, response: { message: fields.message, isMarkdown: true } };
+    }
+
+    if (!fields.observation || !fields.strategy) {
+      throw new Error('Missing required fields in plan_automation call');
+    }
+    // If task is done but no next_action specified, set it to "complete"
+    if (fields.done && !fields.next_action) {
+      fields.next_action = 'complete';
+    }
+    return { intent: 'WEB_AUTOMATION', ...classification, response: fields };
+  }
+
   detectPlatformFromUrl(url) {
     if (!url) return 'unknown';
     const urlLower = url.toLowerCase();
@@ -251,7 +387,7 @@ Always provide complete, well-formatted responses!
   formatElementsForContext(elements) {
     if (!elements || elements.length === 0) return "No elements found";
 
-    return elements.map(el => {
+    return this.redaction.redactElements(elements).map(el => {
       const textContent = (el.textContent || '').trim();
       const limitedTextContent = textContent.length > 100 ? textContent.substring(0, 100) + '...' : textContent;
 
@@ -283,6 +419,46 @@ Always provide complete, well-formatted responses!
     }).join('\n\n');
   }
 
+  // Pull the visible CHAT answer out of a partially streamed delimited response
+  extractStreamingChatMessage(partialText) {
+    if (!partialText) return null;
+
+    const classificationMatch = partialText.match(/===CLASSIFICATION_START===([\s\S]*?)===CLASSIFICATION_END===/);
+    if (!classificationMatch) return null;
+
+    const intentMatch = classificationMatch[1].match(/INTENT:\s*(CHAT|WEB_AUTOMATION)/i);
+    if (!intentMatch || intentMatch[1].toUpperCase() !== 'CHAT') return null;
+
+    const startIndex = partialText.indexOf('===RESPONSE_START===');
+    if (startIndex === -1) return null;
+
+    let message = partialText.slice(startIndex + '===RESPONSE_START==='.length);
+    const endIndex = message.indexOf('===RESPONSE_END===');
+    if (endIndex !== -1) {
+      message = message.slice(0, endIndex);
+    } else {
+      // Hold back a trailing partial delimiter so "===RESP" never flashes in the UI
+      message = message.replace(/=+[A-Z_]*$/, '');
+    }
+
+    message = message.trim();
+    return message || null;
+  }
+
+  // Pull the answer out of respond_chat's arguments while their JSON is still being generated
+  extractStreamingToolMessage(partialArguments) {
+    const match = (partialArguments || '').match(/"message"\s*:\s*"((?:[^"\\]|\\.)*)/);
+    if (!match) return null;
+
+    // A \u escape may be cut off mid-sequence - drop it until the rest arrives
+    const raw = match[1].replace(/\\u[0-9a-fA-F]{0,3}$/, '');
+    try {
+      return JSON.parse(`"${raw}"`).trim() || null;
+    } catch (error) {
+      return null;
+    }
+  }
+
   // New parsing method using delimiters
   parseDelimitedResponse(response) {
     try {
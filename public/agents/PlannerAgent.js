@@ -1,7 +1,33 @@
+import { RedactionService } from '../services/RedactionService.js';
+
+// Tool the planner calls once per response to report plan metadata alongside its action calls
+const REPORT_PLAN_TOOL = {
+  name: 'report_plan',
+  description: 'Report the plan for this batch. Call exactly once, together with the action tool calls for the batch (in execution order).',
+  parameters: {
+    type: 'object',
+    properties: {
+      observation: { type: 'string', description: 'Current situation analysis focused on this page' },
+      done: { type: 'boolean', description: 'true ONLY if the entire task is completely finished after this batch' },
+      strategy: { type: 'string', description: 'High-level approach using current page elements' },
+      shouldValidate: { type: 'boolean', description: 'true ONLY when the ENTIRE task is complete after this batch' },
+      replan_trigger: { type: 'string', description: 'element_not_found | new_url_loaded | typing_failed' },
+      completion_criteria: { type: 'string', description: 'How to know the entire task is done' },
+      reasoning: { type: 'string', description: 'Why this batch will work with the current page state' },
+      pause: { type: 'boolean', description: 'true if execution should pause (sign-in or approval needed)' },
+      pause_reason: { type: 'string', description: 'signin | approval (only if pause=true)' },
+      pause_description: { type: 'string', description: 'Short description of what needs approval or sign-in' }
+    },
+    required: ['observation', 'done', 'strategy']
+  }
+};
+
 export class PlannerAgent {
-  constructor(llmService, memoryManager) {
+  constructor(llmService, memoryManager, actionRegistry = null, redaction = new RedactionService()) {
     this.llmService = llmService;
     this.memoryManager = memoryManager;
+    this.actionRegistry = actionRegistry;
+    this.redaction = redaction;
   }
 
   async plan(userTask, currentState, executionHistory, enhancedContext) {
@@ -150,17 +176,31 @@ ${previousPlanContext}
 
 # **ELEMENT SELECTION GUIDANCE**
 Choose elements that are most appropriate for the current task. Prefer elements with clear, descriptive text or purpose.
+Elements marked NEW appeared after the last action (an opened dropdown, menu or dialog) - they are usually what the next step needs.
 
 # **CURRENT PAGE STATE**
-- URL: ${currentState.pageInfo?.url || 'unknown'}
-- Title: ${currentState.pageInfo?.title || 'unknown'} 
+- URL: ${this.redaction.redactText(currentState.pageInfo?.url) || 'unknown'}
+- Title: ${this.redaction.redactText(currentState.pageInfo?.title) || 'unknown'} 
 - Domain: ${this.extractDomain(currentState.pageInfo?.url)}
 
+# **TASK TABS**
+${this.formatTaskTabs(enhancedContext.taskTabs)}
+
+# **FORM PROFILES**
+${this.formatFormProfiles(enhancedContext.formProfiles)}
+
+# **UPLOADABLE FILES**
+${this.formatApprovedUploads(enhancedContext.approvedUploads)}
+${enhancedContext.previewMode ? `
+# **PLAN PREVIEW MODE**
+The user reviews and edits your batch before anything runs. Include every action you can already determine on this page, in order, instead of a single exploratory step.
+` : ''}
 # **PAGE CONTEXT**
 - Page Type: ${currentState.pageContext?.pageType || 'unknown'}
 
 # **ELEMENT ANALYSIS**
 - Total Elements: ${currentState.interactiveElements?.length || 0}
+- Changes Since Last Action: ${this.formatElementDiff(currentState.elementDiff)}
 
 # **AVAILABLE INTERACTIVE ELEMENTS (Current Page Only, 100 elements)**
 ${elements}
@@ -303,7 +343,7 @@ ${progressAnalysis}
   "strategy": "High-level approach using current page elements (2-7 steps)",
   "batch_actions": [
     {
-      "action_type": "navigate|click|type|scroll|wait|go_back",
+      "action_type": "navigate|click|type|scroll|wait|go_back|open_tab|switch_tab|list_tabs|close_tab|extract|fill_form|hover|double_click|context_click|drag_and_drop|press_key|focus|select_option|set_checked|set_date|upload_file",
       "parameters": {
         "url": "https://example.com/xyz", // for navigate (try to generate the most closest url to the platform which is more closest to the user message or task.)
         "index": 5, // for CLICKABLE and TYPEABLE elements only (PREFERRED over selector)
@@ -315,6 +355,17 @@ ${progressAnalysis}
         "direction": "down/up", // for scroll
         "amount": 1000, // for scroll (use 800-1200px for large page movement (not constant))
         "duration": 2000, // for wait
+        "tab_id": 123, // for switch_tab/close_tab (from TASK TABS)
+        "label": "amazon", // for open_tab (name the new tab) or switch_tab/close_tab (instead of tab_id)
+        "fields": ["name", "price"], // for extract (field names of each record; index/selector/xpath optionally limit the scope)
+        "instructions": "all laptops in the results list", // for extract
+        "profile": "home", // for fill_form (profile name from FORM PROFILES)
+        "target_index": 9, // for drag_and_drop (element to drop onto; index is the element being dragged)
+        "key": "Enter", // for press_key (e.g. Enter, Escape, Tab, ArrowDown, Ctrl+A; index optional - default is the focused element)
+        "option": "Canada", // for select_option (option value or label from the element's Control options)
+        "checked": true, // for set_checked (false to uncheck / turn off)
+        "value": "2025-03-14", // for set_date (date, time 14:30, or 2025-03-14T14:30)
+        "files": ["resume.pdf"], // for upload_file (names from UPLOADABLE FILES only)
         "intent": "What this action accomplishes"
       }
     }
@@ -351,24 +402,60 @@ ${progressAnalysis}
 - Some sites may have click first then type, so ensure to check if element is typeable before typing
 - Prioritize actions that move toward task completion (e.g., posting, buying, searching, filling forms)
 - Prioritize actions that move toward task completion
-- Only use concrete actions: navigate, click, type, scroll, wait
+- Only use concrete actions: navigate, click, type, scroll, wait, go_back, open_tab, switch_tab, list_tabs, close_tab, extract, fill_form, hover, double_click, context_click, drag_and_drop, press_key, focus, select_option, set_checked, set_date, upload_file
+- Elements with a Control line are not text fields: use select_option for select/combobox/listbox, set_checked for checkbox/radio/switch, set_date for date/time fields and upload_file for file inputs - never type into them
+- Use hover for menus that open on mouseover, drag_and_drop to reorder lists or move cards, and press_key for keyboard-driven apps (Enter to submit, Escape to close, ArrowDown to move through suggestions)
+- For personal details (name, email, phone, address) NEVER guess or write real values: use fill_form with a profile from FORM PROFILES, or type a placeholder like {{profile.home.zip}} - it is replaced with the saved value at execution time
+- Values like [[EMAIL_1]] or [[PHONE_2]] are redacted personal data - use the token itself in type actions, the real value is filled in locally
+- Actions refused with "Blocked by site policy" must not be retried - find another way within the policy or finish and explain what the policy prevented
+- When the user wants data collected (lists, tables, prices, comparisons), use extract with the requested fields once the data is visible - it returns a table to the user
+- Use open_tab (with a label) to compare sources or look something up without leaving the user's page; use switch_tab to move between TASK TABS and close_tab only for tabs you opened
+- Elements always belong to the active tab; after open_tab or switch_tab end the batch so the new page can be analysed
 - If user is already on the correct page, then do not navigate to the page, just do the action.
 - Clicking on first item doesn't mean you click on the first index element, instead you need to click on the item element.
 
 **REMEMBER: Plan ONLY for current page elements. Set shouldValidate=true ONLY for final task completion!**`;
 
     try {
+      // Prefer provider-native tool calls; plain JSON text stays as the fallback path
+      const useTools = await this.shouldUseToolCalling();
+      const callOptions = { maxTokens: 5000 };
+      let prompt = plannerPrompt;
+
+      if (useTools) {
+        callOptions.tools = this.getPlannerTools();
+        prompt += `
+
+# **TOOL CALLING MODE**
+Instead of writing the JSON above as text, respond ONLY with tool calls:
+- Call one action tool per batch step, in execution order (use the same parameters described above)
+- Call report_plan exactly once with observation, done, strategy, shouldValidate, pause fields, etc.
+- If the task is already done, call only report_plan with done=true`;
+      }
+
       const response = await this.llmService.call([
-        { role: 'user', content: plannerPrompt }
-      ], { maxTokens: 5000 }, 'planner');
+        { role: 'user', content: prompt }
+      ], callOptions, 'planner');
 
       console.log('[PlannerAgent] LLM response:', response);
 
       // Handle updated object return format {text, usage} from MultiLLMService
       const responseText = typeof response === 'string' ? response : response.text;
       const usage = typeof response === 'object' && response.usage ? response.usage : null;
-
-      const plan = this.parsePlan(this.cleanJSONResponse(responseText));
+      const toolCalls = typeof response === 'object' ? response.toolCalls || [] : [];
+
+      let plan;
+      if (toolCalls.length > 0) {
+        try {
+          plan = this.parseToolCallPlan(toolCalls);
+        } catch (toolError) {
+          if (!responseText) throw toolError;
+          console.warn('⚠️ Tool-call plan invalid, falling back to text parsing:', toolError.message);
+          plan = this.parsePlan(this.cleanJSONResponse(responseText));
+        }
+      } else {
+        plan = this.parsePlan(this.cleanJSONResponse(responseText));
+      }
 
       // Inject usage metadata to be bubbled up
       if (usage) {
@@ -535,6 +622,9 @@ ${progressAnalysis}
       if (el.purpose === 'search') score += 40;
       if (el.purpose === 'submit') score += 30;
 
+      // Just appeared after the last action - dropdown options and dialog buttons
+      if (el.isNew) score += 60;
+
       // Boost for visible elements with good bounds
       if (el.isVisible && el.bounds?.width > 0 && el.bounds?.height > 0) {
         score += 20;
@@ -589,7 +679,7 @@ ${progressAnalysis}
   formatCompleteElements(elements) {
     if (!elements || elements.length === 0) return "No interactive elements found on this page.";
 
-    return elements.map((el, index) => {
+    return this.redaction.redactElements(elements).map((el, index) => {
       const textContent = (el.textContent || '').trim();
       const limitedTextContent = textContent.length > 100 ? textContent.substring(0, 100) + '...' : textContent;
 
@@ -610,17 +700,55 @@ ${progressAnalysis}
         height: Math.round(bounds.height || 0)
       };
 
-      return `[Index: ${el.index}] TagName: ${el.tagName || 'UNKNOWN'} {
+      return `[Index: ${el.index}] TagName: ${el.tagName || 'UNKNOWN'}${this.formatDiffMarker(el)} {
   Category: ${el.category || 'unknown'}
   Purpose: ${el.purpose || 'general'}
   Selector: ${limitedSelector}
-  XPath: ${limitedXPath} 
+  XPath: ${limitedXPath} ${el.framePath ? `
+  Frame: ${el.framePath.map(hop => hop.type === 'iframe' ? 'iframe' : 'shadow root').join(' > ')}` : ''}${this.formatControl(el)}
   TextContent: "${limitedTextContent}" 
   Bounds: ${JSON.stringify(simplifiedBounds)}
 }`;
     }).join('\n\n');
   }
 
+  // Type, current state and choices of selects, checkboxes, date and file inputs
+  formatControl(el) {
+    const control = el.control;
+    if (!control) return '';
+
+    const parts = [control.type];
+    if (control.checked !== undefined) parts.push(control.checked ? 'checked' : 'unchecked');
+    if (control.value) parts.push(`value "${String(control.value).substring(0, 60)}"`);
+    if (control.expanded !== undefined) parts.push(control.expanded ? 'open' : 'closed');
+    if (control.min || control.max) parts.push(`allowed ${control.min || 'any'} to ${control.max || 'any'}`);
+    if (control.type === 'file') parts.push(`${control.fileCount || 0} attached${control.accept ? `, accepts ${control.accept}` : ''}`);
+
+    const options = el.options || control.options;
+    if (options?.length > 0) {
+      const more = (control.optionCount || options.length) - options.length;
+      const list = options.map(option => `${option.label || option.value}${option.selected ? ' (selected)' : ''}`).join(', ');
+      parts.push(`options: ${list}${more > 0 ? ` (+${more} more)` : ''}`);
+    }
+    return `
+  Control: ${parts.join(' | ')}`;
+  }
+
+  // Marker for elements the last action added or changed
+  formatDiffMarker(el) {
+    if (el.isNew) return ' 🆕 NEW since last action';
+    if (el.changedFields?.length > 0) return ` ✏️ CHANGED since last action (${el.changedFields.join(', ')})`;
+    return '';
+  }
+
+  formatElementDiff(diff) {
+    if (!diff || diff.baseline) return 'first snapshot of this page';
+    if (!diff.added && !diff.changed && !diff.removedCount) return 'none - the last action did not change the elements';
+
+    const removed = diff.removed?.length > 0 ? ` (e.g. ${this.redaction.redactText(diff.removed.join(', '))})` : '';
+    return `${diff.added} new (marked NEW), ${diff.changed} changed, ${diff.removedCount} removed${removed}`;
+  }
+
   cleanJSONResponse(response) {
     let cleaned = response.replace(/```json\s*/gi, '').replace(/```\s*/gi, '').replace(/`/g, '');
 
@@ -647,7 +775,7 @@ ${progressAnalysis}
       formatted += `\n## PRIORITY ACTION ELEMENTS (MAIN INTERACTIVE ITEMS):\n`;
       actionElements.slice(0, 8).forEach(el => {
         const text = (el.text || '').substring(0, 60);
-        formatted += `[${el.index}] ${el.tagName}⭐[ACTION]: "${text}"${text.length > 60 ? '...' : ''}\n`;
+        formatted += `[${el.index}] ${el.tagName}⭐[ACTION]${this.formatDiffMarker(el)}: "${text}"${text.length > 60 ? '...' : ''}\n`;
       });
     }
 
@@ -655,7 +783,7 @@ ${progressAnalysis}
     if (searchElements.length > 0) {
       formatted += `\n## SEARCH INTERFACE ELEMENTS (CLICK FIRST, THEN TYPE):\n`;
       searchElements.forEach(el => {
-        formatted += `[${el.index}] ${el.tagName} "${el.text}" {id: ${el.attributes?.id}, name: ${el.attributes?.name}, data-testid: ${el.attributes?.['data-testid']}}\n`;
+        formatted += `[${el.index}] ${el.tagName}${this.formatDiffMarker(el)} "${el.text}" {id: ${el.attributes?.id}, name: ${el.attributes?.name}, data-testid: ${el.attributes?.['data-testid']}}\n`;
       });
     }
 
@@ -673,14 +801,15 @@ ${progressAnalysis}
     Object.entries(categorized).forEach(([category, categoryElements]) => {
       formatted += `\n## ${category.toUpperCase()} ELEMENTS:\n`;
 
-      categoryElements.slice(0, 10).forEach(el => {
+      // Elements the last action revealed go first so the cut below keeps them
+      [...categoryElements].sort((a, b) => Number(!!b.isNew) - Number(!!a.isNew)).slice(0, 10).forEach(el => {
         const purpose = el.purpose ? ` (${el.purpose})` : '';
         const text = (el.text || '').substring(0, 40);
 
         const tagName = el.tagName?.toLowerCase() || 'unknown';
         const elementType = this.getElementTypeInfo(el);
 
-        formatted += `[${el.index}] ${tagName}${elementType}${purpose}: "${text}"${text.length > 40 ? '...' : ''}\n`;
+        formatted += `[${el.index}] ${tagName}${elementType}${purpose}${this.formatDiffMarker(el)}: "${text}"${text.length > 40 ? '...' : ''}\n`;
       });
     });
 
@@ -692,6 +821,29 @@ ${progressAnalysis}
   }
 
 
+  // Saved profile placeholders, approved upload files and the task's tabs for the prompt
+  formatFormProfiles(formProfiles) {
+    if (!formProfiles || formProfiles.length === 0) return 'No saved profiles';
+
+    return formProfiles.map(profile =>
+      `- ${profile.name}: ${profile.fields.map(field => `{{profile.${profile.name}.${field}}}`).join(', ')}`
+    ).join('\n');
+  }
+
+  formatApprovedUploads(uploads) {
+    if (!uploads || uploads.length === 0) return 'None - the user has not approved any files for upload';
+
+    return uploads.map(file => `- "${file.name}" (${file.type}, ${Math.max(1, Math.round(file.size / 1024))} KB)`).join('\n');
+  }
+
+  formatTaskTabs(taskTabs) {
+    if (!taskTabs || taskTabs.length === 0) return 'Only the current tab';
+
+    return taskTabs.map(tab =>
+      `- [${tab.tabId}] "${tab.label}"${tab.active ? ' (ACTIVE)' : ''}${tab.openedByAgent ? '' : ' (user tab, do not close)'}: ${this.redaction.redactText(tab.title) || 'Untitled'} - ${this.redaction.redactText(tab.url)}`
+    ).join('\n');
+  }
+
   // NEW: Helper method to provide better element type info
   getElementTypeInfo(el) {
     const tagName = (el.tagName || '').toLowerCase();
@@ -785,6 +937,73 @@ ${progressAnalysis}
     }
   }
 
+  async shouldUseToolCalling() {
+    if (!this.actionRegistry || typeof this.llmService.supportsToolCalling !== 'function') {
+      return false;
+    }
+
+    try {
+      return await this.llmService.supportsToolCalling('planner');
+    } catch (error) {
+      console.warn('⚠️ Could not determine tool calling support:', error.message);
+      return false;
+    }
+  }
+
+  // Every registered action becomes a tool, plus report_plan for the plan metadata
+  getPlannerTools() {
+    const actionTools = this.actionRegistry.getToolDefinitions().map(tool => ({
+      ...tool,
+      parameters: {
+        ...tool.parameters,
+        properties: {
+          ...tool.parameters.properties,
+          intent: tool.parameters.properties.intent || { type: 'string', description: 'What this action accomplishes' }
+        }
+      }
+    }));
+
+    return [...actionTools, REPORT_PLAN_TOOL];
+  }
+
+  // Build the same plan shape as parsePlan from typed tool calls
+  parseToolCallPlan(toolCalls) {
+    const reportCall = toolCalls.find(call => call.name === REPORT_PLAN_TOOL.name);
+    const actionCalls = toolCalls.filter(call => call.name !== REPORT_PLAN_TOOL.name);
+    const report = reportCall?.arguments || {};
+
+    const unknownCalls = actionCalls.filter(call => !this.actionRegistry.actions.has(call.name));
+    if (unknownCalls.length > 0) {
+      throw new Error(`Unknown tool(s) called: ${unknownCalls.map(call => call.name).join(', ')}`);
+    }
+
+    if (!reportCall && actionCalls.length === 0) {
+      throw new Error('Tool-call response contained no actions and no report_plan call');
+    }
+
+    const batchActions = actionCalls.map(call => ({
+      action_type: call.name,
+      parameters: call.arguments || {}
+    }));
+
+    console.log(`🛠️ Parsed tool-call plan: ${batchActions.map(a => a.action_type).join(' → ') || 'no actions'}`);
+
+    return {
+      observation: report.observation || `Planned ${batchActions.length} action(s) via tool calls`,
+      done: report.done === true,
+      strategy: report.strategy || batchActions.map(a => a.parameters.intent || a.action_type).join(', '),
+      batch_actions: batchActions,
+      shouldValidate: report.shouldValidate || false,
+      replan_trigger: report.replan_trigger || "",
+      completion_criteria: report.completion_criteria || "",
+      reasoning: report.reasoning || "",
+      pause: report.pause || false,
+      pause_reason: report.pause_reason || "",
+      pause_description: report.pause_description || "",
+      next_action: null
+    };
+  }
+
   identifySearchElements(elements) {
     const searchKeywords = [
       'search', 'find', 'look', '🔍', 'magnifying',
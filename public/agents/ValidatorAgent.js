@@ -1,7 +1,10 @@
+import { RedactionService } from '../services/RedactionService.js';
+
 export class ValidatorAgent {
-  constructor(llmService, memoryManager) {
+  constructor(llmService, memoryManager, redaction = new RedactionService()) {
     this.llmService = llmService;
     this.memoryManager = memoryManager;
+    this.redaction = redaction;
   }
 
   async validate(originalTask, executionHistory, finalState) {
@@ -82,8 +85,8 @@ ${executionHistory.slice(-5).map((h, i) => {
 
 
 # **CURRENT PAGE STATE**
-- URL: ${finalState.pageInfo?.url}
-- Title: ${finalState.pageInfo?.title}
+- URL: ${this.redaction.redactText(finalState.pageInfo?.url)}
+- Title: ${this.redaction.redactText(finalState.pageInfo?.title)}
 - Domain: ${this.extractDomain(finalState.pageInfo?.url)}
 - Page Type: ${finalState.pageContext?.pageType || 'unknown'}
 
@@ -360,7 +363,7 @@ Break down the original task into logical components and assess each:
   formatElements(elements) {
     if (!elements || elements.length === 0) return "No elements found.";
 
-    return elements.map(el => {
+    return this.redaction.redactElements(elements).map(el => {
       // Limit text content to prevent token explosion
       const textContent = (el.textContent || '').trim();
       const limitedTextContent = textContent.length > 100 ? textContent.substring(0, 100) + '...' : textContent;
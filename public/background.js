@@ -2,16 +2,35 @@
 import { PlannerAgent } from './agents/PlannerAgent.js';
 import { ValidatorAgent } from './agents/ValidatorAgent.js';
 import { AITaskRouter } from './agents/AITaskRouter.js';
+import { ExtractorAgent } from './agents/ExtractorAgent.js';
 import { ActionRegistry } from './actions/ActionRegistry.js';
 import { MemoryManager } from './managers/MemoryManager.js';
 import { TaskManager } from './managers/TaskManager.js';
 import { ContextManager } from './managers/ContextManager.js';
 import { ConnectionManager } from './managers/ConnectionManager.js';
+import { UsageManager } from './managers/UsageManager.js';
+import { MacroManager, macroManager } from './managers/MacroManager.js';
+import { SchedulerManager, schedulerManager } from './managers/SchedulerManager.js';
+import { profileManager } from './managers/ProfileManager.js';
+import { VaultManager, vaultManager } from './managers/VaultManager.js';
+import { PolicyManager } from './managers/PolicyManager.js';
+import { PacingManager } from './managers/PacingManager.js';
+import { pageActivityManager } from './managers/PageActivityManager.js';
+import { uploadManager } from './managers/UploadManager.js';
+import { RedactionService } from './services/RedactionService.js';
+import { cryptoService } from './services/CryptoService.js';
 import { MultiLLMService } from './services/MultiLLMService.js';
 import { domService } from './services/DOMService.js';
+import { cdpInputService } from './services/CDPInputService.js';
+import { DOMSnapshotService } from './services/DOMSnapshotService.js';
 
 console.log('AI Universal Agent Background Script Loading...');
 
+// One storage key per task, so tasks running side by side never overwrite each other's checkpoint
+const CHECKPOINT_KEY_PREFIX = 'taskCheckpoint:';
+// Checkpoints older than this are dropped instead of offered for resume
+const CHECKPOINT_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+
 function urlValidator() {
   // Add null checks to prevent the TypeError
   const originalMethods = {
@@ -89,10 +108,25 @@ class MultiAgentExecutor {
     this.llmService = llmService;
     this.memoryManager = new MemoryManager();
     this.browserContext = new ContextManager();
-    this.actionRegistry = new ActionRegistry(this.browserContext);
-
-    this.planner = new PlannerAgent(this.llmService, this.memoryManager);
-    this.validator = new ValidatorAgent(this.llmService, this.memoryManager);
+    // Token map for this task's redacted page content - never shared with another task
+    this.redaction = new RedactionService();
+    this.redaction.enabled = this.llmService?.config?.redactSensitiveData !== false;
+    this.extractor = new ExtractorAgent(this.llmService, this.redaction);
+    this.actionRegistry = new ActionRegistry(this.browserContext, this.extractor);
+    this.actionRegistry.autofillEnabled = this.llmService?.config?.autoLogin !== false;
+    // Synthetic or trusted (chrome.debugger) input, per site
+    this.actionRegistry.configureInput(this.llmService?.config || {});
+    // Human-like timing per site - think time here, typing/mouse/scroll in the action handlers
+    this.pacingManager = new PacingManager(this.llmService?.config || {});
+    this.actionRegistry.pacing = this.pacingManager;
+    // Site policy checked before every action handler
+    this.policyManager = new PolicyManager(this.llmService?.config || {});
+    // Element identities and diffs between this task's page snapshots
+    this.domSnapshots = new DOMSnapshotService();
+
+    this.taskRouter = new AITaskRouter(this.llmService, this.redaction);
+    this.planner = new PlannerAgent(this.llmService, this.memoryManager, this.actionRegistry, this.redaction);
+    this.validator = new ValidatorAgent(this.llmService, this.memoryManager, this.redaction);
 
     // Fixed helper methods
     const helpers = urlValidator();
@@ -108,10 +142,31 @@ class MultiAgentExecutor {
     this.actionQueue = [];
     this.currentBatchPlan = null;
     this.totalTokens = 0;
+    this.usageManager = new UsageManager();
+    this.macroManager = macroManager;
+    this.replayingMacro = null;
 
     // this.failedElements = new Set();
     this.recentActionKeys = new Set();
     this.recentActionKeysMax = 120;
+    // Structured data returned by extract actions during the current task
+    this.extractions = [];
+    // Profile names and field keys (never values) the planner may reference
+    this.formProfiles = [];
+    // Names, types and sizes of the files upload_file may attach
+    this.approvedUploads = [];
+    // Approval keys (PolicyManager.approvalKey) of the action waiting for approval, and of the one the user approved
+    this.pendingApproval = null;
+    this.approvedAction = null;
+    // Action waiting for the user's decision in step-by-step mode
+    this.pendingStep = null;
+    // Scheduled runs and macro replays have nobody to answer step prompts
+    this.skipStepMode = false;
+    // Plan preview mode: each batch is shown as a checklist and only runs after the user clicks Run
+    this.previewMode = false;
+    this.previewApproved = false;
+    // Set by pause_task; the task pauses before its next step
+    this.pauseRequested = false;
   }
 
   async execute(userTask, connectionManager, initialPlan = null, isResume = false) {
@@ -124,13 +179,48 @@ class MultiAgentExecutor {
       // this.failedElements = new Set();
       this.lastPageState = null;
       this.lastValidationResult = null;
+      this.extractions = [];
+      this.pendingApproval = null;
+      this.approvedAction = null;
+      this.previewApproved = false;
+      this.pauseRequested = false;
 
       console.log(`🚀 Universal Multi-agent execution: ${userTask}`);
       console.log(`🧹 State cleaned - Starting fresh`);
+
+      // The tab the task starts on is the first task tab
+      this.browserContext.resetTaskTabs();
+      await this.browserContext.adoptActiveTab('start');
+
+      this.formProfiles = this.actionRegistry.autofillEnabled ? await profileManager.getSummaries() : [];
+      this.approvedUploads = await uploadManager.getSummaries();
     } else {
       console.log(`▶️ Resuming Multi-agent execution: ${userTask}`);
       console.log(`🔄 Resuming from paused state`);
+
+      // Resuming a budget pause means the user accepted another budget window
+      if (this.pausedReason === 'budget') {
+        this.usageManager.extendBudget();
+      }
+      // Resuming an approval pause approves exactly the action that was held back
+      if (this.pausedReason === 'approval') {
+        this.approvedAction = this.pendingApproval;
+        this.pendingApproval = null;
+        // The user just reviewed this batch, so plan preview does not hold it back again
+        this.previewApproved = true;
+      }
+      // Run was clicked on a previewed plan - its batch runs as edited
+      if (this.pausedReason === 'preview') {
+        this.previewApproved = true;
+      }
+      // Restored from a checkpoint: the saved page state is gone, so read the page again
+      if (this.pausedReason === 'interrupted') {
+        this.lastPageState = null;
+      }
     }
+    this.pausedReason = null;
+    const { previewMode } = await chrome.storage.local.get(['previewMode']);
+    this.previewMode = !!previewMode;
 
     // Store current task for completion detection
     this.currentUserTask = userTask;
@@ -162,6 +252,21 @@ class MultiAgentExecutor {
       }
 
       while (!taskCompleted && this.currentStep < this.maxSteps && !this.cancelled) {
+        await this.saveCheckpoint();
+
+        // Paused from the task queue - the queued batch runs on resume
+        if (this.pauseRequested) {
+          this.pauseRequested = false;
+          return await this.pauseTask(connectionManager, {
+            userTask,
+            plan: this.buildResumePlan(this.actionQueue),
+            currentState: this.lastPageState || await this.getCurrentState(),
+            pauseReason: 'user',
+            message: 'Task paused. Click Resume to continue.',
+            pauseDescription: `Paused after step ${this.currentStep}`
+          });
+        }
+
         this.currentStep++;
 
         console.log(`🔄 Step ${this.currentStep}/${this.maxSteps}`);
@@ -234,18 +339,29 @@ class MultiAgentExecutor {
 
         // 1. Execute batch actions if available
         if (this.actionQueue.length > 0) {
+          // Plan preview: show the batch as an editable checklist instead of running it
+          if (this.previewMode && !this.previewApproved) {
+            return await this.pausePlanPreview(connectionManager, userTask);
+          }
+          this.previewApproved = false;
+
           console.log(`📋 Executing batch: ${this.actionQueue.length} actions`);
 
           const batchResults = await this.executeBatchSequentially(connectionManager);
 
           // Show completed batch as single step in UI
+          const pacingSummary = PacingManager.summarize(batchResults.executedActions.map(a => a.pacing));
           connectionManager.broadcast({
             type: 'step_complete',
             step: this.currentStep,
             actions: batchResults.executedActions,
-            message: `📋 Batch completed: ${batchResults.executedActions.length} actions executed`
+            message: `📋 Batch completed: ${batchResults.executedActions.length} actions executed${pacingSummary ? ` · ${pacingSummary}` : ''}`
           });
 
+          if (batchResults.approvalNeeded) {
+            return await this.pauseForApproval(connectionManager, userTask, batchResults.approvalNeeded);
+          }
+
           // const shouldRunValidation = (
           //   this.currentBatchPlan?.shouldValidate || // Planner-requested only
           //   (this.currentStep >= 10 && this.currentStep % 10 === 0) || // Reduced frequency
@@ -259,6 +375,10 @@ class MultiAgentExecutor {
             const currentState = await this.getCurrentState();
             const validation = await this.validator.validate(userTask, this.executionHistory, currentState);
 
+            if (validation && validation.usage) {
+              this.recordUsage('validator', validation.usage, connectionManager);
+            }
+
             // Store validation result for use in next planning cycle
             this.lastValidationResult = validation;
 
@@ -389,11 +509,13 @@ class MultiAgentExecutor {
 
             // Add usage tracking from planner
             if (plan && plan.usage) {
-              this.totalTokens += (plan.usage.total || 0);
-              connectionManager.broadcast({
-                type: 'token_update',
-                tokens: this.totalTokens
-              });
+              this.recordUsage('planner', plan.usage, connectionManager);
+            }
+
+            // Stop before spending more once the per-task budget is used up
+            const budgetPause = await this.pauseIfOverBudget(connectionManager, userTask, plan, currentState);
+            if (budgetPause) {
+              return budgetPause;
             }
 
             // Check if execution should be paused
@@ -411,60 +533,8 @@ class MultiAgentExecutor {
 
               await this.delay(400);
 
-              // Broadcast pause message
-              console.log('📤 Broadcasting task_paused message:', {
-                type: 'task_paused',
-                message: plan.pause_reason === 'signin'
-                  ? 'Please sign in to continue with your task. Click Resume when you\'re ready.'
-                  : plan.pause_reason === 'approval'
-                    ? 'Approval Required'
-                    : 'Task execution paused. Click Resume when ready.',
-                pause_reason: plan.pause_reason,
-                pause_description: plan.pause_description || ''
-              });
-
-              connectionManager.broadcast({
-                type: 'task_paused',
-                message: plan.pause_reason === 'signin'
-                  ? 'Please sign in to continue with your task. Click Resume when you\'re ready.'
-                  : plan.pause_reason === 'approval'
-                    ? 'Approval Required'
-                    : 'Task execution paused. Click Resume when ready.',
-                pause_reason: plan.pause_reason,
-                pause_description: plan.pause_description || ''
-              });
-
-              // Update execution state to paused
-              await chrome.storage.local.set({
-                isExecuting: false,
-                isTyping: false,
-                taskStatus: { status: 'paused', message: 'Task paused - waiting for user action' }
-              });
-
-              // Notify content scripts to hide main popup and show appropriate pause popup
-              await this.notifyContentScripts('__agent_hide_popup');
-
-              // Show appropriate popup based on pause reason
-              if (plan.pause_reason === 'signin') {
-                await this.showSigninPopup();
-              } else if (plan.pause_reason === 'approval') {
-                await this.showApprovalPopup();
-              }
-
-              // Store the current plan for resumption
-              this.pausedPlan = plan;
-              this.pausedTask = userTask;
-              this.pausedState = currentState;
-
               // Return early - execution will resume when user clicks continue
-              return {
-                success: false,
-                response: 'Task paused for user action',
-                reason: 'paused',
-                pause_reason: plan.pause_reason,
-                steps: this.currentStep,
-                confidence: 0.8
-              };
+              return await this.pauseForPlanner(connectionManager, userTask, plan, currentState);
             }
 
             // Broadcast planner's observation and strategy
@@ -516,11 +586,13 @@ class MultiAgentExecutor {
 
             // Add usage tracking from planner
             if (plan && plan.usage) {
-              this.totalTokens += (plan.usage.total || 0);
-              connectionManager.broadcast({
-                type: 'token_update',
-                tokens: this.totalTokens
-              });
+              this.recordUsage('planner', plan.usage, connectionManager);
+            }
+
+            // Stop before spending more once the per-task budget is used up
+            const budgetPause = await this.pauseIfOverBudget(connectionManager, userTask, plan, currentState);
+            if (budgetPause) {
+              return budgetPause;
             }
 
             // Check if execution should be paused
@@ -539,49 +611,8 @@ class MultiAgentExecutor {
 
               await this.delay(400);
 
-              // Broadcast pause message
-              connectionManager.broadcast({
-                type: 'task_paused',
-                message: plan.pause_reason === 'signin'
-                  ? 'Please sign in to continue with your task. Click Resume when you\'re ready.'
-                  : plan.pause_reason === 'approval'
-                    ? 'Approval Required'
-                    : 'Task execution paused. Click Resume when ready.',
-                pause_reason: plan.pause_reason,
-                pause_description: plan.pause_description || ''
-              });
-
-              // Update execution state to paused
-              await chrome.storage.local.set({
-                isExecuting: false,
-                isTyping: false,
-                taskStatus: { status: 'paused', message: 'Task paused - waiting for user action' }
-              });
-
-              // Notify content scripts to hide main popup and show appropriate pause popup
-              await this.notifyContentScripts('__agent_hide_popup');
-
-              // Show appropriate popup based on pause reason
-              if (plan.pause_reason === 'signin') {
-                await this.showSigninPopup();
-              } else if (plan.pause_reason === 'approval') {
-                await this.showApprovalPopup();
-              }
-
-              // Store the current plan for resumption
-              this.pausedPlan = plan;
-              this.pausedTask = userTask;
-              this.pausedState = currentState;
-
               // Return early - execution will resume when user clicks continue
-              return {
-                success: false,
-                response: 'Task paused for user action',
-                reason: 'paused',
-                pause_reason: plan.pause_reason,
-                steps: this.currentStep,
-                confidence: 0.8
-              };
+              return await this.pauseForPlanner(connectionManager, userTask, plan, currentState);
             }
 
             if (plan && plan.done && (!plan.batch_actions || plan.batch_actions.length === 0)) {
@@ -628,11 +659,13 @@ class MultiAgentExecutor {
 
           // Add usage tracking from planner
           if (plan && plan.usage) {
-            this.totalTokens += (plan.usage.total || 0);
-            connectionManager.broadcast({
-              type: 'token_update',
-              tokens: this.totalTokens
-            });
+            this.recordUsage('planner', plan.usage, connectionManager);
+          }
+
+          // Stop before spending more once the per-task budget is used up
+          const budgetPause = await this.pauseIfOverBudget(connectionManager, userTask, plan, currentState);
+          if (budgetPause) {
+            return budgetPause;
           }
 
           // Check if execution should be paused
@@ -651,49 +684,8 @@ class MultiAgentExecutor {
 
             await this.delay(400);
 
-            // Broadcast pause message
-            connectionManager.broadcast({
-              type: 'task_paused',
-              message: plan.pause_reason === 'signin'
-                ? 'Please sign in to continue with your task. Click Resume when you\'re ready.'
-                : plan.pause_reason === 'approval'
-                  ? 'Approval Required'
-                  : 'Task execution paused. Click Resume when ready.',
-              pause_reason: plan.pause_reason,
-              pause_description: plan.pause_description || ''
-            });
-
-            // Update execution state to paused
-            await chrome.storage.local.set({
-              isExecuting: false,
-              isTyping: false,
-              taskStatus: { status: 'paused', message: 'Task paused - waiting for user action' }
-            });
-
-            // Notify content scripts to hide main popup and show appropriate pause popup
-            await this.notifyContentScripts('__agent_hide_popup');
-
-            // Show appropriate popup based on pause reason
-            if (plan.pause_reason === 'signin') {
-              await this.showSigninPopup();
-            } else if (plan.pause_reason === 'approval') {
-              await this.showApprovalPopup();
-            }
-
-            // Store the current plan for resumption
-            this.pausedPlan = plan;
-            this.pausedTask = userTask;
-            this.pausedState = currentState;
-
             // Return early - execution will resume when user clicks continue
-            return {
-              success: false,
-              response: 'Task paused for user action',
-              reason: 'paused',
-              pause_reason: plan.pause_reason,
-              steps: this.currentStep,
-              confidence: 0.8
-            };
+            return await this.pauseForPlanner(connectionManager, userTask, plan, currentState);
           }
         }
 
@@ -755,11 +747,7 @@ class MultiAgentExecutor {
 
         // Add usage tracking from validator
         if (validation && validation.usage) {
-          this.totalTokens += (validation.usage.total || 0);
-          connectionManager.broadcast({
-            type: 'token_update',
-            tokens: this.totalTokens
-          });
+          this.recordUsage('validator', validation.usage, connectionManager);
         }
 
         console.log('📊 Final validation result:', {
@@ -826,18 +814,31 @@ class MultiAgentExecutor {
         console.warn('Failed to clear highlighting on completion:', err)
       );
 
-      // Broadcast final result
+      // Broadcast final result - the user sees real values where the model wrote redaction tokens
       finalResult.isMarkdown = true;
+      finalResult.response = this.redaction.restore(finalResult.response);
+      finalResult.usage = this.usageManager.getSummary();
+      if (this.extractions.length > 0) {
+        finalResult.extractions = this.extractions;
+      }
+
+      // Offer successful runs for saving as a macro (replays are already macros)
+      if (finalResult.success && !this.replayingMacro) {
+        const runId = this.usageManager.taskId || Date.now().toString();
+        finalResult.macroRunId = this.macroManager.rememberRun(runId, this.currentUserTask, this.executionHistory, this.redaction);
+      }
 
       connectionManager.broadcast({
         type: 'task_complete',
         result: finalResult
       });
+      await this.clearCheckpoint();
 
       return finalResult;
 
     } catch (error) {
       console.error('❌ Universal multi-agent execution error:', error);
+      await this.clearCheckpoint();
 
       // Clear element highlighting on error
       this.clearElementHighlighting().catch(err =>
@@ -868,6 +869,292 @@ class MultiAgentExecutor {
     }
   }
 
+  // Record LLM usage for the task and broadcast the running totals
+  recordUsage(agentType, usage, connectionManager) {
+    if (!usage) return;
+
+    this.usageManager.record(agentType, usage);
+    this.totalTokens = this.usageManager.totalTokens;
+
+    connectionManager.broadcast({
+      type: 'token_update',
+      tokens: this.usageManager.totalTokens,
+      cost: this.usageManager.totalCost,
+      taskId: this.usageManager.taskId,
+      usage: this.usageManager.getSummary()
+    });
+  }
+
+  // Keep structured data for the final result and bill any LLM calls made by the action
+  collectActionOutput(actionResult, connectionManager) {
+    const output = actionResult?.result;
+    if (!output) return;
+
+    if (output.usage) {
+      this.recordUsage('extractor', output.usage, connectionManager);
+    }
+    if (output.extraction) {
+      this.extractions.push(output.extraction);
+    }
+  }
+
+  async pauseIfOverBudget(connectionManager, userTask, plan, currentState) {
+    const budgetStatus = this.usageManager.getBudgetStatus();
+    if (!budgetStatus.exceeded) return null;
+
+    // A plan that only finishes the task costs nothing more - let it through
+    if (plan && plan.done && (!plan.batch_actions || plan.batch_actions.length === 0)) return null;
+
+    console.log(`💰 Task paused: ${budgetStatus.description}`);
+    return await this.pauseTask(connectionManager, {
+      userTask,
+      plan,
+      currentState,
+      pauseReason: 'budget',
+      message: 'Task budget reached. Click Resume to allow another budget of the same size.',
+      pauseDescription: budgetStatus.description
+    });
+  }
+
+  // Pause the running task and keep the plan so resume_task can continue from it
+  async pauseTask(connectionManager, { userTask, plan, currentState, pauseReason, message, pauseDescription = '', details = {} }) {
+    connectionManager.broadcast({
+      type: 'task_paused',
+      message: message || 'Task execution paused. Click Resume when ready.',
+      pause_reason: pauseReason,
+      pause_description: pauseDescription,
+      ...details
+    });
+
+    // Update execution state to paused; isExecuting follows the TaskManager, as other tasks may still run
+    await chrome.storage.local.set({
+      isTyping: false,
+      taskStatus: { status: 'paused', message: 'Task paused - waiting for user action' }
+    });
+
+    await this.notifyContentScripts('__agent_hide_popup');
+
+    // Store the current plan for resumption
+    this.pausedPlan = plan;
+    this.pausedTask = userTask;
+    this.pausedState = currentState;
+    this.pausedReason = pauseReason;
+    await this.saveCheckpoint();
+
+    return {
+      success: false,
+      response: 'Task paused for user action',
+      reason: 'paused',
+      pause_reason: pauseReason,
+      steps: this.currentStep,
+      confidence: 0.8
+    };
+  }
+
+  // Everything needed to pick the task up again after the service worker restarts.
+  // Queued actions refer to redaction tokens, so the token map is stored too - encrypted with the device key.
+  async saveCheckpoint(remainingActions = this.actionQueue) {
+    if (!this.usageManager.taskId || this.cancelled) return;
+
+    try {
+      const redaction = this.redaction.tokenToValue.size > 0
+        ? await cryptoService.encryptJSON(this.redaction.serialize())
+        : null;
+      await chrome.storage.local.set({
+        [`${CHECKPOINT_KEY_PREFIX}${this.usageManager.taskId}`]: {
+          taskId: this.usageManager.taskId,
+          userTask: this.currentUserTask,
+          currentStep: this.currentStep,
+          executionHistory: this.executionHistory,
+          actionQueue: remainingActions,
+          currentBatchPlan: this.currentBatchPlan,
+          pausedPlan: this.pausedPlan || null,
+          pausedReason: this.pausedReason || null,
+          extractions: this.extractions,
+          formProfiles: this.formProfiles,
+          approvedUploads: this.approvedUploads,
+          taskTabs: Array.from(this.browserContext.taskTabs.values()),
+          activeTabId: this.browserContext.activeTabId,
+          windowId: this.browserContext.windowId,
+          memory: this.memoryManager.toJSON(),
+          redaction,
+          usage: {
+            taskId: this.usageManager.taskId,
+            calls: this.usageManager.calls,
+            totalTokens: this.usageManager.totalTokens,
+            totalCost: this.usageManager.totalCost,
+            byAgent: this.usageManager.byAgent,
+            budget: this.usageManager.budget,
+            initialBudget: this.usageManager.initialBudget
+          },
+          savedAt: Date.now()
+        }
+      });
+    } catch (error) {
+      console.warn('Could not save task checkpoint:', error.message);
+    }
+  }
+
+  async clearCheckpoint() {
+    if (!this.usageManager.taskId) return;
+    await chrome.storage.local.remove([`${CHECKPOINT_KEY_PREFIX}${this.usageManager.taskId}`]);
+  }
+
+  // Plan that makes resume_task run these actions instead of navigating or re-planning
+  buildResumePlan(actions = []) {
+    return {
+      ...(this.currentBatchPlan || {}),
+      direct_url: null,
+      navigation_needed: undefined,
+      batch_actions: actions.map(action => ({ action_type: action.name, parameters: action.parameters }))
+    };
+  }
+
+  // Rebuild the task from a checkpoint; returns the plan resume_task should continue with
+  async restoreCheckpoint(checkpoint) {
+    this.currentUserTask = checkpoint.userTask;
+    this.currentStep = checkpoint.currentStep || 0;
+    this.cancelled = false;
+    this.executionHistory = checkpoint.executionHistory || [];
+    this.actionQueue = [];
+    this.currentBatchPlan = checkpoint.currentBatchPlan || null;
+    this.lastPageState = null;
+    this.extractions = checkpoint.extractions || [];
+    this.formProfiles = checkpoint.formProfiles || [];
+    this.approvedUploads = checkpoint.approvedUploads || [];
+    this.memoryManager.restore(checkpoint.memory);
+    Object.assign(this.usageManager, checkpoint.usage || {});
+    this.totalTokens = this.usageManager.totalTokens;
+
+    this.browserContext.resetTaskTabs();
+    (checkpoint.taskTabs || []).forEach(tab => this.browserContext.taskTabs.set(tab.tabId, tab));
+    this.browserContext.activeTabId = checkpoint.activeTabId || null;
+    this.browserContext.windowId = checkpoint.windowId || null;
+
+    // A paused task continues from its paused plan, a running one with the rest of its batch
+    const plan = checkpoint.pausedPlan || this.buildResumePlan(checkpoint.actionQueue || []);
+    if (!checkpoint.redaction) return plan;
+
+    try {
+      this.redaction.load(await cryptoService.decryptJSON(checkpoint.redaction));
+      return plan;
+    } catch (error) {
+      // Without the token map these steps would type the literal tokens. The planner redoes
+      // them, and whatever follows them, since later steps usually depend on them
+      console.warn('Could not restore redaction tokens, re-planning from the first step that uses them:', error.message);
+      const steps = plan.batch_actions || [];
+      const firstTokenStep = steps.findIndex(step => RedactionService.hasTokens(step.parameters));
+      return firstTokenStep === -1 ? plan : { ...plan, batch_actions: steps.slice(0, firstTokenStep) };
+    }
+  }
+
+  // Show the queued batch without running it; run_plan resumes with the user's edited steps
+  async pausePlanPreview(connectionManager, userTask) {
+    const currentState = this.lastPageState || await this.getCurrentState();
+    const elements = currentState.interactiveElements || [];
+
+    const steps = this.actionQueue.map(action => {
+      const params = action.parameters || {};
+      const element = elements.find(el =>
+        (Number.isFinite(params.index) && el.index === params.index) || (params.selector && el.selector === params.selector));
+      return {
+        action_type: action.name,
+        parameters: params,
+        target: element ? {
+          index: element.index,
+          tagName: element.tagName,
+          text: (element.text || element.textContent || '').trim().substring(0, 80)
+        } : null
+      };
+    });
+
+    // Only the elements this plan touches stay highlighted on the page
+    const indices = steps.map(step => step.target?.index).filter(Number.isFinite);
+    if (indices.length > 0) {
+      try {
+        const tab = await this.browserContext.getCurrentActiveTab();
+        if (tab?.id) {
+          await domService.getPageState(tab.id, { showHighlightElements: true, focusHighlightIndices: indices });
+        }
+      } catch (error) {
+        console.warn('Could not highlight plan targets:', error.message);
+      }
+    }
+
+    const plan = {
+      ...(this.currentBatchPlan || {}),
+      direct_url: null,
+      navigation_needed: undefined,
+      pause_reason: 'preview',
+      batch_actions: steps.map(({ action_type, parameters }) => ({ action_type, parameters }))
+    };
+    // Nothing runs until the edited plan comes back
+    this.actionQueue = [];
+
+    console.log(`📝 Plan preview: ${steps.length} steps waiting for review`);
+    return await this.pauseTask(connectionManager, {
+      userTask,
+      plan,
+      currentState,
+      pauseReason: 'preview',
+      message: 'Plan preview - review the steps and click Run',
+      pauseDescription: this.currentBatchPlan?.strategy || '',
+      details: { steps, step: this.currentStep }
+    });
+  }
+
+  // Hold a policy-gated action (and the rest of its batch) until the user resumes
+  async pauseForApproval(connectionManager, userTask, { policy, actions }) {
+    this.pendingApproval = policy.approvalKey;
+
+    // Resume replays these actions instead of navigating or re-planning
+    const plan = {
+      ...(this.currentBatchPlan || {}),
+      direct_url: null,
+      navigation_needed: undefined,
+      pause: true,
+      pause_reason: 'approval',
+      pause_description: policy.reason,
+      batch_actions: actions.map(action => ({ action_type: action.name, parameters: action.parameters }))
+    };
+
+    console.log(`🛡️ Task paused for approval: ${policy.reason}`);
+    const result = await this.pauseTask(connectionManager, {
+      userTask,
+      plan,
+      currentState: this.lastPageState || await this.getCurrentState(),
+      pauseReason: 'approval',
+      message: 'Approval Required',
+      pauseDescription: policy.reason
+    });
+    await this.showApprovalPopup();
+    return result;
+  }
+
+  // Pause the planner asked for (sign-in, approval) - checkpointed like every other pause
+  async pauseForPlanner(connectionManager, userTask, plan, currentState) {
+    const result = await this.pauseTask(connectionManager, {
+      userTask,
+      plan,
+      currentState,
+      pauseReason: plan.pause_reason,
+      message: plan.pause_reason === 'signin'
+        ? 'Please sign in to continue with your task. Click Resume when you\'re ready.'
+        : plan.pause_reason === 'approval'
+          ? 'Approval Required'
+          : 'Task execution paused. Click Resume when ready.',
+      pauseDescription: plan.pause_description || ''
+    });
+
+    // Show appropriate popup based on pause reason
+    if (plan.pause_reason === 'signin') {
+      await this.showSigninPopup();
+    } else if (plan.pause_reason === 'approval') {
+      await this.showApprovalPopup();
+    }
+    return result;
+  }
+
   // Enhanced batch execution with immediate cancellation and robust null handling
   async executeBatchSequentially(connectionManager) {
     const results = {
@@ -897,7 +1184,54 @@ class MultiAgentExecutor {
         const targetKey = action.parameters?.selector ?? (Number.isFinite(action.parameters?.index) ? `idx:${action.parameters.index}` : 'none');
         const actKey = `${urlBefore}::${action.name}::${targetKey}`;
 
-        const actionResult = await this.executeAction(action, connectionManager);
+        // Snapshot the target before executing so the step can be matched again on replay
+        const targetElement = Number.isFinite(action.parameters?.index)
+          ? (beforeState?.interactiveElements || []).find(el => el.index === action.parameters.index)
+          : null;
+        const target = MacroManager.snapshotElement(targetElement);
+        const dropTarget = Number.isFinite(action.parameters?.target_index)
+          ? MacroManager.snapshotElement((beforeState?.interactiveElements || []).find(el => el.index === action.parameters.target_index))
+          : null;
+
+        // Step-by-step mode: the user approves, skips, edits or aborts every action
+        const { stepMode } = await chrome.storage.local.get(['stepMode']);
+        if (stepMode && !this.skipStepMode) {
+          const decision = await this.awaitStepDecision(action, targetElement, i, connectionManager);
+
+          if (decision.type === 'abort' || this.cancelled) {
+            console.log('🛑 Step-by-step run aborted by user');
+            results.criticalFailure = true;
+            break;
+          }
+
+          if (decision.type === 'skip') {
+            console.log(`⏭️ User skipped ${action.name}`);
+            results.executedActions.push({
+              action: action.name,
+              success: false,
+              skipped: true,
+              intent: action.parameters?.intent || action.name,
+              error: 'Skipped by user'
+            });
+            this.memoryManager.addMessage({
+              role: 'step_executor',
+              action: action.name,
+              content: `Step ${this.currentStep}: Skipped ${action.name} - the user chose not to run it (Intent: ${action.parameters?.intent || 'No intent specified'})`,
+              step: this.currentStep,
+              timestamp: new Date().toISOString()
+            });
+            continue;
+          }
+
+          if (decision.type === 'edit' && decision.parameters) {
+            console.log(`✏️ User edited ${action.name} parameters`, decision.parameters);
+            action.parameters = decision.parameters;
+          }
+        }
+
+        const actionStartedAt = Date.now();
+        // The first action follows planning, which was pause enough
+        const actionResult = await this.executePacedAction(action, urlBefore, connectionManager, { think: i > 0 });
 
         if (!actionResult) {
           results.executedActions.push({
@@ -913,18 +1247,23 @@ class MultiAgentExecutor {
           action: action.name,
           success: actionResult.success,
           intent: action.parameters?.intent || action.name,
-          result: actionResult
+          result: actionResult,
+          pacing: actionResult.pacing || null
         });
 
         if (actionResult.success) {
           results.anySuccess = true;
         }
+        this.collectActionOutput(actionResult, connectionManager);
 
         // Add to memory and history with enhanced context
+        const outcome = actionResult.policy
+          ? `BLOCKED BY SITE POLICY: ${actionResult.policy.reason}`
+          : actionResult.success ? 'SUCCESS' : 'FAILED';
         this.memoryManager.addMessage({
           role: 'step_executor',
           action: action.name,
-          content: `Step ${this.currentStep}: Executed ${action.name} - ${actionResult.success ? 'SUCCESS' : 'FAILED'} (Intent: ${action.parameters?.intent || 'No intent specified'})`,
+          content: `Step ${this.currentStep}: Executed ${action.name} - ${outcome} (Intent: ${action.parameters?.intent || 'No intent specified'})`,
           step: this.currentStep,
           timestamp: new Date().toISOString()
         });
@@ -937,59 +1276,43 @@ class MultiAgentExecutor {
           success: actionResult.success,
           action: action.name,
           intent: action.parameters?.intent || 'No intent specified',
-          parameters: action.parameters
+          parameters: action.parameters,
+          target: target,
+          dropTarget,
+          url: urlBefore,
+          policy: actionResult.policy || null,
+          pacing: actionResult.pacing || null
         });
+        // A restart mid-batch must not repeat actions that already ran
+        await this.saveCheckpoint(this.actionQueue.slice(i + 1));
+
+        if (actionResult.policy?.decision === 'approve') {
+          results.approvalNeeded = { policy: actionResult.policy, actions: this.actionQueue.slice(i) };
+          break;
+        }
 
-        // Check for page state change after each action
+        // Wait for the page to react - navigation, network idle, DOM quiet or a dialog
+        const loadsPage = ['navigate', 'click', 'double_click', 'press_key', 'open_tab', 'switch_tab'].includes(action.name);
+        let activity = await this.waitForPageSettle(actionStartedAt, { timeout: loadsPage ? 10000 : 4000 }, connectionManager);
         let currentState = await this.getCurrentState();
 
-        // If page has 0 elements after navigation/click, wait for it to load
-        if ((action.name === 'navigate' || action.name === 'click') &&
-          (currentState.interactiveElements?.length || 0) === 0) {
-          console.log(`🔄 Page loading after ${action.name} - waiting for page to fully load...`);
-          await this.delay(3000);
+        // Client-rendered pages can finish loading before their content shows up
+        if (loadsPage && (currentState.interactiveElements?.length || 0) === 0) {
+          console.log(`🔄 No elements yet after ${action.name} - waiting for the page to render...`);
+          activity = await this.waitForPageSettle(Date.now(), { requireMutation: true, reportSince: actionStartedAt, timeout: 10000 }, connectionManager) || activity;
           currentState = await this.getCurrentState();
-          console.log(`📊 After wait - Found ${currentState.interactiveElements?.length || 0} elements`);
-
-          // Try up to 5 more attempts if no elements found
-          let attempts = 0;
-          while ((currentState.interactiveElements?.length || 0) === 0 && attempts < 5) {
-            attempts++;
-            console.log(`🔄 Still loading (attempt ${attempts}/5) - waiting additional 2 seconds...`);
-            await this.delay(2000);
-            currentState = await this.getCurrentState();
-            console.log(`📊 Attempt ${attempts} - Found ${currentState.interactiveElements?.length || 0} elements`);
-            if ((currentState.interactiveElements?.length || 0) > 0) {
-              break;
-            }
-          }
+          console.log(`📊 After render - Found ${currentState.interactiveElements?.length || 0} elements`);
         }
 
         const urlChanged = currentState.pageInfo?.url !== this.lastPageState?.pageInfo?.url;
-        const elementCountChanged = Math.abs((currentState.interactiveElements?.length || 0) -
-          (this.lastPageState?.interactiveElements?.length || 0)) > 5;
         const titleChanged = currentState.pageInfo?.title !== this.lastPageState?.pageInfo?.title;
+        // Observer events when the content script reported; element counts on pages it cannot see
+        const structureChanged = activity?.observed
+          ? activity.navigated || activity.interactiveChanges > 5
+          : Math.abs((currentState.interactiveElements?.length || 0) - (this.lastPageState?.interactiveElements?.length || 0)) > 5;
+        const dialogChanged = (activity?.dialogs.length || 0) > 0 || (activity?.dialogsClosed || 0) > 0;
 
-        // NEW: Detect modal/dropdown openings by checking for new element types
-        const hasNewModals = (currentState.interactiveElements || []).some(el =>
-          el.attributes?.class?.includes('modal') ||
-          el.attributes?.class?.includes('dropdown') ||
-          el.attributes?.class?.includes('menu') ||
-          el.attributes?.role === 'dialog' ||
-          el.attributes?.role === 'menu'
-        );
-
-        const previousModals = (this.lastPageState?.interactiveElements || []).some(el =>
-          el.attributes?.class?.includes('modal') ||
-          el.attributes?.class?.includes('dropdown') ||
-          el.attributes?.class?.includes('menu') ||
-          el.attributes?.role === 'dialog' ||
-          el.attributes?.role === 'menu'
-        );
-
-        const modalStateChanged = hasNewModals !== previousModals;
-
-        const pageChanged = urlChanged || elementCountChanged || titleChanged || modalStateChanged;
+        const pageChanged = urlChanged || titleChanged || structureChanged || dialogChanged;
 
         if (pageChanged) {
           console.log('🔄 Page state changed - triggering replanning');
@@ -1015,9 +1338,6 @@ class MultiAgentExecutor {
           this.recentActionKeys = new Set(Array.from(this.recentActionKeys).slice(-this.recentActionKeysMax));
         }
 
-        // Small delay between actions
-        await this.delay(500);
-
       } catch (error) {
         console.error(`❌ Action execution error:`, error);
 
@@ -1041,6 +1361,133 @@ class MultiAgentExecutor {
     return results;
   }
 
+  // Replay a saved macro without planner calls; the planner only takes over when a step fails
+  async replayMacro(macro, connectionManager) {
+    this.currentStep = 0;
+    this.cancelled = false;
+    this.executionHistory = [];
+    this.actionQueue = [];
+    this.currentBatchPlan = null;
+    this.lastPageState = null;
+    this.lastValidationResult = null;
+    this.extractions = [];
+    this.currentUserTask = macro.task;
+    this.replayingMacro = macro;
+    await this.macroManager.restoreRedaction(macro, this.redaction);
+    this.browserContext.resetTaskTabs();
+    await this.browserContext.adoptActiveTab('start');
+
+    console.log(`🔁 Replaying macro "${macro.name}" (${macro.steps.length} steps)`);
+    connectionManager.broadcast({
+      type: 'execution_start',
+      message: `🔁 Replaying macro: ${macro.name}`
+    });
+
+    try {
+      for (let i = 0; i < macro.steps.length; i++) {
+        if (this.cancelled) {
+          const cancelledResult = {
+            success: false,
+            response: '🛑 Task cancelled by user',
+            message: 'Task cancelled',
+            steps: this.currentStep
+          };
+          connectionManager.broadcast({ type: 'task_complete', result: cancelledResult });
+          return cancelledResult;
+        }
+
+        const step = macro.steps[i];
+        this.currentStep = i + 1;
+
+        connectionManager.broadcast({
+          type: 'status_update',
+          step: this.currentStep,
+          message: `🔁 Step ${i + 1}/${macro.steps.length}: ${step.parameters?.intent || step.action}`
+        });
+
+        // Give pages that are still rendering a few chances to show the recorded element
+        let action = null;
+        let pageUrl = null;
+        for (let attempt = 0; attempt < 3 && !action; attempt++) {
+          if (attempt > 0) await this.waitForPageSettle(Date.now(), { requireMutation: true, timeout: 3000 }, connectionManager);
+          const currentState = await this.getCurrentState();
+          pageUrl = currentState.pageInfo?.url || null;
+          action = MacroManager.resolveStep(step, currentState.interactiveElements || []);
+        }
+
+        if (!action) {
+          return await this.handOffMacroToPlanner(macro, i, 'recorded element not found on the page', connectionManager);
+        }
+
+        const stepStartedAt = Date.now();
+        const actionResult = await this.executePacedAction(action, pageUrl, connectionManager, { think: i > 0 });
+        // Cancelled during think time - the loop's next check ends the replay
+        if (!actionResult) continue;
+        this.collectActionOutput(actionResult, connectionManager);
+
+        this.executionHistory.push({
+          step: this.currentStep,
+          plan: `Macro step: ${action.name}`,
+          navigation: action.parameters?.intent || 'No intent specified',
+          results: [actionResult],
+          success: actionResult.success,
+          action: action.name,
+          intent: action.parameters?.intent || 'No intent specified',
+          parameters: action.parameters,
+          policy: actionResult.policy || null,
+          pacing: actionResult.pacing || null
+        });
+
+        if (!actionResult.success) {
+          return await this.handOffMacroToPlanner(macro, i, actionResult.result?.error || 'step failed', connectionManager);
+        }
+
+        await this.waitForPageSettle(stepStartedAt, {}, connectionManager);
+      }
+
+      this.clearElementHighlighting().catch(err =>
+        console.warn('Failed to clear highlighting on completion:', err)
+      );
+
+      const finalResult = {
+        success: true,
+        response: `✅ Macro **${macro.name}** completed: ${macro.steps.length} recorded steps replayed without planner calls.`,
+        reason: 'Macro replay',
+        steps: this.currentStep,
+        confidence: 1,
+        isMarkdown: true,
+        usage: this.usageManager.getSummary(),
+        extractions: this.extractions.length > 0 ? this.extractions : undefined
+      };
+
+      connectionManager.broadcast({ type: 'task_complete', result: finalResult });
+      return finalResult;
+    } finally {
+      this.replayingMacro = null;
+    }
+  }
+
+  async handOffMacroToPlanner(macro, failedIndex, reason, connectionManager) {
+    console.log(`🧠 Macro step ${failedIndex + 1} failed (${reason}) - handing off to planner`);
+    connectionManager.broadcast({
+      type: 'status_update',
+      message: `🧠 Macro step ${failedIndex + 1} failed (${reason}). Handing off to the planner...`
+    });
+
+    const describeStep = (step, index) => `${index + 1}. ${step.action}: ${step.parameters?.intent || 'No intent specified'}`;
+    const completedSteps = macro.steps.slice(0, failedIndex).map(describeStep);
+    const remainingSteps = macro.steps.slice(failedIndex).map((step, i) => describeStep(step, failedIndex + i));
+
+    const handOffTask = `${macro.task}
+
+This task was being replayed from the saved macro "${macro.name}".
+Steps already completed: ${completedSteps.length > 0 ? '\n' + completedSteps.join('\n') : 'none'}
+Remaining recorded steps (the page may have changed, adapt as needed):
+${remainingSteps.join('\n')}`;
+
+    return await this.execute(handOffTask, connectionManager);
+  }
+
   // Clear element highlighting using DOM service
   async clearElementHighlighting() {
     try {
@@ -1060,6 +1507,9 @@ class MultiAgentExecutor {
     try {
       console.log('📊 Getting page state via DOM Service');
 
+      // Drop task tabs the user closed before reading the active one
+      await this.browserContext.refreshTaskTabs();
+
       const tab = await this.browserContext.getCurrentActiveTab();
       if (!tab || !tab.id) {
         console.log('📊 No active tab available');
@@ -1106,6 +1556,17 @@ class MultiAgentExecutor {
         return chromeState;
       }
 
+      // Network and native dialog signals need page-world hooks - only task tabs get them
+      await pageActivityManager.attachPageHooks(tab.id);
+
+      // Nothing happened on the page since the last snapshot - skip rebuilding the DOM tree
+      const cachedState = this.domSnapshots.getCachedState(tab.id, tab.url);
+      if (cachedState) {
+        console.log('📊 Page unchanged since last snapshot - reusing it');
+        this.lastPageState = cachedState;
+        return cachedState;
+      }
+
       const result = await domService.getPageState(tab.id, {
         debugMode: true,
         includeHidden: true,
@@ -1133,6 +1594,7 @@ class MultiAgentExecutor {
 
         // Process elements and create enhanced state
         const processedElements = this.processElementsDirectly(pageState.elements || []);
+        const elementDiff = this.domSnapshots.update(tab.id, tab.url, processedElements);
 
         const processedState = {
           pageInfo: {
@@ -1160,18 +1622,23 @@ class MultiAgentExecutor {
             aspectRatio: pageState.viewport?.aspectRatio || 0.75
           },
           interactiveElements: processedElements,
+          elementDiff,
           elementCategories: pageState.elementCategories || {},
           loginStatus: { isLoggedIn: pageState.pageContext?.isLoggedIn || false },
           extractedContent: pageState.extractedContent || '',
         };
 
         console.log(`📊 Enhanced Wootz State: Found ${processedState.interactiveElements.length} interactive elements`);
+        if (!elementDiff.baseline) {
+          console.log(`🧩 Since last action: ${elementDiff.added} new, ${elementDiff.changed} changed, ${elementDiff.removedCount} removed`);
+        }
         // console.log(`📱 Viewport: ${processedState.viewportInfo.deviceType} ${processedState.viewportInfo.width}x${processedState.viewportInfo.height}`);
         // console.log(`🏷️ Categories:`, processedState.elementCategories);
         // console.log(`⚡ Capabilities:`, processedState.pageContext.capabilities);
 
         // Store last page state for validation
         this.lastPageState = processedState;
+        this.domSnapshots.cacheState(tab.id, processedState);
         return processedState;
       } else {
         console.log('📊 DOM Service State: Failed, using fallback');
@@ -1220,11 +1687,15 @@ class MultiAgentExecutor {
         arrayIndex: arrayIndex,
         tagName: el.tagName || 'UNKNOWN',
         xpath: el.xpath || '',
+        framePath: el.framePath || null,
         selector: el.selector || '',
 
         // Enhanced categorization (directly from API)
         category: el.category || 'unknown',
         purpose: el.purpose || 'general',
+        controlType: el.controlType || null,
+        options: el.options || null,
+        control: el.control || null,
 
         // Content (directly from API)
         textContent: el.textContent || '',
@@ -1336,6 +1807,45 @@ class MultiAgentExecutor {
     return new Promise(resolve => setTimeout(resolve, ms));
   }
 
+  // Readiness signals for the task's tab instead of fixed sleeps; null when there is no tab
+  async waitForPageSettle(since, options = {}, connectionManager = null) {
+    const tab = await this.browserContext.getCurrentActiveTab();
+    if (!tab?.id) return null;
+
+    const activity = await pageActivityManager.waitForSettle(tab.id, { since, ...options });
+    console.log(`⏱️ Page ${activity.settled ? 'settled' : 'still busy'} (${activity.reason}) after ${activity.waitedMs}ms - ${activity.mutations} mutations, ${activity.dialogs.length} dialogs`);
+
+    // A native alert/confirm blocks the page until someone answers it
+    const nativeDialog = activity.dialogs.find(dialog => dialog.native);
+    if (nativeDialog && connectionManager) {
+      connectionManager.broadcast({
+        type: 'status_update',
+        message: `💬 The page opened a ${nativeDialog.kind} dialog${nativeDialog.label ? `: "${nativeDialog.label}"` : ''} - answer it in the tab so the task can continue`
+      });
+    }
+    return activity;
+  }
+
+  /**
+   * Run an action with the site's pacing: think time first, then the action with
+   * its typing, mouse and scroll timing recorded in result.pacing for the log.
+   * Returns null when the task was cancelled during the think time.
+   */
+  async executePacedAction(action, url, connectionManager, { think = true } = {}) {
+    this.pacingManager.beginAction(url);
+    if (think) {
+      await this.pacingManager.think();
+    }
+    if (this.cancelled) {
+      this.pacingManager.endAction();
+      return null;
+    }
+
+    const actionResult = await this.executeAction(action, connectionManager);
+    const pacing = this.pacingManager.endAction();
+    return pacing ? { ...actionResult, pacing } : actionResult;
+  }
+
   async executeAction(action, connectionManager) {
     try {
       console.log(`🎯 Executing: ${action.name}`, action.parameters);
@@ -1362,9 +1872,30 @@ class MultiAgentExecutor {
         }
       }
 
-      // Pass connectionManager to ActionRegistry for better communication
-      const result = await this.actionRegistry.executeAction(action.name, action.parameters, connectionManager);
-
+      // drag_and_drop names its drop target by index as well
+      if (action.parameters?.target_index !== undefined) {
+        const currentState = this.lastPageState || await this.getCurrentState();
+        if (!(currentState.interactiveElements || []).some(el => el.index === action.parameters.target_index)) {
+          return {
+            action: action.name,
+            input: action.parameters,
+            result: { success: false, error: 'Drop target index not found in page state' },
+            success: false
+          };
+        }
+      }
+
+      const policyResult = await this.checkPolicy(action, connectionManager);
+      if (policyResult) {
+        return policyResult;
+      }
+
+      // Later snapshots mark what this action added or changed
+      this.domSnapshots.markAction();
+
+      // Redaction tokens in the parameters resolve against this task's own token map
+      const result = await this.actionRegistry.executeAction(action.name, action.parameters, this.redaction);
+
       // // Track failed elements for future avoidance
       // if (!result.success && action.parameters?.index) {
       //   this.failedElements.add(action.parameters.index);
@@ -1389,21 +1920,137 @@ class MultiAgentExecutor {
     }
   }
 
+  // Show the next action in the side panel and wait until the user decides what to do with it
+  async awaitStepDecision(action, targetElement, position, connectionManager) {
+    const params = action.parameters || {};
+
+    // Highlight only the target so the user sees exactly what will be touched
+    if (Number.isFinite(params.index)) {
+      try {
+        const tab = await this.browserContext.getCurrentActiveTab();
+        if (tab?.id) {
+          await domService.getPageState(tab.id, { showHighlightElements: true, focusHighlightIndex: params.index });
+        }
+      } catch (error) {
+        console.warn('Could not highlight step target:', error.message);
+      }
+    }
+
+    const stepId = `${Date.now()}-${position}`;
+    const decision = new Promise(resolve => {
+      this.pendingStep = { stepId, resolve };
+    });
+
+    connectionManager.broadcast({
+      type: 'step_approval',
+      message: `Next action: ${action.name}`,
+      taskId: this.usageManager.taskId,
+      stepId,
+      step: this.currentStep,
+      position: position + 1,
+      total: this.actionQueue.length,
+      action: action.name,
+      parameters: params,
+      target: targetElement ? {
+        index: targetElement.index,
+        tagName: targetElement.tagName,
+        purpose: targetElement.purpose,
+        text: (targetElement.text || targetElement.textContent || '').trim().substring(0, 80)
+      } : null
+    });
+    console.log(`⏸️ Waiting for step decision on ${action.name} (${stepId})`);
+
+    const result = await decision;
+    this.pendingStep = null;
+    return result;
+  }
+
+  resolveStepDecision(stepId, decision) {
+    if (!this.pendingStep || (stepId && this.pendingStep.stepId !== stepId)) {
+      return false;
+    }
+    this.pendingStep.resolve(decision);
+    return true;
+  }
+
+  // Run the site policy for an action; returns a failed action result when it may not run now
+  async checkPolicy(action, connectionManager) {
+    const state = this.lastPageState || await this.getCurrentState();
+    const params = action.parameters || {};
+    const elements = state.interactiveElements || [];
+    const element = elements.find(el =>
+      (Number.isFinite(params.index) && el.index === params.index) || (params.selector && el.selector === params.selector));
+    const dropTarget = action.name === 'drag_and_drop' && Number.isFinite(params.target_index)
+      ? elements.find(el => el.index === params.target_index)
+      : null;
+
+    // Enter or Space activates whatever has focus, e.g. a button an earlier focus action moved to
+    let focusedElement = null;
+    if (action.name === 'press_key' && PolicyManager.isActivationKey(params.key)) {
+      const tab = await this.browserContext.getCurrentActiveTab();
+      focusedElement = tab?.id ? await domService.getFocusedElement(tab.id) : null;
+    }
+
+    const request = { action: action.name, parameters: params, url: state.pageInfo?.url };
+    const evaluated = this.policyManager.evaluate({ ...request, element, focusedElement, dropTarget });
+    if (evaluated.decision === 'allow') return null;
+
+    const policy = { ...evaluated, approvalKey: PolicyManager.approvalKey(request) };
+    if (policy.decision === 'approve' && this.approvedAction === policy.approvalKey) {
+      console.log(`✅ Running ${action.name} approved by the user: ${policy.reason}`);
+      this.approvedAction = null;
+      return null;
+    }
+
+    console.log(`🛡️ Policy ${policy.decision} (${policy.rule}): ${policy.reason}`);
+    connectionManager?.broadcast({
+      type: 'status_update',
+      message: policy.decision === 'approve'
+        ? `🛡️ Waiting for approval: ${policy.reason}`
+        : `🛡️ Blocked by site policy: ${policy.reason}`
+    });
+
+    return {
+      action: action.name,
+      input: action.parameters,
+      result: {
+        success: false,
+        error: policy.reason,
+        extractedContent: `Blocked by site policy (${policy.rule}): ${policy.reason}`,
+        includeInMemory: true
+      },
+      success: false,
+      policy
+    };
+  }
+
   cancel() {
     console.log('🛑 Cancelling universal multi-agent execution');
     this.cancelled = true;
+    this.pauseRequested = false;
+    this.clearCheckpoint().catch(err =>
+      console.warn('Failed to clear task checkpoint on cancel:', err)
+    );
+    // Release a batch that is waiting on a step decision
+    this.resolveStepDecision(null, { type: 'abort' });
     // Clear element highlighting when task is cancelled
     this.clearElementHighlighting().catch(err =>
       console.warn('Failed to clear highlighting on cancel:', err)
     );
   }
 
+  // Pause before the next step instead of cancelling
+  requestPause() {
+    console.log('⏸️ Pause requested for universal multi-agent execution');
+    this.pauseRequested = true;
+  }
+
   // Helper function to notify content scripts about agent status
   async notifyContentScripts(messageType) {
     try {
-      const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
-      if (tabs.length > 0) {
-        await chrome.tabs.sendMessage(tabs[0].id, { type: messageType });
+      const tab = await this.browserContext.getCurrentActiveTab();
+      if (tab?.id) {
+        await chrome.tabs.sendMessage(tab.id, { type: messageType });
       }
     } catch (error) {
       console.log('Could not notify content script:', error.message);
@@ -1413,9 +2060,13 @@ class MultiAgentExecutor {
   // Helper function to show signin popup
   async showSigninPopup() {
     try {
-      const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
-      if (tabs.length > 0) {
-        await chrome.tabs.sendMessage(tabs[0].id, { type: '__agent_show_signin_popup' });
+      const tab = await this.browserContext.getCurrentActiveTab();
+      if (tab?.id) {
+        // Offer the saved login when the vault has one for this site (never the credential itself)
+        const vault = this.actionRegistry.autofillEnabled
+          ? await vaultManager.getSigninOffer(tab.url)
+          : { available: false };
+        await chrome.tabs.sendMessage(tab.id, { type: '__agent_show_signin_popup', vault });
       }
     } catch (error) {
       console.log('Could not show signin popup:', error.message);
@@ -1425,9 +2076,9 @@ class MultiAgentExecutor {
   // Helper function to hide signin popup
   async hideSigninPopup() {
     try {
-      const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
-      if (tabs.length > 0) {
-        await chrome.tabs.sendMessage(tabs[0].id, { type: '__agent_hide_signin_popup' });
+      const tab = await this.browserContext.getCurrentActiveTab();
+      if (tab?.id) {
+        await chrome.tabs.sendMessage(tab.id, { type: '__agent_hide_signin_popup' });
       }
     } catch (error) {
       console.log('Could not hide signin popup:', error.message);
@@ -1437,9 +2088,9 @@ class MultiAgentExecutor {
   // Helper function to show approval popup
   async showApprovalPopup() {
     try {
-      const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
-      if (tabs.length > 0) {
-        await chrome.tabs.sendMessage(tabs[0].id, { type: '__agent_show_approval_popup' });
+      const tab = await this.browserContext.getCurrentActiveTab();
+      if (tab?.id) {
+        await chrome.tabs.sendMessage(tab.id, { type: '__agent_show_approval_popup' });
       }
     } catch (error) {
       console.log('Could not show approval popup:', error.message);
@@ -1449,9 +2100,9 @@ class MultiAgentExecutor {
   // Helper function to hide approval popup
   async hideApprovalPopup() {
     try {
-      const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
-      if (tabs.length > 0) {
-        await chrome.tabs.sendMessage(tabs[0].id, { type: '__agent_hide_approval_popup' });
+      const tab = await this.browserContext.getCurrentActiveTab();
+      if (tab?.id) {
+        await chrome.tabs.sendMessage(tab.id, { type: '__agent_hide_approval_popup' });
       }
     } catch (error) {
       console.log('Could not hide approval popup:', error.message);
@@ -1485,7 +2136,11 @@ class MultiAgentExecutor {
       maxSteps: this.maxSteps,
       executionPhase: this.safeCall('determineExecutionPhase'),
       failurePatterns: this.safeCall('detectFailurePatterns'),
-      loopPrevention: this.safeCall('getLoopPreventionGuidance')
+      loopPrevention: this.safeCall('getLoopPreventionGuidance'),
+      taskTabs: this.browserContext.listTaskTabs(),
+      formProfiles: this.formProfiles,
+      approvedUploads: this.approvedUploads,
+      previewMode: this.previewMode
     };
   }
 
@@ -1603,7 +2258,7 @@ class MultiAgentExecutor {
 
     return batchActions.map(action => {
       // Only validate exact indices for basic actions
-      if (action.action_type === 'click' || action.action_type === 'type' || action.action_type === 'fill') {
+      if (['click', 'type', 'fill', 'hover', 'double_click', 'context_click', 'drag_and_drop', 'focus', 'select_option', 'set_checked', 'set_date', 'upload_file'].includes(action.action_type)) {
         console.log('ProcessingBatchActions: action_type', action.action_type);
         if (action.parameters.index !== undefined && availableIndices.includes(action.parameters.index)) {
           console.log('ProcessingBatchActions: action.parameters.index', action.parameters.index);
@@ -1742,21 +2397,238 @@ class BackgroundScriptAgent {
     this.connectionManager = new ConnectionManager(this.backgroundTaskManager);
     this.activeTasks = new Map();
     this.llmService = null;
-    this.multiAgentExecutor = null;
-    this.taskRouter = null;
     this.currentConfig = null; // Track current config
+    // Last isExecuting value written by syncExecutingFlag
+    this.executingFlag = null;
 
     // Screenshot handling
     this.screenshotPromise = null;
     this.screenshotResolve = null;
     this.screenshotReject = null;
+    this.screenshotTabId = null;
 
+    // Keep the side panel's queue view current and start queued tasks as slots free up
+    this.backgroundTaskManager.onChange = (queue) => {
+      this.connectionManager.broadcast({ type: 'task_queue', queue, transient: true });
+      this.syncExecutingFlag();
+    };
+    this.backgroundTaskManager.onTaskFinished = (task) => this.handleTaskFinished(task);
+
+    pageActivityManager.init();
+    cdpInputService.init();
     this.setupMessageHandlers();
     this.setupConfigWatcher(); // Add config watcher
     this.setupScreenshotListener(); // Add screenshot listener
+    this.restoreInterruptedTasks();
     console.log('✅ Universal BackgroundScriptAgent initialized with Wootz API integration');
   }
 
+  // The service worker was stopped mid-task: rebuild each task from its last checkpoint and offer Resume
+  async restoreInterruptedTasks() {
+    try {
+      const stored = await chrome.storage.local.get(null);
+      const checkpoints = Object.entries(stored)
+        .filter(([key]) => key.startsWith(CHECKPOINT_KEY_PREFIX))
+        .map(([, checkpoint]) => checkpoint);
+
+      const stale = checkpoints.filter(checkpoint => Date.now() - (checkpoint.savedAt || 0) > CHECKPOINT_MAX_AGE_MS);
+      if (stale.length > 0) {
+        await chrome.storage.local.remove(stale.map(checkpoint => `${CHECKPOINT_KEY_PREFIX}${checkpoint.taskId}`));
+      }
+
+      const interrupted = checkpoints
+        .filter(checkpoint => !stale.includes(checkpoint) && !this.backgroundTaskManager.runningTasks.has(checkpoint.taskId))
+        .sort((a, b) => a.savedAt - b.savedAt);
+      if (interrupted.length === 0) return;
+
+      // Keep the panel's stored conversation so the pause messages land in it
+      if (stored.sessionId) {
+        this.connectionManager.currentSessionId = stored.sessionId;
+      }
+      const config = await this.getConfig();
+      await this.reinitializeServices(config);
+
+      // Restored tasks take slots like new ones - the rest wait in the queue
+      for (const checkpoint of interrupted) {
+        if (this.queueTaskIfBusy(checkpoint.taskId, { task: checkpoint.userTask, checkpoint })) continue;
+        await this.restoreTaskFromCheckpoint(checkpoint, config);
+      }
+    } catch (error) {
+      console.error('❌ Failed to restore interrupted tasks:', error);
+    }
+  }
+
+  async restoreTaskFromCheckpoint(checkpoint, config) {
+    const { taskId, userTask, currentStep, pausedReason, savedAt } = checkpoint;
+    console.log(`♻️ Restoring interrupted task ${taskId} from step ${currentStep}`);
+
+    const executor = this.createTaskExecutor(config);
+    const plan = await executor.restoreCheckpoint(checkpoint);
+
+    this.activeTasks.set(taskId, {
+      task: userTask,
+      connectionId: null,
+      startTime: Date.now(),
+      sessionId: this.connectionManager.getCurrentSession()
+    });
+    this.connectionManager.setActiveTask(taskId);
+    this.backgroundTaskManager.restoreTask(taskId, { task: userTask, initialPlan: plan, dedicated: !!checkpoint.windowId }, executor);
+
+    const wasPaused = pausedReason && pausedReason !== 'interrupted' ? ` while paused (${pausedReason})` : '';
+    await executor.pauseTask(this.connectionManager, {
+      userTask,
+      plan,
+      currentState: { restoredFrom: savedAt },
+      pauseReason: 'interrupted',
+      message: 'Task interrupted - the browser stopped the background worker. Click Resume to continue from the last checkpoint.',
+      pauseDescription: `"${userTask}" stopped after step ${currentStep}${wasPaused}, saved ${new Date(savedAt).toLocaleTimeString()}`,
+      details: { taskId }
+    });
+    await chrome.storage.local.set({ activeTaskId: taskId });
+  }
+
+  // Every task gets its own executor and LLM service, so tasks running side by side share no state
+  createTaskExecutor(config) {
+    const llmService = new MultiLLMService(config);
+    const executor = new MultiAgentExecutor(llmService);
+    llmService.captureScreenshot = () => this.captureScreenshot(executor.browserContext, executor.redaction);
+    llmService.onProviderEvent = (event) => {
+      this.connectionManager.broadcast({
+        type: 'status_update',
+        message: event.message,
+        provider: event.to
+      });
+    };
+    return executor;
+  }
+
+  // Attach a fresh executor to a reserved task; a task started next to another one gets its own window
+  async prepareTaskExecutor(taskId, config) {
+    const task = this.backgroundTaskManager.runningTasks.get(taskId);
+    if (!task) {
+      throw new Error('Task was cancelled before it started');
+    }
+
+    const executor = this.createTaskExecutor(config);
+    task.executor = executor;
+    executor.skipStepMode = !!task.data.macro || this.activeTasks.get(taskId)?.connectionId === 'scheduler';
+    if (task.data.dedicated) {
+      await executor.browserContext.openDedicatedWindow();
+      this.connectionManager.broadcast({
+        type: 'status_update',
+        message: '🪟 Another task is running - this one gets its own window',
+        taskId
+      });
+    }
+    return executor;
+  }
+
+  // Claim a slot and start the task (or macro) right away
+  async launchTask(taskId, { task, macro = null, connectionId = null, scheduleId = null, checkpoint = null }) {
+    // An interrupted task that waited for a slot comes back paused at its checkpoint
+    if (checkpoint) {
+      await this.restoreTaskFromCheckpoint(checkpoint, await this.getConfig());
+      return;
+    }
+
+    const dedicated = this.backgroundTaskManager.runningTasks.size > 0;
+    this.backgroundTaskManager.reserveTask(taskId, { task, macro, dedicated });
+
+    this.activeTasks.set(taskId, {
+      task,
+      connectionId,
+      startTime: Date.now(),
+      sessionId: this.connectionManager.getCurrentSession(),
+      scheduleId
+    });
+    this.connectionManager.setActiveTask(taskId);
+
+    // Store execution state in chrome.storage.local
+    await chrome.storage.local.set({
+      isExecuting: true,
+      isTyping: true,
+      activeTaskId: taskId,
+      taskStartTime: Date.now(),
+      sessionId: this.connectionManager.getCurrentSession()
+    });
+
+    // The on-page popup belongs to the user's tab, not to a dedicated window
+    if (!dedicated) {
+      await this.notifyContentScripts('__agent_show_popup');
+    }
+
+    if (macro) {
+      await this.executeMacroWithBackgroundManager(macro, taskId);
+    } else {
+      await this.executeTaskWithBackgroundManager(task, taskId);
+    }
+  }
+
+  // content.js shows the agent popup and reports page activity while isExecuting is set,
+  // so it stays true until no task is left running (paused tasks do not count)
+  syncExecutingFlag() {
+    const isExecuting = this.backgroundTaskManager.hasActiveTasks();
+    if (isExecuting === this.executingFlag) return;
+
+    this.executingFlag = isExecuting;
+    chrome.storage.local.set({ isExecuting }).catch(error =>
+      console.warn('Could not update execution state:', error.message)
+    );
+  }
+
+  // Put a task in the queue when every slot is taken; returns false when it can start now
+  queueTaskIfBusy(taskId, taskData) {
+    if (this.backgroundTaskManager.hasFreeSlot()) return false;
+
+    const position = this.backgroundTaskManager.enqueue(taskId, taskData);
+    this.connectionManager.broadcast({
+      type: 'status_update',
+      message: `⏳ Task queued (#${position}) - it starts when one of the ${this.backgroundTaskManager.maxConcurrentTasks} running tasks finishes`,
+      taskId
+    });
+    return true;
+  }
+
+  // A task left its slot: hand the panel's focus to a task that is still running and start the next queued one
+  async handleTaskFinished(task) {
+    this.activeTasks.delete(task.id);
+    // The task's tabs get the page's own fetch, XHR and dialog functions back
+    const taskTabIds = Array.from(task.executor?.browserContext?.taskTabs?.keys() || []);
+    await Promise.all(taskTabIds.map(tabId => pageActivityManager.detachPageHooks(tabId)));
+    const remaining = this.backgroundTaskManager.getAllRunningTasks();
+
+    if (this.connectionManager.getActiveTask() === task.id) {
+      this.connectionManager.setActiveTask(remaining[remaining.length - 1]?.id || null);
+    }
+
+    if (remaining.length === 0) {
+      await chrome.storage.local.set({
+        isExecuting: false,
+        activeTaskId: null,
+        taskStartTime: null
+      });
+    } else {
+      await chrome.storage.local.set({ activeTaskId: this.connectionManager.getActiveTask() });
+    }
+
+    const next = this.backgroundTaskManager.dequeue();
+    if (next) {
+      console.log(`▶️ Starting queued task ${next.id}`);
+      this.connectionManager.broadcast({
+        type: 'status_update',
+        message: `▶️ Starting queued task: ${next.data.macro ? next.data.macro.name : next.data.task}`,
+        taskId: next.id
+      });
+      await this.launchTask(next.id, next.data);
+    }
+  }
+
+  // Running executor for a task id (the panel's focused task when none is given)
+  getTaskExecutor(taskId = null) {
+    const id = taskId || this.connectionManager.getActiveTask();
+    return id ? this.backgroundTaskManager.runningTasks.get(id)?.executor || null : null;
+  }
+
   // Add config watcher to detect changes
   setupConfigWatcher() {
     // Listen for storage changes
@@ -1776,27 +2648,37 @@ class BackgroundScriptAgent {
   }
 
   // Capture screenshot using standard Chrome API
-  async captureScreenshot() {
+  async captureScreenshot(browserContext = null, redaction = null) {
     try {
       console.log('📸 Capturing screenshot using chrome.tabs.captureVisibleTab()...');
 
-      // If there's already a screenshot in progress, wait for it
-      if (this.screenshotPromise) {
-        console.log('📸 Screenshot already in progress, waiting...');
-        return await this.screenshotPromise;
-      }
-
-      // Get current active tab using standard Chrome API
-      const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
-      const tab = tabs[0];
+      // Get current active tab using standard Chrome API (a task in its own window uses its tab)
+      const tab = browserContext
+        ? await browserContext.getCurrentActiveTab()
+        : (await chrome.tabs.query({ active: true, currentWindow: true }))[0];
       if (!tab || !tab.id) {
         console.log('❌ No active tab for screenshot');
         return null;
       }
 
+      // If there's already a screenshot in progress, wait for it (and reuse it when it's of the same tab)
+      if (this.screenshotPromise) {
+        console.log('📸 Screenshot already in progress, waiting...');
+        const pending = this.screenshotPromise;
+        const pendingTabId = this.screenshotTabId;
+        const dataUrl = await pending;
+        if (pendingTabId === tab.id) return dataUrl;
+      }
+      this.screenshotTabId = tab.id;
+
       // Create new promise for this screenshot
       this.screenshotPromise = (async () => {
+        // Password and card inputs are blurred only for the duration of the capture
+        const blurInputs = redaction ? redaction.enabled : this.currentConfig?.redactSensitiveData !== false;
         try {
+          if (blurInputs) {
+            await RedactionService.setScreenshotBlur(tab.id, true);
+          }
           const result = await domService.captureScreenshot(tab.id);
 
           if (result && result.success && result.dataUrl) {
@@ -1810,6 +2692,9 @@ class BackgroundScriptAgent {
           console.error('❌ Screenshot capture error:', error);
           return null;
         } finally {
+          if (blurInputs) {
+            await RedactionService.setScreenshotBlur(tab.id, false);
+          }
           this.screenshotPromise = null;
         }
       })();
@@ -1839,8 +2724,14 @@ class BackgroundScriptAgent {
         this.llmService = new MultiLLMService(newConfig);
         // Pass the background script's screenshot method to the LLM service
         this.llmService.captureScreenshot = this.captureScreenshot.bind(this);
-        this.multiAgentExecutor = new MultiAgentExecutor(this.llmService);
-        this.taskRouter = new AITaskRouter(this.llmService);
+        // Surface provider failovers in the chat as status messages
+        this.llmService.onProviderEvent = (event) => {
+          this.connectionManager.broadcast({
+            type: 'status_update',
+            message: event.message,
+            provider: event.to
+          });
+        };
 
         // Broadcast config update to all connected clients
         const hasValidKey = await this.hasValidApiKey(newConfig);
@@ -1866,6 +2757,8 @@ class BackgroundScriptAgent {
         return !!config.openaiApiKey;
       case 'gemini':
         return !!config.geminiApiKey;
+      case 'openaiCompatible':
+        return !!config.openaiCompatibleBaseUrl && !!config.openaiCompatibleModel;
       default:
         // By default, fallback to gemini key if provider is unknown or unset
         return !!config.geminiApiKey;
@@ -1982,58 +2875,142 @@ class BackgroundScriptAgent {
     switch (type) {
       case 'new_task':
         const taskId = Date.now().toString();
-        this.activeTasks.set(taskId, {
-          task: message.task,
-          connectionId: connectionId,
-          startTime: Date.now(),
-          sessionId: this.connectionManager.getCurrentSession()
-        });
+        const newTaskData = { task: message.task, connectionId };
+        if (this.queueTaskIfBusy(taskId, newTaskData)) break;
 
-        this.connectionManager.setActiveTask(taskId);
+        await this.launchTask(taskId, newTaskData);
+        break;
 
-        // Store execution state in chrome.storage.local
-        await chrome.storage.local.set({
-          isExecuting: true,
-          isTyping: true,
-          activeTaskId: taskId,
-          taskStartTime: Date.now(),
-          sessionId: this.connectionManager.getCurrentSession()
+      case 'run_macro':
+        const macro = await macroManager.getMacro(message.macroId);
+        if (!macro) {
+          this.connectionManager.safePortMessage(port, {
+            type: 'task_error',
+            error: 'Macro not found. It may have been deleted.'
+          });
+          break;
+        }
+
+        const macroTaskId = Date.now().toString();
+        const macroTaskData = { task: macro.task, macro, connectionId };
+        if (this.queueTaskIfBusy(macroTaskId, macroTaskData)) break;
+
+        await this.launchTask(macroTaskId, macroTaskData);
+        break;
+
+      case 'get_task_queue':
+        this.connectionManager.safePortMessage(port, {
+          type: 'task_queue',
+          queue: this.backgroundTaskManager.getQueueSnapshot()
         });
+        break;
 
-        // Notify content scripts to show popup
-        await this.notifyContentScripts('__agent_show_popup');
+      case 'pause_task':
+        const pauseTaskId = message.taskId || this.connectionManager.getActiveTask();
+        const pauseExecutor = this.getTaskExecutor(pauseTaskId);
+        if (pauseExecutor) {
+          pauseExecutor.requestPause();
+          this.connectionManager.broadcast({
+            type: 'status_update',
+            message: '⏸️ Pausing after the current step...',
+            taskId: pauseTaskId
+          });
+        } else {
+          console.log(`⚠️ No running task ${pauseTaskId} to pause`);
+        }
+        break;
 
-        await this.executeTaskWithBackgroundManager(message.task, taskId);
+      case 'save_macro':
+        try {
+          const savedMacro = await macroManager.saveRun(message.runId, message.name);
+          this.connectionManager.safePortMessage(port, {
+            type: 'macro_saved',
+            messageId: message.messageId,
+            macro: savedMacro
+          });
+        } catch (error) {
+          this.connectionManager.safePortMessage(port, {
+            type: 'macro_save_failed',
+            messageId: message.messageId,
+            error: error.message
+          });
+        }
+        break;
+
+      case 'run_plan':
+        const previewTaskId = message.taskId || this.connectionManager.getActiveTask();
+        const previewExecutor = this.getTaskExecutor(previewTaskId);
+        if (previewExecutor?.pausedPlan?.pause_reason === 'preview') {
+          // Keep only steps the registry knows; the user may have edited, reordered or deleted them
+          const knownActions = previewExecutor.actionRegistry.getAvailableActions();
+          previewExecutor.pausedPlan.batch_actions = (message.steps || [])
+            .filter(step => step && knownActions[step.action_type])
+            .map(step => ({ action_type: step.action_type, parameters: step.parameters || {} }));
+          await this.handlePortMessage({ type: 'resume_task', taskId: previewTaskId }, port, connectionId);
+        } else {
+          console.log('⚠️ No previewed plan is waiting to run');
+        }
+        break;
+
+      case 'step_decision':
+        // Step ids are unique, so whichever task is waiting on this one takes the decision
+        const accepted = this.backgroundTaskManager.getAllRunningTasks().some(task =>
+          task.executor?.resolveStepDecision(message.stepId, {
+            type: message.decision,
+            parameters: message.parameters
+          }));
+        if (!accepted) {
+          console.log(`⚠️ No action is waiting for step ${message.stepId}`);
+        }
         break;
 
       case 'cancel_task':
         console.log('🛑 Received cancel_task request');
-        const activeTaskId = this.connectionManager.getActiveTask();
+        const activeTaskId = message.taskId || this.connectionManager.getActiveTask();
+
+        // A queued task has nothing to stop - it just leaves the queue
+        if (activeTaskId && this.backgroundTaskManager.removeQueued(activeTaskId)) {
+          // An interrupted task waiting for a slot must not come back on the next worker start
+          await chrome.storage.local.remove([`${CHECKPOINT_KEY_PREFIX}${activeTaskId}`]);
+          this.connectionManager.broadcast({
+            type: 'task_cancelled',
+            message: 'Queued task removed',
+            progress: 'Removed from the queue before it started',
+            taskId: activeTaskId
+          });
+          break;
+        }
+
         if (activeTaskId) {
+          const cancelledExecutor = this.getTaskExecutor(activeTaskId);
+          const othersRunning = this.backgroundTaskManager.getAllRunningTasks().some(task => task.id !== activeTaskId);
+          // Freeing the slot hands the panel to another running task and starts the next queued one
           const cancelled = this.backgroundTaskManager.cancelTask(activeTaskId);
-          this.activeTasks.delete(activeTaskId);
-          this.connectionManager.setActiveTask(null);
 
           // Clear execution state from storage
-          await chrome.storage.local.set({
-            isExecuting: false,
-            isTyping: false,
-            activeTaskId: null,
-            taskStartTime: null,
-            sessionId: null,
-            taskStatus: null
-          });
+          if (!othersRunning) {
+            await chrome.storage.local.set({
+              isExecuting: false,
+              isTyping: false,
+              activeTaskId: null,
+              taskStartTime: null,
+              sessionId: null,
+              taskStatus: null
+            });
+          }
 
           // Notify content scripts to hide popup
-          await this.notifyContentScripts('__agent_hide_popup');
-          await this.hideSigninPopup();
-          await this.hideApprovalPopup();
+          if (cancelledExecutor) {
+            await cancelledExecutor.notifyContentScripts('__agent_hide_popup');
+            await cancelledExecutor.hideSigninPopup();
+            await cancelledExecutor.hideApprovalPopup();
+          }
 
           // Get progress information for cancellation message
           let progressInfo = '';
-          if (this.multiAgentExecutor) {
-            const currentStep = this.multiAgentExecutor.currentStep || 0;
-            const executionHistory = this.multiAgentExecutor.executionHistory || [];
+          if (cancelledExecutor) {
+            const currentStep = cancelledExecutor.currentStep || 0;
+            const executionHistory = cancelledExecutor.executionHistory || [];
 
             if (currentStep > 0) {
               const successfulSteps = executionHistory.filter(h => h.success).length;
@@ -2062,7 +3039,8 @@ class BackgroundScriptAgent {
             type: 'task_cancelled',
             message: 'Task cancelled by user',
             cancelled: cancelled,
-            progress: progressInfo || 'No progress made'
+            progress: progressInfo || 'No progress made',
+            taskId: activeTaskId
           });
 
           console.log(`✅ Task ${activeTaskId} cancelled: ${cancelled}`);
@@ -2073,24 +3051,32 @@ class BackgroundScriptAgent {
 
       case 'resume_task':
         console.log('▶️ Received resume_task request');
-        const pausedTaskId = this.connectionManager.getActiveTask();
+        const pausedTaskId = message.taskId || this.connectionManager.getActiveTask();
         if (pausedTaskId) {
+          // The resumed task becomes the one the panel follows
+          this.connectionManager.setActiveTask(pausedTaskId);
+
           // Resume execution by continuing with the current state
           this.connectionManager.broadcast({
             type: 'task_resumed',
-            message: 'Task execution resumed'
+            message: 'Task execution resumed',
+            taskId: pausedTaskId
           });
 
           // Update execution state
           await chrome.storage.local.set({
             isExecuting: true,
-            isTyping: true
+            isTyping: true,
+            activeTaskId: pausedTaskId
           });
 
           // Hide any pause popups and show main popup again
-          await this.hideSigninPopup();
-          await this.hideApprovalPopup();
-          await this.notifyContentScripts('__agent_show_popup');
+          const resumedExecutor = this.getTaskExecutor(pausedTaskId);
+          if (resumedExecutor) {
+            await resumedExecutor.hideSigninPopup();
+            await resumedExecutor.hideApprovalPopup();
+            await resumedExecutor.notifyContentScripts('__agent_show_popup');
+          }
 
           // Resume the task by calling the executor's resume method
           if (this.backgroundTaskManager && this.backgroundTaskManager.resumeTask) {
@@ -2133,31 +3119,9 @@ class BackgroundScriptAgent {
                         task.executor.lastPageState = pausedState;
                       }
 
-                      // Actually resume execution by calling execute method
+                      // Actually resume execution; the task connection frees the slot when it finishes
                       console.log('🔄 Calling execute method to resume task...');
-                      const result = await task.executor.execute(
-                        task.executor.currentUserTask,
-                        this.connectionManager,
-                        pausedPlan,
-                        true // isResume = true
-                      );
-
-                      // Only clean up if task is actually completed (not paused again)
-                      if (result && result.success !== false && result.reason !== 'paused') {
-                        // Clean up after execution completes
-                        this.activeTasks.delete(pausedTaskId);
-                        this.connectionManager.setActiveTask(null);
-
-                        // Clear execution state from storage
-                        await chrome.storage.local.set({
-                          isExecuting: false,
-                          activeTaskId: null,
-                          taskStartTime: null
-                        });
-
-                        // Notify content scripts to hide popup
-                        await this.notifyContentScripts('__agent_hide_popup');
-                      }
+                      await this.backgroundTaskManager.continueTask(pausedTaskId, pausedPlan, this.connectionManager);
 
                     } catch (error) {
                       console.error('❌ Error during resumed execution:', error);
@@ -2173,29 +3137,7 @@ class BackgroundScriptAgent {
                   // Continue with normal execution flow
                   setTimeout(async () => {
                     try {
-                      const result = await task.executor.execute(
-                        task.executor.currentUserTask,
-                        this.connectionManager,
-                        null,
-                        true // isResume = true
-                      );
-
-                      // Only clean up if task is actually completed (not paused again)
-                      if (result && result.success !== false && result.reason !== 'paused') {
-                        // Clean up after execution completes
-                        this.activeTasks.delete(pausedTaskId);
-                        this.connectionManager.setActiveTask(null);
-
-                        // Clear execution state from storage
-                        await chrome.storage.local.set({
-                          isExecuting: false,
-                          activeTaskId: null,
-                          taskStartTime: null
-                        });
-
-                        // Notify content scripts to hide popup
-                        await this.notifyContentScripts('__agent_hide_popup');
-                      }
+                      await this.backgroundTaskManager.continueTask(pausedTaskId, null, this.connectionManager);
                     } catch (error) {
                       console.error('❌ Error during resumed execution:', error);
                       this.connectionManager.broadcast({
@@ -2221,16 +3163,23 @@ class BackgroundScriptAgent {
       case 'new_chat':
         console.log('🆕 Received new_chat request');
 
-        // Cancel any running tasks
-        const currentActiveTask = this.connectionManager.getActiveTask();
-        if (currentActiveTask) {
-          this.backgroundTaskManager.cancelTask(currentActiveTask);
-          this.activeTasks.delete(currentActiveTask);
+        // Every task the chat started goes with it - queued ones first, so freed slots don't start them.
+        // Scheduled runs report through notifications and keep going.
+        const queuedChatTasks = this.backgroundTaskManager.queue.filter(task => task.data?.connectionId !== 'scheduler');
+        for (const task of queuedChatTasks) {
+          this.backgroundTaskManager.removeQueued(task.id);
+          await chrome.storage.local.remove([`${CHECKPOINT_KEY_PREFIX}${task.id}`]);
         }
+        this.backgroundTaskManager.getAllRunningTasks()
+          .filter(task => this.activeTasks.get(task.id)?.connectionId !== 'scheduler')
+          .forEach(task => {
+            this.backgroundTaskManager.cancelTask(task.id);
+            this.activeTasks.delete(task.id);
+          });
+        this.syncExecutingFlag();
 
         // Only clear current chat state, not chat histories
         await chrome.storage.local.set({
-          isExecuting: false,
           activeTaskId: null,
           taskStartTime: null,
           sessionId: null,
@@ -2291,6 +3240,7 @@ class BackgroundScriptAgent {
   }
 
   async executeTaskWithBackgroundManager(task, taskId) {
+    let executor = null;
     try {
       console.log('🚀 Executing universal task with single AI call:', task, 'ID:', taskId);
 
@@ -2303,58 +3253,75 @@ class BackgroundScriptAgent {
         throw new Error('LLM service not properly initialized. Please check your API key configuration.');
       }
 
-      const currentState = await this.multiAgentExecutor.getCurrentState();
+      executor = await this.prepareTaskExecutor(taskId, config);
+      const currentState = await executor.getCurrentState();
       try {
-        await this.multiAgentExecutor.clearElementHighlighting();
+        await executor.clearElementHighlighting();
       } catch (error) {
         console.error('Failed to clear element highlighting:', error);
       }
 
       console.log('🧠 Making single intelligent routing call with detailed page state...');
 
-      // Reset token counter for the new task before any LLM calls
-      this.multiAgentExecutor.totalTokens = 0;
+      // Reset token/cost counters and the budget for the new task before any LLM calls
+      executor.totalTokens = 0;
+      executor.usageManager.reset({
+        taskId,
+        budgetTokens: config.taskBudgetTokens,
+        budgetUsd: config.taskBudgetUsd
+      });
       this.connectionManager.broadcast({
         type: 'token_update',
-        tokens: 0
+        tokens: 0,
+        cost: 0,
+        taskId: taskId
       });
 
-      const intelligentResult = await this.taskRouter.analyzeAndRoute(task, currentState);
+      // Stream CHAT answers to the panel as they arrive (throttled to keep port traffic low)
+      let lastStreamBroadcast = 0;
+      const routeOptions = config.streamResponses === false ? {} : {
+        onChatChunk: (content) => {
+          const now = Date.now();
+          if (now - lastStreamBroadcast < 60) return;
+          lastStreamBroadcast = now;
+          this.connectionManager.broadcast({
+            type: 'message_stream',
+            streamId: taskId,
+            content: executor.redaction.restore(content),
+            transient: true
+          });
+        }
+      };
+
+      // The router is the first to see the page; its redaction tokens belong to this task's executor
+      const intelligentResult = await executor.taskRouter.analyzeAndRoute(task, currentState, routeOptions);
 
       console.log('🎯 Intelligent result:', intelligentResult);
 
       if (intelligentResult && intelligentResult.usage) {
-        this.multiAgentExecutor.totalTokens += (intelligentResult.usage.total || 0);
-        this.connectionManager.broadcast({
-          type: 'token_update',
-          tokens: this.multiAgentExecutor.totalTokens
-        });
+        executor.recordUsage('router', intelligentResult.usage, this.connectionManager);
       }
 
       if (intelligentResult.intent === 'CHAT') {
+        const answer = executor.redaction.restore(intelligentResult.response.message);
         const result = {
           success: true,
-          response: intelligentResult.response.message,
-          message: intelligentResult.response.message,
+          response: answer,
+          message: answer,
           confidence: intelligentResult.confidence,
-          isMarkdown: intelligentResult.response.isMarkdown || true
+          isMarkdown: intelligentResult.response.isMarkdown || true,
+          usage: executor.usageManager.getSummary()
         };
 
         this.connectionManager.broadcast({
           type: 'task_complete',
           result: result,
-          taskId: taskId
+          taskId: taskId,
+          streamId: taskId
         });
 
-        this.activeTasks.delete(taskId);
-        this.connectionManager.setActiveTask(null);
-
-        // Clear execution state from storage
-        await chrome.storage.local.set({
-          isExecuting: false,
-          activeTaskId: null,
-          taskStartTime: null
-        });
+        // Frees the slot and clears the execution state once no task is left
+        this.backgroundTaskManager.finishTask(taskId, 'completed', { result });
 
         return;
       }
@@ -2406,7 +3373,8 @@ class BackgroundScriptAgent {
             reason: initialPlan.strategy,
             steps: 1,
             confidence: intelligentResult.confidence,
-            isMarkdown: true
+            isMarkdown: true,
+            usage: executor.usageManager.getSummary()
           };
 
           this.connectionManager.broadcast({
@@ -2415,18 +3383,10 @@ class BackgroundScriptAgent {
             taskId: taskId
           });
 
-          this.activeTasks.delete(taskId);
-          this.connectionManager.setActiveTask(null);
-
-          // Clear execution state from storage
-          await chrome.storage.local.set({
-            isExecuting: false,
-            activeTaskId: null,
-            taskStartTime: null
-          });
+          this.backgroundTaskManager.finishTask(taskId, 'completed', { result: finalResult });
 
           // Notify content scripts to hide popup
-          await this.notifyContentScripts('__agent_hide_popup');
+          await executor.notifyContentScripts('__agent_hide_popup');
 
           return;
         }
@@ -2434,7 +3394,7 @@ class BackgroundScriptAgent {
         await this.backgroundTaskManager.startTask(
           taskId,
           { task, initialPlan },
-          this.multiAgentExecutor,
+          executor,
           this.connectionManager
         );
         return;
@@ -2446,20 +3406,12 @@ class BackgroundScriptAgent {
       console.error('Intelligent task execution error:', error);
 
       // Clear element highlighting on error
-      if (this.multiAgentExecutor && typeof this.multiAgentExecutor.clearElementHighlighting === 'function') {
-        this.multiAgentExecutor.clearElementHighlighting().catch(err =>
+      if (executor && typeof executor.clearElementHighlighting === 'function') {
+        executor.clearElementHighlighting().catch(err =>
           console.warn('Failed to clear highlighting on error:', err)
         );
       }
 
-      // Clear execution state from storage on error
-      await chrome.storage.local.set({
-        isExecuting: false,
-        activeTaskId: null,
-        taskStartTime: null,
-        sessionId: null
-      });
-
       // Notify content scripts to hide popup on error
       await this.notifyContentScripts('__agent_hide_popup');
 
@@ -2470,11 +3422,174 @@ class BackgroundScriptAgent {
         type: 'task_error',
         error: userFriendlyError,
         taskId: taskId,
+        streamId: taskId,
+        originalError: error.message
+      });
+
+      // Frees the slot and clears the execution state once no task is left
+      this.backgroundTaskManager.finishTask(taskId, 'error', { error: error.message });
+    }
+  }
+
+  async executeMacroWithBackgroundManager(macro, taskId) {
+    try {
+      console.log('🔁 Executing macro:', macro.name, 'ID:', taskId);
+
+      // The planner may still be needed if a step fails, so keep services fresh
+      const config = await this.getConfig();
+      await this.reinitializeServices(config);
+      const executor = await this.prepareTaskExecutor(taskId, config);
+
+      executor.totalTokens = 0;
+      executor.usageManager.reset({
+        taskId,
+        budgetTokens: config.taskBudgetTokens,
+        budgetUsd: config.taskBudgetUsd
+      });
+      this.connectionManager.broadcast({
+        type: 'token_update',
+        tokens: 0,
+        cost: 0,
+        taskId: taskId
+      });
+
+      await executor.macroManager.markRun(macro.id);
+
+      await this.backgroundTaskManager.startTask(
+        taskId,
+        { task: macro.task, macro },
+        executor,
+        this.connectionManager
+      );
+    } catch (error) {
+      console.error('Macro execution error:', error);
+
+      await this.notifyContentScripts('__agent_hide_popup');
+
+      this.connectionManager.broadcast({
+        type: 'task_error',
+        error: this.formatErrorForUser(error),
+        taskId: taskId,
         originalError: error.message
       });
 
-      this.activeTasks.delete(taskId);
-      this.connectionManager.setActiveTask(null);
+      this.backgroundTaskManager.finishTask(taskId, 'error', { error: error.message });
+    }
+  }
+
+  // Run a scheduled prompt or macro unattended and report the outcome as a notification
+  async runScheduledTask(scheduleId) {
+    const schedule = await schedulerManager.getSchedule(scheduleId);
+    if (!schedule) return;
+
+    if (!this.backgroundTaskManager.hasFreeSlot()) {
+      console.log(`⏰ Schedule "${schedule.name}" postponed - every task slot is busy`);
+      await schedulerManager.postpone(schedule);
+      return;
+    }
+
+    let macro = null;
+    if (schedule.macroId) {
+      macro = await macroManager.getMacro(schedule.macroId);
+      if (!macro) {
+        await this.reportScheduledResult(schedule, { status: 'error', message: 'The macro for this schedule no longer exists.' });
+        return;
+      }
+    }
+
+    console.log(`⏰ Running scheduled task "${schedule.name}"`);
+    const taskId = Date.now().toString();
+    const outcome = this.waitForTaskOutcome(taskId);
+
+    try {
+      // Unattended runs get their own tab so the page the user is on is left alone
+      // (next to a running task, launchTask gives them a whole window instead)
+      if (this.backgroundTaskManager.runningTasks.size === 0) {
+        await chrome.tabs.create({ active: true });
+      }
+
+      this.connectionManager.broadcast({
+        type: 'status_update',
+        message: `⏰ Running scheduled task: ${schedule.name}`,
+        taskId
+      });
+
+      await this.launchTask(taskId, {
+        task: macro ? macro.task : schedule.prompt,
+        macro,
+        connectionId: 'scheduler',
+        scheduleId: schedule.id
+      });
+
+      await this.reportScheduledResult(schedule, await outcome);
+    } catch (error) {
+      console.error('Scheduled task error:', error);
+      outcome.cancel();
+      await this.reportScheduledResult(schedule, { status: 'error', message: error.message });
+    }
+  }
+
+  // Resolve with the first completion, error or pause broadcast after a task starts
+  waitForTaskOutcome(taskId, timeoutMs = 30 * 60 * 1000) {
+    let unsubscribe = () => {};
+    let timer = null;
+
+    const promise = new Promise((resolve) => {
+      timer = setTimeout(() => {
+        unsubscribe();
+        resolve({ status: 'error', message: 'Timed out waiting for the task to finish.' });
+      }, timeoutMs);
+
+      unsubscribe = this.connectionManager.addListener((message) => {
+        // Other tasks may be running side by side
+        if (message.taskId && message.taskId !== taskId) return;
+
+        let result = null;
+        if (message.type === 'task_complete') {
+          result = {
+            status: message.result?.success === false ? 'failed' : 'success',
+            message: String(message.result?.response || message.result?.message || 'Task completed')
+          };
+        } else if (message.type === 'task_error') {
+          result = { status: 'error', message: String(message.error || 'Task failed') };
+        } else if (message.type === 'task_paused') {
+          result = { status: 'paused', message: `Needs your attention: ${message.message || 'task paused'}` };
+        }
+
+        if (!result) return;
+        clearTimeout(timer);
+        unsubscribe();
+        resolve(result);
+      });
+    });
+
+    promise.cancel = () => {
+      clearTimeout(timer);
+      unsubscribe();
+    };
+    return promise;
+  }
+
+  async reportScheduledResult(schedule, outcome) {
+    // Notifications are plain text - drop markdown markers and keep it short
+    const summary = outcome.message.replace(/[*_`#>]/g, '').replace(/\s+/g, ' ').trim().substring(0, 300);
+    await schedulerManager.completeRun(schedule.id, {
+      status: outcome.status,
+      message: summary,
+      at: Date.now()
+    });
+
+    const icons = { success: '✅', failed: '⚠️', paused: '⏸️', error: '❌' };
+    try {
+      await chrome.notifications.create(`schedule-${schedule.id}-${Date.now()}`, {
+        type: 'basic',
+        iconUrl: 'icons/icon.png',
+        title: `${icons[outcome.status] || '⏰'} ${schedule.name}`,
+        message: summary || 'Scheduled task finished',
+        priority: outcome.status === 'success' ? 0 : 1
+      });
+    } catch (error) {
+      console.log('Could not show schedule notification:', error.message);
     }
   }
 
@@ -2701,6 +3816,105 @@ Something went wrong while processing your request.
           sendResponse(configResult);
           break;
 
+        case 'PAGE_EVENT':
+          pageActivityManager.handlePageEvent(sender.tab?.id, request.event);
+          sendResponse({ success: true });
+          break;
+
+        case 'SAVE_SCHEDULE':
+          const schedule = await schedulerManager.saveSchedule(request.schedule);
+          sendResponse({ success: true, schedule });
+          break;
+
+        case 'DELETE_SCHEDULE':
+          await schedulerManager.deleteSchedule(request.scheduleId);
+          sendResponse({ success: true });
+          break;
+
+        case 'RUN_SCHEDULE_NOW':
+          this.runScheduledTask(request.scheduleId).catch(err =>
+            console.error('❌ Scheduled task failed to start:', err)
+          );
+          sendResponse({ success: true });
+          break;
+
+        // Profiles are decrypted here only; the side panel never touches the key
+        case 'GET_PROFILES':
+          const profiles = await profileManager.getProfiles();
+          sendResponse({ success: true, profiles });
+          break;
+
+        case 'SAVE_PROFILE':
+          const profile = await profileManager.saveProfile(request.profile);
+          sendResponse({ success: true, profile });
+          break;
+
+        case 'DELETE_PROFILE':
+          await profileManager.deleteProfile(request.profileId);
+          sendResponse({ success: true });
+          break;
+
+        // Files the user approved for upload_file
+        case 'GET_UPLOADS':
+          const uploads = await uploadManager.getFiles();
+          sendResponse({ success: true, uploads });
+          break;
+
+        case 'ADD_UPLOAD':
+          const upload = await uploadManager.addFile(request.file);
+          sendResponse({ success: true, upload });
+          break;
+
+        case 'DELETE_UPLOAD':
+          await uploadManager.deleteFile(request.uploadId);
+          sendResponse({ success: true });
+          break;
+
+        // Credential vault - passwords never leave the background script except into the page's own fields
+        case 'VAULT_STATUS':
+          sendResponse({ success: true, status: await vaultManager.getStatus() });
+          break;
+
+        case 'VAULT_SETUP':
+          await vaultManager.setup(request.passphrase);
+          sendResponse({ success: true, status: await vaultManager.getStatus() });
+          break;
+
+        case 'VAULT_UNLOCK':
+          await vaultManager.unlock(request.passphrase);
+          sendResponse({ success: true, status: await vaultManager.getStatus() });
+          break;
+
+        case 'VAULT_LOCK':
+          vaultManager.lock();
+          sendResponse({ success: true, status: await vaultManager.getStatus() });
+          break;
+
+        case 'VAULT_RESET':
+          await vaultManager.reset();
+          sendResponse({ success: true, status: await vaultManager.getStatus() });
+          break;
+
+        case 'VAULT_LIST':
+          sendResponse({ success: true, credentials: vaultManager.listCredentials() });
+          break;
+
+        case 'VAULT_SAVE':
+          await vaultManager.saveCredential(request.credential);
+          sendResponse({ success: true, credentials: vaultManager.listCredentials() });
+          break;
+
+        case 'VAULT_DELETE':
+          await vaultManager.deleteCredential(request.credentialId);
+          sendResponse({ success: true, credentials: vaultManager.listCredentials() });
+          break;
+
+        // Sent by the signin popup after the user clicked "Use saved login"
+        case 'VAULT_FILL_SIGNIN':
+          await this.fillSavedLogin(sender.tab);
+          sendResponse({ success: true });
+          break;
+
 
 
         default:
@@ -2711,6 +3925,61 @@ Something went wrong while processing your request.
     }
   }
 
+  // Fill the sign-in form of a task paused for signin, then resume the task
+  async fillSavedLogin(tab) {
+    // The task that owns this tab, when several are running
+    const waiting = this.backgroundTaskManager.getAllRunningTasks()
+      .filter(task => task.executor?.pausedPlan?.pause_reason === 'signin');
+    const owner = waiting.find(task => tab?.id && task.executor.browserContext.findTaskTab({ tabId: tab.id }));
+    const executor = (owner || waiting[0])?.executor || null;
+
+    if (!tab?.id || !executor) {
+      throw new Error('No task is waiting for sign-in');
+    }
+    if (!executor.actionRegistry.autofillEnabled) {
+      throw new Error('Autofill is turned off in settings');
+    }
+    if (!owner) {
+      throw new Error('This tab does not belong to the running task');
+    }
+
+    const origin = VaultManager.getOrigin(tab.url);
+    const credential = await vaultManager.getCredential(origin);
+
+    const state = await domService.getPageState(tab.id, { showHighlightElements: false });
+    const fields = state.success ? VaultManager.findLoginFields(state.pageState.elements) : null;
+    if (!fields) {
+      throw new Error('No sign-in fields found on this page');
+    }
+
+    if (fields.username) {
+      const result = await domService.performFill(tab.id, { xpath: fields.username.xpath, framePath: fields.username.framePath, text: credential.username });
+      if (!result.success) throw new Error('Could not fill the username field');
+    }
+    if (fields.password) {
+      const result = await domService.performFill(tab.id, { xpath: fields.password.xpath, framePath: fields.password.framePath, text: credential.password });
+      if (!result.success) throw new Error('Could not fill the password field');
+    }
+
+    // The planner learns that the form is filled, not what was filled
+    const filledParts = [fields.username && 'username', fields.password && 'password'].filter(Boolean).join(' and ');
+    executor.memoryManager.addMessage({
+      role: 'step_executor',
+      action: 'vault_fill',
+      content: `Saved ${filledParts} for ${origin} were filled by the credential vault after user approval. Continue by submitting the sign-in form.`,
+      step: executor.currentStep,
+      timestamp: new Date().toISOString()
+    });
+    this.connectionManager.broadcast({
+      type: 'status_update',
+      message: `🔑 Filled saved ${filledParts} for ${origin}`
+    });
+
+    console.log(`🔑 Filled saved login for ${origin}, resuming task`);
+    // Same path as the Resume button in the side panel
+    await this.handlePortMessage({ type: 'resume_task', taskId: owner.id }, null, null);
+  }
+
   async getAgentStatus() {
     const config = await this.getConfig();
     const hasValidKey = await this.hasValidApiKey(config);
@@ -2721,6 +3990,7 @@ Something went wrong while processing your request.
       activeTasks: this.activeTasks.size,
       backgroundTasks: this.backgroundTaskManager.getAllRunningTasks().length,
       completedTasks: this.backgroundTaskManager.getAllCompletedTasks().length,
+      queuedTasks: this.backgroundTaskManager.queue.length,
       activeTask: this.connectionManager.getActiveTask(),
       connections: this.connectionManager.connections.size,
       backgroundPersistence: true,
@@ -2732,6 +4002,7 @@ Something went wrong while processing your request.
         hasAnthropicKey: !!config.anthropicApiKey,
         hasOpenAIKey: !!config.openaiApiKey,
         hasGeminiKey: !!config.geminiApiKey,
+        hasCompatibleBaseUrl: !!config.openaiCompatibleBaseUrl,
         aiProvider: config.aiProvider || 'anthropic',
         hasValidKey: hasValidKey
       }
@@ -2809,6 +4080,10 @@ chrome.alarms.onAlarm.addListener((alarm) => {
       const runningTasks = backgroundScriptAgent.backgroundTaskManager.getAllRunningTasks();
       console.log(`📊 Background status: ${runningTasks.length} tasks running`);
     }
+  } else if (SchedulerManager.isScheduleAlarm(alarm.name)) {
+    backgroundScriptAgent.runScheduledTask(SchedulerManager.getScheduleId(alarm.name)).catch(err =>
+      console.error('❌ Scheduled task failed to start:', err)
+    );
   }
 });
 
@@ -2818,10 +4093,12 @@ chrome.alarms.create('keep-alive', {
 
 chrome.runtime.onStartup.addListener(() => {
   console.log('🚀 Universal extension startup');
+  schedulerManager.syncAlarms().catch(err => console.error('❌ Failed to sync schedules:', err));
 });
 
 chrome.runtime.onInstalled.addListener(() => {
   console.log('⚡ Universal extension installed/updated');
+  schedulerManager.syncAlarms().catch(err => console.error('❌ Failed to sync schedules:', err));
 });
 
 // Open sidebar when extension icon is clicked
@@ -2,13 +2,14 @@ window.buildDomTree = (
   args = {
     showHighlightElements: true,
     focusHighlightIndex: -1,
+    focusHighlightIndices: [],
     viewportExpansion: 0,
     debugMode: false,
     startId: 0,
     startHighlightIndex: 0,
   },
 ) => {
-  const { showHighlightElements, focusHighlightIndex, viewportExpansion, startHighlightIndex, startId, debugMode } =
+  const { showHighlightElements, focusHighlightIndex, focusHighlightIndices = [], viewportExpansion, startHighlightIndex, startId, debugMode } =
     args;
   // Make sure to do highlight elements always, but we can hide the highlights if needed
   const doHighlightElements = true;
@@ -1207,7 +1208,12 @@ window.buildDomTree = (
         nodeData.highlightIndex = highlightIndex++;
 
         if (doHighlightElements) {
-          if (focusHighlightIndex >= 0) {
+          if (focusHighlightIndices.length > 0) {
+            // Several focused elements, e.g. every target of a previewed plan
+            if (focusHighlightIndices.includes(nodeData.highlightIndex)) {
+              highlightElement(node, nodeData.highlightIndex, parentIframe);
+            }
+          } else if (focusHighlightIndex >= 0) {
             if (focusHighlightIndex === nodeData.highlightIndex) {
               highlightElement(node, nodeData.highlightIndex, parentIframe);
             }
@@ -1224,18 +1230,99 @@ window.buildDomTree = (
     return false; // Did not highlight
   }
 
+  const MAX_CONTROL_OPTIONS = 25;
+  const DATE_INPUT_TYPES = ['date', 'time', 'datetime-local', 'month', 'week'];
+  const CHECKABLE_ROLES = ['checkbox', 'switch', 'radio', 'menuitemcheckbox', 'menuitemradio'];
+
+  /**
+   * Describes the live state of a form control - its type, value and options.
+   * Attributes only hold the initial values, so checked/selected/value are read
+   * from the element itself.
+   *
+   * @param {HTMLElement} element - The element to describe.
+   * @returns {{
+   *   type: string,
+   *   value?: string,
+   *   checked?: boolean,
+   *   expanded?: boolean,
+   *   options?: Array<{value: string, label: string, selected: boolean}>,
+   *   optionCount?: number
+   * } | null} The control description, or null if the element is not a special control.
+   */
+  function describeFormControl(element) {
+    const tagName = element.tagName.toLowerCase();
+    const role = (element.getAttribute('role') || '').toLowerCase();
+    const labelOf = (el) => (el.getAttribute('aria-label') || el.textContent || '').replace(/\s+/g, ' ').trim().substring(0, 60);
+
+    if (tagName === 'select') {
+      const options = Array.from(element.options);
+      return {
+        type: element.multiple ? 'multi-select' : 'select',
+        value: options.filter(option => option.selected).map(option => option.text.trim()).join(', '),
+        options: options.slice(0, MAX_CONTROL_OPTIONS).map(option => ({
+          value: option.value,
+          label: option.text.trim().substring(0, 60),
+          selected: option.selected,
+        })),
+        optionCount: options.length,
+      };
+    }
+
+    if (tagName === 'input') {
+      const type = (element.type || 'text').toLowerCase();
+      if (type === 'checkbox' || type === 'radio') {
+        return { type: role === 'switch' ? 'switch' : type, checked: element.checked };
+      }
+      if (DATE_INPUT_TYPES.includes(type)) {
+        return { type, value: element.value, min: element.min || undefined, max: element.max || undefined };
+      }
+      if (type === 'file') {
+        return { type, multiple: element.multiple, accept: element.accept || undefined, fileCount: element.files?.length || 0 };
+      }
+    }
+
+    if (CHECKABLE_ROLES.includes(role)) {
+      return { type: role, checked: element.getAttribute('aria-checked') === 'true' };
+    }
+
+    if (role === 'combobox' || element.getAttribute('aria-haspopup') === 'listbox') {
+      return {
+        type: 'combobox',
+        value: tagName === 'input' ? element.value : labelOf(element),
+        expanded: element.getAttribute('aria-expanded') === 'true',
+      };
+    }
+
+    if (role === 'listbox') {
+      const options = Array.from(element.querySelectorAll('[role="option"]'));
+      return {
+        type: 'listbox',
+        options: options.slice(0, MAX_CONTROL_OPTIONS).map(option => ({
+          value: option.getAttribute('data-value') || labelOf(option),
+          label: labelOf(option),
+          selected: option.getAttribute('aria-selected') === 'true',
+        })),
+        optionCount: options.length,
+      };
+    }
+
+    return null;
+  }
+
   /**
    * Creates a node data object for a given node and its descendants.
    *
    * @param {HTMLElement} node - The node to process.
    * @param {HTMLElement | null} parentIframe - The parent iframe node.
    * @param {boolean} isParentHighlighted - Whether the parent node is highlighted.
+   * @param {number} depth - Recursion depth.
+   * @param {Array<{type: string, xpath: string}>} framePath - Iframe and shadow root hops from the top document.
    * @returns {string | null} The ID of the node data object, or null if the node is not processed.
    */
   const MAX_DEPTH = 100;
   let visitedNodes;
 
-  function buildDomTree(node, parentIframe = null, isParentHighlighted = false, depth = 0) {
+  function buildDomTree(node, parentIframe = null, isParentHighlighted = false, depth = 0, framePath = []) {
     // Initialize visited nodes tracking on first call
     if (!visitedNodes) {
       visitedNodes = new WeakSet();
@@ -1274,7 +1361,7 @@ window.buildDomTree = (
 
       // Process children of body
       for (const child of Array.from(node.childNodes)) {
-        const domElement = buildDomTree(child, parentIframe, false, depth + 1); // Body's children have no highlighted parent initially
+        const domElement = buildDomTree(child, parentIframe, false, depth + 1, framePath); // Body's children have no highlighted parent initially
         if (domElement) nodeData.children.push(domElement);
       }
 
@@ -1366,6 +1453,11 @@ window.buildDomTree = (
       children: [],
     };
 
+    // XPaths stop at iframe and shadow root boundaries, so keep the hops needed to get back here
+    if (framePath.length > 0) {
+      nodeData.framePath = framePath;
+    }
+
     // Get attributes for interactive elements or potential text containers
     if (
       isInteractiveCandidate(node) ||
@@ -1396,6 +1488,11 @@ window.buildDomTree = (
           nodeWasHighlighted = handleHighlighting(nodeData, node, parentIframe, isParentHighlighted);
         }
       }
+
+      if (nodeData.isInteractive) {
+        const control = describeFormControl(node);
+        if (control) nodeData.control = control;
+      }
     }
 
     // Process children, with special handling for iframes and rich text editors
@@ -1433,7 +1530,7 @@ window.buildDomTree = (
             const iframeDoc = node.contentDocument || node.contentWindow?.document;
             if (iframeDoc && iframeDoc.childNodes) {
               for (const child of Array.from(iframeDoc.childNodes)) {
-                const domElement = buildDomTree(child, node, false, depth + 1);
+                const domElement = buildDomTree(child, node, false, depth + 1, [...framePath, { type: 'iframe', xpath: nodeData.xpath }]);
                 if (domElement) nodeData.children.push(domElement);
               }
             }
@@ -1456,15 +1553,16 @@ window.buildDomTree = (
       ) {
         // Process all child nodes to capture formatted text
         for (const child of Array.from(node.childNodes)) {
-          const domElement = buildDomTree(child, parentIframe, nodeWasHighlighted, depth + 1);
+          const domElement = buildDomTree(child, parentIframe, nodeWasHighlighted, depth + 1, framePath);
           if (domElement) nodeData.children.push(domElement);
         }
       } else {
         // Handle shadow DOM
         if (node.shadowRoot) {
           nodeData.shadowRoot = true;
+          const shadowPath = [...framePath, { type: 'shadow', xpath: nodeData.xpath }];
           for (const child of Array.from(node.shadowRoot.childNodes)) {
-            const domElement = buildDomTree(child, parentIframe, nodeWasHighlighted, depth + 1);
+            const domElement = buildDomTree(child, parentIframe, nodeWasHighlighted, depth + 1, shadowPath);
             if (domElement) nodeData.children.push(domElement);
           }
         }
@@ -1472,7 +1570,7 @@ window.buildDomTree = (
         for (const child of Array.from(node.childNodes)) {
           // Pass the highlighted status of the *current* node to its children
           const passHighlightStatusToChild = nodeWasHighlighted || isParentHighlighted;
-          const domElement = buildDomTree(child, parentIframe, passHighlightStatusToChild, depth + 1);
+          const domElement = buildDomTree(child, parentIframe, passHighlightStatusToChild, depth + 1, framePath);
           if (domElement) nodeData.children.push(domElement);
         }
       }
@@ -1503,3 +1601,195 @@ window.buildDomTree = (
 
   return { rootId, map: DOM_HASH_MAP };
 };
+
+/**
+ * Follows a buildDomTree xpath ("html/body/div[2]") from a document or shadow root.
+ * Walks children by tag name instead of document.evaluate, which cannot enter
+ * shadow roots and does not match SVG elements by plain name.
+ *
+ * @param {Document | ShadowRoot | Element} root - Where the xpath starts.
+ * @param {string} xpath - The xpath from buildDomTree.
+ * @returns {Element | null} The element, or null if the path no longer exists.
+ */
+window.walkDomTreeXPath = (root, xpath) => {
+  let current = root;
+  for (const segment of String(xpath || '').split('/').filter(Boolean)) {
+    const match = segment.match(/^([^[]+)(?:\[(\d+)\])?$/);
+    if (!match || !current) return null;
+
+    const [, tagName, position] = match;
+    const siblings = Array.from(current.children || []).filter(child => child.nodeName.toLowerCase() === tagName);
+    current = siblings[position ? parseInt(position, 10) - 1 : 0] || null;
+  }
+  return current === root ? null : current;
+};
+
+/**
+ * Resolves the document or shadow root a node lives in from its frame path.
+ * Only same-origin iframes and open shadow roots can be entered.
+ *
+ * @param {Array<{type: string, xpath: string}>} framePath - Hops from the top document.
+ * @returns {Document | ShadowRoot | null} The root, or null if a hop cannot be entered.
+ */
+window.resolveDomTreeRoot = (framePath = []) => {
+  let root = document;
+  for (const hop of framePath || []) {
+    const host = window.walkDomTreeXPath(root, hop.xpath);
+    if (!host) return null;
+
+    try {
+      root = hop.type === 'iframe' ? host.contentDocument : host.shadowRoot;
+    } catch (e) {
+      return null;
+    }
+    if (!root) return null;
+  }
+  return root;
+};
+
+/**
+ * Finds the live element for a highlight index, inside iframes and shadow roots too.
+ *
+ * @param {number} index - The highlight index from the page state.
+ * @returns {{ element: Element | null, node: object | null }} The element and its tree node.
+ */
+window.findDomTreeElement = (index) => {
+  const treeResult = window.buildDomTree({
+    showHighlightElements: false,
+    startHighlightIndex: 0,
+    startId: 0,
+  });
+  const node = Object.values(treeResult?.map || {}).find(n => n.highlightIndex === index) || null;
+  if (!node) return { element: null, node: null };
+
+  const root = window.resolveDomTreeRoot(node.framePath);
+  if (!root) return { element: null, node };
+
+  let element = window.walkDomTreeXPath(root, node.xpath);
+
+  // Fall back to a selector built from id or classes, scoped to the same root
+  if (!element && node.attributes) {
+    let selector = node.tagName || '';
+    if (node.attributes.id) {
+      selector += `#${CSS.escape(node.attributes.id)}`;
+    } else if (node.attributes.class) {
+      const classes = node.attributes.class.trim().split(/\s+/).slice(0, 2).map(name => CSS.escape(name)).join('.');
+      if (classes) selector += `.${classes}`;
+    }
+    try {
+      element = selector ? root.querySelector(selector) : null;
+    } catch (e) {
+      element = null;
+    }
+  }
+
+  return { element, node };
+};
+
+/**
+ * Finds the element an action targets: highlight index first, then xpath, then CSS selector.
+ *
+ * @param {{index?: number, xpath?: string, framePath?: Array, selector?: string}} target - Action params.
+ * @returns {Element | null} The element, or null if nothing matches.
+ */
+window.findDomTreeTarget = (target = {}) => {
+  if (target.index !== undefined && target.index !== null) {
+    return window.findDomTreeElement(target.index).element;
+  }
+  if (target.xpath) {
+    return target.framePath
+      ? window.walkDomTreeXPath(window.resolveDomTreeRoot(target.framePath), target.xpath)
+      : document.evaluate(target.xpath, document, null, XPathResult.FIRST_ORDERED_NODE_TYPE, null).singleNodeValue;
+  }
+  if (target.selector) {
+    return document.querySelector(target.selector);
+  }
+  return null;
+};
+
+/**
+ * Starts watching for any reaction to the input an action is about to dispatch:
+ * DOM mutations (in the target's own frame and shadow root too), a URL change, or
+ * a change of the target's value, checked or ARIA state. A page that ignores
+ * synthetic events (isTrusted checks) shows none of these.
+ *
+ * @param {object} target - Action params; without a target the focused element is watched.
+ * @returns {boolean} Whether the watch started.
+ */
+window.startDomTreeEffectWatch = (target = {}) => {
+  window.__omnibrowseEffectWatch?.observer.disconnect();
+  window.__omnibrowseEffectWatch = null;
+
+  const hasTarget = (target.index !== undefined && target.index !== null) || target.xpath || target.selector;
+  const element = hasTarget ? window.findDomTreeTarget(target) : document.activeElement;
+  if (!element) return false;
+
+  const stateOf = () => [
+    window.location.href,
+    element.isConnected,
+    element.value,
+    element.checked,
+    ...['aria-expanded', 'aria-pressed', 'aria-selected', 'aria-checked'].map(name => element.getAttribute?.(name))
+  ].join('|');
+
+  const watch = { element, stateOf, before: stateOf(), mutated: false };
+  watch.observer = new MutationObserver(() => {
+    watch.mutated = true;
+  });
+  new Set([document, element.ownerDocument, element.getRootNode()]).forEach(root => {
+    watch.observer.observe(root, { childList: true, subtree: true, attributes: true, characterData: true });
+  });
+  window.__omnibrowseEffectWatch = watch;
+  return true;
+};
+
+/**
+ * Ends the watch from startDomTreeEffectWatch and reports whether the page reacted.
+ *
+ * @param {{expectText?: string}} options - With expectText, whether the target now holds that text instead.
+ * @returns {boolean | null} True when the page reacted, null when no watch was running.
+ */
+window.finishDomTreeEffectWatch = ({ expectText } = {}) => {
+  const watch = window.__omnibrowseEffectWatch;
+  window.__omnibrowseEffectWatch = null;
+  if (!watch) return null;
+  watch.observer.disconnect();
+
+  if (typeof expectText === 'string') {
+    const { element } = watch;
+    // Selects are matched by label as well as value, so their value says nothing here
+    if (element.tagName === 'SELECT') return true;
+    const current = 'value' in element ? element.value : element.textContent;
+    return String(current ?? '').trim() === expectText.trim();
+  }
+  return watch.mutated || watch.stateOf() !== watch.before;
+};
+
+/**
+ * Scrolls a window or element by a delta over a duration with ease-in-out
+ * speed, the way a wheel or trackpad gesture speeds up and slows down.
+ * Steps on timers rather than animation frames, which background tabs pause.
+ *
+ * @param {Window | Element} scroller - What to scroll.
+ * @param {{top?: number, left?: number}} delta - Pixels to scroll.
+ * @param {number} duration - How long the scroll takes in milliseconds.
+ * @returns {Promise<void>} Resolves once the scroll is done.
+ */
+window.easeDomTreeScroll = (scroller, delta, duration) => new Promise((resolve) => {
+  const ease = (t) => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2);
+  const start = performance.now();
+  let appliedTop = 0;
+  let appliedLeft = 0;
+
+  const step = () => {
+    const progress = duration > 0 ? Math.min(1, (performance.now() - start) / duration) : 1;
+    const top = Math.round((delta.top || 0) * ease(progress));
+    const left = Math.round((delta.left || 0) * ease(progress));
+    scroller.scrollBy({ top: top - appliedTop, left: left - appliedLeft, behavior: 'instant' });
+    appliedTop = top;
+    appliedLeft = left;
+    if (progress < 1) setTimeout(step, 16);
+    else resolve();
+  };
+  step();
+});
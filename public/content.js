@@ -123,7 +123,7 @@
     return popup;
   }
 
-  function createSigninPopup() {
+  function createSigninPopup(vault) {
     // Remove existing popup if any
     removeSigninPopup();
 
@@ -196,9 +196,56 @@
     content.appendChild(subtitle);
     popup.appendChild(content);
 
+    if (vault && vault.available) {
+      addSavedLoginButton(popup, content, subtitle, vault);
+    }
+
     return popup;
   }
 
+  // Saved login from the credential vault - the user approves every use with a real click
+  function addSavedLoginButton(popup, content, subtitle, vault) {
+    popup.style.pointerEvents = 'auto';
+    popup.style.maxWidth = '240px';
+    subtitle.style.whiteSpace = 'normal';
+    subtitle.textContent = vault.locked
+      ? 'Saved login found - unlock the vault in the panel'
+      : 'A saved login is available for this site';
+
+    const button = document.createElement('button');
+    button.textContent = '🔑 Use saved login';
+    button.style.cssText = `
+      margin-top: 4px;
+      padding: 6px 12px;
+      border-radius: 6px;
+      border: 1px solid #ff6b35;
+      background: rgba(255, 107, 53, 0.2);
+      color: white;
+      font-size: 12px;
+      font-weight: 600;
+      cursor: pointer;
+    `;
+
+    button.addEventListener('click', (event) => {
+      // Ignore clicks synthesized by the page itself
+      if (!event.isTrusted) return;
+
+      button.disabled = true;
+      button.textContent = 'Filling...';
+      chrome.runtime.sendMessage({ action: 'VAULT_FILL_SIGNIN' }, (response) => {
+        if (response && response.success) {
+          removeSigninPopup();
+        } else {
+          button.disabled = false;
+          button.textContent = '🔑 Use saved login';
+          subtitle.textContent = (response && response.error) || 'Could not fill the saved login';
+        }
+      });
+    });
+
+    content.appendChild(button);
+  }
+
   function createApprovalPopup() {
     // Remove existing popup if any
     removeApprovalPopup();
@@ -301,11 +348,11 @@
     }, 300);
   }
 
-  function showSigninPopup() {
+  function showSigninPopup(vault) {
     if (isSigninActive) return; // Already showing
     
     console.log('🔐 Showing Sign In popup');
-    signinPopup = createSigninPopup();
+    signinPopup = createSigninPopup(vault);
     document.body.appendChild(signinPopup);
     isSigninActive = true;
     
@@ -379,6 +426,217 @@
     }
   }
 
+  // Page activity observer - DOM mutations, network idle and dialogs reported to the
+  // background as events while a task runs, so the agent waits on real signals
+  const INTERACTIVE_SELECTOR = 'a[href], button, input, select, textarea, [role="button"], [role="link"], [role="menuitem"], [role="option"], [role="tab"], [role="checkbox"], [onclick], [contenteditable="true"]';
+  const DIALOG_SELECTOR = 'dialog[open], [role="dialog"], [role="alertdialog"], [aria-modal="true"], [role="menu"], [role="listbox"]';
+  const OWN_ELEMENT_SELECTOR = '[id^="ai-agent-"], [id^="omnibrowse-"], #playwright-highlight-container';
+  const MUTATION_REPORT_MS = 250;
+  const SCROLL_REPORT_MS = 250;
+  const NETWORK_IDLE_MS = 500;
+  // Long-polling and analytics beacons never finish; a couple of open requests still counts as idle
+  const NETWORK_IDLE_MAX_REQUESTS = 2;
+
+  let reportingActivity = false;
+  let pendingMutations = 0;
+  let pendingInteractiveChanges = 0;
+  let mutationReportTimer = null;
+  let scrollReportTimer = null;
+  let pendingRequests = 0;
+  let networkBusy = false;
+  let networkIdleTimer = null;
+  // Random event name of the page-world hooks the background injected into this document
+  let activityEventName = null;
+  const openDialogs = new Set();
+
+  function sendPageEvent(event) {
+    if (!reportingActivity) return;
+    try {
+      chrome.runtime.sendMessage({ action: 'PAGE_EVENT', event: { ...event, url: window.location.href } }, () => {
+        void chrome.runtime.lastError;
+      });
+    } catch (e) {
+      // The extension was reloaded and this page still runs the old content script
+    }
+  }
+
+  function isOwnElement(node) {
+    return node.nodeType === Node.ELEMENT_NODE && !!node.closest(OWN_ELEMENT_SELECTOR);
+  }
+
+  function isShown(element) {
+    if (!element.isConnected || element.getClientRects().length === 0) return false;
+    if (element.getAttribute('aria-hidden') === 'true') return false;
+    const style = window.getComputedStyle(element);
+    return style.visibility !== 'hidden' && style.display !== 'none';
+  }
+
+  function describeDialog(element) {
+    const kind = element.tagName === 'DIALOG' ? 'dialog' : (element.getAttribute('role') || 'dialog');
+    const label = element.getAttribute('aria-label') ||
+      document.getElementById(element.getAttribute('aria-labelledby') || '')?.textContent ||
+      element.querySelector('h1, h2, h3, [role="heading"]')?.textContent ||
+      '';
+    return { kind, label: label.trim().substring(0, 100) };
+  }
+
+  function countInteractive(node) {
+    if (node.nodeType !== Node.ELEMENT_NODE) return 0;
+    return (node.matches(INTERACTIVE_SELECTOR) ? 1 : 0) + node.querySelectorAll(INTERACTIVE_SELECTOR).length;
+  }
+
+  // Dialogs can appear by insertion or by attribute/class changes on an existing element
+  function checkDialogs(candidates) {
+    candidates.forEach(element => {
+      const shown = isShown(element);
+      if (shown && !openDialogs.has(element)) {
+        openDialogs.add(element);
+        sendPageEvent({ type: 'dialog', ...describeDialog(element) });
+      }
+    });
+
+    openDialogs.forEach(element => {
+      if (!isShown(element)) {
+        openDialogs.delete(element);
+        sendPageEvent({ type: 'dialog_closed', ...describeDialog(element) });
+      }
+    });
+  }
+
+  function flushMutations() {
+    mutationReportTimer = null;
+    if (pendingMutations === 0) return;
+    sendPageEvent({ type: 'dom_mutation', mutations: pendingMutations, interactiveChanges: pendingInteractiveChanges });
+    pendingMutations = 0;
+    pendingInteractiveChanges = 0;
+  }
+
+  const mutationObserver = new MutationObserver((records) => {
+    if (!reportingActivity) return;
+
+    const dialogCandidates = new Set();
+    records.forEach(record => {
+      if (isOwnElement(record.target)) return;
+
+      if (record.type === 'childList') {
+        record.addedNodes.forEach(node => {
+          if (isOwnElement(node)) return;
+          pendingInteractiveChanges += countInteractive(node);
+          if (node.nodeType === Node.ELEMENT_NODE) {
+            if (node.matches(DIALOG_SELECTOR)) dialogCandidates.add(node);
+            node.querySelectorAll(DIALOG_SELECTOR).forEach(dialog => dialogCandidates.add(dialog));
+          }
+        });
+        record.removedNodes.forEach(node => {
+          if (!isOwnElement(node)) pendingInteractiveChanges += countInteractive(node);
+        });
+      } else if (record.type === 'attributes') {
+        // Style and class churn from animations only matters on dialog-like elements
+        const onDialog = record.target.matches(DIALOG_SELECTOR);
+        if (['style', 'class'].includes(record.attributeName) && !onDialog) return;
+        if (onDialog) dialogCandidates.add(record.target);
+      }
+      pendingMutations++;
+    });
+
+    checkDialogs(dialogCandidates);
+    if (pendingMutations > 0 && !mutationReportTimer) {
+      mutationReportTimer = setTimeout(flushMutations, MUTATION_REPORT_MS);
+    }
+  });
+
+  // Scrolling changes what is in view without touching the DOM
+  window.addEventListener('scroll', () => {
+    if (!reportingActivity || scrollReportTimer) return;
+    scrollReportTimer = setTimeout(() => {
+      scrollReportTimer = null;
+      sendPageEvent({ type: 'scroll', scrollY: Math.round(window.scrollY) });
+    }, SCROLL_REPORT_MS);
+  }, { passive: true, capture: true });
+
+  function updateNetwork(pending) {
+    pendingRequests = pending;
+    clearTimeout(networkIdleTimer);
+
+    if (pendingRequests > NETWORK_IDLE_MAX_REQUESTS) {
+      if (!networkBusy) {
+        networkBusy = true;
+        sendPageEvent({ type: 'network_busy', pending: pendingRequests });
+      }
+      return;
+    }
+
+    // Idle only once the request count stays low for a moment
+    if (networkBusy) {
+      networkIdleTimer = setTimeout(() => {
+        networkBusy = false;
+        sendPageEvent({ type: 'network_idle', pending: pendingRequests });
+      }, NETWORK_IDLE_MS);
+    }
+  }
+
+  // Reports from pageActivity.js, which runs in the page's own world
+  function handleHookReport(event) {
+    let detail;
+    try {
+      detail = JSON.parse(event.detail);
+    } catch (e) {
+      return;
+    }
+
+    if (detail.type === 'network') {
+      updateNetwork(detail.pending);
+    } else if (detail.type === 'dialog') {
+      sendPageEvent({ type: 'dialog', kind: detail.kind, label: detail.label, native: true });
+    }
+  }
+
+  // Returns true when the background still has to inject the hooks under this name
+  function listenToPageHooks(eventName) {
+    if (activityEventName) return false;
+    activityEventName = eventName;
+    document.addEventListener(activityEventName, handleHookReport);
+    return true;
+  }
+
+  // The page gets its own fetch, XHR and dialog functions back
+  function removePageHooks() {
+    if (!activityEventName) return;
+    document.removeEventListener(activityEventName, handleHookReport);
+    document.dispatchEvent(new CustomEvent(`${activityEventName}_stop`));
+    activityEventName = null;
+    pendingRequests = 0;
+    networkBusy = false;
+    clearTimeout(networkIdleTimer);
+  }
+
+  function setActivityReporting(enabled) {
+    if (enabled === reportingActivity) return;
+    reportingActivity = enabled;
+
+    if (!enabled) {
+      mutationObserver.disconnect();
+      clearTimeout(mutationReportTimer);
+      mutationReportTimer = null;
+      pendingMutations = 0;
+      pendingInteractiveChanges = 0;
+      removePageHooks();
+      return;
+    }
+
+    mutationObserver.observe(document.documentElement, {
+      childList: true,
+      subtree: true,
+      characterData: true,
+      attributes: true,
+      attributeFilter: ['open', 'hidden', 'aria-hidden', 'aria-expanded', 'aria-modal', 'disabled', 'style', 'class']
+    });
+    document.querySelectorAll(DIALOG_SELECTOR).forEach(dialog => {
+      if (isShown(dialog)) openDialogs.add(dialog);
+    });
+    sendPageEvent({ type: 'snapshot', networkBusy, readyState: document.readyState });
+  }
+
   // Listen for storage changes to show/hide popup
   chrome.storage.onChanged.addListener((changes, namespace) => {
     if (namespace === 'local') {
@@ -388,6 +646,7 @@
         } else if (changes.isExecuting.newValue === false) {
           removeAgentPopup();
         }
+        setActivityReporting(changes.isExecuting.newValue === true);
       }
     }
   });
@@ -396,6 +655,7 @@
   chrome.storage.local.get(['isExecuting'], (result) => {
     if (result.isExecuting === true) {
       showAgentPopup();
+      setActivityReporting(true);
     }
   });
 
@@ -423,7 +683,7 @@
         
       case '__agent_show_signin_popup':
         console.log('🔐 Showing signin popup via message');
-        showSigninPopup();
+        showSigninPopup(msg.vault);
         sendResponse({ success: true });
         return true;
         
@@ -444,6 +704,15 @@
         removeApprovalPopup();
         sendResponse({ success: true });
         return true;
+
+      case '__agent_page_hooks':
+        sendResponse({ install: listenToPageHooks(msg.eventName) });
+        return true;
+
+      case '__agent_remove_page_hooks':
+        removePageHooks();
+        sendResponse({ success: true });
+        return true;
         
       default:
         return false;
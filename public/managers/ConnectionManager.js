@@ -8,6 +8,13 @@ export class ConnectionManager {
     this.activeTask = null;
     this.lastSentMessageId = new Map();
     this.currentSessionId = null; // Track current session
+    this.listeners = new Set(); // Background observers of broadcast messages
+  }
+
+  // Observe broadcast messages from inside the background script; returns an unsubscribe function
+  addListener(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
   }
 
   async addConnection(connectionId, port) {
@@ -160,7 +167,25 @@ export class ConnectionManager {
     message.id = Date.now() + Math.random();
     message.sessionId = this.currentSessionId;
     message.timestamp = Date.now();
+
+    // Transient messages (e.g. streamed partial answers) go to open ports only and are never persisted
+    if (message.transient) {
+      this.connections.forEach((connection) => {
+        if (connection.connected) {
+          this.safePortMessage(connection.port, message);
+        }
+      });
+      return;
+    }
     
+    this.listeners.forEach((listener) => {
+      try {
+        listener(message);
+      } catch (error) {
+        console.error('Broadcast listener failed:', error);
+      }
+    });
+
     console.log('📤 ConnectionManager.broadcast called with:', {
       type: message.type,
       pause_reason: message.pause_reason,
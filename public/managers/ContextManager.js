@@ -3,35 +3,134 @@
 export class ContextManager {
   constructor() {
     this.activeTabId = null;
+    // Tabs owned by the running task: tabId -> { tabId, label, openedByAgent, url, title }
+    this.taskTabs = new Map();
+    // Window of a task that runs next to another one; null means the task follows the user's window
+    this.windowId = null;
   }
 
+  // Give the task its own window so it never touches the tab the user (or another task) is on
+  async openDedicatedWindow(url = 'about:blank') {
+    const window = await chrome.windows.create({ url, focused: false });
+    const tab = window.tabs[0];
+    this.windowId = window.id;
+    this.activeTabId = tab.id;
+    this.registerTaskTab(tab, 'start', true);
+    return tab;
+  }
+
+  resetTaskTabs() {
+    this.taskTabs.clear();
+  }
+
+  // The tab a task starts on belongs to it too, but the agent never closes it
+  async adoptActiveTab(label = 'start') {
+    const tab = await this.getCurrentActiveTab();
+    if (tab?.id) {
+      this.registerTaskTab(tab, label, false);
+      this.activeTabId = tab.id;
+    }
+    return tab;
+  }
+
+  registerTaskTab(tab, label, openedByAgent = true) {
+    const existing = this.taskTabs.get(tab.id);
+    this.taskTabs.set(tab.id, {
+      tabId: tab.id,
+      label: label || existing?.label || `tab-${this.taskTabs.size + 1}`,
+      openedByAgent: existing ? existing.openedByAgent : openedByAgent,
+      url: tab.url || tab.pendingUrl || '',
+      title: tab.title || ''
+    });
+  }
+
+  // Find a task tab by id or label; tabs outside the task are never returned
+  findTaskTab({ tabId, label } = {}) {
+    const id = Number(tabId);
+    if (Number.isFinite(id) && this.taskTabs.has(id)) {
+      return this.taskTabs.get(id);
+    }
+    if (label) {
+      const wanted = String(label).toLowerCase();
+      return Array.from(this.taskTabs.values()).find(tab => tab.label.toLowerCase() === wanted) || null;
+    }
+    return null;
+  }
+
+  async activateTab(tabId) {
+    const tab = await chrome.tabs.update(tabId, { active: true });
+    try {
+      // A dedicated window stays in the background
+      if (!this.windowId) {
+        await chrome.windows.update(tab.windowId, { focused: true });
+      }
+    } catch (e) {
+      console.log('Could not focus tab window', e);
+    }
+    this.activeTabId = tabId;
+    return tab;
+  }
+
+  // Refresh url/title and forget tabs the user closed
+  async refreshTaskTabs() {
+    for (const tabId of Array.from(this.taskTabs.keys())) {
+      try {
+        const tab = await chrome.tabs.get(tabId);
+        this.registerTaskTab(tab);
+      } catch (e) {
+        this.taskTabs.delete(tabId);
+      }
+    }
+    return this.listTaskTabs();
+  }
+
+  listTaskTabs() {
+    return Array.from(this.taskTabs.values()).map(tab => ({
+      ...tab,
+      active: tab.tabId === this.activeTabId
+    }));
+  }
+
+  // Resolves on the tab's own load event rather than polling its status
   async waitForReady(tabId, timeout = 10000) {
     return new Promise((resolve) => {
-      const startTime = Date.now();
+      let timer = null;
 
-      const checkReady = () => {
-        if (Date.now() - startTime > timeout) {
-          resolve({ id: tabId, status: 'timeout' });
-          return;
-        }
+      const finish = (result) => {
+        clearTimeout(timer);
+        chrome.tabs.onUpdated.removeListener(onUpdated);
+        resolve(result);
+      };
 
-        chrome.tabs.get(tabId, (tab) => {
-          if (chrome.runtime.lastError || !tab) {
-            setTimeout(checkReady, 500);
-          } else if (tab.status === 'complete') {
-            resolve(tab);
-          } else {
-            setTimeout(checkReady, 500);
-          }
-        });
+      const onUpdated = (updatedTabId, changeInfo, tab) => {
+        if (updatedTabId === tabId && changeInfo.status === 'complete') finish(tab);
       };
 
-      checkReady();
+      chrome.tabs.onUpdated.addListener(onUpdated);
+      timer = setTimeout(() => finish({ id: tabId, status: 'timeout' }), timeout);
+
+      // Already loaded before the listener was attached
+      chrome.tabs.get(tabId, (tab) => {
+        if (!chrome.runtime.lastError && tab?.status === 'complete') finish(tab);
+      });
     });
   }
 
   async getCurrentActiveTab() {
     try {
+      // A task in its own window acts on its tracked tab, wherever the user's focus is
+      if (this.windowId && this.activeTabId) {
+        try {
+          return await chrome.tabs.get(this.activeTabId);
+        } catch (e) {
+          const [tab] = await chrome.tabs.query({ active: true, windowId: this.windowId });
+          if (tab) {
+            this.activeTabId = tab.id;
+            return tab;
+          }
+        }
+      }
+
       // Try lastFocusedWindow first (more reliable from background scripts)
       const tabs = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
       if (tabs && tabs.length > 0) return tabs[0];
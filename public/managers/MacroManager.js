@@ -0,0 +1,215 @@
+/* global chrome */
+import { cryptoService } from '../services/CryptoService.js';
+import { RedactionService } from '../services/RedactionService.js';
+
+// Attributes that usually survive re-renders and identify the same element across visits
+const STABLE_ATTRIBUTES = ['id', 'name', 'type', 'role', 'aria-label', 'placeholder', 'data-testid', 'href', 'title'];
+
+// Actions that do not change the page and are not worth replaying
+const SKIPPED_ACTIONS = ['complete', 'wait'];
+
+export class MacroManager {
+  constructor() {
+    this.storageKey = 'savedMacros';
+    this.recentRuns = new Map();
+    this.maxRecentRuns = 10;
+  }
+
+  // Compact description of the element an action targeted, used to find it again on replay
+  static snapshotElement(element) {
+    if (!element) return null;
+
+    const attributes = {};
+    STABLE_ATTRIBUTES.forEach(name => {
+      if (element.attributes?.[name]) {
+        attributes[name] = element.attributes[name];
+      }
+    });
+
+    return {
+      index: element.index,
+      tagName: (element.tagName || '').toLowerCase(),
+      text: MacroManager.normalizeText(element.text || element.textContent),
+      xpath: element.xpath || '',
+      selector: element.selector || '',
+      attributes
+    };
+  }
+
+  static normalizeText(text) {
+    return (text || '').replace(/\s+/g, ' ').trim().toLowerCase().substring(0, 80);
+  }
+
+  static targetsElement(parameters = {}) {
+    return Number.isFinite(parameters.index) || !!parameters.selector || !!parameters.xpath;
+  }
+
+  // Turn successful execution history entries into replayable steps
+  static extractSteps(executionHistory = []) {
+    return executionHistory
+      .filter(entry => entry.success && entry.action && !SKIPPED_ACTIONS.includes(entry.action))
+      .map(entry => ({
+        action: entry.action,
+        parameters: { ...(entry.parameters || {}) },
+        target: entry.target || null,
+        dropTarget: entry.dropTarget || null,
+        url: entry.url || null
+      }));
+  }
+
+  // Score page elements against the recorded target; indices shift, so they only break ties
+  static findMatchingElement(target, elements = []) {
+    if (!target) return null;
+
+    let best = null;
+    let bestScore = 0;
+
+    for (const element of elements) {
+      if (!Number.isFinite(element.index)) continue;
+      if (target.tagName && (element.tagName || '').toLowerCase() !== target.tagName) continue;
+
+      let score = 0;
+      const attrs = element.attributes || {};
+
+      if (target.xpath && element.xpath === target.xpath) score += 5;
+      if (target.attributes.id && attrs.id === target.attributes.id) score += 6;
+
+      Object.entries(target.attributes).forEach(([name, value]) => {
+        if (name !== 'id' && attrs[name] === value) score += 3;
+      });
+
+      const text = MacroManager.normalizeText(element.text || element.textContent);
+      if (target.text && text) {
+        if (text === target.text) {
+          score += 4;
+        } else if (text.includes(target.text) || target.text.includes(text)) {
+          score += 2;
+        }
+      }
+
+      if (element.index === target.index) score += 1;
+
+      if (score > bestScore) {
+        best = element;
+        bestScore = score;
+      }
+    }
+
+    // Require more than a tag/index coincidence before trusting the match
+    return bestScore >= 4 ? best : null;
+  }
+
+  // Build the concrete action for a recorded step against the current page
+  static resolveStep(step, elements = []) {
+    const parameters = { ...step.parameters };
+
+    // Tab ids change between runs, labels do not
+    if (['switch_tab', 'close_tab'].includes(step.action) && parameters.label) {
+      delete parameters.tab_id;
+    }
+
+    if (!MacroManager.targetsElement(parameters)) {
+      return { name: step.action, parameters };
+    }
+
+    if (!step.target) {
+      // Recorded before snapshots existed - trust the original selector/xpath only
+      delete parameters.index;
+      return parameters.selector || parameters.xpath ? { name: step.action, parameters } : null;
+    }
+
+    const element = MacroManager.findMatchingElement(step.target, elements);
+    if (!element) return null;
+
+    // drag_and_drop also has to find where it dropped
+    if (parameters.target_index !== undefined) {
+      const dropElement = MacroManager.findMatchingElement(step.dropTarget, elements);
+      if (!dropElement) return null;
+      parameters.target_index = dropElement.index;
+    }
+
+    parameters.index = element.index;
+    delete parameters.selector;
+    delete parameters.xpath;
+
+    return { name: step.action, parameters };
+  }
+
+  // Recorded parameters hold redaction tokens - keep the values of the ones the steps use
+  static tokensForSteps(steps, redaction) {
+    if (!redaction || !RedactionService.hasTokens(steps)) return null;
+
+    const recorded = JSON.stringify(steps);
+    const { tokens, counters } = redaction.serialize();
+    return { tokens: tokens.filter(([token]) => recorded.includes(token)), counters };
+  }
+
+  // Keep finished runs in memory until the user decides whether to save them
+  rememberRun(runId, task, executionHistory, redaction = null) {
+    const steps = MacroManager.extractSteps(executionHistory);
+    if (steps.length === 0) return null;
+
+    const tokens = MacroManager.tokensForSteps(steps, redaction);
+    this.recentRuns.set(runId, { task, steps, tokens, completedAt: Date.now() });
+    if (this.recentRuns.size > this.maxRecentRuns) {
+      this.recentRuns.delete(this.recentRuns.keys().next().value);
+    }
+
+    return runId;
+  }
+
+  async getMacros() {
+    const result = await chrome.storage.local.get([this.storageKey]);
+    return result[this.storageKey] || [];
+  }
+
+  async getMacro(macroId) {
+    const macros = await this.getMacros();
+    return macros.find(macro => macro.id === macroId) || null;
+  }
+
+  async saveRun(runId, name) {
+    const run = this.recentRuns.get(runId);
+    if (!run) {
+      throw new Error('This run is no longer available to save. Run the task again and save it right after it finishes.');
+    }
+
+    const macro = {
+      id: Date.now().toString(),
+      name: (name || '').trim() || run.task.substring(0, 50),
+      task: run.task,
+      steps: run.steps,
+      // Token values stay secret at rest, like checkpoints - encrypted with the device key
+      redaction: run.tokens ? await cryptoService.encryptJSON(run.tokens) : null,
+      createdAt: Date.now(),
+      lastRunAt: null,
+      runCount: 0
+    };
+
+    const macros = await this.getMacros();
+    await chrome.storage.local.set({ [this.storageKey]: [macro, ...macros] });
+
+    console.log(`💾 Saved macro "${macro.name}" with ${macro.steps.length} steps`);
+    return macro;
+  }
+
+  // Load the macro's token map so replayed steps type the real values again
+  async restoreRedaction(macro, redaction) {
+    if (macro.redaction) {
+      redaction.load(await cryptoService.decryptJSON(macro.redaction));
+    } else {
+      redaction.reset();
+    }
+  }
+
+  async markRun(macroId) {
+    const macros = await this.getMacros();
+    const updated = macros.map(macro => macro.id === macroId
+      ? { ...macro, lastRunAt: Date.now(), runCount: (macro.runCount || 0) + 1 }
+      : macro);
+    await chrome.storage.local.set({ [this.storageKey]: updated });
+  }
+}
+
+// Shared instance so unsaved runs survive executor re-creation on config changes
+export const macroManager = new MacroManager();
@@ -83,6 +83,25 @@ export class MemoryManager {
       this.currentTaskState = null;
     }
   
+    // Plain snapshot for task checkpoints
+    toJSON() {
+      return {
+        messages: this.messages,
+        proceduralSummaries: this.proceduralSummaries,
+        stepCounter: this.stepCounter,
+        taskHistory: this.taskHistory,
+        currentTaskState: this.currentTaskState
+      };
+    }
+  
+    restore(snapshot = {}) {
+      this.messages = snapshot.messages || [];
+      this.proceduralSummaries = snapshot.proceduralSummaries || [];
+      this.stepCounter = snapshot.stepCounter || 0;
+      this.taskHistory = snapshot.taskHistory || [];
+      this.currentTaskState = snapshot.currentTaskState || null;
+    }
+  
     setCurrentTask(task) {
       this.currentTaskState = {
         originalTask: task,
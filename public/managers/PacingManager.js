@@ -0,0 +1,190 @@
+import { PolicyManager } from './PolicyManager.js';
+
+// Delay ranges in ms. thinkTime is the pause before an action, mouseMs the time a
+// pointer path takes over ~500px, holdMs how long a button or key stays down.
+const PACING_PROFILES = {
+  fast: { keystroke: [20, 70], wordPause: [30, 120], thinkTime: [250, 800], mouseMs: [150, 350], holdMs: [30, 70], scrollMs: [250, 450] },
+  natural: { keystroke: [45, 150], wordPause: [80, 320], thinkTime: [700, 2200], mouseMs: [250, 700], holdMs: [50, 120], scrollMs: [400, 900] },
+  careful: { keystroke: [70, 220], wordPause: [150, 600], thinkTime: [1800, 5000], mouseMs: [400, 1100], holdMs: [70, 160], scrollMs: [600, 1400] }
+};
+const PROFILE_NAMES = ['off', ...Object.keys(PACING_PROFILES)];
+// Share of keystrokes followed by a longer hesitation
+const HESITATION_RATE = 0.04;
+const MOUSE_FRAME_MS = 16;
+
+/**
+ * Pacing Manager - human-like timing for the actions a task runs
+ * Randomized keystroke delays, curved mouse paths, eased scrolling and think time
+ * between actions, with a profile per site. Each action's timing is recorded so
+ * it can be shown in the execution log.
+ */
+export class PacingManager {
+  constructor(config = {}) {
+    // humanDelay switches the default profile; per-site rules always apply
+    const defaultProfile = PACING_PROFILES[config.pacingProfile] ? config.pacingProfile : 'natural';
+    this.defaultProfile = config.humanDelay === false ? 'off' : defaultProfile;
+    this.domainRules = PacingManager.parseDomainRules(config.domainPacingRules);
+    // tabId -> last pointer position in viewport coordinates
+    this.pointers = new Map();
+    this.report = null;
+  }
+
+  // One rule per line: "instagram.com: careful"
+  static parseDomainRules(lines = []) {
+    return (Array.isArray(lines) ? lines : String(lines).split('\n'))
+      .map(line => {
+        const [domain, profile = ''] = String(line).split(':');
+        return { domain: PolicyManager.normalizeDomain(domain), profile: profile.trim().toLowerCase() };
+      })
+      .filter(rule => rule.domain && PROFILE_NAMES.includes(rule.profile));
+  }
+
+  // Roughly bell-shaped: the mean of two uniform draws
+  static between([min, max]) {
+    return Math.round(min + (Math.random() + Math.random()) / 2 * (max - min));
+  }
+
+  static pause(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  // Short summary of a batch's pacing reports, e.g. "natural pacing: 4.2s think time, 38 keystrokes"
+  static summarize(reports = []) {
+    const paced = reports.filter(Boolean);
+    if (paced.length === 0) return '';
+    const total = (field) => paced.reduce((sum, report) => sum + (report[field] || 0), 0);
+    const profiles = [...new Set(paced.map(report => report.profile))].join('/');
+    const parts = [
+      total('thinkMs') > 0 ? `${(total('thinkMs') / 1000).toFixed(1)}s think time` : '',
+      total('keystrokes') > 0 ? `${total('keystrokes')} keystrokes` : '',
+      total('mousePaths') > 0 ? `${total('mousePaths')} mouse paths` : '',
+      total('scrolls') > 0 ? `${total('scrolls')} eased scrolls` : ''
+    ].filter(Boolean);
+    return `${profiles} pacing${parts.length > 0 ? `: ${parts.join(', ')}` : ''}`;
+  }
+
+  // Most specific site rule wins, like the site policy's action rules
+  profileFor(url) {
+    const hostname = PolicyManager.getHostname(url);
+    const rule = hostname
+      ? this.domainRules
+        .filter(candidate => PolicyManager.matchesDomain(hostname, candidate.domain))
+        .sort((a, b) => b.domain.length - a.domain.length)[0]
+      : null;
+    return rule ? rule.profile : this.defaultProfile;
+  }
+
+  // Start recording the timing of one action
+  beginAction(url) {
+    const profile = this.profileFor(url);
+    this.report = profile === 'off'
+      ? null
+      : { profile, thinkMs: 0, keystrokes: 0, typingMs: 0, mousePaths: 0, mouseMs: 0, scrolls: 0, scrollMs: 0 };
+  }
+
+  // The finished report, or null when the action ran unpaced
+  endAction() {
+    const report = this.report;
+    this.report = null;
+    return report;
+  }
+
+  record(field, ms, countField = null) {
+    if (!this.report) return;
+    this.report[field] += ms;
+    if (countField) this.report[countField] += 1;
+  }
+
+  // Pause before the action begins; returns the time waited
+  async think() {
+    const profile = PACING_PROFILES[this.report?.profile];
+    if (!profile) return 0;
+    const ms = PacingManager.between(profile.thinkTime);
+    console.log(`💭 Thinking for ${ms}ms before the next action`);
+    await PacingManager.pause(ms);
+    this.record('thinkMs', ms);
+    return ms;
+  }
+
+  /**
+   * Timing helpers for input on one page, or null when pacing is off there.
+   * keystrokeDelays(text) - pause after each character
+   * mousePath(to, viewport) - points ({ x, y, delay }) from the last pointer position to a target
+   * holdMs() - how long a button or key stays pressed
+   * scrollMs() - duration for an eased scroll; recordScroll(ms) once one happened
+   */
+  forPage(tabId, url) {
+    const name = this.report?.profile || this.profileFor(url);
+    const profile = PACING_PROFILES[name];
+    if (!profile) return null;
+
+    return {
+      profile: name,
+
+      keystrokeDelays: (text) => {
+        const chars = Array.from(String(text ?? ''));
+        const delays = chars.map((char, i) => {
+          if (i === chars.length - 1) return 0;
+          let ms = PacingManager.between(profile.keystroke);
+          // Word and sentence breaks, and the odd moment of hesitation
+          if (/[\s.,!?;:]/.test(char)) ms += PacingManager.between(profile.wordPause);
+          if (Math.random() < HESITATION_RATE) ms += PacingManager.between(profile.thinkTime) / 2;
+          return Math.round(ms);
+        });
+        if (this.report) {
+          this.report.keystrokes += chars.length;
+          this.report.typingMs += delays.reduce((sum, ms) => sum + ms, 0);
+        }
+        return delays;
+      },
+
+      mousePath: (to, viewport = {}) => {
+        const from = this.pointers.get(tabId) || {
+          // No known position yet: start somewhere near the lower middle of the page
+          x: Math.round((viewport.width || 1200) * (0.3 + Math.random() * 0.4)),
+          y: Math.round((viewport.height || 800) * (0.6 + Math.random() * 0.3))
+        };
+        const distance = Math.hypot(to.x - from.x, to.y - from.y);
+        // Longer moves take longer, but not proportionally (Fitts's law)
+        const duration = PacingManager.between(profile.mouseMs) * (0.5 + Math.min(distance / 500, 1.5) * 0.5);
+        const steps = Math.max(2, Math.min(60, Math.round(duration / MOUSE_FRAME_MS)));
+
+        // Cubic Bezier that bows to one side, with ease-in-out speed along it
+        const bow = (Math.random() < 0.5 ? -1 : 1) * distance * (0.05 + Math.random() * 0.2);
+        const normal = distance > 0 ? { x: -(to.y - from.y) / distance, y: (to.x - from.x) / distance } : { x: 0, y: 0 };
+        const control = (share, bend) => ({
+          x: from.x + (to.x - from.x) * share + normal.x * bow * bend,
+          y: from.y + (to.y - from.y) * share + normal.y * bow * bend
+        });
+        const c1 = control(0.3, 1);
+        const c2 = control(0.7, 0.6);
+        const ease = (t) => (t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2);
+
+        const path = [];
+        for (let step = 1; step <= steps; step++) {
+          const t = ease(step / steps);
+          const u = 1 - t;
+          const last = step === steps;
+          const x = u * u * u * from.x + 3 * u * u * t * c1.x + 3 * u * t * t * c2.x + t * t * t * to.x;
+          const y = u * u * u * from.y + 3 * u * u * t * c1.y + 3 * u * t * t * c2.y + t * t * t * to.y;
+          // A hand is never perfectly steady, except where it lands
+          path.push({
+            x: last ? to.x : Math.round(x + (Math.random() - 0.5) * 2),
+            y: last ? to.y : Math.round(y + (Math.random() - 0.5) * 2),
+            delay: last ? 0 : Math.round(duration / steps)
+          });
+        }
+
+        this.pointers.set(tabId, { x: to.x, y: to.y });
+        this.record('mouseMs', Math.round(duration), 'mousePaths');
+        return path;
+      },
+
+      holdMs: () => PacingManager.between(profile.holdMs),
+
+      scrollMs: () => PacingManager.between(profile.scrollMs),
+
+      recordScroll: (ms) => this.record('scrollMs', ms, 'scrolls')
+    };
+  }
+}
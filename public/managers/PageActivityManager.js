@@ -0,0 +1,194 @@
+/* global chrome */
+import { installPageActivityHooks } from '../pageActivity.js';
+
+// How long the DOM and network must stay quiet before a page counts as settled
+const QUIET_MS = 500;
+const DEFAULT_TIMEOUT_MS = 8000;
+const MAX_EVENTS_PER_TAB = 200;
+
+/**
+ * Page Activity Manager - readiness signals for the tabs a task works in
+ * Navigation comes from webNavigation; DOM mutations, network idle and dialogs
+ * are reported by the observer in content.js as PAGE_EVENT messages. Network and
+ * native dialogs need page-world hooks, which only a task's own tabs get.
+ */
+export class PageActivityManager {
+  constructor() {
+    this.tabs = new Map();
+    this.waiters = new Set();
+    this.listening = false;
+  }
+
+  // Register once at worker start so no navigation is missed
+  init() {
+    if (this.listening || typeof chrome === 'undefined' || !chrome.webNavigation) return;
+    this.listening = true;
+
+    chrome.webNavigation.onBeforeNavigate.addListener(({ tabId, frameId }) => {
+      if (frameId !== 0) return;
+      // A new document starts with no requests and no observer yet
+      this.record(tabId, { type: 'navigation' }, { navigating: true, networkBusy: false, observed: false });
+    });
+
+    chrome.webNavigation.onCompleted.addListener(({ tabId, frameId }) => {
+      if (frameId !== 0) return;
+      this.record(tabId, { type: 'navigation_complete' }, { navigating: false });
+    });
+
+    chrome.webNavigation.onErrorOccurred.addListener(({ tabId, frameId }) => {
+      if (frameId !== 0) return;
+      this.record(tabId, { type: 'navigation_complete', error: true }, { navigating: false });
+    });
+
+    // Client-side routing changes the page without a new document
+    chrome.webNavigation.onHistoryStateUpdated.addListener(({ tabId, frameId }) => {
+      if (frameId !== 0) return;
+      this.record(tabId, { type: 'navigation', spa: true }, {});
+    });
+
+    chrome.tabs.onRemoved.addListener((tabId) => {
+      this.record(tabId, { type: 'closed' }, { closed: true });
+      this.tabs.delete(tabId);
+    });
+  }
+
+  getTab(tabId) {
+    if (!this.tabs.has(tabId)) {
+      this.tabs.set(tabId, {
+        navigating: false,
+        networkBusy: false,
+        observed: false,
+        closed: false,
+        lastActivityAt: 0,
+        events: []
+      });
+    }
+    return this.tabs.get(tabId);
+  }
+
+  // Observer events from content.js (main frame only)
+  handlePageEvent(tabId, event = {}) {
+    if (!tabId || !event.type) return;
+
+    const changes = { observed: true };
+    if (event.type === 'network_busy') changes.networkBusy = true;
+    if (event.type === 'network_idle') changes.networkBusy = false;
+    if (event.type === 'snapshot') changes.networkBusy = !!event.networkBusy;
+    this.record(tabId, event, changes);
+  }
+
+  record(tabId, event, changes) {
+    const state = this.getTab(tabId);
+    Object.assign(state, changes);
+
+    // Background clock only, so "since" comparisons never mix clocks
+    const at = Date.now();
+    if (event.type !== 'network_idle' && event.type !== 'snapshot') {
+      state.lastActivityAt = at;
+    }
+    state.events.push({ ...event, at });
+    if (state.events.length > MAX_EVENTS_PER_TAB) {
+      state.events = state.events.slice(-MAX_EVENTS_PER_TAB);
+    }
+
+    this.waiters.forEach(waiter => {
+      if (waiter.tabId === tabId) waiter.check();
+    });
+  }
+
+  // Install the fetch/XHR/dialog hooks in the tab's current document, once per document.
+  // content.js keeps the random event name, so a page cannot fake or read its reports.
+  async attachPageHooks(tabId) {
+    const eventName = `__omnibrowse_${crypto.randomUUID().replace(/-/g, '')}`;
+    let response = null;
+    try {
+      response = await chrome.tabs.sendMessage(tabId, { type: '__agent_page_hooks', eventName }, { frameId: 0 });
+      if (!response?.install) return;
+
+      await chrome.scripting.executeScript({
+        target: { tabId, frameIds: [0] },
+        world: 'MAIN',
+        func: installPageActivityHooks,
+        args: [eventName]
+      });
+    } catch (error) {
+      // Browser pages and documents still loading have no content script to report to
+      if (response?.install) await this.detachPageHooks(tabId);
+    }
+  }
+
+  // Give the page its own functions back once the task is done with the tab
+  async detachPageHooks(tabId) {
+    try {
+      await chrome.tabs.sendMessage(tabId, { type: '__agent_remove_page_hooks' }, { frameId: 0 });
+    } catch (error) {
+      // Tab closed or navigated away - the hooks went with the document
+    }
+  }
+
+  // What happened in a tab since a point in time
+  getActivitySince(tabId, since) {
+    const state = this.getTab(tabId);
+    const events = state.events.filter(event => event.at >= since);
+    const sum = (field) => events.reduce((total, event) => total + (event[field] || 0), 0);
+
+    return {
+      observed: state.observed,
+      navigated: events.some(event => event.type === 'navigation'),
+      scrolled: events.some(event => event.type === 'scroll'),
+      mutations: sum('mutations'),
+      interactiveChanges: sum('interactiveChanges'),
+      dialogs: events
+        .filter(event => event.type === 'dialog')
+        .map(({ kind, label, native }) => ({ kind, label, native: !!native })),
+      dialogsClosed: events.filter(event => event.type === 'dialog_closed').length
+    };
+  }
+
+  /**
+   * Resolve once the tab has reacted to an action: no navigation in flight,
+   * network idle and no DOM mutation for quietMs - or as soon as a dialog opens.
+   * requireMutation keeps waiting until the DOM changes at all (client-rendered pages).
+   */
+  waitForSettle(tabId, { since = Date.now(), reportSince = since, quietMs = QUIET_MS, timeout = DEFAULT_TIMEOUT_MS, requireMutation = false } = {}) {
+    return new Promise((resolve) => {
+      const waiter = { tabId, check: null };
+      let quietTimer = null;
+      let timeoutTimer = null;
+
+      const finish = (reason) => {
+        clearTimeout(quietTimer);
+        clearTimeout(timeoutTimer);
+        this.waiters.delete(waiter);
+        resolve({
+          settled: reason !== 'timeout',
+          reason,
+          waitedMs: Date.now() - since,
+          ...this.getActivitySince(tabId, reportSince)
+        });
+      };
+
+      waiter.check = () => {
+        const state = this.getTab(tabId);
+        if (state.closed) return finish('closed');
+
+        const activity = this.getActivitySince(tabId, since);
+        if (activity.dialogs.length > 0) return finish('dialog');
+        if (requireMutation && activity.mutations === 0 && !activity.navigated) return;
+        // Still loading - the next event calls check again
+        if (state.navigating || state.networkBusy) return;
+
+        const remaining = Math.max(since, state.lastActivityAt) + quietMs - Date.now();
+        clearTimeout(quietTimer);
+        if (remaining <= 0) return finish('quiet');
+        quietTimer = setTimeout(waiter.check, remaining);
+      };
+
+      timeoutTimer = setTimeout(() => finish('timeout'), timeout);
+      this.waiters.add(waiter);
+      waiter.check();
+    });
+  }
+}
+
+export const pageActivityManager = new PageActivityManager();
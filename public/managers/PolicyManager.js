@@ -0,0 +1,175 @@
+// Actions that never touch page content and stay allowed everywhere
+const NEUTRAL_ACTIONS = ['complete', 'wait', 'list_tabs', 'switch_tab', 'close_tab'];
+// Actions whose target domain is the url parameter, not the current page
+const NAVIGATION_ACTIONS = ['navigate', 'open_tab'];
+const DEFAULT_APPROVAL_PATTERN = 'buy|pay|place order';
+// Actions that activate an element the approval pattern matches, and how the reason describes them
+const APPROVAL_ACTIONS = {
+  click: 'Clicking',
+  double_click: 'Double-clicking',
+  context_click: 'Right-clicking',
+  drag_and_drop: 'Dragging'
+};
+// Enter and Space activate a focused button just like a click
+const ACTIVATION_KEYS = ['enter', 'return', 'space', 'spacebar'];
+
+export class PolicyManager {
+  constructor(config = {}) {
+    // safeMode switches the built-in safety rules; domain lists always apply
+    this.safeMode = config.safeMode !== false;
+    this.allowedDomains = PolicyManager.normalizeDomains(config.allowedDomains);
+    this.blockedDomains = PolicyManager.normalizeDomains(config.blockedDomains);
+    this.domainActionRules = PolicyManager.parseActionRules(config.domainActionRules);
+    this.blockPasswordTyping = config.blockPasswordTyping !== false;
+    this.approvalPattern = PolicyManager.buildPattern(config.approvalPattern ?? DEFAULT_APPROVAL_PATTERN);
+  }
+
+  // "https://www.Example.com/path" and "*.example.com" both become "example.com"
+  static normalizeDomain(value) {
+    return String(value || '')
+      .trim()
+      .toLowerCase()
+      .replace(/^[a-z]+:\/\//, '')
+      .replace(/^\*\./, '')
+      .replace(/^www\./, '')
+      .split(/[/:?#]/)[0];
+  }
+
+  static normalizeDomains(list = []) {
+    return (Array.isArray(list) ? list : String(list).split(/[\n,]/))
+      .map(PolicyManager.normalizeDomain)
+      .filter(Boolean);
+  }
+
+  // One rule per line: "mybank.com: navigate, scroll, extract"
+  static parseActionRules(lines = []) {
+    return (Array.isArray(lines) ? lines : String(lines).split('\n'))
+      .map(line => {
+        const [domain, actions = ''] = String(line).split(':');
+        return {
+          domain: PolicyManager.normalizeDomain(domain),
+          actions: actions.split(/[\s,]+/).map(action => action.trim().toLowerCase()).filter(Boolean)
+        };
+      })
+      .filter(rule => rule.domain && rule.actions.length > 0);
+  }
+
+  static buildPattern(text) {
+    if (!text || !String(text).trim()) return null;
+    try {
+      return new RegExp(`\\b(${text})\\b`, 'i');
+    } catch (e) {
+      console.warn(`⚠️ Invalid approval pattern "${text}", using default`);
+      return new RegExp(`\\b(${DEFAULT_APPROVAL_PATTERN})\\b`, 'i');
+    }
+  }
+
+  static getHostname(url) {
+    try {
+      const { protocol, hostname } = new URL(url);
+      return protocol.startsWith('http') ? hostname.toLowerCase().replace(/^www\./, '') : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  static matchesDomain(hostname, domain) {
+    return hostname === domain || hostname.endsWith(`.${domain}`);
+  }
+
+  // Visible text plus the attributes a button label usually hides in
+  static describeElement(element) {
+    if (!element) return '';
+    const attrs = element.attributes || {};
+    return [element.text, attrs.value, attrs['aria-label'], attrs.title]
+      .filter(Boolean)
+      .join(' ');
+  }
+
+  // "Enter", "Shift+Enter" or " " - the last part of a combo is the key itself
+  static isActivationKey(key) {
+    const raw = String(key || '');
+    if (raw === ' ' || raw.endsWith('+ ')) return true;
+    return ACTIVATION_KEYS.includes(raw.split('+').pop().trim().toLowerCase());
+  }
+
+  static isPasswordField(element) {
+    if (!element) return false;
+    return element.purpose === 'password-input' || (element.attributes?.type || '').toLowerCase() === 'password';
+  }
+
+  // Same key for every copy of an action's parameters - a previewed or resumed plan rebuilds them
+  static approvalKey({ action, parameters = {}, url }) {
+    return JSON.stringify([action, parameters.index ?? null, parameters.selector || parameters.xpath || null, url || null]);
+  }
+
+  // Most specific rule wins, so "login.mybank.com" can differ from "mybank.com"
+  findActionRule(hostname) {
+    return this.domainActionRules
+      .filter(rule => PolicyManager.matchesDomain(hostname, rule.domain))
+      .sort((a, b) => b.domain.length - a.domain.length)[0] || null;
+  }
+
+  /**
+   * Returns { decision: 'allow' | 'deny' | 'approve', rule, reason }
+   * focusedElement is what a press_key without a target lands on, dropTarget where drag_and_drop drops
+   */
+  evaluate({ action, parameters = {}, url, element, focusedElement = null, dropTarget = null }) {
+    if (NEUTRAL_ACTIONS.includes(action)) {
+      return { decision: 'allow' };
+    }
+
+    const isNavigation = NAVIGATION_ACTIONS.includes(action);
+    const hostname = isNavigation
+      ? PolicyManager.getHostname(parameters.url) || PolicyManager.getHostname(`https://${parameters.url}`)
+      : PolicyManager.getHostname(url);
+
+    // Browser pages (new tab, settings) have no domain to match
+    if (hostname) {
+      if (this.blockedDomains.some(domain => PolicyManager.matchesDomain(hostname, domain))) {
+        return { decision: 'deny', rule: 'blocklist', reason: `${hostname} is on the blocked sites list` };
+      }
+
+      if (this.allowedDomains.length > 0 && !this.allowedDomains.some(domain => PolicyManager.matchesDomain(hostname, domain))) {
+        return { decision: 'deny', rule: 'allowlist', reason: `${hostname} is not on the allowed sites list` };
+      }
+
+      // Leaving or entering a site is governed by the lists above, not by its action rule
+      const actionRule = isNavigation ? null : this.findActionRule(hostname);
+      if (actionRule && !actionRule.actions.includes(action)) {
+        return {
+          decision: 'deny',
+          rule: 'domain-actions',
+          reason: `${action} is not allowed on ${actionRule.domain} (allowed: ${actionRule.actions.join(', ')})`
+        };
+      }
+    }
+
+    if (!this.safeMode) {
+      return { decision: 'allow' };
+    }
+
+    const typesText = action === 'type' || (action === 'press_key' && String(parameters.key || '').length === 1);
+    if (this.blockPasswordTyping && typesText && PolicyManager.isPasswordField(element)) {
+      return { decision: 'deny', rule: 'password-field', reason: 'Typing into password fields is not allowed - the user signs in or uses a saved login' };
+    }
+
+    const activates = action === 'press_key' ? PolicyManager.isActivationKey(parameters.key) : !!APPROVAL_ACTIONS[action];
+    if (activates && this.approvalPattern) {
+      const verb = action === 'press_key' ? `Pressing ${String(parameters.key).trim() || 'Space'} on` : APPROVAL_ACTIONS[action];
+      for (const candidate of [element, focusedElement, dropTarget]) {
+        const label = PolicyManager.describeElement(candidate);
+        const match = label.match(this.approvalPattern);
+        if (match) {
+          return {
+            decision: 'approve',
+            rule: 'purchase-approval',
+            reason: `${verb} "${label.substring(0, 60).trim()}" needs your approval (matches "${match[0]}")`
+          };
+        }
+      }
+    }
+
+    return { decision: 'allow' };
+  }
+}
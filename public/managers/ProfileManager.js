@@ -0,0 +1,194 @@
+/* global chrome */
+import { cryptoService } from '../services/CryptoService.js';
+
+// Profile fields with the autocomplete tokens and name/label words that identify them.
+// Order matters: more specific fields are matched before broader ones (first name before name).
+export const PROFILE_FIELDS = [
+  { key: 'email', label: 'Email', autocomplete: ['email'], pattern: /e-?mail/ },
+  { key: 'phone', label: 'Phone', autocomplete: ['tel', 'tel-national'], pattern: /phone|mobile|\btel\b|telephone/ },
+  { key: 'firstName', label: 'First name', autocomplete: ['given-name'], pattern: /first.?name|given.?name|\bfname\b|forename/ },
+  { key: 'lastName', label: 'Last name', autocomplete: ['family-name'], pattern: /last.?name|family.?name|surname|\blname\b/ },
+  { key: 'company', label: 'Company', autocomplete: ['organization'], pattern: /company|organi[sz]ation|business/ },
+  { key: 'address2', label: 'Address line 2', autocomplete: ['address-line2'], pattern: /address.?(line)?.?2|apt|suite|unit/ },
+  { key: 'address1', label: 'Address line 1', autocomplete: ['address-line1', 'street-address'], pattern: /address.?(line)?.?1|street|\baddress\b/ },
+  { key: 'city', label: 'City', autocomplete: ['address-level2'], pattern: /city|town|locality/ },
+  { key: 'state', label: 'State / Region', autocomplete: ['address-level1'], pattern: /state|province|region|county/ },
+  { key: 'zip', label: 'ZIP / Postal code', autocomplete: ['postal-code'], pattern: /zip|postal|postcode/ },
+  { key: 'country', label: 'Country', autocomplete: ['country', 'country-name'], pattern: /country/ },
+  { key: 'fullName', label: 'Full name', autocomplete: ['name'], pattern: /full.?name|your.?name|\bname\b/ }
+];
+
+const PLACEHOLDER_PATTERN = /\{\{\s*profile\.([\w-]+)\.(\w+)\s*\}\}/g;
+
+// Inputs that never receive profile data
+const SKIPPED_INPUT_TYPES = ['password', 'hidden', 'submit', 'button', 'checkbox', 'radio', 'file', 'search', 'image', 'reset'];
+
+export class ProfileManager {
+  constructor() {
+    this.storageKey = 'formProfiles';
+    this.profiles = null;
+  }
+
+  static normalizeName(name) {
+    return String(name || '').trim().toLowerCase().replace(/[^a-z0-9-]+/g, '-').replace(/^-+|-+$/g, '');
+  }
+
+  // Match one form element to a profile field using autocomplete, name, id, placeholder and label
+  static matchField(element, labelText = '') {
+    const attrs = element.attributes || {};
+    const tagName = (element.tagName || '').toLowerCase();
+    const type = (attrs.type || '').toLowerCase();
+
+    if (element.category !== 'form' || SKIPPED_INPUT_TYPES.includes(type)) return null;
+    if (tagName !== 'input' && tagName !== 'textarea' && tagName !== 'select') return null;
+
+    // autocomplete may carry section/shipping/billing prefixes ("shipping postal-code")
+    const autocompleteTokens = (attrs.autocomplete || '').toLowerCase().split(/\s+/);
+    const byAutocomplete = PROFILE_FIELDS.find(field =>
+      field.autocomplete.some(token => autocompleteTokens.includes(token)));
+    if (byAutocomplete) return byAutocomplete.key;
+
+    if (type === 'email') return 'email';
+    if (type === 'tel') return 'phone';
+
+    const candidates = [attrs.name, attrs.id, attrs.placeholder, attrs['aria-label'], labelText]
+      .filter(Boolean)
+      .map(value => String(value).toLowerCase().replace(/[_[\]]+/g, ' ').trim());
+
+    // Sign-in fields belong to the credential flow, not to profiles
+    if (candidates.some(candidate => /user.?name|login|account|password/.test(candidate))) return null;
+
+    for (const field of PROFILE_FIELDS) {
+      if (candidates.some(candidate => field.pattern.test(candidate))) {
+        return field.key;
+      }
+    }
+    return null;
+  }
+
+  async load() {
+    if (this.profiles) return this.profiles;
+
+    const result = await chrome.storage.local.get([this.storageKey]);
+    const payload = result[this.storageKey];
+
+    try {
+      this.profiles = payload ? await cryptoService.decryptJSON(payload) : [];
+    } catch (error) {
+      // The device key was reset (e.g. site data cleared) - the old ciphertext cannot be read anymore
+      console.error('❌ Could not decrypt form profiles:', error);
+      this.profiles = [];
+    }
+    return this.profiles;
+  }
+
+  async persist() {
+    const payload = await cryptoService.encryptJSON(this.profiles || []);
+    await chrome.storage.local.set({ [this.storageKey]: payload });
+  }
+
+  async getProfiles() {
+    return [...await this.load()];
+  }
+
+  async getProfile(name) {
+    const wanted = ProfileManager.normalizeName(name);
+    const profiles = await this.load();
+    return profiles.find(profile => profile.name === wanted) || null;
+  }
+
+  async saveProfile(input) {
+    const name = ProfileManager.normalizeName(input.name);
+    if (!name) {
+      throw new Error('A profile needs a name (e.g. "home" or "work")');
+    }
+
+    const profiles = await this.load();
+    const duplicate = profiles.find(profile => profile.name === name && profile.id !== input.id);
+    if (duplicate) {
+      throw new Error(`A profile named "${name}" already exists`);
+    }
+
+    // Only known fields are stored
+    const fields = {};
+    PROFILE_FIELDS.forEach(field => {
+      const value = (input.fields?.[field.key] || '').trim();
+      if (value) fields[field.key] = value;
+    });
+
+    const existing = profiles.find(profile => profile.id === input.id);
+    const profile = {
+      id: existing?.id || Date.now().toString(),
+      name,
+      fields,
+      createdAt: existing?.createdAt || Date.now(),
+      updatedAt: Date.now()
+    };
+
+    this.profiles = existing
+      ? profiles.map(item => item.id === profile.id ? profile : item)
+      : [...profiles, profile];
+    await this.persist();
+
+    console.log(`🪪 Saved form profile "${name}" (${Object.keys(fields).length} fields)`);
+    return profile;
+  }
+
+  async deleteProfile(profileId) {
+    const profiles = await this.load();
+    this.profiles = profiles.filter(profile => profile.id !== profileId);
+    await this.persist();
+  }
+
+  // Names and filled field keys only - safe to show the planner
+  async getSummaries() {
+    const profiles = await this.load();
+    return profiles.map(profile => ({ name: profile.name, fields: Object.keys(profile.fields) }));
+  }
+
+  // Replace {{profile.name.field}} placeholders in string parameters.
+  // Returns the resolved copy plus the values used, so results can be masked again.
+  async resolveParams(input = {}) {
+    const serialized = JSON.stringify(input);
+    if (!serialized || !serialized.includes('{{')) {
+      return { params: input, resolved: [] };
+    }
+
+    const profiles = await this.load();
+    const resolved = [];
+
+    const resolveString = (text) => text.replace(PLACEHOLDER_PATTERN, (placeholder, profileName, fieldKey) => {
+      const profile = profiles.find(item => item.name === ProfileManager.normalizeName(profileName));
+      const value = profile?.fields?.[fieldKey];
+      if (!value) {
+        throw new Error(`Profile value ${placeholder} is not set`);
+      }
+      resolved.push({ placeholder, value });
+      return value;
+    });
+
+    const params = {};
+    Object.entries(input).forEach(([key, value]) => {
+      params[key] = typeof value === 'string' ? resolveString(value) : value;
+    });
+
+    return { params, resolved };
+  }
+
+  // Put placeholders back into anything that flows into memory, history or chat
+  static maskResult(result, resolved = []) {
+    if (!result || resolved.length === 0) return result;
+
+    const mask = (text) => typeof text === 'string'
+      ? resolved.reduce((masked, { placeholder, value }) => masked.split(value).join(placeholder), text)
+      : text;
+
+    return {
+      ...result,
+      extractedContent: mask(result.extractedContent),
+      error: mask(result.error)
+    };
+  }
+}
+
+export const profileManager = new ProfileManager();
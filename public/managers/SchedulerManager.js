@@ -0,0 +1,241 @@
+/* global chrome */
+
+const ALARM_PREFIX = 'schedule:';
+
+// Cron shortcuts accepted in place of a 5-field expression
+const CRON_SHORTCUTS = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 9 * * *',
+  '@weekly': '0 9 * * 1',
+  '@monthly': '0 9 1 * *'
+};
+
+const FIELD_RANGES = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }
+];
+
+export class SchedulerManager {
+  constructor() {
+    this.storageKey = 'scheduledTasks';
+  }
+
+  static isScheduleAlarm(alarmName) {
+    return typeof alarmName === 'string' && alarmName.startsWith(ALARM_PREFIX);
+  }
+
+  static getScheduleId(alarmName) {
+    return alarmName.substring(ALARM_PREFIX.length);
+  }
+
+  // Parse "m h dom mon dow" (numbers, *, ranges, lists and steps) into sets of allowed values
+  static parseCron(expression) {
+    const normalized = CRON_SHORTCUTS[(expression || '').trim()] || (expression || '').trim();
+    const fields = normalized.split(/\s+/);
+    if (fields.length !== 5) {
+      throw new Error('Schedule must have 5 fields: minute hour day-of-month month day-of-week');
+    }
+
+    const [minutes, hours, daysOfMonth, months, daysOfWeek] = fields.map((field, i) =>
+      SchedulerManager.parseCronField(field, FIELD_RANGES[i]));
+
+    // Sunday can be written as 0 or 7
+    if (daysOfWeek.values.has(7)) daysOfWeek.values.add(0);
+
+    return { minutes, hours, daysOfMonth, months, daysOfWeek };
+  }
+
+  static parseCronField(field, range) {
+    const values = new Set();
+
+    for (const part of field.split(',')) {
+      const [rangePart, stepPart] = part.split('/');
+      const step = stepPart === undefined ? 1 : parseInt(stepPart, 10);
+      if (!Number.isInteger(step) || step < 1) {
+        throw new Error(`Invalid step "${part}" in ${range.name}`);
+      }
+
+      let start = range.min;
+      let end = range.max;
+      if (rangePart !== '*') {
+        const [from, to] = rangePart.split('-').map(value => parseInt(value, 10));
+        start = from;
+        end = to === undefined ? (stepPart === undefined ? from : range.max) : to;
+      }
+
+      if (!Number.isInteger(start) || !Number.isInteger(end) || start < range.min || end > range.max || start > end) {
+        throw new Error(`Invalid ${range.name} "${part}" (allowed ${range.min}-${range.max})`);
+      }
+
+      for (let value = start; value <= end; value += step) {
+        values.add(value);
+      }
+    }
+
+    return { values, restricted: field !== '*' };
+  }
+
+  // Next matching minute strictly after `from`, or null if nothing matches (window covers leap days)
+  static getNextRunTime(expression, from = Date.now()) {
+    const cron = SchedulerManager.parseCron(expression);
+    const date = new Date(from);
+    date.setSeconds(0, 0);
+    date.setMinutes(date.getMinutes() + 1);
+
+    const limit = from + 4 * 366 * 24 * 60 * 60 * 1000;
+
+    while (date.getTime() <= limit) {
+      if (!cron.months.values.has(date.getMonth() + 1)) {
+        date.setMonth(date.getMonth() + 1, 1);
+        date.setHours(0, 0, 0, 0);
+        continue;
+      }
+
+      // Standard cron: when both day fields are restricted, either one may match
+      const domMatch = cron.daysOfMonth.values.has(date.getDate());
+      const dowMatch = cron.daysOfWeek.values.has(date.getDay());
+      const dayMatch = cron.daysOfMonth.restricted && cron.daysOfWeek.restricted
+        ? domMatch || dowMatch
+        : domMatch && dowMatch;
+
+      if (!dayMatch) {
+        date.setDate(date.getDate() + 1);
+        date.setHours(0, 0, 0, 0);
+        continue;
+      }
+
+      if (!cron.hours.values.has(date.getHours())) {
+        date.setHours(date.getHours() + 1, 0, 0, 0);
+        continue;
+      }
+
+      if (!cron.minutes.values.has(date.getMinutes())) {
+        date.setMinutes(date.getMinutes() + 1, 0, 0);
+        continue;
+      }
+
+      return date.getTime();
+    }
+
+    return null;
+  }
+
+  async getSchedules() {
+    const result = await chrome.storage.local.get([this.storageKey]);
+    return result[this.storageKey] || [];
+  }
+
+  async getSchedule(scheduleId) {
+    const schedules = await this.getSchedules();
+    return schedules.find(schedule => schedule.id === scheduleId) || null;
+  }
+
+  async saveSchedules(schedules) {
+    await chrome.storage.local.set({ [this.storageKey]: schedules });
+  }
+
+  // Create or update a schedule and (re)arm its alarm
+  async saveSchedule(input) {
+    if (!input.prompt?.trim() && !input.macroId) {
+      throw new Error('A schedule needs a task prompt or a macro');
+    }
+
+    const nextRunAt = SchedulerManager.getNextRunTime(input.cron);
+    if (!nextRunAt) {
+      throw new Error('This schedule never matches a date');
+    }
+
+    const schedules = await this.getSchedules();
+    const existing = schedules.find(schedule => schedule.id === input.id);
+
+    const schedule = {
+      ...existing,
+      id: existing?.id || Date.now().toString(),
+      name: (input.name || '').trim() || (input.prompt || '').substring(0, 50) || 'Scheduled task',
+      prompt: input.macroId ? '' : input.prompt.trim(),
+      macroId: input.macroId || null,
+      cron: input.cron.trim(),
+      enabled: input.enabled !== false,
+      nextRunAt: input.enabled !== false ? nextRunAt : null,
+      createdAt: existing?.createdAt || Date.now(),
+      lastRunAt: existing?.lastRunAt || null,
+      lastResult: existing?.lastResult || null
+    };
+
+    const updated = existing
+      ? schedules.map(item => item.id === schedule.id ? schedule : item)
+      : [schedule, ...schedules];
+    await this.saveSchedules(updated);
+    await this.armAlarm(schedule);
+
+    console.log(`⏰ Saved schedule "${schedule.name}" (${schedule.cron}), next run ${schedule.nextRunAt ? new Date(schedule.nextRunAt).toLocaleString() : 'disabled'}`);
+    return schedule;
+  }
+
+  async deleteSchedule(scheduleId) {
+    const schedules = await this.getSchedules();
+    await this.saveSchedules(schedules.filter(schedule => schedule.id !== scheduleId));
+    await chrome.alarms.clear(ALARM_PREFIX + scheduleId);
+  }
+
+  async armAlarm(schedule, when = schedule.nextRunAt) {
+    await chrome.alarms.clear(ALARM_PREFIX + schedule.id);
+    if (schedule.enabled && when) {
+      await chrome.alarms.create(ALARM_PREFIX + schedule.id, { when });
+    }
+  }
+
+  // Try again shortly without moving the regular schedule (e.g. another task is running)
+  async postpone(schedule, delayMs = 60000) {
+    await this.armAlarm(schedule, Date.now() + delayMs);
+  }
+
+  // Store the outcome of a run and arm the next occurrence
+  async completeRun(scheduleId, lastResult) {
+    const schedules = await this.getSchedules();
+    let completed = null;
+
+    const updated = schedules.map(schedule => {
+      if (schedule.id !== scheduleId) return schedule;
+      completed = {
+        ...schedule,
+        lastRunAt: Date.now(),
+        lastResult,
+        nextRunAt: schedule.enabled ? SchedulerManager.getNextRunTime(schedule.cron) : null
+      };
+      return completed;
+    });
+
+    await this.saveSchedules(updated);
+    if (completed) {
+      await this.armAlarm(completed);
+    }
+    return completed;
+  }
+
+  // Alarms can be dropped on browser updates; re-create them from storage
+  async syncAlarms() {
+    const schedules = await this.getSchedules();
+    const now = Date.now();
+
+    for (const schedule of schedules) {
+      if (!schedule.enabled) continue;
+
+      const alarm = await chrome.alarms.get(ALARM_PREFIX + schedule.id);
+      if (alarm) continue;
+
+      // Missed while the browser was closed - run once soon, then continue normally
+      const when = schedule.nextRunAt && schedule.nextRunAt > now
+        ? schedule.nextRunAt
+        : now + 60000;
+      await this.armAlarm(schedule, when);
+    }
+
+    console.log(`⏰ Scheduler synced ${schedules.filter(schedule => schedule.enabled).length} active schedules`);
+  }
+}
+
+export const schedulerManager = new SchedulerManager();
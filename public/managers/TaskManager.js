@@ -4,77 +4,220 @@ export class TaskManager {
   constructor() {
     this.runningTasks = new Map();
     this.taskResults = new Map();
+    // Tasks waiting for a free slot, oldest first
+    this.queue = [];
     this.maxConcurrentTasks = 2;
+    this.maxTaskResults = 20;
+    // Set by the background script: onChange(snapshot) after queue changes, onTaskFinished(task) when a slot frees up
+    this.onChange = null;
+    this.onTaskFinished = null;
     console.log('✅ TaskManager initialized');
   }
 
+  hasFreeSlot() {
+    return this.runningTasks.size < this.maxConcurrentTasks;
+  }
+
+  // Whether any task is starting or running; paused tasks hold a slot but do not count
+  hasActiveTasks() {
+    return this.getAllRunningTasks().some(task => task.status !== 'paused');
+  }
+
+  enqueue(taskId, taskData) {
+    console.log(`⏳ TaskManager queueing: ${taskId}`);
+    this.queue.push({
+      id: taskId,
+      data: taskData,
+      status: 'queued',
+      queuedAt: Date.now()
+    });
+    this.notifyChange();
+    return this.queue.length;
+  }
+
+  dequeue() {
+    const next = this.queue.shift() || null;
+    if (next) {
+      this.notifyChange();
+    }
+    return next;
+  }
+
+  removeQueued(taskId) {
+    const index = this.queue.findIndex(task => task.id === taskId);
+    if (index === -1) return false;
+
+    this.queue.splice(index, 1);
+    this.notifyChange();
+    return true;
+  }
+
+  // Claim a slot before routing starts, so two new tasks can't both take the last one
+  reserveTask(taskId, taskData) {
+    this.runningTasks.set(taskId, {
+      id: taskId,
+      data: taskData,
+      status: 'starting',
+      startTime: Date.now(),
+      messages: [],
+      executor: null
+    });
+    this.notifyChange();
+  }
+
   async startTask(taskId, taskData, executor, connectionManager) {
+    // Cancelled while it was being routed
+    if (!this.runningTasks.has(taskId) && this.taskResults.has(taskId)) return;
+    const reserved = this.runningTasks.get(taskId);
     console.log(`🚀 TaskManager starting: ${taskId}`);
     
     this.runningTasks.set(taskId, {
       id: taskId,
-      data: taskData,
+      data: { ...(reserved?.data || {}), ...taskData },
       status: 'running',
-      startTime: Date.now(),
+      startTime: reserved?.startTime || Date.now(),
       messages: [],
       executor: executor
     });
+    this.notifyChange();
 
     setTimeout(() => {
       this.executeTaskIndependently(taskId, taskData, executor, connectionManager);
     }, 100);
   }
 
-  async executeTaskIndependently(taskId, taskData, executor, connectionManager) {
-    try {
-      console.log(`⚙️ TaskManager executing independently: ${taskId}`);
-      
-      const backgroundConnectionManager = {
-        broadcast: (message) => {
-          const task = this.runningTasks.get(taskId);
-          if (task) {
-            task.messages.push({
-              ...message,
-              timestamp: Date.now()
+  // Run a paused task again through its task connection, so finishing it frees the slot
+  async continueTask(taskId, plan, connectionManager) {
+    const task = this.runningTasks.get(taskId);
+    if (!task || !task.executor) return false;
+
+    task.status = 'running';
+    this.notifyChange();
+    await this.executeTaskIndependently(taskId, task.data, task.executor, connectionManager, { plan });
+    return true;
+  }
+
+  // Move a task out of its slot; the background script starts the next queued task
+  finishTask(taskId, status, details = {}) {
+    const task = this.runningTasks.get(taskId);
+    if (!task) return null;
+
+    Object.assign(task, details, { status, endTime: Date.now() });
+    this.taskResults.set(taskId, task);
+    this.runningTasks.delete(taskId);
+
+    if (this.taskResults.size > this.maxTaskResults) {
+      this.taskResults.delete(this.taskResults.keys().next().value);
+    }
+
+    this.notifyChange();
+    // After the finishing broadcast has gone out
+    if (this.onTaskFinished) {
+      Promise.resolve().then(() => this.onTaskFinished(task)).catch(err =>
+        console.error('Task finish handler failed:', err)
+      );
+    }
+    return task;
+  }
+
+  notifyChange() {
+    if (this.onChange) {
+      this.onChange(this.getQueueSnapshot());
+    }
+  }
+
+  // Queued / running / done lists for the side panel (no executors or messages)
+  getQueueSnapshot() {
+    const summarize = (task) => ({
+      id: task.id,
+      task: task.data?.macro ? `Macro: ${task.data.macro.name}` : task.data?.task || '',
+      status: task.status,
+      step: task.executor?.currentStep || 0,
+      dedicatedWindow: !!task.data?.dedicated,
+      queuedAt: task.queuedAt || null,
+      startTime: task.startTime || null,
+      endTime: task.endTime || null,
+      error: task.error || null
+    });
+
+    return {
+      queued: this.queue.map(summarize),
+      running: this.getAllRunningTasks().map(summarize),
+      done: this.getAllCompletedTasks().reverse().map(summarize),
+      maxConcurrentTasks: this.maxConcurrentTasks
+    };
+  }
+
+  // Register a task rebuilt from a checkpoint; it stays paused until resume_task
+  restoreTask(taskId, taskData, executor) {
+    console.log(`♻️ TaskManager restoring: ${taskId}`);
+
+    this.runningTasks.set(taskId, {
+      id: taskId,
+      data: taskData,
+      status: 'paused',
+      startTime: Date.now(),
+      messages: [],
+      executor: executor
+    });
+    this.notifyChange();
+  }
+
+  // Connection handed to the executor: tags every message with its task and tracks the task's status
+  createTaskConnection(taskId, connectionManager) {
+    return {
+      broadcast: (message) => {
+        const task = this.runningTasks.get(taskId);
+        if (task) {
+          task.messages.push({
+            ...message,
+            timestamp: Date.now()
+          });
+          
+          if (message.type === 'task_complete' || message.type === 'task_error') {
+            this.finishTask(taskId, message.type === 'task_complete' ? 'completed' : 'error', {
+              result: message.result || message
             });
             
-            if (message.type === 'task_complete' || message.type === 'task_error') {
-              task.status = message.type === 'task_complete' ? 'completed' : 'error';
-              task.result = message.result || message;
-              task.endTime = Date.now();
-              
-              this.taskResults.set(taskId, task);
-              this.runningTasks.delete(taskId);
-              
-              // Clear execution state from storage when task completes
-              chrome.storage.local.set({
-                isExecuting: false,
-                activeTaskId: null,
-                taskStartTime: null,
-                sessionId: null
-              });
-              
-              // Notify content scripts to hide popup
-              chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
-                if (tabs.length > 0) {
-                  chrome.tabs.sendMessage(tabs[0].id, { type: '__agent_hide_popup' }).catch(err => {
-                    console.log('Could not notify content script of task completion:', err.message);
-                  });
-                }
-              });
-              
-              console.log(`✅ TaskManager completed: ${taskId}`);
-            }
+            // Notify content scripts to hide popup
+            chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+              if (tabs.length > 0) {
+                chrome.tabs.sendMessage(tabs[0].id, { type: '__agent_hide_popup' }).catch(err => {
+                  console.log('Could not notify content script of task completion:', err.message);
+                });
+              }
+            });
             
-            if (connectionManager) {
-              connectionManager.broadcast(message);
-            }
+            console.log(`✅ TaskManager completed: ${taskId}`);
+          } else if (message.type === 'task_paused') {
+            task.status = 'paused';
+            this.notifyChange();
+          } else if (message.type === 'step_complete') {
+            this.notifyChange();
+          }
+          
+          if (connectionManager) {
+            connectionManager.broadcast({ ...message, taskId });
           }
         }
-      };
+      }
+    };
+  }
+
+  async executeTaskIndependently(taskId, taskData, executor, connectionManager, resume = null) {
+    try {
+      console.log(`⚙️ TaskManager executing independently: ${taskId}`);
+      
+      const backgroundConnectionManager = this.createTaskConnection(taskId, connectionManager);
 
-      // Pass the initial plan if available
-      await executor.execute(taskData.task, backgroundConnectionManager, taskData.initialPlan);
+      if (resume) {
+        await executor.execute(executor.currentUserTask, backgroundConnectionManager, resume.plan, true);
+      } else if (taskData.macro) {
+        await executor.replayMacro(taskData.macro, backgroundConnectionManager);
+      } else {
+        // Pass the initial plan if available
+        await executor.execute(taskData.task, backgroundConnectionManager, taskData.initialPlan);
+      }
 
     } catch (error) {
       console.error(`❌ TaskManager error: ${taskId}`, error);
@@ -86,14 +229,6 @@ export class TaskManager {
         );
       }
       
-      // Clear execution state from storage on error
-      chrome.storage.local.set({
-        isExecuting: false,
-        activeTaskId: null,
-        taskStartTime: null,
-        sessionId: null
-      });
-      
       // Notify content scripts to hide popup on error
       chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
         if (tabs.length > 0) {
@@ -103,15 +238,7 @@ export class TaskManager {
         }
       });
       
-      const task = this.runningTasks.get(taskId);
-      if (task) {
-        task.status = 'error';
-        task.error = error.message;
-        task.endTime = Date.now();
-        
-        this.taskResults.set(taskId, task);
-        this.runningTasks.delete(taskId);
-      }
+      this.finishTask(taskId, 'error', { error: error.message });
     }
   }
 
@@ -134,6 +261,11 @@ export class TaskManager {
 
   cancelTask(taskId) {
     const task = this.runningTasks.get(taskId);
+    // Still being routed: startTask sees the cancelled status and never runs it
+    if (task && !task.executor) {
+      this.finishTask(taskId, 'cancelled');
+      return true;
+    }
     if (task && task.executor) {
       console.log(`🛑 TaskManager cancelling: ${taskId}`);
       
@@ -145,11 +277,7 @@ export class TaskManager {
       }
       
       task.executor.cancel();
-      task.status = 'cancelled';
-      task.endTime = Date.now();
-      
-      this.taskResults.set(taskId, task);
-      this.runningTasks.delete(taskId);
+      this.finishTask(taskId, 'cancelled');
       
       // Notify content scripts to hide popup when cancelling
       chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
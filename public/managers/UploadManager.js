@@ -0,0 +1,92 @@
+/* global chrome */
+
+const MAX_FILE_BYTES = 10 * 1024 * 1024;
+// Contents live under their own key so listing the files never loads them
+const DATA_KEY_PREFIX = 'approvedUpload:';
+
+// Files the user approved for upload_file - the agent attaches these by name and never reads the disk
+export class UploadManager {
+  constructor() {
+    this.storageKey = 'approvedUploads';
+  }
+
+  static normalizeName(name) {
+    return String(name || '').trim().toLowerCase();
+  }
+
+  async getFiles() {
+    const result = await chrome.storage.local.get([this.storageKey]);
+    return result[this.storageKey] || [];
+  }
+
+  // Names, types and sizes only - safe to show the planner
+  async getSummaries() {
+    const files = await this.getFiles();
+    return files.map(({ name, type, size }) => ({ name, type, size }));
+  }
+
+  // data is the file content as base64 (a data URL without its prefix)
+  async addFile({ name, type, data }) {
+    const fileName = String(name || '').trim();
+    if (!fileName || !data) {
+      throw new Error('A file needs a name and content');
+    }
+
+    const size = Math.floor(data.length * 3 / 4) - (data.endsWith('==') ? 2 : data.endsWith('=') ? 1 : 0);
+    if (size > MAX_FILE_BYTES) {
+      throw new Error(`"${fileName}" is larger than ${MAX_FILE_BYTES / 1024 / 1024} MB`);
+    }
+
+    // Adding a file with the same name again replaces it
+    const files = await this.getFiles();
+    const existing = files.find(file => UploadManager.normalizeName(file.name) === UploadManager.normalizeName(fileName));
+    const entry = {
+      id: existing?.id || Date.now().toString(),
+      name: fileName,
+      type: type || 'application/octet-stream',
+      size,
+      addedAt: Date.now()
+    };
+
+    await chrome.storage.local.set({
+      [`${DATA_KEY_PREFIX}${entry.id}`]: data,
+      [this.storageKey]: existing ? files.map(file => file.id === entry.id ? entry : file) : [...files, entry]
+    });
+
+    console.log(`📎 Approved "${fileName}" for uploads (${size} bytes)`);
+    return entry;
+  }
+
+  async deleteFile(fileId) {
+    const files = await this.getFiles();
+    await chrome.storage.local.set({ [this.storageKey]: files.filter(file => file.id !== fileId) });
+    await chrome.storage.local.remove(`${DATA_KEY_PREFIX}${fileId}`);
+  }
+
+  // Approved files with their content for the given names; any other name is refused
+  async resolveFiles(names) {
+    const wanted = (Array.isArray(names) ? names : [names]).filter(Boolean).map(String);
+    if (wanted.length === 0) {
+      throw new Error('No file name given');
+    }
+
+    const files = await this.getFiles();
+    const resolved = [];
+    for (const name of wanted) {
+      const file = files.find(item => UploadManager.normalizeName(item.name) === UploadManager.normalizeName(name));
+      if (!file) {
+        throw new Error(`"${name}" is not an approved upload (approved: ${files.map(item => item.name).join(', ') || 'none'})`);
+      }
+
+      const key = `${DATA_KEY_PREFIX}${file.id}`;
+      const stored = await chrome.storage.local.get([key]);
+      if (!stored[key]) {
+        throw new Error(`The content of "${file.name}" is missing - add the file again`);
+      }
+      resolved.push({ name: file.name, type: file.type, data: stored[key] });
+    }
+    return resolved;
+  }
+}
+
+export const uploadManager = new UploadManager();
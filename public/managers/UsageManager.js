@@ -0,0 +1,141 @@
+// USD per 1M tokens. Unknown models are tracked with cost 0 and flagged as unpriced.
+export const MODEL_PRICING = {
+  anthropic: {
+    'claude-3-7-sonnet-20250219': { input: 3, output: 15 },
+    'claude-3-5-sonnet-20241022': { input: 3, output: 15 },
+    'claude-3-5-haiku-20241022': { input: 0.8, output: 4 },
+    'claude-3-sonnet-20240229': { input: 3, output: 15 },
+    'claude-3-haiku-20240307': { input: 0.25, output: 1.25 },
+    'claude-3-opus-20240229': { input: 15, output: 75 }
+  },
+  openai: {
+    'o1-preview': { input: 15, output: 60 },
+    'o1-mini': { input: 3, output: 12 },
+    'gpt-4o': { input: 2.5, output: 10 },
+    'gpt-4o-mini': { input: 0.15, output: 0.6 },
+    'gpt-4-turbo': { input: 10, output: 30 },
+    'gpt-4': { input: 30, output: 60 },
+    'gpt-3.5-turbo': { input: 0.5, output: 1.5 }
+  },
+  gemini: {
+    'gemini-2.5-flash': { input: 0.3, output: 2.5 },
+    'gemini-2.5-pro': { input: 1.25, output: 10 },
+    'gemini-2.0-flash': { input: 0.1, output: 0.4 },
+    'gemini-1.5-pro': { input: 1.25, output: 5 },
+    'gemini-1.5-flash': { input: 0.075, output: 0.3 }
+  }
+};
+
+export class UsageManager {
+  constructor() {
+    this.reset();
+  }
+
+  // Start tracking a new task; budget limits of 0 mean "no limit"
+  reset({ taskId = null, budgetTokens = 0, budgetUsd = 0 } = {}) {
+    this.taskId = taskId;
+    this.calls = [];
+    this.totalTokens = 0;
+    this.totalCost = 0;
+    this.byAgent = {};
+    this.budget = {
+      tokens: Number(budgetTokens) > 0 ? Number(budgetTokens) : 0,
+      usd: Number(budgetUsd) > 0 ? Number(budgetUsd) : 0
+    };
+    this.initialBudget = { ...this.budget };
+  }
+
+  static getPricing(provider, model) {
+    if (provider === 'openaiCompatible') {
+      return { input: 0, output: 0 }; // Self-hosted
+    }
+    return MODEL_PRICING[provider]?.[model] || null;
+  }
+
+  static calculateCost(usage = {}) {
+    const pricing = UsageManager.getPricing(usage.provider, usage.model);
+    if (!pricing) return null;
+
+    const promptTokens = usage.prompt || 0;
+    // Gemini reports thinking tokens only in the total, but bills them as output
+    const outputTokens = Math.max(usage.completion || 0, (usage.total || 0) - promptTokens);
+
+    return (promptTokens * pricing.input + outputTokens * pricing.output) / 1000000;
+  }
+
+  // Record one LLM call for an agent (router, planner, validator)
+  record(agentType, usage) {
+    if (!usage) return null;
+
+    const tokens = usage.total || ((usage.prompt || 0) + (usage.completion || 0));
+    const cost = UsageManager.calculateCost(usage);
+
+    const entry = {
+      agent: agentType,
+      provider: usage.provider || 'unknown',
+      model: usage.model || 'unknown',
+      prompt: usage.prompt || 0,
+      completion: usage.completion || 0,
+      tokens,
+      cost: cost || 0,
+      priced: cost !== null,
+      timestamp: Date.now()
+    };
+
+    this.calls.push(entry);
+    this.totalTokens += tokens;
+    this.totalCost += entry.cost;
+
+    if (!this.byAgent[agentType]) {
+      this.byAgent[agentType] = { calls: 0, tokens: 0, cost: 0 };
+    }
+    this.byAgent[agentType].calls++;
+    this.byAgent[agentType].tokens += tokens;
+    this.byAgent[agentType].cost += entry.cost;
+
+    console.log(`💰 ${agentType} call: ${tokens} tokens, $${entry.cost.toFixed(5)} (${entry.provider}/${entry.model}) | task total: ${this.totalTokens} tokens, $${this.totalCost.toFixed(4)}`);
+
+    return entry;
+  }
+
+  getBudgetStatus() {
+    if (this.budget.tokens > 0 && this.totalTokens >= this.budget.tokens) {
+      return {
+        exceeded: true,
+        description: `Token budget reached: ${this.totalTokens.toLocaleString()} of ${this.budget.tokens.toLocaleString()} tokens used`
+      };
+    }
+
+    if (this.budget.usd > 0 && this.totalCost >= this.budget.usd) {
+      return {
+        exceeded: true,
+        description: `Cost budget reached: $${this.totalCost.toFixed(4)} of $${this.budget.usd.toFixed(2)} spent`
+      };
+    }
+
+    return { exceeded: false };
+  }
+
+  // After the user resumes a budget pause, allow one more budget window of the same size
+  extendBudget() {
+    if (this.initialBudget.tokens > 0) {
+      this.budget.tokens = this.totalTokens + this.initialBudget.tokens;
+    }
+    if (this.initialBudget.usd > 0) {
+      this.budget.usd = this.totalCost + this.initialBudget.usd;
+    }
+    console.log('💰 Budget extended:', this.budget);
+  }
+
+  getSummary() {
+    return {
+      taskId: this.taskId,
+      totalTokens: this.totalTokens,
+      totalCost: this.totalCost,
+      byAgent: this.byAgent,
+      calls: this.calls.length,
+      unpricedCalls: this.calls.filter(call => !call.priced).length,
+      budget: this.budget
+    };
+  }
+}
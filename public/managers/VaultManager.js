@@ -0,0 +1,212 @@
+/* global chrome */
+import { cryptoService } from '../services/CryptoService.js';
+
+// Known plaintext used to check the passphrase without decrypting the credentials
+const VERIFIER = 'omnibrowse-vault';
+const AUTO_LOCK_MS = 15 * 60 * 1000;
+
+const USERNAME_PATTERN = /user|e-?mail|login|account|identifier/;
+
+export class VaultManager {
+  constructor() {
+    this.storageKey = 'credentialVault';
+    // Passphrase key and decrypted credentials live in memory only while unlocked
+    this.key = null;
+    this.entries = null;
+    this.lockTimer = null;
+  }
+
+  static getOrigin(url) {
+    try {
+      const { origin } = new URL(url);
+      return origin.startsWith('http') ? origin : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  // Username and password inputs on a sign-in form (either may be missing on multi-step logins)
+  static findLoginFields(elements = []) {
+    const inputs = elements.filter(el =>
+      el.category === 'form' && el.xpath && (el.tagName || '').toLowerCase() === 'input');
+
+    const password = inputs.find(el => el.purpose === 'password-input') || null;
+    const usernameCandidates = inputs.filter(el => {
+      if (el.purpose === 'password-input' || el.purpose === 'submit' || el.purpose === 'selection' || el.purpose === 'search-input') return false;
+      const attrs = el.attributes || {};
+      const haystack = [attrs.autocomplete, attrs.name, attrs.id, attrs.placeholder, attrs['aria-label'], attrs.type]
+        .filter(Boolean).join(' ').toLowerCase();
+      return USERNAME_PATTERN.test(haystack);
+    });
+
+    // Prefer the username field that comes right before the password field
+    const username = password
+      ? usernameCandidates.filter(el => el.index < password.index).pop() || usernameCandidates[0] || null
+      : usernameCandidates[0] || null;
+
+    return username || password ? { username, password } : null;
+  }
+
+  async getVault() {
+    const result = await chrome.storage.local.get([this.storageKey]);
+    return result[this.storageKey] || null;
+  }
+
+  async getStatus() {
+    const vault = await this.getVault();
+    return {
+      configured: !!vault,
+      unlocked: !!this.key,
+      count: vault?.origins?.length || 0
+    };
+  }
+
+  async setup(passphrase) {
+    if (await this.getVault()) {
+      throw new Error('The vault is already set up');
+    }
+    if (!passphrase || passphrase.length < 8) {
+      throw new Error('Use a passphrase of at least 8 characters');
+    }
+
+    const salt = cryptoService.randomSalt();
+    this.key = await cryptoService.deriveKey(passphrase, salt);
+    this.entries = [];
+
+    await chrome.storage.local.set({
+      [this.storageKey]: {
+        salt,
+        verifier: await cryptoService.encryptJSON(VERIFIER, this.key),
+        entries: await cryptoService.encryptJSON([], this.key),
+        origins: []
+      }
+    });
+    this.scheduleLock();
+    console.log('🔑 Credential vault created');
+  }
+
+  async unlock(passphrase) {
+    const vault = await this.getVault();
+    if (!vault) {
+      throw new Error('The vault is not set up');
+    }
+
+    const key = await cryptoService.deriveKey(passphrase || '', vault.salt);
+    try {
+      if (await cryptoService.decryptJSON(vault.verifier, key) !== VERIFIER) {
+        throw new Error('Verifier mismatch');
+      }
+    } catch (e) {
+      throw new Error('Wrong passphrase');
+    }
+
+    this.key = key;
+    this.entries = await cryptoService.decryptJSON(vault.entries, key);
+    this.scheduleLock();
+    console.log('🔓 Credential vault unlocked');
+  }
+
+  lock() {
+    this.key = null;
+    this.entries = null;
+    clearTimeout(this.lockTimer);
+    this.lockTimer = null;
+    console.log('🔒 Credential vault locked');
+  }
+
+  scheduleLock() {
+    clearTimeout(this.lockTimer);
+    this.lockTimer = setTimeout(() => this.lock(), AUTO_LOCK_MS);
+  }
+
+  ensureUnlocked() {
+    if (!this.key || !this.entries) {
+      throw new Error('The vault is locked - unlock it in the OmniBrowse panel first');
+    }
+    this.scheduleLock();
+  }
+
+  async persist() {
+    const vault = await this.getVault();
+    await chrome.storage.local.set({
+      [this.storageKey]: {
+        ...vault,
+        entries: await cryptoService.encryptJSON(this.entries, this.key),
+        // Plain origin list so a locked vault can still offer "use saved login"
+        origins: [...new Set(this.entries.map(entry => entry.origin))]
+      }
+    });
+  }
+
+  // Listing never includes passwords
+  listCredentials() {
+    this.ensureUnlocked();
+    return this.entries.map(({ id, origin, username, createdAt, lastUsedAt }) => ({ id, origin, username, createdAt, lastUsedAt }));
+  }
+
+  async saveCredential(input) {
+    this.ensureUnlocked();
+
+    const origin = VaultManager.getOrigin(input.origin) || VaultManager.getOrigin(`https://${input.origin}`);
+    if (!origin) {
+      throw new Error('Enter the site address, e.g. https://example.com');
+    }
+    if (!input.username || !input.password) {
+      throw new Error('Username and password are required');
+    }
+
+    const existing = this.entries.find(entry => entry.id === input.id) ||
+      this.entries.find(entry => entry.origin === origin && entry.username === input.username);
+    const entry = {
+      id: existing?.id || Date.now().toString(),
+      origin,
+      username: input.username,
+      password: input.password,
+      createdAt: existing?.createdAt || Date.now(),
+      lastUsedAt: existing?.lastUsedAt || null
+    };
+
+    this.entries = existing
+      ? this.entries.map(item => item.id === entry.id ? entry : item)
+      : [...this.entries, entry];
+    await this.persist();
+    console.log(`🔑 Saved login for ${origin}`);
+  }
+
+  async deleteCredential(credentialId) {
+    this.ensureUnlocked();
+    this.entries = this.entries.filter(entry => entry.id !== credentialId);
+    await this.persist();
+  }
+
+  // Forgotten passphrase: the only way forward is to start over
+  async reset() {
+    this.lock();
+    await chrome.storage.local.remove([this.storageKey]);
+  }
+
+  // What the sign-in popup may offer for a page, without unlocking anything
+  async getSigninOffer(url) {
+    const vault = await this.getVault();
+    const origin = VaultManager.getOrigin(url);
+    return {
+      available: !!vault && !!origin && (vault.origins || []).includes(origin),
+      locked: !this.key,
+      origin
+    };
+  }
+
+  async getCredential(origin) {
+    this.ensureUnlocked();
+    const entry = this.entries.find(item => item.origin === origin);
+    if (!entry) {
+      throw new Error(`No saved login for ${origin}`);
+    }
+
+    entry.lastUsedAt = Date.now();
+    await this.persist();
+    return { username: entry.username, password: entry.password };
+  }
+}
+
+export const vaultManager = new VaultManager();
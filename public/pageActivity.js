@@ -0,0 +1,74 @@
+// Injected into the page's own JavaScript world with chrome.scripting while a task works in the tab,
+// so it sees the page's fetch/XHR calls and native dialogs. content.js cannot patch those from its
+// isolated world; DOM events are the channel both worlds share. eventName is random per injection,
+// so page scripts cannot fake reports, and "<eventName>_stop" puts the page's own functions back.
+// Runs serialized in the page - it must not use anything outside its own body.
+export function installPageActivityHooks(eventName) {
+  let pendingRequests = 0;
+
+  function report(detail) {
+    // Strings cross the world boundary; objects in detail do not
+    document.dispatchEvent(new CustomEvent(eventName, { detail: JSON.stringify(detail) }));
+  }
+
+  function requestStarted() {
+    pendingRequests++;
+    report({ type: 'network', pending: pendingRequests });
+  }
+
+  function requestFinished() {
+    pendingRequests = Math.max(0, pendingRequests - 1);
+    report({ type: 'network', pending: pendingRequests });
+  }
+
+  const originals = [];
+  // Replace window[name] (or a prototype method) and remember how to put it back
+  function patch(target, name, wrap) {
+    const original = target[name];
+    if (typeof original !== 'function') return;
+    const wrapper = wrap(original);
+    target[name] = wrapper;
+    originals.push({ target, name, original, wrapper });
+  }
+
+  patch(window, 'fetch', (originalFetch) => function (...args) {
+    requestStarted();
+    let result;
+    try {
+      result = originalFetch.apply(this, args);
+    } catch (e) {
+      requestFinished();
+      throw e;
+    }
+    Promise.resolve(result).then(requestFinished, requestFinished);
+    return result;
+  });
+
+  patch(XMLHttpRequest.prototype, 'send', (originalSend) => function (...args) {
+    requestStarted();
+    this.addEventListener('loadend', requestFinished, { once: true });
+    try {
+      return originalSend.apply(this, args);
+    } catch (e) {
+      requestFinished();
+      throw e;
+    }
+  });
+
+  // Reported before the dialog blocks the page
+  ['alert', 'confirm', 'prompt'].forEach((name) => {
+    patch(window, name, (original) => function (message, ...rest) {
+      report({ type: 'dialog', kind: name, label: String(message ?? '').substring(0, 200), native: true });
+      return original.call(this, message, ...rest);
+    });
+  });
+
+  document.addEventListener(`${eventName}_stop`, () => {
+    // Leave anything the page wrapped on top of ours in place
+    originals.forEach(({ target, name, original, wrapper }) => {
+      if (target[name] === wrapper) target[name] = original;
+    });
+  }, { once: true });
+
+  return true;
+}
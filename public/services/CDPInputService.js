@@ -0,0 +1,248 @@
+/* global chrome */
+import { DOMService, domService } from './DOMService.js';
+
+const PROTOCOL_VERSION = '1.3';
+// Chrome shows a "started debugging this browser" bar while attached, so let go when idle
+const IDLE_DETACH_MS = 15000;
+// Input.dispatch*Event modifier bit field
+const MODIFIER_BITS = { altKey: 1, ctrlKey: 2, metaKey: 4, shiftKey: 8 };
+const BUTTON_BITS = { left: 1, right: 2 };
+const ENTER_KEY = { key: 'Enter', code: 'Enter', keyCode: 13, text: '\r' };
+
+/**
+ * CDP Input Service - trusted input through chrome.debugger
+ * Input.dispatchMouseEvent, Input.dispatchKeyEvent and Input.insertText go through
+ * the browser's own input pipeline, so pages get isTrusted events like from a real
+ * mouse and keyboard. Used for sites that ignore the synthetic events DOMService fires.
+ * Timing comes from a PacingManager pace; without one input is sent at once.
+ */
+export class CDPInputService {
+  constructor() {
+    this.attached = new Set();
+    this.detachTimers = new Map();
+    this.listening = false;
+  }
+
+  init() {
+    if (this.listening || typeof chrome === 'undefined' || !chrome.debugger) return;
+    this.listening = true;
+
+    // The user can end the session from Chrome's banner
+    chrome.debugger.onDetach.addListener(({ tabId }) => this.forget(tabId));
+    chrome.tabs.onRemoved.addListener((tabId) => this.forget(tabId));
+  }
+
+  static pause(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  static modifierMask(modifierKeys = []) {
+    return modifierKeys.reduce((mask, modifier) => mask | (MODIFIER_BITS[modifier.flag] || 0), 0);
+  }
+
+  // key, code and keyCode for a typed character; text carries the character itself
+  static keyForChar(char) {
+    if (char === ' ') return { key: ' ', code: 'Space', keyCode: 32, text: ' ' };
+    const { code, keyCode } = DOMService.parseKeyCombo(char);
+    return { key: char, code, keyCode, text: char };
+  }
+
+  forget(tabId) {
+    clearTimeout(this.detachTimers.get(tabId));
+    this.detachTimers.delete(tabId);
+    this.attached.delete(tabId);
+  }
+
+  // Whether this extension's own debugger session is the one attached to the tab
+  async ownsSession(tabId) {
+    try {
+      const targets = await chrome.debugger.getTargets();
+      return targets.some(target => target.tabId === tabId && target.attached && target.extensionId === chrome.runtime.id);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async attach(tabId) {
+    this.init();
+    clearTimeout(this.detachTimers.get(tabId));
+
+    if (!this.attached.has(tabId)) {
+      try {
+        await chrome.debugger.attach({ tabId }, PROTOCOL_VERSION);
+        console.log(`🔌 Debugger attached to tab ${tabId} for trusted input`);
+      } catch (error) {
+        // Still attached from before the service worker restarted - but the same error
+        // comes back when DevTools or another extension holds the tab
+        if (!/already attached/i.test(error.message || '') || !(await this.ownsSession(tabId))) {
+          throw new Error(`Trusted input unavailable: ${error.message}`);
+        }
+      }
+      this.attached.add(tabId);
+    }
+    this.detachTimers.set(tabId, setTimeout(() => this.detach(tabId), IDLE_DETACH_MS));
+  }
+
+  async detach(tabId) {
+    const wasAttached = this.attached.has(tabId);
+    this.forget(tabId);
+    if (!wasAttached) return;
+    try {
+      await chrome.debugger.detach({ tabId });
+      console.log(`🔌 Debugger detached from tab ${tabId}`);
+    } catch (error) {
+      // Tab closed or the user already ended the session
+    }
+  }
+
+  async send(tabId, method, params = {}) {
+    await this.attach(tabId);
+    return chrome.debugger.sendCommand({ tabId }, method, params);
+  }
+
+  // With a pace the pointer follows a curved path from where it last was
+  async moveMouse(tabId, point, pace = null) {
+    const path = pace ? pace.mousePath(point, point.viewport) : [point];
+    for (const step of path) {
+      await this.send(tabId, 'Input.dispatchMouseEvent', { type: 'mouseMoved', x: step.x, y: step.y });
+      if (step.delay) await CDPInputService.pause(step.delay);
+    }
+  }
+
+  async click(tabId, point, { button = 'left', clickCount = 1, pace = null } = {}) {
+    await this.moveMouse(tabId, point, pace);
+
+    for (let count = 1; count <= clickCount; count++) {
+      const event = { x: point.x, y: point.y, button, clickCount: count };
+      await this.send(tabId, 'Input.dispatchMouseEvent', { ...event, type: 'mousePressed', buttons: BUTTON_BITS[button] });
+      if (pace) await CDPInputService.pause(pace.holdMs());
+      await this.send(tabId, 'Input.dispatchMouseEvent', { ...event, type: 'mouseReleased', buttons: 0 });
+      if (count < clickCount) await CDPInputService.pause(pace ? pace.holdMs() : 30);
+    }
+  }
+
+  // keyDown when the key produces text, rawKeyDown for everything else
+  async dispatchKey(tabId, { key, code, keyCode, text }, modifiers = 0, pace = null) {
+    const event = { key, code, windowsVirtualKeyCode: keyCode, nativeVirtualKeyCode: keyCode, modifiers };
+    await this.send(tabId, 'Input.dispatchKeyEvent', text
+      ? { ...event, type: 'keyDown', text, unmodifiedText: text }
+      : { ...event, type: 'rawKeyDown' });
+    if (pace) await CDPInputService.pause(pace.holdMs() / 2);
+    await this.send(tabId, 'Input.dispatchKeyEvent', { ...event, type: 'keyUp' });
+  }
+
+  // combo comes from DOMService.parseKeyCombo
+  async pressKey(tabId, combo, pace = null) {
+    const { key, code, keyCode, modifierKeys } = combo;
+    let mask = 0;
+    for (const modifier of modifierKeys) {
+      mask |= MODIFIER_BITS[modifier.flag];
+      await this.send(tabId, 'Input.dispatchKeyEvent', {
+        type: 'rawKeyDown', key: modifier.key, code: modifier.code, windowsVirtualKeyCode: modifier.keyCode, modifiers: mask
+      });
+    }
+
+    // Shortcuts with Ctrl or Meta never type their key
+    const commandKey = mask & (MODIFIER_BITS.ctrlKey | MODIFIER_BITS.metaKey);
+    const text = commandKey ? undefined : key === 'Enter' ? ENTER_KEY.text : key.length === 1 ? key : undefined;
+    await this.dispatchKey(tabId, { key, code, keyCode, text }, mask, pace);
+
+    for (const modifier of [...modifierKeys].reverse()) {
+      mask &= ~MODIFIER_BITS[modifier.flag];
+      await this.send(tabId, 'Input.dispatchKeyEvent', {
+        type: 'keyUp', key: modifier.key, code: modifier.code, windowsVirtualKeyCode: modifier.keyCode, modifiers: mask
+      });
+    }
+  }
+
+  // All at once without a pace; otherwise key by key at typing speed
+  async typeText(tabId, text, pace = null) {
+    if (!pace) {
+      await this.send(tabId, 'Input.insertText', { text });
+      return;
+    }
+
+    const chars = Array.from(text);
+    const delays = pace.keystrokeDelays(text);
+    for (let i = 0; i < chars.length; i++) {
+      const char = chars[i];
+      if (char === '\n') {
+        await this.dispatchKey(tabId, ENTER_KEY, 0, pace);
+      } else if (/^[\x20-\x7e]$/.test(char)) {
+        await this.dispatchKey(tabId, CDPInputService.keyForChar(char), 0, pace);
+      } else {
+        // Characters a US keyboard has no key for arrive the way an IME commits them
+        await this.send(tabId, 'Input.insertText', { text: char });
+      }
+      if (delays[i]) await CDPInputService.pause(delays[i]);
+    }
+  }
+
+  /**
+   * Run one interaction with trusted input. kind is click, double_click,
+   * context_click, hover, type or press_key; params target an element the same
+   * way as the DOMService actions (index, xpath or selector).
+   */
+  async perform(tabId, kind, params, { pace = null } = {}) {
+    try {
+      const hasTarget = (params.index !== undefined && params.index !== null) || params.xpath || params.selector;
+      if (!hasTarget && kind !== 'press_key') {
+        return { success: false, error: 'No target specified' };
+      }
+
+      let point = null;
+      if (hasTarget && kind !== 'press_key') {
+        point = await domService.getElementPoint(tabId, { ...params, scrollDuration: pace ? pace.scrollMs() : 0 });
+        if (!point.success) return point;
+        if (pace && point.scrolledMs) pace.recordScroll(point.scrolledMs);
+      }
+      const coveredNote = point?.covered ? ' - another element covered it and received the event' : '';
+
+      if (kind === 'hover') {
+        await this.moveMouse(tabId, point, pace);
+        return { success: true, message: `Hovered over element${coveredNote}` };
+      }
+
+      if (kind === 'click' || kind === 'double_click' || kind === 'context_click') {
+        await this.click(tabId, point, {
+          pace,
+          button: kind === 'context_click' ? 'right' : 'left',
+          clickCount: kind === 'double_click' ? 2 : 1
+        });
+        const verb = { click: 'Clicked', double_click: 'Double-clicked', context_click: 'Right-clicked' }[kind];
+        return { success: true, message: `${verb} element${coveredNote}` };
+      }
+
+      if (kind === 'type') {
+        await this.click(tabId, point, { pace });
+        const selected = await domService.selectElementContents(tabId, params);
+        if (!selected.success) return selected;
+
+        const text = String(params.text ?? '');
+        if (text) {
+          await this.typeText(tabId, text, pace);
+        } else {
+          await this.pressKey(tabId, DOMService.parseKeyCombo('Backspace'), pace);
+        }
+        return { success: true, message: text ? 'Text typed' : 'Field cleared' };
+      }
+
+      if (kind === 'press_key') {
+        if (hasTarget) {
+          const focused = await domService.performFocus(tabId, params);
+          if (!focused.success) return focused;
+        }
+        const combo = DOMService.parseKeyCombo(params.key, params.modifiers);
+        await this.pressKey(tabId, combo, pace);
+        return { success: true, message: `Pressed ${combo.label}` };
+      }
+
+      return { success: false, error: `Trusted input does not support ${kind}` };
+    } catch (error) {
+      console.error(`Trusted ${kind} failed:`, error);
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+export const cdpInputService = new CDPInputService();
@@ -0,0 +1,98 @@
+/**
+ * Crypto Service - AES-GCM encryption for data kept in chrome.storage.local
+ * The device key is non-extractable and lives in IndexedDB, so the stored
+ * ciphertext is useless when copied out of the profile on its own.
+ * Passphrase keys (PBKDF2) are never stored at all.
+ */
+
+const DB_NAME = 'omnibrowse-keys';
+const STORE_NAME = 'keys';
+const DEVICE_KEY_ID = 'device';
+const PBKDF2_ITERATIONS = 310000;
+
+const toBase64 = (buffer) => {
+  const bytes = new Uint8Array(buffer);
+  let binary = '';
+  for (let i = 0; i < bytes.length; i++) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+  return btoa(binary);
+};
+
+const fromBase64 = (text) => Uint8Array.from(atob(text), char => char.charCodeAt(0));
+
+export class CryptoService {
+  constructor() {
+    this.deviceKey = null;
+  }
+
+  openKeyStore() {
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, 1);
+      request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async keyStoreRequest(mode, run) {
+    const db = await this.openKeyStore();
+    try {
+      return await new Promise((resolve, reject) => {
+        const request = run(db.transaction(STORE_NAME, mode).objectStore(STORE_NAME));
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    } finally {
+      db.close();
+    }
+  }
+
+  async getDeviceKey() {
+    if (this.deviceKey) return this.deviceKey;
+
+    let key = await this.keyStoreRequest('readonly', store => store.get(DEVICE_KEY_ID));
+    if (!key) {
+      key = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+      await this.keyStoreRequest('readwrite', store => store.put(key, DEVICE_KEY_ID));
+      console.log('🔐 Created device encryption key');
+    }
+
+    this.deviceKey = key;
+    return key;
+  }
+
+  randomSalt() {
+    return toBase64(crypto.getRandomValues(new Uint8Array(16)));
+  }
+
+  // Passphrase-derived key for data the device key alone must not unlock
+  async deriveKey(passphrase, salt) {
+    const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+      { name: 'PBKDF2', salt: fromBase64(salt), iterations: PBKDF2_ITERATIONS, hash: 'SHA-256' },
+      material,
+      { name: 'AES-GCM', length: 256 },
+      false,
+      ['encrypt', 'decrypt']
+    );
+  }
+
+  async encryptJSON(data, key) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const encoded = new TextEncoder().encode(JSON.stringify(data));
+    const cipher = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key || await this.getDeviceKey(), encoded);
+    return { iv: toBase64(iv), data: toBase64(cipher) };
+  }
+
+  async decryptJSON(payload, key) {
+    const plain = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: fromBase64(payload.iv) },
+      key || await this.getDeviceKey(),
+      fromBase64(payload.data)
+    );
+    return JSON.parse(new TextDecoder().decode(plain));
+  }
+}
+
+export const cryptoService = new CryptoService();
@@ -1,5 +1,42 @@
 /* global chrome */
 
+// Modifier names the planner may use in key combos ("Ctrl+A", "Cmd+Enter")
+const KEY_MODIFIERS = {
+  ctrl: { key: 'Control', code: 'ControlLeft', keyCode: 17, flag: 'ctrlKey' },
+  control: { key: 'Control', code: 'ControlLeft', keyCode: 17, flag: 'ctrlKey' },
+  shift: { key: 'Shift', code: 'ShiftLeft', keyCode: 16, flag: 'shiftKey' },
+  alt: { key: 'Alt', code: 'AltLeft', keyCode: 18, flag: 'altKey' },
+  option: { key: 'Alt', code: 'AltLeft', keyCode: 18, flag: 'altKey' },
+  meta: { key: 'Meta', code: 'MetaLeft', keyCode: 91, flag: 'metaKey' },
+  cmd: { key: 'Meta', code: 'MetaLeft', keyCode: 91, flag: 'metaKey' },
+  command: { key: 'Meta', code: 'MetaLeft', keyCode: 91, flag: 'metaKey' }
+};
+
+// Other spellings of named keys
+const KEY_ALIASES = {
+  esc: 'Escape',
+  return: 'Enter',
+  space: ' ',
+  spacebar: ' ',
+  del: 'Delete',
+  up: 'ArrowUp',
+  down: 'ArrowDown',
+  left: 'ArrowLeft',
+  right: 'ArrowRight',
+  pgup: 'PageUp',
+  pgdn: 'PageDown'
+};
+
+// Legacy keyCode values - many handlers still compare against these
+const KEY_CODES = {
+  Backspace: 8, Tab: 9, Enter: 13, Escape: 27, ' ': 32, PageUp: 33, PageDown: 34, End: 35, Home: 36,
+  ArrowLeft: 37, ArrowUp: 38, ArrowRight: 39, ArrowDown: 40, Insert: 45, Delete: 46
+};
+
+const PUNCTUATION_CODES = { '.': 'Period', ',': 'Comma', '/': 'Slash', '-': 'Minus', '=': 'Equal', ';': 'Semicolon' };
+// How long the page gets to react before a synthetic event counts as ignored
+const EFFECT_WINDOW_MS = 400;
+
 /**
  * DOM Service - Universal Chrome API implementation
  * Uses chrome.scripting.executeScript and buildDomTree.js for DOM interaction
@@ -89,6 +126,7 @@ export class DOMService {
       includeHidden = false,
       showHighlightElements = true,
       focusHighlightIndex = -1,
+      focusHighlightIndices = [],
       viewportExpansion = 0,
     } = options;
 
@@ -109,6 +147,7 @@ export class DOMService {
           {
             showHighlightElements,
             focusHighlightIndex,
+            focusHighlightIndices,
             viewportExpansion,
             startId: 0,
             startHighlightIndex: 0,
@@ -178,15 +217,21 @@ export class DOMService {
           isInteractive: node.isInteractive || false,
           attributes: node.attributes || {},
           xpath: node.xpath || '',
+          // Iframe / shadow root hops the xpath is relative to (null in the top document)
+          framePath: node.framePath || null,
           selector: node.attributes?.['data-selector'] || '',
           bounds: node.bounds || {},
           highlightIndex: node.highlightIndex,
+          // Live value, checked state and options of selects, checkboxes, date and file inputs
+          control: node.control || null,
         };
 
         // Add category and purpose fields for planner compatibility
-        const { category, purpose } = this._categorizeElement(element);
+        const { category, purpose, controlType, options } = this._categorizeElement(element);
         element.category = category;
         element.purpose = purpose;
+        element.controlType = controlType;
+        element.options = options;
 
         elements.push(element);
       }
@@ -249,6 +294,12 @@ export class DOMService {
 
       if (type === 'submit' || type === 'button') {
         purpose = 'submit';
+      } else if (tagName === 'select') {
+        purpose = 'select';
+      } else if (['date', 'time', 'datetime-local', 'month', 'week'].includes(type)) {
+        purpose = 'date-input';
+      } else if (type === 'file') {
+        purpose = 'file-upload';
       } else if (type === 'search') {
         purpose = 'search-input';
       } else if (type === 'email') {
@@ -263,6 +314,15 @@ export class DOMService {
         purpose = 'input';
       }
     }
+    // ARIA widgets that behave like form controls
+    else if (['combobox', 'listbox'].includes(role) || attrs['aria-haspopup'] === 'listbox') {
+      category = 'form';
+      purpose = 'select';
+    }
+    else if (['checkbox', 'switch', 'radio'].includes(role)) {
+      category = 'form';
+      purpose = 'selection';
+    }
     // Button and action elements
     else if (tagName === 'button' || role === 'button' ||
       (tagName === 'a' && attrs.href) ||
@@ -305,7 +365,12 @@ export class DOMService {
       purpose = 'click';
     }
 
-    return { category, purpose };
+    // What kind of control this is and, for selects and listboxes, what can be chosen
+    const controlType = element.control?.type ||
+      (tagName === 'input' ? type || 'text' : tagName === 'textarea' ? 'textarea' : null);
+    const options = element.control?.options || null;
+
+    return { category, purpose, controlType, options };
   }
 
   /**
@@ -323,52 +388,16 @@ export class DOMService {
           let element = null;
 
           if (params.index !== undefined && params.index !== null) {
-            // Get buildDomTree result to find element by highlightIndex
-            const treeResult = window.buildDomTree({
-              showHighlightElements: false,
-              startHighlightIndex: 0,
-              startId: 0
-            });
-            if (treeResult && treeResult.map) {
-              // Find the node with matching highlightIndex
-              for (const id in treeResult.map) {
-                const node = treeResult.map[id];
-                if (node.highlightIndex === params.index) {
-                  // Try xpath first
-                  if (node.xpath) {
-                    const result = document.evaluate(node.xpath, document, null, XPathResult.FIRST_ORDERED_NODE_TYPE, null);
-                    element = result.singleNodeValue;
-                    if (element) break;
-                  }
-                  // Fall back to selector if xpath fails
-                  if (!element && node.attributes) {
-                    // Build a selector from attributes
-                    let selector = node.tagName || '';
-                    if (node.attributes.id) {
-                      selector += `#${node.attributes.id}`;
-                    } else if (node.attributes.class) {
-                      const classes = node.attributes.class.split(' ').slice(0, 2).join('.');
-                      selector += `.${classes}`;
-                    }
-                    if (selector) {
-                      try {
-                        element = document.querySelector(selector);
-                      } catch (e) {
-                        // Invalid selector
-                      }
-                    }
-                  }
-                  break;
-                }
-              }
-            }
+            // Resolves through same-origin iframes and open shadow roots
+            element = window.findDomTreeElement(params.index).element;
 
             if (!element) {
               return { success: false, error: `Element with index ${params.index} not found in DOM tree` };
             }
           } else if (params.xpath) {
-            const evaluateResult = document.evaluate(params.xpath, document, null, XPathResult.FIRST_ORDERED_NODE_TYPE, null);
-            element = evaluateResult.singleNodeValue;
+            element = params.framePath
+              ? window.walkDomTreeXPath(window.resolveDomTreeRoot(params.framePath), params.xpath)
+              : document.evaluate(params.xpath, document, null, XPathResult.FIRST_ORDERED_NODE_TYPE, null).singleNodeValue;
           } else if (params.selector) {
             element = document.querySelector(params.selector);
           }
@@ -406,59 +435,25 @@ export class DOMService {
   async performFill(tabId, params) {
     try {
       await this.injectBuildDomTreeScript(tabId);
+      const typingMs = (params.keyDelays || []).reduce((sum, ms) => sum + ms, 0);
 
       const result = await this.executeWithTimeout({
         target: { tabId },
-        func: (params) => {
+        func: async (params) => {
           // Find element by index, selector, or xpath
           let element = null;
 
           if (params.index !== undefined && params.index !== null) {
-            // Get buildDomTree result to find element by highlightIndex
-            const treeResult = window.buildDomTree({
-              showHighlightElements: false,
-              startHighlightIndex: 0,
-              startId: 0
-            });
-            if (treeResult && treeResult.map) {
-              // Find the node with matching highlightIndex
-              for (const id in treeResult.map) {
-                const node = treeResult.map[id];
-                if (node.highlightIndex === params.index) {
-                  // Try xpath first
-                  if (node.xpath) {
-                    const result = document.evaluate(node.xpath, document, null, XPathResult.FIRST_ORDERED_NODE_TYPE, null);
-                    element = result.singleNodeValue;
-                    if (element) break;
-                  }
-                  // Fall back to selector if xpath fails
-                  if (!element && node.attributes) {
-                    let selector = node.tagName || '';
-                    if (node.attributes.id) {
-                      selector += `#${node.attributes.id}`;
-                    } else if (node.attributes.class) {
-                      const classes = node.attributes.class.split(' ').slice(0, 2).join('.');
-                      selector += `.${classes}`;
-                    }
-                    if (selector) {
-                      try {
-                        element = document.querySelector(selector);
-                      } catch (e) {
-                        // Invalid selector
-                      }
-                    }
-                  }
-                  break;
-                }
-              }
-            }
+            // Resolves through same-origin iframes and open shadow roots
+            element = window.findDomTreeElement(params.index).element;
 
             if (!element) {
               return { success: false, error: `Element with index ${params.index} not found in DOM tree` };
             }
           } else if (params.xpath) {
-            const evaluateResult = document.evaluate(params.xpath, document, null, XPathResult.FIRST_ORDERED_NODE_TYPE, null);
-            element = evaluateResult.singleNodeValue;
+            element = params.framePath
+              ? window.walkDomTreeXPath(window.resolveDomTreeRoot(params.framePath), params.xpath)
+              : document.evaluate(params.xpath, document, null, XPathResult.FIRST_ORDERED_NODE_TYPE, null).singleNodeValue;
           } else if (params.selector) {
             element = document.querySelector(params.selector);
           }
@@ -480,6 +475,52 @@ export class DOMService {
             element.textContent = '';
           }
 
+          // Pick the matching option for native selects (by value or visible text)
+          if (element.tagName === 'SELECT') {
+            const wanted = String(params.text).trim().toLowerCase();
+            const option = Array.from(element.options).find(opt =>
+              opt.value.toLowerCase() === wanted || opt.text.trim().toLowerCase() === wanted);
+            if (!option) {
+              return { success: false, error: 'No matching option in select' };
+            }
+            element.value = option.value;
+            element.dispatchEvent(new Event('input', { bubbles: true }));
+            element.dispatchEvent(new Event('change', { bubbles: true }));
+            return { success: true, message: 'Option selected successfully' };
+          }
+
+          // Paced runs type key by key with a delay after each character
+          if (Array.isArray(params.keyDelays) && params.keyDelays.length > 0) {
+            const view = element.ownerDocument.defaultView;
+            // The prototype setter keeps React's value tracking in step
+            const setValue = Object.getOwnPropertyDescriptor(Object.getPrototypeOf(element), 'value')?.set;
+            const chars = Array.from(String(params.text));
+
+            for (let i = 0; i < chars.length; i++) {
+              const char = chars[i];
+              const keyInit = { key: char === '\n' ? 'Enter' : char, bubbles: true, cancelable: true, composed: true };
+              if (element.dispatchEvent(new view.KeyboardEvent('keydown', keyInit))) {
+                element.dispatchEvent(new view.KeyboardEvent('keypress', keyInit));
+                if ('value' in element) {
+                  if (setValue) setValue.call(element, element.value + char);
+                  else element.value += char;
+                } else if (!element.ownerDocument.execCommand('insertText', false, char)) {
+                  element.textContent += char;
+                }
+                element.dispatchEvent(new view.InputEvent('input', { bubbles: true, inputType: 'insertText', data: char }));
+              }
+              element.dispatchEvent(new view.KeyboardEvent('keyup', keyInit));
+              if (params.keyDelays[i]) {
+                await new Promise(resolve => setTimeout(resolve, params.keyDelays[i]));
+              }
+            }
+
+            if ('value' in element) {
+              element.dispatchEvent(new Event('change', { bubbles: true }));
+            }
+            return { success: true, message: `Typed ${chars.length} characters` };
+          }
+
           // Set the text value
           if ('value' in element) {
             element.value = params.text;
@@ -494,7 +535,7 @@ export class DOMService {
           return { success: true, message: 'Text filled successfully' };
         },
         args: [params],
-      });
+      }, 8000 + typingMs);
 
       const actionResult = result?.[0]?.result;
       return actionResult || { success: false, error: 'No result from fill action' };
@@ -510,30 +551,71 @@ export class DOMService {
    */
   async performScroll(tabId, params) {
     try {
+      const duration = params.duration || 0;
+      if ((params.index !== undefined && params.index !== null) || duration > 0) {
+        await this.injectBuildDomTreeScript(tabId);
+      }
+
       const result = await this.executeWithTimeout({
         target: { tabId },
-        func: (params) => {
-          const { direction = 'down', amount = 300 } = params;
+        func: async (params) => {
+          const { direction = 'down', amount = 300, duration = 0 } = params;
           const scrollAmount = parseInt(amount, 10);
+          const delta = {
+            down: { top: scrollAmount },
+            up: { top: -scrollAmount },
+            left: { left: -scrollAmount },
+            right: { left: scrollAmount }
+          }[direction] || {};
+
+          // With an index, scroll whatever holds that element - a scrollable box,
+          // the frame it sits in, or a shadow host's container - instead of the page
+          let scroller = window;
+          let scope = 'page';
+          if (params.index !== undefined && params.index !== null) {
+            const element = window.findDomTreeElement?.(params.index).element;
+            if (!element) {
+              return { success: false, error: `Element with index ${params.index} not found in DOM tree` };
+            }
 
-          try {
-            if (direction === 'down') {
-              window.scrollBy({ top: scrollAmount, behavior: 'smooth' });
-            } else if (direction === 'up') {
-              window.scrollBy({ top: -scrollAmount, behavior: 'smooth' });
-            } else if (direction === 'left') {
-              window.scrollBy({ left: -scrollAmount, behavior: 'smooth' });
-            } else if (direction === 'right') {
-              window.scrollBy({ left: scrollAmount, behavior: 'smooth' });
+            const vertical = delta.top !== undefined;
+            const canScroll = (el) => {
+              const style = el.ownerDocument.defaultView.getComputedStyle(el);
+              const overflow = vertical ? style.overflowY : style.overflowX;
+              const room = vertical ? el.scrollHeight - el.clientHeight : el.scrollWidth - el.clientWidth;
+              return room > 0 && /(auto|scroll|overlay)/.test(overflow);
+            };
+
+            let current = element;
+            scroller = null;
+            while (current && !scroller) {
+              if (current.nodeType === Node.ELEMENT_NODE && canScroll(current)) {
+                scroller = current;
+                scope = 'container';
+              }
+              // Step out of shadow roots to their host
+              current = current.parentElement || current.getRootNode?.().host || null;
+            }
+            if (!scroller) {
+              scroller = element.ownerDocument.defaultView;
+              scope = scroller === window ? 'page' : 'frame';
             }
+          }
 
-            return { success: true, message: `Scrolled ${direction} by ${scrollAmount}px` };
+          try {
+            // Paced runs ease in and out over a set time instead of the browser's smooth scroll
+            if (duration > 0) {
+              await window.easeDomTreeScroll(scroller, delta, duration);
+            } else {
+              scroller.scrollBy({ ...delta, behavior: 'smooth' });
+            }
+            return { success: true, message: `Scrolled ${scope} ${direction} by ${scrollAmount}px` };
           } catch (error) {
             return { success: false, error: error.message };
           }
         },
         args: [params],
-      });
+      }, 8000 + duration);
 
       const actionResult = result?.[0]?.result;
       return actionResult || { success: false, error: 'No result from scroll action' };
@@ -543,6 +625,1280 @@ export class DOMService {
     }
   }
 
+  /**
+   * Turn a key combo like "Ctrl+Shift+Tab" (plus optional extra modifier names)
+   * into the key, code and keyCode values a real keyboard would report
+   */
+  static parseKeyCombo(combo, extraModifiers = []) {
+    const raw = String(combo || '').trim();
+    if (!raw) {
+      throw new Error('No key specified');
+    }
+
+    // "Ctrl++" presses the plus key itself
+    const parts = raw.length > 1 && raw.endsWith('++')
+      ? [...raw.slice(0, -2).split('+'), '+']
+      : raw.split('+');
+    const tokens = [...(extraModifiers || []).map(String), ...parts].map(part => part.trim()).filter(Boolean);
+    const last = tokens.pop() || '+';
+
+    const modifierKeys = [];
+    const labelOf = (modifiers, keyLabel) => [...modifiers.map(m => (m.key === 'Control' ? 'Ctrl' : m.key)), keyLabel].join('+');
+    tokens.forEach(token => {
+      const modifier = KEY_MODIFIERS[token.toLowerCase()];
+      if (!modifier) {
+        throw new Error(`Unknown modifier "${token}" (use Ctrl, Shift, Alt or Meta)`);
+      }
+      if (!modifierKeys.some(existing => existing.flag === modifier.flag)) {
+        modifierKeys.push(modifier);
+      }
+    });
+
+    // A lone modifier ("Shift") is pressed as a key of its own
+    const lastModifier = KEY_MODIFIERS[last.toLowerCase()];
+    if (lastModifier) {
+      return { ...lastModifier, modifierKeys, label: labelOf(modifierKeys, lastModifier.key) };
+    }
+
+    const lower = last.toLowerCase();
+    let key = KEY_ALIASES[lower] ||
+      (last.length === 1 ? last : null) ||
+      (/^f\d{1,2}$/.test(lower) ? lower.toUpperCase() : null) ||
+      Object.keys(KEY_CODES).find(name => name.toLowerCase() === lower) ||
+      last;
+
+    let code = key;
+    let keyCode = KEY_CODES[key] || 0;
+    if (/^[a-z]$/i.test(key)) {
+      const shifted = modifierKeys.some(m => m.flag === 'shiftKey');
+      key = shifted ? key.toUpperCase() : key.toLowerCase();
+      code = `Key${key.toUpperCase()}`;
+      keyCode = key.toUpperCase().charCodeAt(0);
+    } else if (/^\d$/.test(key)) {
+      code = `Digit${key}`;
+      keyCode = key.charCodeAt(0);
+    } else if (key === ' ') {
+      code = 'Space';
+    } else if (/^F\d{1,2}$/.test(key)) {
+      keyCode = 111 + parseInt(key.substring(1), 10);
+    } else if (key.length === 1) {
+      code = PUNCTUATION_CODES[key] || '';
+    }
+
+    const keyLabel = key === ' ' ? 'Space' : (key.length === 1 ? key.toUpperCase() : key);
+    return { key, code, keyCode, modifierKeys, label: labelOf(modifierKeys, keyLabel) };
+  }
+
+  /**
+   * Dispatch the pointer, mouse, drag or keyboard event sequence a real user
+   * produces for one interaction. kind is hover, double_click, context_click,
+   * drag_and_drop, press_key or focus.
+   */
+  async performInteraction(tabId, kind, params) {
+    try {
+      await this.injectBuildDomTreeScript(tabId);
+
+      const result = await this.executeWithTimeout({
+        target: { tabId },
+        func: (kind, params) => {
+          const FOCUSABLE = 'a[href], area[href], button, input, select, textarea, summary, iframe, [tabindex], [contenteditable=""], [contenteditable="true"]';
+          // These do not bubble and cannot be cancelled in browsers either
+          const BOUNDARY_EVENTS = ['mouseenter', 'mouseleave', 'pointerenter', 'pointerleave', 'focus', 'blur'];
+
+          // Find element by index, selector, or xpath
+          const findElement = (target) => {
+            if (target.index !== undefined && target.index !== null) {
+              // Resolves through same-origin iframes and open shadow roots
+              return window.findDomTreeElement(target.index).element;
+            }
+            if (target.xpath) {
+              return target.framePath
+                ? window.walkDomTreeXPath(window.resolveDomTreeRoot(target.framePath), target.xpath)
+                : document.evaluate(target.xpath, document, null, XPathResult.FIRST_ORDERED_NODE_TYPE, null).singleNodeValue;
+            }
+            if (target.selector) {
+              return document.querySelector(target.selector);
+            }
+            return null;
+          };
+          const describeTarget = (target) => target.index !== undefined && target.index !== null
+            ? `Element with index ${target.index}`
+            : 'Element';
+
+          // Focused element, followed into iframes and shadow roots
+          const deepActiveElement = () => {
+            let active = document.activeElement;
+            while (active) {
+              const inner = active.shadowRoot?.activeElement ||
+                (active.tagName === 'IFRAME' ? active.contentDocument?.activeElement : null);
+              if (!inner || inner === active) break;
+              active = inner;
+            }
+            return active || document.body;
+          };
+
+          const centerOf = (element) => {
+            const rect = element.getBoundingClientRect();
+            return { clientX: Math.round(rect.left + rect.width / 2), clientY: Math.round(rect.top + rect.height / 2) };
+          };
+
+          // What the pointer is over at a point, inside open shadow roots too
+          const elementAt = (doc, point) => {
+            let hit = doc.elementFromPoint(point.clientX, point.clientY);
+            while (hit?.shadowRoot) {
+              const inner = hit.shadowRoot.elementFromPoint(point.clientX, point.clientY);
+              if (!inner || inner === hit) break;
+              hit = inner;
+            }
+            return hit;
+          };
+
+          // Returns false when a listener called preventDefault()
+          const fire = (element, type, init = {}) => {
+            const view = element.ownerDocument.defaultView || window;
+            const options = {
+              bubbles: !BOUNDARY_EVENTS.includes(type),
+              cancelable: !BOUNDARY_EVENTS.includes(type),
+              composed: true,
+              view,
+              ...init
+            };
+
+            let event;
+            if (type.startsWith('pointer') && view.PointerEvent) {
+              event = new view.PointerEvent(type, { pointerId: 1, pointerType: 'mouse', isPrimary: true, ...options });
+            } else if (type.startsWith('drag') || type === 'drop') {
+              event = new view.DragEvent(type, options);
+            } else if (type.startsWith('key')) {
+              event = new view.KeyboardEvent(type, options);
+              // Older handlers read keyCode/which, which the constructor does not set
+              Object.defineProperty(event, 'keyCode', { get: () => init.keyCode || 0 });
+              Object.defineProperty(event, 'which', { get: () => init.keyCode || 0 });
+            } else if (type.startsWith('focus') || type === 'blur') {
+              event = new view.FocusEvent(type, options);
+            } else {
+              event = new view.MouseEvent(type, options);
+            }
+            return element.dispatchEvent(event);
+          };
+
+          // Pointer leaves the last hovered element and enters this one
+          const hover = (element, point) => {
+            const previous = window.__omnibrowseHoverTarget;
+            if (previous && previous !== element && previous.isConnected && !previous.contains(element)) {
+              ['pointerout', 'pointerleave', 'mouseout', 'mouseleave'].forEach(type =>
+                fire(previous, type, { ...point, relatedTarget: element }));
+            }
+            window.__omnibrowseHoverTarget = element;
+            ['pointerover', 'pointerenter', 'mouseover', 'mouseenter'].forEach(type =>
+              fire(element, type, { ...point, relatedTarget: previous?.isConnected ? previous : null }));
+            fire(element, 'pointermove', point);
+            fire(element, 'mousemove', point);
+          };
+
+          const focusFor = (element) => {
+            const focusable = element.closest(FOCUSABLE);
+            if (focusable && focusable !== focusable.getRootNode().activeElement) {
+              focusable.focus({ preventScroll: true });
+            }
+          };
+
+          // One button press; a cancelled pointerdown suppresses the mouse events like in browsers
+          const press = (element, point, button, detail) => {
+            const buttons = button === 2 ? 2 : 1;
+            const mouseEvents = fire(element, 'pointerdown', { ...point, button, buttons, detail });
+            // mousedown moves focus unless the page prevents it
+            if (mouseEvents && fire(element, 'mousedown', { ...point, button, buttons, detail })) {
+              focusFor(element);
+            }
+            fire(element, 'pointerup', { ...point, button, buttons: 0, detail });
+            if (mouseEvents) {
+              fire(element, 'mouseup', { ...point, button, buttons: 0, detail });
+            }
+          };
+
+          const hasTarget = (target) => (target.index !== undefined && target.index !== null) || target.xpath || target.selector;
+          const element = hasTarget(params) ? findElement(params) : null;
+          if (!element && (kind !== 'press_key' || hasTarget(params))) {
+            return { success: false, error: `${describeTarget(params)} not found` };
+          }
+          if (element) {
+            // Instant scroll so the coordinates below are where the element really is
+            element.scrollIntoView({ block: 'center', inline: 'center' });
+          }
+
+          try {
+            if (kind === 'hover') {
+              hover(element, centerOf(element));
+              return { success: true, message: 'Hovered over element' };
+            }
+
+            if (kind === 'double_click') {
+              const point = centerOf(element);
+              hover(element, point);
+              press(element, point, 0, 1);
+              fire(element, 'click', { ...point, button: 0, detail: 1 });
+              press(element, point, 0, 2);
+              fire(element, 'click', { ...point, button: 0, detail: 2 });
+              fire(element, 'dblclick', { ...point, button: 0, detail: 2 });
+              return { success: true, message: 'Double-clicked element' };
+            }
+
+            if (kind === 'context_click') {
+              const point = centerOf(element);
+              hover(element, point);
+              press(element, point, 2, 1);
+              const nativeMenu = fire(element, 'contextmenu', { ...point, button: 2, buttons: 0, detail: 1 });
+              return {
+                success: true,
+                message: nativeMenu
+                  ? 'Right-clicked element - the page has no custom context menu here'
+                  : 'Right-clicked element - the page opened its own context menu'
+              };
+            }
+
+            if (kind === 'focus') {
+              let focusEventSeen = false;
+              const onFocus = () => { focusEventSeen = true; };
+              element.addEventListener('focus', onFocus, { once: true });
+              element.focus();
+              element.removeEventListener('focus', onFocus);
+
+              if (element.getRootNode().activeElement !== element) {
+                return { success: false, error: 'Element cannot take focus' };
+              }
+              // Browsers hold focus events back while another window (the side panel) has focus
+              if (!focusEventSeen) {
+                fire(element, 'focus');
+                fire(element, 'focusin');
+              }
+              return { success: true, message: 'Focused element' };
+            }
+
+            if (kind === 'drag_and_drop') {
+              const target = findElement(params.target || {});
+              if (!target) {
+                return { success: false, error: `Drop target ${describeTarget(params.target || {}).toLowerCase()} not found` };
+              }
+              if (target.ownerDocument !== element.ownerDocument) {
+                return { success: false, error: 'Source and drop target must be in the same frame' };
+              }
+              target.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+
+              const doc = element.ownerDocument;
+              const from = centerOf(element);
+              const to = centerOf(target);
+              // Drag libraries only start once the pointer has moved a few pixels
+              const STEPS = 8;
+              const pointAt = (step) => ({
+                clientX: Math.round(from.clientX + (to.clientX - from.clientX) * step / STEPS),
+                clientY: Math.round(from.clientY + (to.clientY - from.clientY) * step / STEPS)
+              });
+              // The last step lands on the target even if an overlay covers its centre
+              const underPointer = (step, point) => {
+                const hit = elementAt(doc, point);
+                return step === STEPS && !(hit && target.contains(hit)) ? target : (hit || target);
+              };
+
+              hover(element, from);
+              const mouseEvents = fire(element, 'pointerdown', { ...from, button: 0, buttons: 1 });
+              if (mouseEvents) {
+                fire(element, 'mousedown', { ...from, button: 0, buttons: 1 });
+              }
+
+              // HTML5 drag and drop for draggable elements (links, images, draggable="true")
+              if (element.draggable) {
+                const dataTransfer = new doc.defaultView.DataTransfer();
+                const dragInit = (point) => ({ ...point, buttons: 1, dataTransfer });
+                if (!fire(element, 'dragstart', dragInit(from))) {
+                  fire(element, 'pointerup', { ...from, button: 0, buttons: 0 });
+                  return { success: false, error: 'The page cancelled the drag' };
+                }
+
+                let over = null;
+                let dropAllowed = false;
+                for (let step = 1; step <= STEPS; step++) {
+                  const point = pointAt(step);
+                  const under = underPointer(step, point);
+                  fire(element, 'drag', dragInit(point));
+                  if (under !== over) {
+                    fire(under, 'dragenter', dragInit(point));
+                    if (over) fire(over, 'dragleave', dragInit(point));
+                    over = under;
+                  }
+                  // Cancelling dragover is how a page says "you can drop here"
+                  dropAllowed = !fire(under, 'dragover', dragInit(point));
+                }
+
+                if (dropAllowed) {
+                  fire(over, 'drop', dragInit(to));
+                } else {
+                  fire(over, 'dragleave', dragInit(to));
+                }
+                fire(element, 'dragend', dragInit(to));
+                window.__omnibrowseHoverTarget = over;
+                return dropAllowed
+                  ? { success: true, message: 'Dragged element onto the target' }
+                  : { success: false, error: 'The drop target did not accept the dragged element' };
+              }
+
+              // Pointer-driven sortable lists and sliders follow moves on whatever is under the pointer
+              let under = element;
+              for (let step = 1; step <= STEPS; step++) {
+                const point = pointAt(step);
+                under = underPointer(step, point);
+                fire(under, 'pointermove', { ...point, button: -1, buttons: 1 });
+                if (mouseEvents) {
+                  fire(under, 'mousemove', { ...point, button: 0, buttons: 1 });
+                }
+              }
+              fire(under, 'pointerup', { ...to, button: 0, buttons: 0 });
+              if (mouseEvents) {
+                fire(under, 'mouseup', { ...to, button: 0, buttons: 0 });
+              }
+              window.__omnibrowseHoverTarget = under;
+              return { success: true, message: 'Dragged element onto the target' };
+            }
+
+            if (kind === 'press_key') {
+              const { key, code, keyCode, modifierKeys, label } = params.combo;
+              if (element) {
+                focusFor(element);
+              }
+              const target = element || deepActiveElement();
+              const doc = target.ownerDocument;
+              const held = { ctrlKey: false, shiftKey: false, altKey: false, metaKey: false };
+              const keyInit = (k, c, kc) => ({ key: k, code: c, keyCode: kc, ...held });
+
+              const editable = target.isContentEditable || target.tagName === 'TEXTAREA' ||
+                (target.tagName === 'INPUT' && !['button', 'submit', 'reset', 'checkbox', 'radio', 'file', 'image', 'range', 'color'].includes(target.type));
+              const commandKey = () => held.ctrlKey || held.metaKey;
+
+              // Synthetic key events do not edit text, so apply the edit the way the browser would
+              const editText = (inputType, text = null) => {
+                const command = { insertText: 'insertText', insertLineBreak: 'insertLineBreak', deleteContentBackward: 'delete', deleteContentForward: 'forwardDelete' }[inputType];
+                if (doc.execCommand(command, false, text)) return true;
+                if (!('value' in target)) return false;
+
+                const value = String(target.value);
+                let start = target.selectionStart ?? value.length;
+                let end = target.selectionEnd ?? value.length;
+                if (start === end && inputType === 'deleteContentBackward') start = Math.max(0, start - 1);
+                if (start === end && inputType === 'deleteContentForward') end = Math.min(value.length, end + 1);
+                target.value = value.slice(0, start) + (text || '') + value.slice(end);
+                target.dispatchEvent(new doc.defaultView.InputEvent('input', { bubbles: true, inputType, data: text }));
+                return true;
+              };
+
+              const moveFocus = (backwards) => {
+                const candidates = Array.from(doc.querySelectorAll(FOCUSABLE))
+                  .filter(el => el.tabIndex >= 0 && !el.disabled && el.getClientRects().length > 0);
+                // Positive tabindex values come first, then document order
+                const ordered = [
+                  ...candidates.filter(el => el.tabIndex > 0).sort((a, b) => a.tabIndex - b.tabIndex),
+                  ...candidates.filter(el => el.tabIndex === 0)
+                ];
+                if (ordered.length === 0) return null;
+                const current = ordered.indexOf(target);
+                const next = current === -1
+                  ? ordered[backwards ? ordered.length - 1 : 0]
+                  : ordered[(current + (backwards ? -1 : 1) + ordered.length) % ordered.length];
+                next.focus();
+                return 'moved focus';
+              };
+
+              // What the browser does when nothing cancelled the key
+              const defaultAction = () => {
+                if (key.length === 1 && !commandKey()) {
+                  if (editable) return editText('insertText', key) ? 'typed' : null;
+                  if (key === ' ' && target.matches('button, summary, input[type="checkbox"], input[type="radio"], input[type="button"], input[type="submit"], input[type="reset"]')) {
+                    target.click();
+                    return 'activated';
+                  }
+                  return null;
+                }
+                if (commandKey() && key.toLowerCase() === 'a') {
+                  if (typeof target.select === 'function' && 'value' in target) target.select();
+                  else doc.execCommand('selectAll');
+                  return 'selected all';
+                }
+                if (key === 'Enter') {
+                  if (target.isContentEditable || target.tagName === 'TEXTAREA') {
+                    return editText('insertLineBreak', '\n') ? 'new line' : null;
+                  }
+                  if (target.tagName === 'INPUT' && target.form && editable) {
+                    // Implicit submission goes through the form's default button when it has one
+                    const submitter = target.form.querySelector('button:not([type]), button[type="submit"], input[type="submit"], input[type="image"]');
+                    if (submitter) submitter.click();
+                    else target.form.requestSubmit();
+                    return 'submitted form';
+                  }
+                  if (target.matches('button, a[href], area[href], summary, input[type="button"], input[type="submit"], input[type="reset"], input[type="image"]')) {
+                    target.click();
+                    return 'activated';
+                  }
+                  return null;
+                }
+                if ((key === 'Backspace' || key === 'Delete') && editable) {
+                  return editText(key === 'Backspace' ? 'deleteContentBackward' : 'deleteContentForward') ? 'deleted' : null;
+                }
+                if (key === 'Tab' && !held.altKey && !commandKey()) {
+                  return moveFocus(held.shiftKey);
+                }
+                if (key === 'Escape') {
+                  const dialog = Array.from(doc.querySelectorAll('dialog[open]')).pop();
+                  if (dialog && dialog.dispatchEvent(new doc.defaultView.Event('cancel', { cancelable: true }))) {
+                    dialog.close();
+                    return 'closed dialog';
+                  }
+                }
+                return null;
+              };
+
+              modifierKeys.forEach(modifier => {
+                held[modifier.flag] = true;
+                fire(target, 'keydown', keyInit(modifier.key, modifier.code, modifier.keyCode));
+              });
+
+              let handled = !fire(target, 'keydown', keyInit(key, code, keyCode));
+              if (!handled && key.length === 1 && !commandKey()) {
+                handled = !fire(target, 'keypress', { ...keyInit(key, code, key.charCodeAt(0)), charCode: key.charCodeAt(0) });
+              }
+              const effect = handled ? null : defaultAction();
+
+              // After Tab the key comes up wherever focus went
+              const upTarget = effect === 'moved focus' ? deepActiveElement() : target;
+              fire(upTarget, 'keyup', keyInit(key, code, keyCode));
+              [...modifierKeys].reverse().forEach(modifier => {
+                held[modifier.flag] = false;
+                fire(upTarget, 'keyup', keyInit(modifier.key, modifier.code, modifier.keyCode));
+              });
+
+              return {
+                success: true,
+                message: `Pressed ${label}${handled ? ' (handled by the page)' : effect ? ` (${effect})` : ''}`,
+                // A focus move or a cancelled key changes nothing an effect watch can see
+                reacted: handled || !!effect
+              };
+            }
+
+            return { success: false, error: `Unknown interaction: ${kind}` };
+          } catch (error) {
+            return { success: false, error: error.message };
+          }
+        },
+        args: [kind, params],
+      });
+
+      const actionResult = result?.[0]?.result;
+      return actionResult || { success: false, error: `No result from ${kind} action` };
+    } catch (error) {
+      console.error(`performInteraction (${kind}) failed:`, error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async performHover(tabId, params) {
+    return this.performInteraction(tabId, 'hover', params);
+  }
+
+  async performDoubleClick(tabId, params) {
+    return this.performInteraction(tabId, 'double_click', params);
+  }
+
+  async performContextClick(tabId, params) {
+    return this.performInteraction(tabId, 'context_click', params);
+  }
+
+  /**
+   * Drag params (the source) onto params.target - both index, selector or xpath
+   */
+  async performDragAndDrop(tabId, params) {
+    return this.performInteraction(tabId, 'drag_and_drop', params);
+  }
+
+  /**
+   * Press params.key ("Enter", "Escape", "Ctrl+A") on the element at params.index,
+   * or on whatever has focus when no element is given
+   */
+  async performKeyPress(tabId, params) {
+    try {
+      const combo = DOMService.parseKeyCombo(params.key, params.modifiers);
+      return this.performInteraction(tabId, 'press_key', { ...params, combo });
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  async performFocus(tabId, params) {
+    return this.performInteraction(tabId, 'focus', params);
+  }
+
+  /**
+   * Text and labelling attributes of the focused element (followed into same-origin
+   * iframes and open shadow roots), shaped like a page state element; null when nothing has focus
+   */
+  async getFocusedElement(tabId) {
+    try {
+      const result = await this.executeWithTimeout({
+        target: { tabId },
+        func: () => {
+          let active = document.activeElement;
+          while (active) {
+            const inner = active.shadowRoot?.activeElement ||
+              (active.tagName === 'IFRAME' ? active.contentDocument?.activeElement : null);
+            if (!inner || inner === active) break;
+            active = inner;
+          }
+          if (!active || active === active.ownerDocument.body) return null;
+
+          const attributes = {};
+          ['value', 'aria-label', 'title', 'type'].forEach(name => {
+            const value = name === 'value' ? active.value : active.getAttribute(name);
+            if (typeof value === 'string' && value) attributes[name] = value;
+          });
+          return {
+            tagName: active.tagName.toLowerCase(),
+            text: (active.innerText || '').replace(/\s+/g, ' ').trim().substring(0, 200),
+            attributes
+          };
+        }
+      }, 5000);
+      return result?.[0]?.result || null;
+    } catch (error) {
+      console.warn('Could not read the focused element:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Run a synthetic action while watching the page for a reaction. The result
+   * gets effect: false when nothing changed - how an isTrusted check shows itself.
+   * With expectText the check is whether the target ended up holding that text.
+   */
+  async performWithEffectWatch(tabId, params, perform, { expectText } = {}) {
+    let watching = false;
+    try {
+      await this.injectBuildDomTreeScript(tabId);
+      const started = await this.executeWithTimeout({
+        target: { tabId },
+        func: (target) => window.startDomTreeEffectWatch(target),
+        args: [params],
+      });
+      watching = started?.[0]?.result === true;
+    } catch (error) {
+      console.warn('Could not watch for a page reaction:', error.message);
+    }
+
+    const result = await perform(tabId, params);
+    if (!watching) return result;
+
+    await new Promise(resolve => setTimeout(resolve, result.success ? EFFECT_WINDOW_MS : 0));
+    try {
+      const finished = await this.executeWithTimeout({
+        target: { tabId },
+        func: (options) => window.finishDomTreeEffectWatch(options),
+        args: [{ expectText }],
+      });
+      return { ...result, effect: !!result.reacted || finished?.[0]?.result !== false };
+    } catch (error) {
+      // The page navigated away - a reaction too
+      return { ...result, effect: true };
+    }
+  }
+
+  /**
+   * Scroll an element into view and return the centre of its box in top-level
+   * viewport coordinates - where a real mouse has to go to hit it. Same-origin
+   * iframes are offset by their position in the page around them.
+   * With params.scrollDuration an off-screen element is brought in with an eased scroll.
+   */
+  async getElementPoint(tabId, params) {
+    try {
+      await this.injectBuildDomTreeScript(tabId);
+
+      const result = await this.executeWithTimeout({
+        target: { tabId },
+        func: async (target) => {
+          const element = window.findDomTreeTarget(target);
+          if (!element) {
+            return {
+              success: false,
+              error: target.index !== undefined && target.index !== null
+                ? `Element with index ${target.index} not found in DOM tree`
+                : 'Element not found'
+            };
+          }
+
+          const view = element.ownerDocument.defaultView;
+          const inView = (box) => box.top >= 0 && box.left >= 0 && box.bottom <= view.innerHeight && box.right <= view.innerWidth;
+          // Only the top page eases; frames and their parents are not coordinated
+          const easing = target.scrollDuration > 0 && view === window;
+          let scrolledMs = 0;
+          if (easing && !inView(element.getBoundingClientRect())) {
+            const box = element.getBoundingClientRect();
+            await window.easeDomTreeScroll(view, {
+              top: Math.round(box.top + box.height / 2 - view.innerHeight / 2),
+              left: box.left < 0 || box.right > view.innerWidth ? Math.round(box.left + box.width / 2 - view.innerWidth / 2) : 0
+            }, target.scrollDuration);
+            scrolledMs = target.scrollDuration;
+          }
+          // Nested scroll containers, or no pacing: jump straight there
+          if (!easing || !inView(element.getBoundingClientRect())) {
+            element.scrollIntoView({ block: 'center', inline: 'center' });
+          }
+
+          const rect = element.getBoundingClientRect();
+          if (rect.width === 0 && rect.height === 0) {
+            return { success: false, error: 'Element is not visible' };
+          }
+          const localX = rect.left + rect.width / 2;
+          const localY = rect.top + rect.height / 2;
+
+          // An overlay over the centre would get the real click instead
+          const root = element.getRootNode();
+          const hit = typeof root.elementFromPoint === 'function' ? root.elementFromPoint(localX, localY) : null;
+          const covered = !!hit && hit !== element && !element.contains(hit);
+
+          let x = localX;
+          let y = localY;
+          let frameView = view;
+          while (frameView && frameView !== window && frameView.frameElement) {
+            const frame = frameView.frameElement;
+            const frameRect = frame.getBoundingClientRect();
+            x += frameRect.left + frame.clientLeft;
+            y += frameRect.top + frame.clientTop;
+            frameView = frameView.parent;
+          }
+
+          return {
+            success: true,
+            x: Math.round(x),
+            y: Math.round(y),
+            covered,
+            scrolledMs,
+            viewport: { width: window.innerWidth, height: window.innerHeight }
+          };
+        },
+        args: [params],
+      }, 8000 + (params.scrollDuration || 0));
+
+      return result?.[0]?.result || { success: false, error: 'No result from element lookup' };
+    } catch (error) {
+      console.error('getElementPoint failed:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Move the synthetic pointer along a path of top-level viewport points
+   * ({ x, y, delay }), with pointermove/mousemove on whatever is under it and
+   * over/out events as it passes from one element to the next
+   */
+  async dispatchMousePath(tabId, path = []) {
+    try {
+      const totalMs = path.reduce((sum, point) => sum + (point.delay || 0), 0);
+
+      const result = await this.executeWithTimeout({
+        target: { tabId },
+        func: async (path) => {
+          // Element under a point, inside open shadow roots and same-origin iframes
+          const locate = (x, y) => {
+            let clientX = x;
+            let clientY = y;
+            let hit = document.elementFromPoint(x, y);
+            while (hit) {
+              const inner = hit.shadowRoot?.elementFromPoint(clientX, clientY);
+              if (inner && inner !== hit) {
+                hit = inner;
+                continue;
+              }
+              let frameDoc = null;
+              try {
+                frameDoc = hit.tagName === 'IFRAME' ? hit.contentDocument : null;
+              } catch (e) {
+                frameDoc = null;
+              }
+              if (!frameDoc) break;
+              const frameRect = hit.getBoundingClientRect();
+              clientX -= frameRect.left + hit.clientLeft;
+              clientY -= frameRect.top + hit.clientTop;
+              const framed = frameDoc.elementFromPoint(clientX, clientY);
+              if (!framed) break;
+              hit = framed;
+            }
+            return { element: hit, clientX: Math.round(clientX), clientY: Math.round(clientY) };
+          };
+
+          let previous = window.__omnibrowseHoverTarget?.isConnected ? window.__omnibrowseHoverTarget : null;
+          for (const point of path) {
+            const { element, clientX, clientY } = locate(point.x, point.y);
+            if (element) {
+              const view = element.ownerDocument.defaultView;
+              const init = { bubbles: true, cancelable: true, composed: true, view, clientX, clientY, buttons: 0 };
+              // Each pointer event is followed by its mouse counterpart, like in browsers
+              const fire = (target, type, extra = {}) => {
+                if (view.PointerEvent) {
+                  target.dispatchEvent(new view.PointerEvent(`pointer${type}`, { ...init, pointerId: 1, pointerType: 'mouse', isPrimary: true, ...extra }));
+                }
+                target.dispatchEvent(new view.MouseEvent(`mouse${type}`, { ...init, ...extra }));
+              };
+              if (element !== previous) {
+                if (previous) fire(previous, 'out', { relatedTarget: element });
+                fire(element, 'over', { relatedTarget: previous });
+                previous = element;
+              }
+              fire(element, 'move');
+            }
+            if (point.delay) {
+              await new Promise(resolve => setTimeout(resolve, point.delay));
+            }
+          }
+
+          window.__omnibrowseHoverTarget = previous;
+          return { success: true, message: `Moved the pointer through ${path.length} points` };
+        },
+        args: [path],
+      }, 8000 + totalMs);
+
+      return result?.[0]?.result || { success: false, error: 'No result from pointer move' };
+    } catch (error) {
+      console.error('dispatchMousePath failed:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Focus a text field and select what it holds, so typed text replaces it
+   */
+  async selectElementContents(tabId, params) {
+    try {
+      await this.injectBuildDomTreeScript(tabId);
+
+      const result = await this.executeWithTimeout({
+        target: { tabId },
+        func: (target) => {
+          const element = window.findDomTreeTarget(target);
+          if (!element) {
+            return { success: false, error: 'Element not found' };
+          }
+
+          if (element.getRootNode().activeElement !== element && !element.isContentEditable) {
+            element.focus({ preventScroll: true });
+          }
+          if (typeof element.select === 'function' && 'value' in element) {
+            element.select();
+          } else if (element.isContentEditable) {
+            const range = element.ownerDocument.createRange();
+            range.selectNodeContents(element);
+            const selection = element.ownerDocument.getSelection();
+            selection.removeAllRanges();
+            selection.addRange(range);
+          } else {
+            return { success: false, error: 'Element does not accept text' };
+          }
+          return { success: true };
+        },
+        args: [params],
+      });
+
+      return result?.[0]?.result || { success: false, error: 'No result from text selection' };
+    } catch (error) {
+      console.error('selectElementContents failed:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Read a date and/or time ("2025-03-14", "March 14, 2025", "2:30 pm",
+   * "2025-03-14T14:30") into the value formats of the native date inputs
+   */
+  static parseDateValue(value) {
+    const raw = String(value ?? '').trim();
+    if (!raw) return null;
+
+    const pad = (number) => String(number).padStart(2, '0');
+    const result = {};
+    if (/^\d{4}-W\d{2}$/i.test(raw)) {
+      return { week: raw.toUpperCase() };
+    }
+
+    let year, month, day, hours, minutes, seconds;
+    const iso = raw.match(/^(\d{4})-(\d{1,2})(?:-(\d{1,2}))?(?:[T\s](\d{1,2}):(\d{2})(?::(\d{2}))?)?$/);
+    const timeOnly = raw.match(/^(\d{1,2}):(\d{2})(?::(\d{2}))?\s*([ap])\.?m\.?$/i) || raw.match(/^(\d{1,2}):(\d{2})(?::(\d{2}))?$/);
+    if (iso) {
+      [year, month, day] = [Number(iso[1]), Number(iso[2]), Number(iso[3] || 1)];
+      if (iso[4] !== undefined) {
+        [hours, minutes, seconds] = [Number(iso[4]), Number(iso[5]), iso[6] !== undefined ? Number(iso[6]) : undefined];
+      }
+    } else if (timeOnly) {
+      [hours, minutes, seconds] = [Number(timeOnly[1]), Number(timeOnly[2]), timeOnly[3] !== undefined ? Number(timeOnly[3]) : undefined];
+      const meridiem = (timeOnly[4] || '').toLowerCase();
+      if (meridiem === 'p' && hours < 12) hours += 12;
+      if (meridiem === 'a' && hours === 12) hours = 0;
+    } else {
+      // Free text like "March 14, 2025" or "14 Mar 2025 3:00 PM"
+      const parsed = new Date(raw);
+      if (Number.isNaN(parsed.getTime())) return null;
+      [year, month, day] = [parsed.getFullYear(), parsed.getMonth() + 1, parsed.getDate()];
+      if (/\d:\d{2}/.test(raw)) {
+        [hours, minutes] = [parsed.getHours(), parsed.getMinutes()];
+      }
+    }
+
+    if (year !== undefined) {
+      const check = new Date(Date.UTC(year, month - 1, day));
+      if (check.getUTCFullYear() !== year || check.getUTCMonth() !== month - 1 || check.getUTCDate() !== day) return null;
+
+      result.date = `${year}-${pad(month)}-${pad(day)}`;
+      result.month = `${year}-${pad(month)}`;
+      result.parts = { year, month, day };
+
+      // ISO week: the week with the year's first Thursday is week 1
+      const thursday = new Date(check);
+      thursday.setUTCDate(check.getUTCDate() + 4 - (check.getUTCDay() || 7));
+      const yearStart = new Date(Date.UTC(thursday.getUTCFullYear(), 0, 1));
+      result.week = `${thursday.getUTCFullYear()}-W${pad(Math.ceil(((thursday - yearStart) / 86400000 + 1) / 7))}`;
+    }
+
+    if (hours !== undefined) {
+      if (hours > 23 || minutes > 59 || (seconds !== undefined && seconds > 59)) return null;
+      result.time = `${pad(hours)}:${pad(minutes)}${seconds !== undefined ? `:${pad(seconds)}` : ''}`;
+    }
+
+    if (result.date) {
+      result['datetime-local'] = `${result.date}T${result.time || '00:00'}`;
+    }
+    return result;
+  }
+
+  /**
+   * Set the value of a form control the way a user would: pick an option of a
+   * native or ARIA select, tick a checkbox/radio/switch, enter a date, or
+   * attach files. kind is select_option, set_checked, set_date or upload_file.
+   */
+  async performFormControl(tabId, kind, params) {
+    try {
+      await this.injectBuildDomTreeScript(tabId);
+
+      const result = await this.executeWithTimeout({
+        target: { tabId },
+        func: async (kind, params) => {
+          // Find element by index, selector, or xpath
+          let element = null;
+          if (params.index !== undefined && params.index !== null) {
+            // Resolves through same-origin iframes and open shadow roots
+            element = window.findDomTreeElement(params.index).element;
+            if (!element) {
+              return { success: false, error: `Element with index ${params.index} not found in DOM tree` };
+            }
+          } else if (params.xpath) {
+            element = params.framePath
+              ? window.walkDomTreeXPath(window.resolveDomTreeRoot(params.framePath), params.xpath)
+              : document.evaluate(params.xpath, document, null, XPathResult.FIRST_ORDERED_NODE_TYPE, null).singleNodeValue;
+          } else if (params.selector) {
+            element = document.querySelector(params.selector);
+          }
+
+          if (!element) {
+            return { success: false, error: 'Element not found' };
+          }
+
+          const doc = element.ownerDocument;
+          const view = doc.defaultView || window;
+          const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+          const normalize = (text) => String(text ?? '').replace(/\s+/g, ' ').trim().toLowerCase();
+          const labelOf = (el) => (el.getAttribute('aria-label') || el.textContent || '').replace(/\s+/g, ' ').trim();
+          const isVisible = (el) => el.getClientRects().length > 0 && view.getComputedStyle(el).visibility !== 'hidden';
+
+          // Exact value, then exact label, then a label containing the wanted text
+          const pickOption = (options, wanted, valueOf, textOf) => {
+            const target = normalize(wanted);
+            return options.find(option => normalize(valueOf(option)) === target) ||
+              options.find(option => normalize(textOf(option)) === target) ||
+              options.find(option => normalize(textOf(option)).includes(target));
+          };
+
+          // The prototype setter lets React and similar frameworks notice the new value
+          const setValue = (el, value) => {
+            const setter = Object.getOwnPropertyDescriptor(Object.getPrototypeOf(el), 'value')?.set;
+            if (setter) setter.call(el, value);
+            else el.value = value;
+          };
+          const notifyChange = (el) => {
+            el.dispatchEvent(new view.Event('input', { bubbles: true, composed: true }));
+            el.dispatchEvent(new view.Event('change', { bubbles: true }));
+          };
+
+          // Pointer, mouse and click events of a real left click
+          const userClick = (el) => {
+            el.scrollIntoView({ block: 'center', inline: 'center' });
+            const rect = el.getBoundingClientRect();
+            const point = { clientX: Math.round(rect.left + rect.width / 2), clientY: Math.round(rect.top + rect.height / 2) };
+            const init = { bubbles: true, cancelable: true, composed: true, view, button: 0, ...point };
+            const PointerType = view.PointerEvent || view.MouseEvent;
+            el.dispatchEvent(new PointerType('pointerdown', { ...init, buttons: 1, pointerType: 'mouse', isPrimary: true }));
+            el.dispatchEvent(new view.MouseEvent('mousedown', { ...init, buttons: 1, detail: 1 }));
+            el.focus?.({ preventScroll: true });
+            el.dispatchEvent(new PointerType('pointerup', { ...init, buttons: 0, pointerType: 'mouse', isPrimary: true }));
+            el.dispatchEvent(new view.MouseEvent('mouseup', { ...init, buttons: 0, detail: 1 }));
+            el.click();
+          };
+
+          try {
+            if (kind === 'select_option') {
+              const wanted = params.option;
+              if (wanted === undefined || wanted === null || wanted === '') {
+                return { success: false, error: 'No option given' };
+              }
+
+              // Native <select>: choose by value or visible text
+              if (element.tagName === 'SELECT') {
+                const options = Array.from(element.options);
+                const option = pickOption(options, wanted, o => o.value, o => o.text);
+                if (!option) {
+                  return { success: false, error: `No option matching "${wanted}" (options: ${options.slice(0, 15).map(o => o.text.trim()).join(', ')})` };
+                }
+                if (option.disabled) {
+                  return { success: false, error: `Option "${option.text.trim()}" is disabled` };
+                }
+                element.focus();
+                if (element.multiple) {
+                  option.selected = true;
+                } else {
+                  setValue(element, option.value);
+                }
+                notifyChange(element);
+                return { success: true, message: `Selected "${option.text.trim()}"` };
+              }
+
+              // ARIA listbox/combobox: open the popup, then click the matching option
+              const role = (element.getAttribute('role') || '').toLowerCase();
+              const root = element.getRootNode();
+              const findListbox = () => {
+                if (role === 'listbox') return element;
+                const ids = `${element.getAttribute('aria-controls') || ''} ${element.getAttribute('aria-owns') || ''}`.trim().split(/\s+/).filter(Boolean);
+                const owned = ids.map(id => root.getElementById?.(id) || doc.getElementById(id)).find(Boolean);
+                if (owned) return owned.getAttribute('role') === 'listbox' ? owned : owned.querySelector('[role="listbox"]') || owned;
+                return element.querySelector('[role="listbox"]') ||
+                  Array.from(doc.querySelectorAll('[role="listbox"]')).filter(isVisible).pop() || null;
+              };
+              const findOption = () => {
+                const listbox = findListbox();
+                const options = Array.from((listbox || doc).querySelectorAll('[role="option"]')).filter(isVisible);
+                return pickOption(options, wanted, o => o.getAttribute('data-value') || o.getAttribute('value') || '', labelOf);
+              };
+
+              if (role === 'option') {
+                userClick(element);
+                return { success: true, message: `Selected "${labelOf(element)}"` };
+              }
+
+              let option = element.getAttribute('aria-expanded') === 'true' || role === 'listbox' ? findOption() : null;
+              if (!option) {
+                // Autocomplete comboboxes filter their options by what is typed
+                if (element.tagName === 'INPUT' || element.tagName === 'TEXTAREA') {
+                  element.focus();
+                  setValue(element, String(wanted));
+                  element.dispatchEvent(new view.InputEvent('input', { bubbles: true, composed: true, inputType: 'insertText', data: String(wanted) }));
+                } else {
+                  userClick(element);
+                }
+                // Options are often rendered a moment after the popup opens
+                for (let waited = 0; !option && waited < 3000; waited += 100) {
+                  await sleep(100);
+                  option = findOption();
+                }
+              }
+              if (!option) {
+                return { success: false, error: `No option matching "${wanted}" appeared` };
+              }
+              if (option.getAttribute('aria-disabled') === 'true') {
+                return { success: false, error: `Option "${labelOf(option)}" is disabled` };
+              }
+
+              const label = labelOf(option);
+              userClick(option);
+              await sleep(100);
+              const confirmed = option.getAttribute('aria-selected') === 'true' || !option.isConnected ||
+                normalize(element.value ?? labelOf(element)).includes(normalize(label));
+              return confirmed
+                ? { success: true, message: `Selected "${label}"` }
+                : { success: false, error: `Clicked "${label}" but the control did not show it as selected` };
+            }
+
+            if (kind === 'set_checked') {
+              const wanted = params.checked !== false;
+              const CHECKABLE = 'input[type="checkbox"], input[type="radio"], [role="checkbox"], [role="switch"], [role="radio"], [role="menuitemcheckbox"], [role="menuitemradio"]';
+
+              // A label or wrapper stands for the control inside it
+              let control = element.tagName === 'LABEL' && element.control ? element.control : element;
+              if (!control.matches(`${CHECKABLE}, [aria-pressed]`)) {
+                control = control.querySelector(CHECKABLE) || control;
+              }
+              const isNative = control.tagName === 'INPUT';
+              const role = (control.getAttribute('role') || '').toLowerCase();
+              if (!isNative && !control.matches(`${CHECKABLE}, [aria-pressed]`)) {
+                return { success: false, error: 'Element is not a checkbox, radio button or switch' };
+              }
+
+              const readState = () => isNative
+                ? control.checked
+                : control.getAttribute('aria-checked') === 'true' || control.getAttribute('aria-pressed') === 'true';
+              if (readState() === wanted) {
+                return { success: true, message: `Already ${wanted ? 'checked' : 'unchecked'}` };
+              }
+              if (!wanted && (control.type === 'radio' || role === 'radio' || role === 'menuitemradio')) {
+                return { success: false, error: 'A radio button cannot be unchecked - select another option in its group instead' };
+              }
+              if (control.disabled || control.getAttribute('aria-disabled') === 'true') {
+                return { success: false, error: 'The control is disabled' };
+              }
+
+              // Styled checkboxes often hide the input; users click its label then
+              const clickTarget = isNative && !isVisible(control) && control.labels?.length > 0 ? control.labels[0] : control;
+              userClick(clickTarget);
+              await sleep(50);
+              return readState() === wanted
+                ? { success: true, message: wanted ? 'Checked' : 'Unchecked' }
+                : { success: false, error: 'The control did not change state' };
+            }
+
+            if (kind === 'set_date') {
+              const parsed = params.parsed || {};
+              const type = (element.type || '').toLowerCase();
+
+              if (element.tagName === 'INPUT' && ['date', 'time', 'datetime-local', 'month', 'week'].includes(type)) {
+                const value = parsed[type];
+                if (!value) {
+                  return { success: false, error: `"${params.value}" is not a valid ${type} value` };
+                }
+                element.focus();
+                setValue(element, value);
+                notifyChange(element);
+                if (element.value !== value) {
+                  return { success: false, error: `The ${type} field rejected "${value}"` };
+                }
+                const outOfRange = element.validity?.rangeUnderflow || element.validity?.rangeOverflow;
+                return {
+                  success: true,
+                  message: `Set ${type} to ${value}${outOfRange ? ` (outside the allowed range ${element.min || 'any'} to ${element.max || 'any'})` : ''}`
+                };
+              }
+
+              // Text fields behind custom pickers: write the date the way the field's placeholder shows it
+              if (element.tagName === 'INPUT' || element.tagName === 'TEXTAREA') {
+                const pattern = element.getAttribute('placeholder') || element.getAttribute('data-date-format') || '';
+                let text = String(params.value);
+                if (parsed.parts && /yyyy|yy|mm|dd/i.test(pattern)) {
+                  const { year, month, day } = parsed.parts;
+                  const tokens = { yyyy: String(year), yy: String(year).slice(-2), mm: String(month).padStart(2, '0'), dd: String(day).padStart(2, '0') };
+                  text = pattern.replace(/yyyy|yy|mm|dd/gi, token => tokens[token.toLowerCase()]);
+                }
+                element.focus();
+                setValue(element, text);
+                notifyChange(element);
+                // Many pickers only commit the typed date when the field loses focus
+                element.blur();
+                return { success: true, message: `Entered "${text}" into the date field` };
+              }
+
+              return { success: false, error: 'Element is not a date or time field - open its calendar and click the day instead' };
+            }
+
+            if (kind === 'upload_file') {
+              const files = (params.files || []).map(file => {
+                const binary = view.atob(file.data);
+                const bytes = new Uint8Array(binary.length);
+                for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+                return new view.File([bytes], file.name, { type: file.type, lastModified: Date.now() });
+              });
+              const dataTransfer = new view.DataTransfer();
+              files.forEach(file => dataTransfer.items.add(file));
+
+              // A label, button or wrapper usually belongs to a hidden file input
+              const input = element.matches('input[type="file"]')
+                ? element
+                : (element.tagName === 'LABEL' && element.control?.type === 'file' ? element.control : null) ||
+                  element.querySelector('input[type="file"]') ||
+                  element.parentElement?.querySelector('input[type="file"]');
+
+              if (input) {
+                if (files.length > 1 && !input.multiple) {
+                  return { success: false, error: 'This file input accepts a single file' };
+                }
+                input.files = dataTransfer.files;
+                notifyChange(input);
+                return { success: true, message: `Attached ${files.map(file => file.name).join(', ')}` };
+              }
+
+              // Drop zones take the files from a drop event
+              const rect = element.getBoundingClientRect();
+              const init = { bubbles: true, cancelable: true, composed: true, dataTransfer, clientX: Math.round(rect.left + rect.width / 2), clientY: Math.round(rect.top + rect.height / 2) };
+              element.dispatchEvent(new view.DragEvent('dragenter', init));
+              const accepted = !element.dispatchEvent(new view.DragEvent('dragover', init));
+              if (!accepted) {
+                element.dispatchEvent(new view.DragEvent('dragleave', init));
+                return { success: false, error: 'Element is not a file input and does not accept dropped files' };
+              }
+              element.dispatchEvent(new view.DragEvent('drop', init));
+              return { success: true, message: `Dropped ${files.map(file => file.name).join(', ')} onto the upload area` };
+            }
+
+            return { success: false, error: `Unknown form control action: ${kind}` };
+          } catch (error) {
+            return { success: false, error: error.message };
+          }
+        },
+        args: [kind, params],
+      }, 15000);
+
+      const actionResult = result?.[0]?.result;
+      return actionResult || { success: false, error: `No result from ${kind} action` };
+    } catch (error) {
+      console.error(`performFormControl (${kind}) failed:`, error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async performSelectOption(tabId, params) {
+    return this.performFormControl(tabId, 'select_option', params);
+  }
+
+  async performSetChecked(tabId, params) {
+    return this.performFormControl(tabId, 'set_checked', params);
+  }
+
+  async performSetDate(tabId, params) {
+    const parsed = DOMService.parseDateValue(params.value);
+    if (!parsed) {
+      return { success: false, error: `Could not read "${params.value}" as a date or time (use e.g. 2025-03-14, 14:30 or 2025-03-14T14:30)` };
+    }
+    return this.performFormControl(tabId, 'set_date', { ...params, parsed });
+  }
+
+  /**
+   * Attach files ({ name, type, data } with base64 data) to a file input,
+   * the input behind a label or button, or a drop zone
+   */
+  async performUploadFile(tabId, params) {
+    return this.performFormControl(tabId, 'upload_file', params);
+  }
+
+  /**
+   * Resolve the visible label of form fields (label[for], wrapping label, aria-labelledby)
+   * Returns a map of xpath -> label text
+   */
+  async getFormFieldLabels(tabId, xpaths = []) {
+    if (xpaths.length === 0) return {};
+
+    try {
+      const result = await this.executeWithTimeout({
+        target: { tabId },
+        func: (xpaths) => {
+          const labels = {};
+          xpaths.forEach(xpath => {
+            const element = document.evaluate(xpath, document, null, XPathResult.FIRST_ORDERED_NODE_TYPE, null).singleNodeValue;
+            if (!element) return;
+
+            let text = '';
+            if (element.labels && element.labels.length > 0) {
+              text = Array.from(element.labels).map(label => label.innerText).join(' ');
+            } else if (element.getAttribute('aria-labelledby')) {
+              text = element.getAttribute('aria-labelledby').split(/\s+/)
+                .map(id => document.getElementById(id)?.innerText || '')
+                .join(' ');
+            }
+            labels[xpath] = text.replace(/\s+/g, ' ').trim();
+          });
+          return labels;
+        },
+        args: [xpaths],
+      });
+
+      return result?.[0]?.result || {};
+    } catch (error) {
+      console.error('getFormFieldLabels failed:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Read visible text and table structure from the page or from one scoped element
+   * Scope can be an element index, CSS selector or XPath (same as click/fill)
+   */
+  async getPageContent(tabId, params = {}) {
+    try {
+      if (params.index !== undefined && params.index !== null) {
+        await this.injectBuildDomTreeScript(tabId);
+      }
+
+      const result = await this.executeWithTimeout({
+        target: { tabId },
+        func: (params) => {
+          const { maxTextLength = 12000, maxTables = 5, maxRows = 100 } = params;
+          let root = document.body;
+
+          if (params.index !== undefined && params.index !== null && window.findDomTreeElement) {
+            root = window.findDomTreeElement(params.index).element;
+          } else if (params.selector) {
+            try {
+              root = document.querySelector(params.selector);
+            } catch (e) {
+              root = null;
+            }
+          } else if (params.xpath) {
+            root = document.evaluate(params.xpath, document, null, XPathResult.FIRST_ORDERED_NODE_TYPE, null).singleNodeValue;
+          }
+
+          if (!root) {
+            return { success: false, error: 'Scope element not found' };
+          }
+
+          const cellText = (cell) => (cell.innerText || cell.textContent || '').replace(/\s+/g, ' ').trim();
+
+          // Tables inside the scope, or the table the scope sits in
+          let tableElements = Array.from(root.querySelectorAll('table'));
+          if (tableElements.length === 0 && root.closest && root.closest('table')) {
+            tableElements = [root.closest('table')];
+          }
+
+          const tables = tableElements.slice(0, maxTables).map(table => {
+            const rows = Array.from(table.rows).map(row => Array.from(row.cells).map(cellText));
+            const headerRow = table.tHead?.rows?.[0] || (table.rows[0]?.querySelectorAll('th').length ? table.rows[0] : null);
+            const headers = headerRow ? Array.from(headerRow.cells).map(cellText) : [];
+            const bodyRows = headerRow ? rows.filter((_, i) => table.rows[i] !== headerRow) : rows;
+            return {
+              caption: table.caption ? cellText(table.caption) : '',
+              headers,
+              rows: bodyRows.filter(row => row.some(Boolean)).slice(0, maxRows),
+              totalRows: bodyRows.length
+            };
+          });
+
+          const text = (root.innerText || root.textContent || '').replace(/\n{3,}/g, '\n\n').trim();
+
+          return {
+            success: true,
+            url: window.location.href,
+            title: document.title,
+            scoped: root !== document.body,
+            text: text.substring(0, maxTextLength),
+            truncated: text.length > maxTextLength,
+            tables
+          };
+        },
+        args: [params],
+      }, 10000);
+
+      const content = result?.[0]?.result;
+      return content || { success: false, error: 'No result from page content extraction' };
+    } catch (error) {
+      console.error('getPageContent failed:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
   /**
    * Remove highlights from the page
    */
@@ -576,8 +1932,10 @@ export class DOMService {
   async captureScreenshot(tabId, options = {}) {
     try {
       const { format = 'png', quality = 90 } = options;
+      // Capture the tab's own window - a task may run in a window the user isn't looking at
+      const windowId = tabId ? (await chrome.tabs.get(tabId)).windowId : null;
 
-      const dataUrl = await chrome.tabs.captureVisibleTab(null, {
+      const dataUrl = await chrome.tabs.captureVisibleTab(windowId, {
         format: format === 'jpg' ? 'jpeg' : 'png',
         quality: format === 'jpg' ? quality : undefined,
       });
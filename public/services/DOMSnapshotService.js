@@ -0,0 +1,164 @@
+import { pageActivityManager } from '../managers/PageActivityManager.js';
+
+/**
+ * DOM Snapshot Service - stable element identities and diffs between page snapshots
+ * Each element is matched to the snapshot taken before the last action, so the
+ * planner can see what an action added (dropdown options, dialogs) or changed.
+ */
+
+// Attributes that say which element this is, as opposed to what state it is in
+const IDENTITY_ATTRIBUTES = ['id', 'name', 'type', 'role', 'href', 'aria-label', 'data-testid', 'placeholder'];
+// Attributes whose change means the same element is now in a different state
+const STATE_ATTRIBUTES = ['value', 'checked', 'selected', 'disabled', 'aria-expanded', 'aria-selected', 'aria-checked', 'aria-pressed'];
+const MAX_REMOVED_SUMMARIES = 5;
+
+// Tried in order: unchanged element, same element with new text, same element moved elsewhere
+const MATCH_PASSES = [
+  (fp) => `${fp.xpath}#${fp.attrs}#${fp.textHash}`,
+  (fp) => `${fp.xpath}#${fp.attrs}`,
+  (fp) => `${fp.tag}#${fp.attrs}#${fp.textHash}`
+];
+
+export class DOMSnapshotService {
+  constructor() {
+    // tabId -> { url, takenAt, latest, baseline, observable, state }
+    this.tabs = new Map();
+    this.nextStableId = 1;
+    this.lastActionAt = 0;
+  }
+
+  // djb2 over normalized text - cheap and good enough to tell labels apart
+  static hashText(text) {
+    const normalized = String(text || '').replace(/\s+/g, ' ').trim().toLowerCase().substring(0, 300);
+    let hash = 5381;
+    for (let i = 0; i < normalized.length; i++) {
+      hash = ((hash << 5) + hash + normalized.charCodeAt(i)) | 0;
+    }
+    return (hash >>> 0).toString(36);
+  }
+
+  static fingerprint(element) {
+    const attrs = element.attributes || {};
+    return {
+      tag: (element.tagName || '').toLowerCase(),
+      xpath: element.xpath || '',
+      attrs: IDENTITY_ATTRIBUTES.map(name => attrs[name] || '').join('|'),
+      textHash: DOMSnapshotService.hashText(element.text || element.textContent),
+      // Live control state too - ticking a checkbox does not touch its attributes
+      state: [...STATE_ATTRIBUTES.map(name => attrs[name] ?? ''), element.control?.checked ?? '', element.control?.value ?? ''].join('|')
+    };
+  }
+
+  static describe(element) {
+    const text = (element.text || element.textContent || '').trim().substring(0, 40);
+    return `${(element.tagName || 'element').toLowerCase()}${text ? ` "${text}"` : ''}`;
+  }
+
+  // Pair current fingerprints with earlier entries; returns current index -> entry
+  static matchEntries(entries, fingerprints, matches = new Map()) {
+    const unmatched = new Set(entries);
+
+    MATCH_PASSES.forEach(keyOf => {
+      const lookup = new Map();
+      unmatched.forEach(entry => {
+        const key = keyOf(entry.fingerprint);
+        if (!lookup.has(key)) lookup.set(key, []);
+        lookup.get(key).push(entry);
+      });
+
+      fingerprints.forEach((fingerprint, index) => {
+        if (matches.has(index)) return;
+        const entry = lookup.get(keyOf(fingerprint))?.shift();
+        if (!entry) return;
+        matches.set(index, entry);
+        unmatched.delete(entry);
+      });
+    });
+
+    return { matches, unmatched };
+  }
+
+  // Called right before an action runs: the current page becomes what later snapshots are compared with
+  markAction() {
+    this.lastActionAt = Date.now();
+    this.tabs.forEach(tab => {
+      tab.baseline = tab.latest;
+    });
+  }
+
+  /**
+   * Record a snapshot and annotate its elements in place with stableId,
+   * isNew and changedFields. Returns a summary of the diff.
+   */
+  update(tabId, url, elements = []) {
+    const previous = this.tabs.get(tabId);
+    // A different page has nothing meaningful to compare with
+    const baseline = previous && previous.url === url ? previous.baseline : null;
+    const fingerprints = elements.map(DOMSnapshotService.fingerprint);
+
+    const { matches: baselineMatches } = DOMSnapshotService.matchEntries(baseline || [], fingerprints);
+    let matches = baselineMatches;
+    if (baseline) {
+      // Keep ids for elements that already appeared after the last action
+      const usedIds = new Set([...baselineMatches.values()].map(entry => entry.stableId));
+      const appearedSince = previous.latest.filter(entry => !usedIds.has(entry.stableId));
+      matches = DOMSnapshotService.matchEntries(appearedSince, fingerprints, new Map(baselineMatches)).matches;
+    }
+
+    let added = 0;
+    let changed = 0;
+    const latest = elements.map((element, index) => {
+      const fingerprint = fingerprints[index];
+      const baselineEntry = baselineMatches.get(index);
+      const stableId = matches.get(index)?.stableId || `e${this.nextStableId++}`;
+
+      element.stableId = stableId;
+      element.isNew = !!baseline && !baselineEntry;
+      element.changedFields = [];
+      if (baselineEntry) {
+        if (baselineEntry.fingerprint.textHash !== fingerprint.textHash) element.changedFields.push('text');
+        if (baselineEntry.fingerprint.state !== fingerprint.state) element.changedFields.push('state');
+      }
+      if (element.isNew) added++;
+      if (element.changedFields.length > 0) changed++;
+
+      return { stableId, fingerprint, summary: DOMSnapshotService.describe(element) };
+    });
+
+    const matchedBaseline = new Set(baselineMatches.values());
+    const removed = (baseline || []).filter(entry => !matchedBaseline.has(entry));
+
+    this.tabs.set(tabId, {
+      url,
+      takenAt: Date.now(),
+      latest,
+      baseline: baseline || latest,
+      // The observer only watches the top document, not iframes or shadow roots
+      observable: !elements.some(element => element.framePath),
+      state: null
+    });
+
+    return {
+      baseline: !baseline,
+      added,
+      changed,
+      removedCount: removed.length,
+      removed: removed.slice(0, MAX_REMOVED_SUMMARIES).map(entry => entry.summary)
+    };
+  }
+
+  cacheState(tabId, state) {
+    const tab = this.tabs.get(tabId);
+    if (tab) tab.state = state;
+  }
+
+  // The last state is still accurate when no action ran and the observer saw nothing change
+  getCachedState(tabId, url) {
+    const tab = this.tabs.get(tabId);
+    if (!tab?.state || !tab.observable || tab.url !== url || tab.takenAt <= this.lastActionAt) return null;
+
+    const activity = pageActivityManager.getActivitySince(tabId, tab.takenAt);
+    if (!activity.observed || activity.navigated || activity.scrolled || activity.mutations > 0) return null;
+    return tab.state;
+  }
+}
@@ -2,9 +2,18 @@
 
 const API_BASE_URL = 'https://nextjs-app-410940835135.us-central1.run.app/api';
 
+// HTTP statuses worth retrying on the same provider (529 = Anthropic overloaded)
+const RETRYABLE_STATUSES = [408, 409, 425, 429, 500, 502, 503, 504, 529];
+const RETRY_BASE_DELAY_MS = 1000;
+const RETRY_MAX_DELAY_MS = 30000;
+// A Retry-After longer than this means the quota is gone for now - fail over instead of waiting
+const RETRY_AFTER_FAILOVER_MS = 60000;
+
 export class MultiLLMService {
   constructor(config = {}) {
     this.config = config;
+    // Optional callback for provider switches, set by the background script
+    this.onProviderEvent = null;
     console.log('🤖 Universal LLM Service initialized with provider:', this.config.aiProvider || 'anthropic');
   }
 
@@ -33,6 +42,12 @@ export class MultiLLMService {
   }
 
   getModelName(provider, agentType = 'planner') {
+    // Self-hosted servers only get the model entered for them - the agent models may name
+    // another provider's models when this server is a fallback
+    if (provider === 'openaiCompatible') {
+      return this.config.openaiCompatibleModel || null;
+    }
+
     const configuredModel = agentType === 'navigator' ? this.config.navigatorModel :
       agentType === 'planner' ? this.config.plannerModel :
         agentType === 'validator' ? this.config.validatorModel : null;
@@ -103,24 +118,199 @@ export class MultiLLMService {
   }
 
   async callForAgent(messages, options = {}, agentType = 'navigator') {
-    const provider = await this.determineProvider(false);
-    const modelName = this.getModelName(provider, agentType);
-
-    console.log(`🎯 DEBUG: Agent Provider=${provider}, AgentType=${agentType}, ModelName=${modelName}`);
+    const primaryProvider = await this.determineProvider(false);
 
-    const hasApiKey = this.checkApiKey(provider);
+    const hasApiKey = this.checkApiKey(primaryProvider);
     if (!hasApiKey) {
-      throw new Error(`${provider} API key not configured. Please add your API key in settings.`);
+      if (primaryProvider === 'openaiCompatible') {
+        throw new Error('OpenAI-compatible base URL not configured. Please add the server URL in settings.');
+      }
+      throw new Error(`${primaryProvider} API key not configured. Please add your API key in settings.`);
     }
 
-    try {
-      // Always capture screenshot for agent calls
-      const screenshot = await this.captureScreenshot();
-      console.log('📩📫 Messages', messages);
-      return await this.callProvider(provider, messages, { ...options, model: modelName, screenshot });
-    } catch (error) {
-      console.error(`❌ ${provider} failed:`, error);
-      throw error;
+    // Always capture screenshot for agent calls
+    const screenshot = await this.captureScreenshot();
+    console.log('📩📫 Messages', messages);
+
+    const providerChain = this.getProviderChain(primaryProvider);
+    let lastError = null;
+
+    for (let i = 0; i < providerChain.length; i++) {
+      const provider = providerChain[i];
+      const modelName = this.getModelName(provider, agentType);
+
+      console.log(`🎯 DEBUG: Agent Provider=${provider}, AgentType=${agentType}, ModelName=${modelName}`);
+
+      try {
+        const result = await this.callWithRetry(provider, messages, { ...options, model: modelName, screenshot });
+        // Tag usage with the provider/model that actually answered so cost can be priced
+        return {
+          ...result,
+          provider,
+          model: modelName,
+          usage: result.usage ? { ...result.usage, provider, model: modelName } : result.usage
+        };
+      } catch (error) {
+        console.error(`❌ ${provider} failed:`, error);
+        lastError = error;
+
+        const nextProvider = providerChain[i + 1];
+        if (!nextProvider || !this.shouldFailover(error)) {
+          throw error;
+        }
+
+        this.reportProviderEvent({
+          type: 'provider_switch',
+          from: provider,
+          to: nextProvider,
+          reason: error.message,
+          message: `${this.getProviderLabel(provider)} unavailable (${this.describeError(error)}), switching to ${this.getProviderLabel(nextProvider)}`
+        });
+      }
+    }
+
+    throw lastError;
+  }
+
+  // Primary provider first, then configured fallbacks that have credentials
+  getProviderChain(primaryProvider) {
+    const fallbacks = Array.isArray(this.config.fallbackProviders) ? this.config.fallbackProviders : [];
+    const chain = [primaryProvider];
+
+    fallbacks.forEach(provider => {
+      if (!chain.includes(provider) && this.checkApiKey(provider)) {
+        chain.push(provider);
+      }
+    });
+
+    return chain;
+  }
+
+  // Call one provider, retrying transient failures with exponential backoff and jitter
+  async callWithRetry(provider, messages, options) {
+    const maxRetries = Number.isFinite(Number(this.config.maxRetries)) ? Math.max(0, Number(this.config.maxRetries)) : 3;
+    const timeoutMs = Number(this.config.timeout) > 0 ? Number(this.config.timeout) : 30000;
+
+    for (let attempt = 0; ; attempt++) {
+      const controller = new AbortController();
+      let timedOut = false;
+      let timer = null;
+      const armTimeout = () => {
+        clearTimeout(timer);
+        timer = setTimeout(() => {
+          timedOut = true;
+          controller.abort();
+        }, timeoutMs);
+      };
+
+      // For streams the timeout is an idle timeout: every token re-arms it
+      const attemptOptions = { ...options, signal: controller.signal };
+      if (options.onToken) {
+        attemptOptions.onToken = (...args) => {
+          armTimeout();
+          options.onToken(...args);
+        };
+      }
+      if (options.onToolDelta) {
+        attemptOptions.onToolDelta = (...args) => {
+          armTimeout();
+          options.onToolDelta(...args);
+        };
+      }
+
+      armTimeout();
+      try {
+        return await this.callProvider(provider, messages, attemptOptions);
+      } catch (rawError) {
+        const error = timedOut
+          ? Object.assign(new Error(`${this.getProviderLabel(provider)} request timed out after ${timeoutMs}ms`), { isTimeout: true })
+          : rawError;
+
+        const delay = this.getRetryDelay(error, attempt);
+        if (attempt >= maxRetries || delay === null) {
+          throw error;
+        }
+
+        console.warn(`🔁 ${provider} attempt ${attempt + 1}/${maxRetries + 1} failed (${this.describeError(error)}), retrying in ${delay}ms`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      } finally {
+        clearTimeout(timer);
+      }
+    }
+  }
+
+  // Returns the wait before the next attempt, or null when the error should not be retried
+  getRetryDelay(error, attempt) {
+    const retryable = error.isTimeout ||
+      RETRYABLE_STATUSES.includes(error.status) ||
+      (error.status === undefined && error instanceof TypeError); // fetch network failure
+
+    if (!retryable) {
+      return null;
+    }
+
+    if (error.retryAfterMs !== undefined) {
+      return error.retryAfterMs > RETRY_AFTER_FAILOVER_MS ? null : error.retryAfterMs;
+    }
+
+    const exponential = Math.min(RETRY_MAX_DELAY_MS, RETRY_BASE_DELAY_MS * Math.pow(2, attempt));
+    // Equal jitter: half fixed, half random, so concurrent agents don't retry in lockstep
+    return Math.round(exponential / 2 + Math.random() * (exponential / 2));
+  }
+
+  // Bad requests would fail the same way on every provider; everything else is worth a fallback
+  shouldFailover(error) {
+    if (error.status === 400 || error.status === 422) {
+      return false;
+    }
+    return true;
+  }
+
+  // Build an Error carrying the HTTP status and any Retry-After hint
+  createHttpError(providerLabel, response, errorText) {
+    const error = new Error(`${providerLabel} API error: ${response.status} - ${errorText}`);
+    error.status = response.status;
+
+    const retryAfterMs = response.headers.get('retry-after-ms');
+    const retryAfter = response.headers.get('retry-after');
+    if (retryAfterMs && !isNaN(Number(retryAfterMs))) {
+      error.retryAfterMs = Number(retryAfterMs);
+    } else if (retryAfter) {
+      // Either delay-seconds or an HTTP date
+      const seconds = Number(retryAfter);
+      const delay = !isNaN(seconds) ? seconds * 1000 : Date.parse(retryAfter) - Date.now();
+      if (!isNaN(delay)) {
+        error.retryAfterMs = Math.max(0, delay);
+      }
+    }
+
+    return error;
+  }
+
+  describeError(error) {
+    if (error.isTimeout) return 'timeout';
+    if (error.status) return `HTTP ${error.status}`;
+    return error.message?.substring(0, 60) || 'unknown error';
+  }
+
+  getProviderLabel(provider) {
+    const labels = {
+      anthropic: 'Anthropic',
+      openai: 'OpenAI',
+      gemini: 'Gemini',
+      openaiCompatible: 'OpenAI-compatible server'
+    };
+    return labels[provider] || provider;
+  }
+
+  reportProviderEvent(event) {
+    console.log('🔀 Provider event:', event);
+    if (typeof this.onProviderEvent === 'function') {
+      try {
+        this.onProviderEvent(event);
+      } catch (error) {
+        console.error('Provider event callback failed:', error);
+      }
     }
   }
 
@@ -144,6 +334,11 @@ export class MultiLLMService {
           return 'gemini';
         }
         break;
+      case 'openaiCompatible':
+        if (this.getCompatibleBaseUrl() && this.config.openaiCompatibleModel) {
+          return 'openaiCompatible';
+        }
+        break;
       default:
         console.warn('Unknown provider selected, falling back to gemini if available');
     }
@@ -159,6 +354,8 @@ export class MultiLLMService {
         return !!this.config.openaiApiKey;
       case 'gemini':
         return !!this.config.geminiApiKey;
+      case 'openaiCompatible':
+        return !!this.getCompatibleBaseUrl() && !!this.config.openaiCompatibleModel; // API key is optional for local servers
       case 'llmGenerate':
         return true; // Always valid for llmGenerate
       case 'geminiGenerate':
@@ -168,6 +365,24 @@ export class MultiLLMService {
     }
   }
 
+  // Whether the active provider/model can return plans as native tool calls
+  async supportsToolCalling(agentType = 'planner') {
+    if (this.config.toolCalling === false) {
+      return false;
+    }
+
+    const provider = await this.determineProvider(false);
+    const model = this.getModelName(provider, agentType);
+
+    // o1 reasoning previews reject the tools parameter
+    if (provider === 'openai' && /^o1-(preview|mini)/.test(model)) {
+      return false;
+    }
+
+    // OpenAI-compatible servers vary in tool support, so they stay on the text-parsing path
+    return ['anthropic', 'openai', 'gemini'].includes(provider);
+  }
+
   async callProvider(provider, messages, options) {
     switch (provider) {
       case 'anthropic':
@@ -176,6 +391,8 @@ export class MultiLLMService {
         return await this.callOpenAI(messages, options);
       case 'gemini':
         return await this.callGemini(messages, options);
+      case 'openaiCompatible':
+        return await this.callOpenAICompatible(messages, options);
       default:
         throw new Error(`Unsupported provider: ${provider}`);
     }
@@ -223,6 +440,7 @@ export class MultiLLMService {
 
     const response = await fetch('https://api.anthropic.com/v1/messages', {
       method: 'POST',
+      signal: options.signal,
       headers: {
         'x-api-key': this.config.anthropicApiKey,
         'Content-Type': 'application/json',
@@ -233,18 +451,37 @@ export class MultiLLMService {
         model: model,
         max_tokens: options.maxTokens || 4000,
         temperature: options.temperature || 0.4,
-        messages: processedMessages
+        messages: processedMessages,
+        stream: !!options.onToken,
+        ...(options.tools?.length ? {
+          tools: options.tools.map(tool => ({
+            name: tool.name,
+            description: tool.description,
+            input_schema: tool.parameters
+          })),
+          tool_choice: { type: 'any' }
+        } : {})
       })
     });
 
     if (!response.ok) {
       const errorText = await response.text();
-      throw new Error(`Anthropic API error: ${response.status} - ${errorText}`);
+      throw this.createHttpError('Anthropic', response, errorText);
+    }
+
+    if (options.onToken) {
+      return await this.streamAnthropic(response, options.onToken, options.onToolDelta);
     }
 
     const data = await response.json();
+    const contentBlocks = data.content || [];
+    const toolCalls = contentBlocks
+      .filter(block => block.type === 'tool_use')
+      .map(block => ({ name: block.name, arguments: block.input || {} }));
+
     return {
-      text: data.content[0].text,
+      text: contentBlocks.filter(block => block.type === 'text').map(block => block.text).join(''),
+      toolCalls,
       usage: {
         prompt: data.usage?.input_tokens || 0,
         completion: data.usage?.output_tokens || 0,
@@ -258,8 +495,51 @@ export class MultiLLMService {
       throw new Error('OpenAI API key not configured');
     }
 
-    const model = options.model || 'gpt-4o';
-    console.log(`🔥 Calling OpenAI with model: ${model}`);
+    return await this.callChatCompletions('https://api.openai.com/v1', this.config.openaiApiKey, messages, {
+      ...options,
+      model: options.model || 'gpt-4o',
+      providerLabel: 'OpenAI'
+    });
+  }
+
+  // Ollama, LM Studio, vLLM and other servers exposing the OpenAI chat completions API
+  async callOpenAICompatible(messages, options = {}) {
+    const baseUrl = this.getCompatibleBaseUrl();
+    if (!baseUrl) {
+      throw new Error('OpenAI-compatible base URL not configured');
+    }
+
+    if (!options.model) {
+      throw new Error('No model configured for the OpenAI-compatible provider. Enter a model name in settings.');
+    }
+
+    return await this.callChatCompletions(baseUrl, this.config.openaiCompatibleApiKey, messages, {
+      ...options,
+      // Many local models are text-only, so screenshots are opt-in
+      screenshot: this.config.openaiCompatibleVision ? options.screenshot : null,
+      providerLabel: 'OpenAI-compatible'
+    });
+  }
+
+  // Normalise the configured server URL: no trailing slash, bare hosts get the standard /v1 prefix
+  getCompatibleBaseUrl() {
+    const rawUrl = (this.config.openaiCompatibleBaseUrl || '').trim();
+    if (!rawUrl) return null;
+
+    try {
+      const url = new URL(rawUrl);
+      const path = url.pathname.replace(/\/+$/, '');
+      return `${url.origin}${path || '/v1'}`;
+    } catch (error) {
+      console.warn('⚠️ Invalid OpenAI-compatible base URL:', rawUrl);
+      return null;
+    }
+  }
+
+  async callChatCompletions(baseUrl, apiKey, messages, options = {}) {
+    const model = options.model;
+    const providerLabel = options.providerLabel || 'OpenAI';
+    console.log(`🔥 Calling ${providerLabel} with model: ${model}`);
 
     // Prepare messages with screenshot if available
     let processedMessages = [...messages];
@@ -291,28 +571,56 @@ export class MultiLLMService {
       }
     }
 
-    const response = await fetch('https://api.openai.com/v1/chat/completions', {
+    const headers = { 'Content-Type': 'application/json' };
+    if (apiKey) {
+      headers['Authorization'] = `Bearer ${apiKey}`;
+    }
+
+    const response = await fetch(`${baseUrl}/chat/completions`, {
       method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${this.config.openaiApiKey}`,
-        'Content-Type': 'application/json'
-      },
+      signal: options.signal,
+      headers,
       body: JSON.stringify({
         model: model,
         messages: processedMessages,
         max_tokens: options.maxTokens || 4000,
-        temperature: options.temperature || 0.4
+        temperature: options.temperature || 0.4,
+        ...(options.onToken ? { stream: true, stream_options: { include_usage: true } } : {}),
+        ...(options.tools?.length ? {
+          tools: options.tools.map(tool => ({
+            type: 'function',
+            function: {
+              name: tool.name,
+              description: tool.description,
+              parameters: tool.parameters
+            }
+          })),
+          tool_choice: 'required'
+        } : {})
       })
     });
 
     if (!response.ok) {
       const errorText = await response.text();
-      throw new Error(`OpenAI API error: ${response.status} - ${errorText}`);
+      throw this.createHttpError(providerLabel, response, errorText);
+    }
+
+    if (options.onToken) {
+      return await this.streamOpenAI(response, options.onToken, options.onToolDelta);
     }
 
     const data = await response.json();
+    const message = data.choices[0].message;
+    const toolCalls = (message.tool_calls || [])
+      .filter(call => call.type === 'function')
+      .map(call => ({
+        name: call.function.name,
+        arguments: this.parseToolArguments(call.function.arguments)
+      }));
+
     return {
-      text: data.choices[0].message.content,
+      text: message.content || '',
+      toolCalls,
       usage: {
         prompt: data.usage?.prompt_tokens || 0,
         completion: data.usage?.completion_tokens || 0,
@@ -373,10 +681,27 @@ export class MultiLLMService {
       }
     };
 
+    if (options.tools?.length) {
+      requestBody.tools = [{
+        functionDeclarations: options.tools.map(tool => ({
+          name: tool.name,
+          description: tool.description,
+          parameters: this.toGeminiSchema(tool.parameters)
+        }))
+      }];
+      requestBody.toolConfig = { functionCallingConfig: { mode: 'ANY' } };
+    }
+
+    // streamGenerateContent with alt=sse returns the same candidates shape as server-sent events
+    const endpoint = options.onToken
+      ? `streamGenerateContent?alt=sse&key=${this.config.geminiApiKey}`
+      : `generateContent?key=${this.config.geminiApiKey}`;
+
     const response = await fetch(
-      `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${this.config.geminiApiKey}`,
+      `https://generativelanguage.googleapis.com/v1beta/models/${model}:${endpoint}`,
       {
         method: 'POST',
+        signal: options.signal,
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify(requestBody)
       }
@@ -384,7 +709,11 @@ export class MultiLLMService {
 
     if (!response.ok) {
       const errorText = await response.text();
-      throw new Error(`Gemini API error: ${response.status} - ${errorText}`);
+      throw this.createHttpError('Gemini', response, errorText);
+    }
+
+    if (options.onToken) {
+      return await this.streamGemini(response, options.onToken, options.onToolDelta);
     }
 
     const data = await response.json();
@@ -407,13 +736,22 @@ export class MultiLLMService {
       throw new Error('Incomplete response from Gemini API - missing content parts');
     }
 
+    const toolCalls = candidate.content.parts
+      .filter(part => part.functionCall)
+      .map(part => ({ name: part.functionCall.name, arguments: part.functionCall.args || {} }));
+    const text = candidate.content.parts
+      .filter(part => part.text && !part.thought)
+      .map(part => part.text)
+      .join('');
+
     // Handle missing text
-    if (!candidate.content.parts[0].text) {
+    if (!text && toolCalls.length === 0) {
       throw new Error('Incomplete response from Gemini API - missing text content');
     }
 
     return {
-      text: candidate.content.parts[0].text,
+      text,
+      toolCalls,
       usage: {
         prompt: data.usageMetadata?.promptTokenCount || 0,
         completion: data.usageMetadata?.candidatesTokenCount || 0,
@@ -422,5 +760,242 @@ export class MultiLLMService {
     };
   }
 
+  // OpenAI returns function arguments as a JSON string
+  parseToolArguments(rawArguments) {
+    if (!rawArguments) return {};
+    if (typeof rawArguments === 'object') return rawArguments;
 
-}
\ No newline at end of file
+    try {
+      return JSON.parse(rawArguments);
+    } catch (error) {
+      console.warn('⚠️ Could not parse tool call arguments:', rawArguments);
+      return {};
+    }
+  }
+
+  // Gemini function declarations use the OpenAPI subset with upper-case type names
+  toGeminiSchema(schema) {
+    if (!schema || typeof schema !== 'object') return schema;
+
+    const converted = {};
+    Object.entries(schema).forEach(([key, value]) => {
+      if (key === 'type' && typeof value === 'string') {
+        converted.type = value.toUpperCase();
+      } else if (key === 'properties') {
+        converted.properties = {};
+        Object.entries(value).forEach(([name, property]) => {
+          converted.properties[name] = this.toGeminiSchema(property);
+        });
+      } else if (key === 'items') {
+        converted.items = this.toGeminiSchema(value);
+      } else if (key !== 'additionalProperties') {
+        converted[key] = value;
+      }
+    });
+
+    return converted;
+  }
+
+  // Read a server-sent event stream and hand every parsed `data:` payload to onEvent
+  async readEventStream(response, onEvent) {
+    if (!response.body) {
+      throw new Error('Streaming is not supported for this response');
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    const flushEvent = (rawEvent) => {
+      const data = rawEvent
+        .split(/\r?\n/)
+        .filter(line => line.startsWith('data:'))
+        .map(line => line.slice(5).trimStart())
+        .join('\n');
+
+      if (!data || data === '[DONE]') return;
+
+      try {
+        onEvent(JSON.parse(data));
+      } catch (error) {
+        if (error instanceof SyntaxError) {
+          console.warn('⚠️ Skipping malformed stream event:', data.substring(0, 100));
+        } else {
+          throw error;
+        }
+      }
+    };
+
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+      const events = buffer.split(/\r?\n\r?\n/);
+      buffer = events.pop();
+      events.forEach(flushEvent);
+    }
+
+    buffer += decoder.decode();
+    if (buffer.trim()) {
+      flushEvent(buffer);
+    }
+  }
+
+  // onToolDelta(name, argumentsSoFar) follows tool call arguments as their JSON is generated
+  async streamAnthropic(response, onToken, onToolDelta = null) {
+    let text = '';
+    let promptTokens = 0;
+    let completionTokens = 0;
+    const toolBlocks = new Map();
+
+    await this.readEventStream(response, (event) => {
+      switch (event.type) {
+        case 'message_start':
+          promptTokens = event.message?.usage?.input_tokens || 0;
+          break;
+        case 'content_block_start':
+          if (event.content_block?.type === 'tool_use') {
+            toolBlocks.set(event.index, { name: event.content_block.name, arguments: '' });
+          }
+          break;
+        case 'content_block_delta':
+          if (event.delta?.type === 'text_delta' && event.delta.text) {
+            text += event.delta.text;
+            onToken(event.delta.text, text);
+          } else if (event.delta?.type === 'input_json_delta' && toolBlocks.has(event.index)) {
+            const block = toolBlocks.get(event.index);
+            block.arguments += event.delta.partial_json || '';
+            onToolDelta?.(block.name, block.arguments);
+          }
+          break;
+        case 'message_delta':
+          completionTokens = event.usage?.output_tokens || completionTokens;
+          break;
+        case 'error': {
+          const streamError = new Error(`Anthropic API error: ${event.error?.type || 'stream_error'} - ${event.error?.message || 'Unknown error'}`);
+          if (event.error?.type === 'overloaded_error') {
+            streamError.status = 529;
+          }
+          throw streamError;
+        }
+        default:
+          break;
+      }
+    });
+
+    return {
+      text,
+      toolCalls: Array.from(toolBlocks.values()).map(block => ({
+        name: block.name,
+        arguments: this.parseToolArguments(block.arguments)
+      })),
+      usage: {
+        prompt: promptTokens,
+        completion: completionTokens,
+        total: promptTokens + completionTokens
+      }
+    };
+  }
+
+  async streamOpenAI(response, onToken, onToolDelta = null) {
+    let text = '';
+    let usage = null;
+    const toolCalls = [];
+
+    await this.readEventStream(response, (chunk) => {
+      if (chunk.error) {
+        throw new Error(`OpenAI API error: ${chunk.error.message || 'stream_error'}`);
+      }
+
+      const delta = chunk.choices?.[0]?.delta?.content;
+      if (delta) {
+        text += delta;
+        onToken(delta, text);
+      }
+
+      // Tool calls arrive in pieces keyed by index: the name first, then argument fragments
+      (chunk.choices?.[0]?.delta?.tool_calls || []).forEach(part => {
+        const index = part.index ?? toolCalls.length;
+        const call = toolCalls[index] || (toolCalls[index] = { name: '', arguments: '' });
+        call.name += part.function?.name || '';
+        call.arguments += part.function?.arguments || '';
+        onToolDelta?.(call.name, call.arguments);
+      });
+
+      // The final chunk carries usage when stream_options.include_usage is set
+      if (chunk.usage) {
+        usage = chunk.usage;
+      }
+    });
+
+    return {
+      text,
+      toolCalls: toolCalls.filter(Boolean).map(call => ({
+        name: call.name,
+        arguments: this.parseToolArguments(call.arguments)
+      })),
+      usage: {
+        prompt: usage?.prompt_tokens || 0,
+        completion: usage?.completion_tokens || 0,
+        total: usage?.total_tokens || 0
+      }
+    };
+  }
+
+  async streamGemini(response, onToken, onToolDelta = null) {
+    let text = '';
+    let usageMetadata = null;
+    let finishReason = null;
+    const toolCalls = [];
+
+    await this.readEventStream(response, (chunk) => {
+      const candidate = chunk.candidates?.[0];
+      const parts = candidate?.content?.parts || [];
+      // Thinking models stream their reasoning as thought parts - only the answer is shown
+      const delta = parts
+        .filter(part => part.text && !part.thought)
+        .map(part => part.text)
+        .join('');
+
+      if (delta) {
+        text += delta;
+        onToken(delta, text);
+      }
+
+      // Gemini sends each function call whole rather than in fragments
+      parts.filter(part => part.functionCall).forEach(part => {
+        const call = { name: part.functionCall.name, arguments: part.functionCall.args || {} };
+        toolCalls.push(call);
+        onToolDelta?.(call.name, JSON.stringify(call.arguments));
+      });
+
+      if (candidate?.finishReason) {
+        finishReason = candidate.finishReason;
+      }
+
+      // Each chunk reports cumulative usage, keep the latest
+      if (chunk.usageMetadata) {
+        usageMetadata = chunk.usageMetadata;
+      }
+    });
+
+    if (finishReason === 'MAX_TOKENS') {
+      throw new Error('Response exceeded maximum token limit. Try breaking down the task into smaller steps.');
+    }
+
+    if (!text && toolCalls.length === 0) {
+      throw new Error('Empty response from Gemini API');
+    }
+
+    return {
+      text,
+      toolCalls,
+      usage: {
+        prompt: usageMetadata?.promptTokenCount || 0,
+        completion: usageMetadata?.candidatesTokenCount || 0,
+        total: usageMetadata?.totalTokenCount || 0
+      }
+    };
+  }
+}
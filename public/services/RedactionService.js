@@ -0,0 +1,223 @@
+/* global chrome */
+
+/**
+ * Redaction Service - masks personal data before page content reaches an LLM
+ * Sensitive values are swapped for stable tokens like [[EMAIL_1]]. Each task's executor
+ * owns one instance, so its token map stays in the background script and actions
+ * can still type the real values.
+ */
+
+// Checked in order - tokens and IBANs before cards, cards before phone numbers
+const PII_PATTERNS = [
+  { type: 'TOKEN', pattern: /\b(?:sk|pk|rk)_(?:live|test)_[A-Za-z0-9]{10,}\b|\b(?:ghp|gho|ghs|github_pat)_[A-Za-z0-9_]{20,}\b|\bxox[abprs]-[A-Za-z0-9-]{10,}\b|\bAKIA[0-9A-Z]{16}\b|\beyJ[\w-]{10,}\.[\w-]{10,}\.[\w-]{10,}|\bBearer\s+[\w.~+/-]{20,}=*/g },
+  { type: 'EMAIL', pattern: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g },
+  { type: 'IBAN', pattern: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){3,7}(?: ?[A-Z0-9]{1,3})?\b/g, validate: (value) => RedactionService.passesIbanCheck(value) },
+  { type: 'CARD', pattern: /\b\d(?:[ -]?\d){12,18}\b/g, validate: (value) => RedactionService.passesLuhn(value) },
+  { type: 'PHONE', pattern: /(?:\+\d{1,3}[\s.-]?)?(?:\(\d{2,4}\)[\s.-]?|\b\d{2,4}[\s.-])\d{3,4}[\s.-]?\d{3,4}\b/g, validate: (value) => value.replace(/\D/g, '').length >= 9 }
+];
+
+const TOKEN_PATTERN = /\[\[(?:TOKEN|EMAIL|IBAN|CARD|PHONE|PASSWORD)_\d+\]\]/g;
+
+// Attributes that identify an element rather than carry user data
+const STRUCTURAL_ATTRIBUTES = ['id', 'class', 'role', 'type', 'data-selector', 'computedHeight', 'computedWidth'];
+
+// Inputs blurred in screenshots
+const SENSITIVE_INPUT_SELECTOR = [
+  'input[type="password"]',
+  'input[autocomplete^="cc-"]',
+  'input[autocomplete*=" cc-"]',
+  'input[name*="card" i]',
+  'input[id*="card" i]',
+  'input[name*="cvv" i]',
+  'input[name*="cvc" i]',
+  'input[name*="iban" i]'
+].join(', ');
+
+export class RedactionService {
+  constructor() {
+    // Mirrors the redactSensitiveData setting
+    this.enabled = true;
+    this.reset();
+  }
+
+  reset() {
+    this.valueToToken = new Map();
+    this.tokenToValue = new Map();
+    this.counters = {};
+  }
+
+  // Whether a string or an action's parameters still hold [[EMAIL_1]]-style tokens
+  static hasTokens(value) {
+    const text = typeof value === 'string' ? value : JSON.stringify(value ?? '');
+    return new RegExp(TOKEN_PATTERN.source).test(text);
+  }
+
+  static passesLuhn(value) {
+    const digits = value.replace(/\D/g, '');
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+      let digit = parseInt(digits[digits.length - 1 - i], 10);
+      if (i % 2 === 1) {
+        digit *= 2;
+        if (digit > 9) digit -= 9;
+      }
+      sum += digit;
+    }
+    return sum % 10 === 0;
+  }
+
+  // ISO 13616 mod-97 check, so product codes that look like IBANs stay visible
+  static passesIbanCheck(value) {
+    const compact = value.replace(/\s/g, '');
+    const digits = (compact.slice(4) + compact.slice(0, 4))
+      .replace(/[A-Z]/g, (letter) => String(letter.charCodeAt(0) - 55));
+    let remainder = 0;
+    for (const digit of digits) {
+      remainder = (remainder * 10 + parseInt(digit, 10)) % 97;
+    }
+    return remainder === 1;
+  }
+
+  static isPasswordElement(element) {
+    return element?.purpose === 'password-input' || (element?.attributes?.type || '').toLowerCase() === 'password';
+  }
+
+  // Same value always maps to the same token within a task
+  tokenFor(type, value) {
+    const existing = this.valueToToken.get(value);
+    if (existing) return existing;
+
+    this.counters[type] = (this.counters[type] || 0) + 1;
+    const token = `[[${type}_${this.counters[type]}]]`;
+    this.valueToToken.set(value, token);
+    this.tokenToValue.set(token, value);
+    return token;
+  }
+
+  // Token map for a task checkpoint - the caller encrypts it before it is stored
+  serialize() {
+    return { tokens: Array.from(this.tokenToValue.entries()), counters: this.counters };
+  }
+
+  load({ tokens = [], counters = {} } = {}) {
+    this.reset();
+    tokens.forEach(([token, value]) => {
+      this.tokenToValue.set(token, value);
+      this.valueToToken.set(value, token);
+    });
+    this.counters = { ...counters };
+  }
+
+  redactText(text) {
+    if (!this.enabled || typeof text !== 'string' || !text) return text;
+
+    return PII_PATTERNS.reduce((masked, { type, pattern, validate }) =>
+      masked.replace(pattern, (match) => (validate && !validate(match)) ? match : this.tokenFor(type, match)), text);
+  }
+
+  // Copy of an element with user data in its text and attributes masked
+  redactElement(element) {
+    if (!this.enabled || !element) return element;
+
+    const attributes = {};
+    Object.entries(element.attributes || {}).forEach(([name, value]) => {
+      attributes[name] = STRUCTURAL_ATTRIBUTES.includes(name) ? value : this.redactText(value);
+    });
+
+    // A password field never shows its value, whatever it looks like
+    if (RedactionService.isPasswordElement(element) && element.attributes?.value) {
+      attributes.value = this.tokenFor('PASSWORD', element.attributes.value);
+    }
+
+    // Select options and combobox values can hold user data too (saved addresses, typed emails)
+    const options = element.options?.map(option => ({
+      ...option,
+      value: this.redactText(option.value),
+      label: this.redactText(option.label)
+    })) || element.options;
+    const control = element.control
+      ? { ...element.control, value: this.redactText(element.control.value), options: element.control.options ? options : undefined }
+      : element.control;
+
+    return {
+      ...element,
+      attributes,
+      options,
+      control,
+      text: this.redactText(element.text),
+      textContent: this.redactText(element.textContent)
+    };
+  }
+
+  redactElements(elements = []) {
+    return elements.map(element => this.redactElement(element));
+  }
+
+  // Put real values back wherever the model echoed a token
+  restore(text) {
+    if (typeof text !== 'string' || !text.includes('[[')) return text;
+    return text.replace(TOKEN_PATTERN, (token) => this.tokenToValue.get(token) ?? token);
+  }
+
+  // Restore tokens in string action parameters; returns the values used so results can be masked again
+  restoreParams(input = {}) {
+    const restored = [];
+    const params = {};
+
+    Object.entries(input || {}).forEach(([key, value]) => {
+      if (typeof value !== 'string') {
+        params[key] = value;
+        return;
+      }
+      params[key] = value.replace(TOKEN_PATTERN, (token) => {
+        const real = this.tokenToValue.get(token);
+        if (real === undefined) return token;
+        restored.push({ token, value: real });
+        return real;
+      });
+    });
+
+    return { params, restored };
+  }
+
+  // Results flow into memory and the next prompt - mask restored values and any new PII
+  maskResult(result, restored = []) {
+    if (!result || !this.enabled) return result;
+
+    const mask = (text) => {
+      if (typeof text !== 'string') return text;
+      const withTokens = restored.reduce((masked, { token, value }) => masked.split(value).join(token), text);
+      return this.redactText(withTokens);
+    };
+
+    return {
+      ...result,
+      extractedContent: mask(result.extractedContent),
+      error: mask(result.error)
+    };
+  }
+
+  // Blur password and card inputs in the page while a screenshot is taken
+  static async setScreenshotBlur(tabId, blurred) {
+    try {
+      await chrome.scripting.executeScript({
+        target: { tabId, allFrames: true },
+        func: (selector, on) => {
+          const styleId = 'omnibrowse-redaction-style';
+          document.getElementById(styleId)?.remove();
+          if (!on) return true;
+
+          const style = document.createElement('style');
+          style.id = styleId;
+          style.textContent = `${selector} { filter: blur(8px) !important; }`;
+          (document.head || document.documentElement).appendChild(style);
+          // Let the blur paint before the capture
+          return new Promise(resolve => requestAnimationFrame(() => requestAnimationFrame(() => resolve(true))));
+        },
+        args: [SENSITIVE_INPUT_SELECTOR, blurred]
+      });
+    } catch (error) {
+      console.warn('Could not update screenshot redaction:', error.message);
+    }
+  }
+}
@@ -7,6 +7,11 @@ import HowToUsePage from './components/HowToUsePage';
 import StartupPage from './components/StartupPage';
 import './App.css';
 import ChatHistoryPage from './components/ChatHistoryPage';
+import MacrosPage from './components/MacrosPage';
+import SchedulesPage from './components/SchedulesPage';
+import ProfilesPage from './components/ProfilesPage';
+import VaultPage from './components/VaultPage';
+import UploadsPage from './components/UploadsPage';
 
 function AppContent() {
   const { isLoggedIn, loading, logout } = useAuth();
@@ -55,6 +60,26 @@ function AppContent() {
           path="/history"
           element={!isLoggedIn ? <Navigate to="/startup" replace /> : <ChatHistoryPage />}
         />
+        <Route
+          path="/macros"
+          element={!isLoggedIn ? <Navigate to="/startup" replace /> : <MacrosPage />}
+        />
+        <Route
+          path="/schedules"
+          element={!isLoggedIn ? <Navigate to="/startup" replace /> : <SchedulesPage />}
+        />
+        <Route
+          path="/profiles"
+          element={!isLoggedIn ? <Navigate to="/startup" replace /> : <ProfilesPage />}
+        />
+        <Route
+          path="/vault"
+          element={!isLoggedIn ? <Navigate to="/startup" replace /> : <VaultPage />}
+        />
+        <Route
+          path="/uploads"
+          element={!isLoggedIn ? <Navigate to="/startup" replace /> : <UploadsPage />}
+        />
         <Route
           path="/how-to-use"
           element={<HowToUsePage />}
@@ -0,0 +1,68 @@
+/* global chrome */
+import { MacroManager } from '../../public/managers/MacroManager.js';
+import { RedactionService } from '../../public/services/RedactionService.js';
+
+// The device key lives in IndexedDB, which jsdom does not have
+jest.mock('../../public/services/CryptoService.js', () => ({
+  cryptoService: {
+    encryptJSON: async (data) => ({ iv: 'test', data: Buffer.from(JSON.stringify(data)).toString('base64') }),
+    decryptJSON: async (payload) => JSON.parse(Buffer.from(payload.data, 'base64').toString())
+  }
+}));
+
+describe('MacroManager', () => {
+  let storage;
+
+  beforeEach(() => {
+    storage = {};
+    global.chrome = {
+      storage: {
+        local: {
+          get: async (keys) => Object.fromEntries(keys.map(key => [key, storage[key]])),
+          set: async (items) => Object.assign(storage, items)
+        }
+      }
+    };
+  });
+
+  afterEach(() => {
+    delete global.chrome;
+  });
+
+  it('replays a redacted value as the real value it typed', async () => {
+    const email = 'jane.doe@example.com';
+    const recording = new RedactionService();
+    const token = recording.redactText(email);
+    const field = { index: 4, tagName: 'INPUT', attributes: { name: 'email', type: 'email' } };
+
+    const manager = new MacroManager();
+    manager.rememberRun('run-1', 'Sign up for the newsletter', [{
+      success: true,
+      action: 'type',
+      parameters: { index: 4, text: token, intent: 'Enter email' },
+      target: MacroManager.snapshotElement(field)
+    }]);
+    // Without the recording's token map there is nothing to restore
+    expect(manager.recentRuns.get('run-1').tokens).toBeNull();
+
+    manager.rememberRun('run-2', 'Sign up for the newsletter', [{
+      success: true,
+      action: 'type',
+      parameters: { index: 4, text: token, intent: 'Enter email' },
+      target: MacroManager.snapshotElement(field)
+    }], recording);
+    const saved = await manager.saveRun('run-2', 'Newsletter');
+
+    // The stored macro keeps the token; the value only exists encrypted
+    expect(saved.steps[0].parameters.text).toBe(token);
+    expect(JSON.stringify(await chrome.storage.local.get(['savedMacros']))).not.toContain(email);
+
+    const replay = new RedactionService();
+    replay.redactText('someone.else@example.com');
+    await manager.restoreRedaction(await manager.getMacro(saved.id), replay);
+
+    const action = MacroManager.resolveStep(saved.steps[0], [{ ...field, index: 7 }]);
+    const { params } = replay.restoreParams(action.parameters);
+    expect(params).toMatchObject({ index: 7, text: email });
+  });
+});
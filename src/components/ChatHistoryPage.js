@@ -2,6 +2,9 @@
 import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useChatHistory } from '../hooks/useChatHistory';
+import { formatCost, formatTokens } from '../utils/usageFormat';
+import { buildConversationExport } from '../utils/exportData';
+import ExportMenu from './ExportMenu';
 import {
   FaHistory,
   FaArrowLeft,
@@ -412,7 +415,7 @@ const ChatHistoryPage = () => {
                         {chat.totalTokens > 0 && (
                           <div style={{ display: 'flex', alignItems: 'center', gap: '4px', color: 'var(--accent-warning, #f59e0b)' }}>
                             <FaCoins style={{ fontSize: '10px' }} />
-                            {chat.totalTokens.toLocaleString()} tokens
+                            {formatCost(chat.totalCost)} · {formatTokens(chat.totalTokens)}
                           </div>
                         )}
                       </div>
@@ -425,6 +428,9 @@ const ChatHistoryPage = () => {
                         margin: '0 8px'
                       }}
                     />
+                    <div style={{ marginRight: '6px' }}>
+                      <ExportMenu compact buildExport={(format) => buildConversationExport(chat, format)} label="Export Chat" />
+                    </div>
                     <button
                       onClick={(e) => handleDelete(chat.id, e)}
                       disabled={isDeleting}
@@ -4,14 +4,21 @@ import React, { useState, useEffect, useRef } from 'react';
 import MessageList from './MessageList';
 import ChatInput from './ChatInput';
 import TaskStatus from './TaskStatus';
+import TaskQueuePanel from './TaskQueuePanel';
 import { useChat } from '../hooks/useChat';
+import { formatCost, formatTokens } from '../utils/usageFormat';
 import { useLocation, useNavigate } from 'react-router-dom';
 import {
   FaCog,
   FaWifi,
   FaExclamationTriangle,
   FaHistory,
-  FaCoins
+  FaCoins,
+  FaBolt,
+  FaCalendarAlt,
+  FaShoePrints,
+  FaListOl,
+  FaTasks
 } from 'react-icons/fa';
 import { RiChatNewFill } from 'react-icons/ri';
 
@@ -25,12 +32,14 @@ const ChatInterface = () => {
 
   const [connectionStatus, setConnectionStatus] = useState('disconnected');
   // eslint-disable-next-line no-unused-vars
-  const { messages, addMessage, clearMessages, updateMessageState, loading, saveCurrentChat, totalTokens, updateTotalTokens } = useChat(historyId);
+  const { messages, addMessage, clearMessages, updateMessageState, upsertStreamingMessage, loading, saveCurrentChat, totalTokens, totalCost, updateTotalTokens, updateTaskUsage } = useChat(historyId);
   const [isExecuting, setIsExecuting] = useState(false);
   const [taskStatus, setTaskStatus] = useState(null);
   const portRef = useRef(null);
   const reconnectTimeoutRef = useRef(null);
   const isConnectingRef = useRef(false);
+  // Macro picked on the Macros page, started once the background connection is up
+  const pendingMacroRef = useRef(location.state?.runMacroId ? location.state : null);
 
   // Add state for message input
   const [messageInput, setMessageInput] = useState('');
@@ -38,6 +47,35 @@ const ChatInterface = () => {
   // Add state for typing indicator
   const [isTyping, setIsTyping] = useState(false);
 
+  // Step-by-step mode: every action waits for approval in the chat
+  const [stepMode, setStepMode] = useState(false);
+  // Plan preview mode: every batch is shown as an editable checklist before it runs
+  const [previewMode, setPreviewMode] = useState(false);
+  // Queued / running / done tasks, pushed by the background on every change
+  const [taskQueue, setTaskQueue] = useState(null);
+  const [showTaskQueue, setShowTaskQueue] = useState(false);
+
+  useEffect(() => {
+    if (typeof chrome !== 'undefined' && chrome.storage) {
+      chrome.storage.local.get(['stepMode', 'previewMode']).then(result => {
+        setStepMode(!!result.stepMode);
+        setPreviewMode(!!result.previewMode);
+      });
+    }
+  }, []);
+
+  const toggleStepMode = async () => {
+    const enabled = !stepMode;
+    setStepMode(enabled);
+    await chrome.storage.local.set({ stepMode: enabled });
+  };
+
+  const togglePreviewMode = async () => {
+    const enabled = !previewMode;
+    setPreviewMode(enabled);
+    await chrome.storage.local.set({ previewMode: enabled });
+  };
+
   // Add function to handle template clicks
   const handleTemplateClick = (templateCommand) => {
     setMessageInput(templateCommand);
@@ -104,6 +142,20 @@ const ChatInterface = () => {
 
               // Request current status including execution state
               portRef.current.postMessage({ type: 'get_status' });
+              portRef.current.postMessage({ type: 'get_task_queue' });
+
+              if (pendingMacroRef.current) {
+                const { runMacroId, runMacroName } = pendingMacroRef.current;
+                pendingMacroRef.current = null;
+                addMessage({
+                  type: 'user',
+                  content: `▶️ Run macro: ${runMacroName}`,
+                  timestamp: Date.now()
+                });
+                setIsTyping(true);
+                portRef.current.postMessage({ type: 'run_macro', macroId: runMacroId });
+                navigate('/chat', { replace: true, state: null });
+              }
               break;
 
             case 'restore_message':
@@ -140,7 +192,9 @@ const ChatInterface = () => {
                 // Convert task_paused messages to appropriate type based on pause_reason
                 if (restoredMessage.type === 'task_paused') {
                   const pauseReason = restoredMessage.pause_reason || restoredMessage.pauseReason;
-                  restoredMessage.type = pauseReason === 'approval' ? 'approval' : 'pause';
+                  restoredMessage.type = pauseReason === 'approval' ? 'approval' : pauseReason === 'preview' ? 'plan_preview' : 'pause';
+                  restoredMessage.pauseReason = pauseReason;
+                  restoredMessage.pauseDescription = restoredMessage.pauseDescription || restoredMessage.pause_description;
                 }
 
                 // Special handling for task_complete messages that might have nested result structure
@@ -206,8 +260,20 @@ const ChatInterface = () => {
               updateTotalTokens(0);
               break;
 
+            case 'macro_saved':
+              updateMessageState(message.messageId, { macroSaved: message.macro.name });
+              break;
+
+            case 'macro_save_failed':
+              addMessage({
+                type: 'error',
+                content: `❌ Could not save macro: ${message.error}`,
+                timestamp: Date.now()
+              });
+              break;
+
             case 'token_update':
-              updateTotalTokens(message.tokens);
+              updateTaskUsage({ taskId: message.taskId, tokens: message.tokens, cost: message.cost });
               break;
 
             case 'task_start':
@@ -284,6 +350,12 @@ const ChatInterface = () => {
               });
               break;
 
+            case 'message_stream':
+              // Partial answer while the model is still generating
+              setIsTyping(false);
+              upsertStreamingMessage(message.streamId, message.content);
+              break;
+
             case 'task_complete':
               setIsExecuting(false);
               setIsTyping(false); // Hide typing indicator
@@ -296,7 +368,11 @@ const ChatInterface = () => {
                 content: responseContent,
                 timestamp: Date.now(),
                 isMarkdown: message.result.isMarkdown || hasMarkdownContent(responseContent), // Use flag from backend first
-                actions: message.result.actions
+                actions: message.result.actions,
+                usage: message.result.usage,
+                macroRunId: message.result.macroRunId,
+                extractions: message.result.extractions,
+                streamId: message.streamId
               });
               break;
 
@@ -308,7 +384,9 @@ const ChatInterface = () => {
                 type: 'error',
                 content: `❌ **Task Error**\n\n${message.error}`,
                 timestamp: Date.now(),
-                isMarkdown: true
+                isMarkdown: true,
+                // Replaces the partial answer if the failure came mid-stream
+                streamId: message.streamId
               });
               break;
 
@@ -345,9 +423,23 @@ const ChatInterface = () => {
               setIsTyping(false); // Hide typing indicator
               setTaskStatus({ status: 'paused', message: 'Task paused - waiting for user action' });
 
+              // Plan preview pauses carry the batch to review
+              if (message.pause_reason === 'preview') {
+                addMessage({
+                  type: 'plan_preview',
+                  taskId: message.taskId,
+                  content: message.message,
+                  pauseDescription: message.pause_description || '',
+                  steps: message.steps || [],
+                  timestamp: Date.now()
+                });
+                break;
+              }
+
               // Add pause message with continue button
               addMessage({
                 type: message.pause_reason === 'approval' ? 'approval' : 'pause',
+                taskId: message.taskId,
                 content: message.message || 'Task execution paused',
                 pauseReason: message.pause_reason || 'unknown',
                 pauseDescription: message.pause_description || '',
@@ -355,6 +447,23 @@ const ChatInterface = () => {
               });
               break;
 
+            case 'step_approval':
+              setIsTyping(false);
+              addMessage({
+                type: 'step_approval',
+                content: message.message,
+                taskId: message.taskId,
+                stepId: message.stepId,
+                step: message.step,
+                position: message.position,
+                total: message.total,
+                action: message.action,
+                parameters: message.parameters,
+                target: message.target,
+                timestamp: Date.now()
+              });
+              break;
+
             case 'task_resumed':
               setIsExecuting(true);
               setIsTyping(true);
@@ -368,6 +477,10 @@ const ChatInterface = () => {
               });
               break;
 
+            case 'task_queue':
+              setTaskQueue(message.queue);
+              break;
+
             case 'error':
               setIsTyping(false); // Hide typing indicator
               addMessage({
@@ -516,12 +629,13 @@ const ChatInterface = () => {
     }
   };
 
-  const handleResumeExecution = () => {
+  const handleResumeExecution = (taskId) => {
     if (portRef.current) {
       try {
         console.log('Resuming task execution...');
         portRef.current.postMessage({
-          type: 'resume_task'
+          type: 'resume_task',
+          taskId
         });
       } catch (error) {
         console.error('Error resuming task:', error);
@@ -534,12 +648,13 @@ const ChatInterface = () => {
     }
   };
 
-  const handleApproveTask = () => {
+  const handleApproveTask = (taskId) => {
     if (portRef.current) {
       try {
         console.log('Approving task execution...');
         portRef.current.postMessage({
-          type: 'resume_task'
+          type: 'resume_task',
+          taskId
         });
       } catch (error) {
         console.error('Error approving task:', error);
@@ -552,12 +667,13 @@ const ChatInterface = () => {
     }
   };
 
-  const handleDeclineTask = () => {
+  const handleDeclineTask = (taskId) => {
     if (portRef.current) {
       try {
         console.log('Declining task execution...');
         portRef.current.postMessage({
-          type: 'cancel_task'
+          type: 'cancel_task',
+          taskId
         });
       } catch (error) {
         console.error('Error declining task:', error);
@@ -570,6 +686,87 @@ const ChatInterface = () => {
     }
   };
 
+  const handleRunPlan = (steps, taskId) => {
+    if (!portRef.current) return;
+    try {
+      portRef.current.postMessage({ type: 'run_plan', steps, taskId });
+    } catch (error) {
+      console.error('Error running plan:', error);
+      addMessage({
+        type: 'error',
+        content: '❌ Failed to run plan. Connection lost.',
+        timestamp: Date.now()
+      });
+    }
+  };
+
+  // Task queue panel controls - every command names the task it is for
+  const postTaskCommand = (type, taskId) => {
+    if (!portRef.current) return;
+    try {
+      portRef.current.postMessage({ type, taskId });
+    } catch (error) {
+      console.error(`Error sending ${type}:`, error);
+      setConnectionStatus('disconnected');
+    }
+  };
+
+  // Unlike the chat input, this does not wait for the current task - the background queues it
+  const handleQueueTask = (task) => {
+    if (!portRef.current || connectionStatus !== 'connected') return;
+    addMessage({
+      type: 'user',
+      content: task,
+      timestamp: Date.now()
+    });
+    try {
+      portRef.current.postMessage({ type: 'new_task', task });
+    } catch (error) {
+      console.error('Error queueing task:', error);
+      setConnectionStatus('disconnected');
+    }
+  };
+
+  const handleStepDecision = (stepId, decision, parameters, taskId) => {
+    if (!portRef.current) return;
+    try {
+      // Abort goes through the normal cancel path so the task ends cleanly - the one waiting on this step
+      if (decision === 'abort') {
+        portRef.current.postMessage({ type: 'cancel_task', taskId });
+        return;
+      }
+      portRef.current.postMessage({ type: 'step_decision', stepId, decision, parameters });
+      setIsTyping(true);
+    } catch (error) {
+      console.error('Error sending step decision:', error);
+      addMessage({
+        type: 'error',
+        content: '❌ Failed to send step decision. Connection lost.',
+        timestamp: Date.now()
+      });
+    }
+  };
+
+  const handleSaveMacro = (messageId, runId, name) => {
+    if (portRef.current) {
+      try {
+        portRef.current.postMessage({
+          type: 'save_macro',
+          messageId,
+          runId,
+          name
+        });
+      } catch (error) {
+        console.error('Error saving macro:', error);
+        addMessage({
+          type: 'error',
+          content: '❌ Failed to save macro. Connection lost.',
+          timestamp: Date.now()
+        });
+      }
+    }
+  };
+
   const handleNewChat = async () => {
     if (messages.length >= 2) {
       const userMessages = messages.filter(msg => msg.type === 'user' || msg.type === 'assistant');
@@ -592,6 +789,8 @@ const ChatInterface = () => {
     setTaskStatus(null);
   };
 
+  const activeTaskCount = (taskQueue?.running?.length || 0) + (taskQueue?.queued?.length || 0);
+
   const getConnectionStatusColor = () => {
     switch (connectionStatus) {
       case 'connected': return '#17bf63';
@@ -714,12 +913,95 @@ const ChatInterface = () => {
                 opacity: 0.9
               }}>
                 <FaCoins style={{ fontSize: '9px' }} />
-                <span>{totalTokens.toLocaleString()} tokens</span>
+                <span>{formatCost(totalCost)} · {formatTokens(totalTokens)}</span>
               </div>
             )}
           </div>
         </div>
         <div className="chat-header-buttons" style={{ display: 'flex', gap: '8px', flexShrink: 0 }}>
+          <button
+            onClick={toggleStepMode}
+            className="chat-header-button"
+            style={{
+              padding: '7px 9px',
+              backgroundColor: stepMode ? 'rgba(34, 197, 94, 0.2)' : 'rgba(99, 102, 241, 0.15)',
+              border: stepMode ? '1px solid rgba(34, 197, 94, 0.5)' : '1px solid rgba(99, 102, 241, 0.25)',
+              borderRadius: '10px',
+              cursor: 'pointer',
+              fontSize: '15px',
+              color: stepMode ? '#86efac' : 'var(--text-accent, #a5b4fc)',
+              display: 'flex',
+              alignItems: 'center',
+              justifyContent: 'center',
+              transition: 'all 0.2s ease'
+            }}
+            title={stepMode ? 'Step-by-step mode on: approve each action' : 'Step-by-step mode off: actions run automatically'}
+          >
+            <FaShoePrints />
+          </button>
+
+          <button
+            onClick={togglePreviewMode}
+            className="chat-header-button"
+            style={{
+              padding: '7px 9px',
+              backgroundColor: previewMode ? 'rgba(34, 197, 94, 0.2)' : 'rgba(99, 102, 241, 0.15)',
+              border: previewMode ? '1px solid rgba(34, 197, 94, 0.5)' : '1px solid rgba(99, 102, 241, 0.25)',
+              borderRadius: '10px',
+              cursor: 'pointer',
+              fontSize: '15px',
+              color: previewMode ? '#86efac' : 'var(--text-accent, #a5b4fc)',
+              display: 'flex',
+              alignItems: 'center',
+              justifyContent: 'center',
+              transition: 'all 0.2s ease'
+            }}
+            title={previewMode ? 'Plan preview on: review each batch before it runs' : 'Plan preview off'}
+          >
+            <FaListOl />
+          </button>
+
+          <button
+            onClick={() => setShowTaskQueue(!showTaskQueue)}
+            className="chat-header-button"
+            style={{
+              position: 'relative',
+              padding: '7px 9px',
+              backgroundColor: showTaskQueue ? 'rgba(99, 102, 241, 0.3)' : 'rgba(99, 102, 241, 0.15)',
+              border: '1px solid rgba(99, 102, 241, 0.25)',
+              borderRadius: '10px',
+              cursor: 'pointer',
+              fontSize: '15px',
+              color: 'var(--text-accent, #a5b4fc)',
+              display: 'flex',
+              alignItems: 'center',
+              justifyContent: 'center',
+              transition: 'all 0.2s ease'
+            }}
+            title="Task queue"
+          >
+            <FaTasks />
+            {activeTaskCount > 0 && (
+              <span style={{
+                position: 'absolute',
+                top: '-5px',
+                right: '-5px',
+                minWidth: '14px',
+                height: '14px',
+                padding: '0 3px',
+                borderRadius: '7px',
+                backgroundColor: '#6366f1',
+                color: 'white',
+                fontSize: '9px',
+                fontWeight: '700',
+                lineHeight: '14px',
+                textAlign: 'center'
+              }}>
+                {activeTaskCount}
+              </span>
+            )}
+          </button>
+
           <button
             onClick={handleNewChat}
             className="chat-header-button"
@@ -762,6 +1044,48 @@ const ChatInterface = () => {
             <FaHistory />
           </button>
 
+          <button
+            onClick={() => navigate('/macros')}
+            className="chat-header-button"
+            style={{
+              padding: '7px 9px',
+              backgroundColor: 'rgba(99, 102, 241, 0.15)',
+              border: '1px solid rgba(99, 102, 241, 0.25)',
+              borderRadius: '10px',
+              cursor: 'pointer',
+              fontSize: '15px',
+              color: 'var(--text-accent, #a5b4fc)',
+              display: 'flex',
+              alignItems: 'center',
+              justifyContent: 'center',
+              transition: 'all 0.2s ease'
+            }}
+            title="Macros"
+          >
+            <FaBolt />
+          </button>
+
+          <button
+            onClick={() => navigate('/schedules')}
+            className="chat-header-button"
+            style={{
+              padding: '7px 9px',
+              backgroundColor: 'rgba(99, 102, 241, 0.15)',
+              border: '1px solid rgba(99, 102, 241, 0.25)',
+              borderRadius: '10px',
+              cursor: 'pointer',
+              fontSize: '15px',
+              color: 'var(--text-accent, #a5b4fc)',
+              display: 'flex',
+              alignItems: 'center',
+              justifyContent: 'center',
+              transition: 'all 0.2s ease'
+            }}
+            title="Schedules"
+          >
+            <FaCalendarAlt />
+          </button>
+
           <div style={{ position: 'relative' }}>
             <button
               onClick={() => navigate('/settings')}
@@ -787,6 +1111,17 @@ const ChatInterface = () => {
         </div>
       </div>
 
+      {showTaskQueue && (
+        <TaskQueuePanel
+          queue={taskQueue}
+          onCancel={(taskId) => postTaskCommand('cancel_task', taskId)}
+          onPause={(taskId) => postTaskCommand('pause_task', taskId)}
+          onResume={(taskId) => postTaskCommand('resume_task', taskId)}
+          onQueueTask={handleQueueTask}
+          onClose={() => setShowTaskQueue(false)}
+        />
+      )}
+
       {/* Task Status - Only if executing */}
       {isExecuting && taskStatus && <TaskStatus status={taskStatus} />}
 
@@ -803,6 +1138,9 @@ const ChatInterface = () => {
           onResumeExecution={handleResumeExecution}
           onApproveTask={handleApproveTask}
           onDeclineTask={handleDeclineTask}
+          onSaveMacro={handleSaveMacro}
+          onStepDecision={handleStepDecision}
+          onRunPlan={handleRunPlan}
           isTyping={isTyping}
           updateMessageState={updateMessageState}
         />
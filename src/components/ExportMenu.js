@@ -0,0 +1,59 @@
+import React, { useState } from 'react';
+import { FaDownload } from 'react-icons/fa';
+import { EXPORT_FORMATS, downloadExport } from '../utils/exportData';
+
+// Small "Export" toggle that expands into one button per format
+const ExportMenu = ({ buildExport, label = 'Export', compact = false }) => {
+  const [open, setOpen] = useState(false);
+
+  const handleExport = async (e, format) => {
+    e.stopPropagation();
+    try {
+      await downloadExport(buildExport(format));
+    } catch (error) {
+      console.error('Export failed:', error);
+    }
+    setOpen(false);
+  };
+
+  const buttonStyle = {
+    padding: compact ? '6px 8px' : '3px 8px',
+    fontSize: compact ? '12px' : '10px',
+    borderRadius: '6px',
+    border: '1px solid rgba(99, 102, 241, 0.3)',
+    backgroundColor: 'rgba(99, 102, 241, 0.12)',
+    color: 'var(--text-accent, #a5b4fc)',
+    cursor: 'pointer',
+    display: 'flex',
+    alignItems: 'center',
+    gap: '4px'
+  };
+
+  return (
+    <div style={{ display: 'flex', gap: '4px', alignItems: 'center' }} onClick={(e) => e.stopPropagation()}>
+      <button
+        onClick={(e) => {
+          e.stopPropagation();
+          setOpen(!open);
+        }}
+        style={buttonStyle}
+        title={label}
+      >
+        <FaDownload style={{ fontSize: '9px' }} />
+        {!compact && label}
+      </button>
+      {open && EXPORT_FORMATS.map(format => (
+        <button
+          key={format.id}
+          onClick={(e) => handleExport(e, format.id)}
+          style={buttonStyle}
+          title={`Download as ${format.label}`}
+        >
+          {format.label}
+        </button>
+      ))}
+    </div>
+  );
+};
+
+export default ExportMenu;
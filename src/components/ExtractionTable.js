@@ -0,0 +1,98 @@
+import React, { useState } from 'react';
+import { recordsToCSV, recordsToJSON } from '../utils/tableFormat';
+import { buildExtractionExport } from '../utils/exportData';
+import ExportMenu from './ExportMenu';
+
+const MAX_VISIBLE_ROWS = 50;
+
+const ExtractionTable = ({ extraction }) => {
+  const [copied, setCopied] = useState(null);
+  const { columns = [], records = [] } = extraction;
+
+  const handleCopy = async (format) => {
+    const text = format === 'csv' ? recordsToCSV(columns, records) : recordsToJSON(records);
+    try {
+      await navigator.clipboard.writeText(text);
+      setCopied(format);
+      setTimeout(() => setCopied(null), 1500);
+    } catch (error) {
+      console.error('Failed to copy extraction:', error);
+    }
+  };
+
+  const buttonStyle = {
+    padding: '3px 8px',
+    fontSize: '10px',
+    borderRadius: '6px',
+    border: '1px solid rgba(99, 102, 241, 0.3)',
+    backgroundColor: 'rgba(99, 102, 241, 0.12)',
+    color: 'var(--text-accent, #a5b4fc)',
+    cursor: 'pointer'
+  };
+
+  const cellStyle = {
+    padding: '4px 6px',
+    borderBottom: '1px solid rgba(255,255,255,0.08)',
+    textAlign: 'left',
+    whiteSpace: 'nowrap',
+    maxWidth: '180px',
+    overflow: 'hidden',
+    textOverflow: 'ellipsis'
+  };
+
+  return (
+    <div style={{
+      marginTop: '8px',
+      borderTop: '1px solid rgba(255,255,255,0.08)',
+      paddingTop: '6px',
+      fontSize: '11px'
+    }}>
+      <div style={{ display: 'flex', alignItems: 'center', flexWrap: 'wrap', gap: '6px', marginBottom: '4px' }}>
+        <strong style={{ flex: 1, minWidth: '120px', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+          🧾 {extraction.title || 'Extracted data'} ({records.length} rows)
+        </strong>
+        <button onClick={() => handleCopy('json')} style={buttonStyle} title="Copy as JSON">
+          {copied === 'json' ? '✓ Copied' : 'Copy JSON'}
+        </button>
+        <button onClick={() => handleCopy('csv')} style={buttonStyle} title="Copy as CSV">
+          {copied === 'csv' ? '✓ Copied' : 'Copy CSV'}
+        </button>
+        <ExportMenu buildExport={(format) => buildExtractionExport(extraction, format)} label="Download" />
+      </div>
+      <div style={{ overflowX: 'auto', maxHeight: '260px', overflowY: 'auto' }}>
+        <table style={{ borderCollapse: 'collapse', width: '100%', fontSize: '11px' }}>
+          <thead>
+            <tr>
+              {columns.map(column => (
+                <th key={column} style={{ ...cellStyle, fontWeight: '600', color: 'var(--text-accent, #a5b4fc)' }}>
+                  {column}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {records.slice(0, MAX_VISIBLE_ROWS).map((record, i) => (
+              <tr key={i}>
+                {columns.map(column => (
+                  <td key={column} style={cellStyle} title={record[column] === null ? '' : String(record[column])}>
+                    {record[column] === null || record[column] === undefined ? '–' : String(record[column])}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      {records.length > MAX_VISIBLE_ROWS && (
+        <div style={{ marginTop: '4px', opacity: 0.7 }}>
+          Showing {MAX_VISIBLE_ROWS} of {records.length} rows - copy to get all of them
+        </div>
+      )}
+      {extraction.notes && (
+        <div style={{ marginTop: '4px', opacity: 0.7 }}>{extraction.notes}</div>
+      )}
+    </div>
+  );
+};
+
+export default ExtractionTable;
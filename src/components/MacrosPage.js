@@ -0,0 +1,256 @@
+import React from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useMacros } from '../hooks/useMacros';
+import {
+  FaBolt,
+  FaArrowLeft,
+  FaTrash,
+  FaPlay,
+  FaClock,
+  FaListOl
+} from 'react-icons/fa';
+
+const MacrosPage = () => {
+  const navigate = useNavigate();
+  const { macros, loading, deleteMacro } = useMacros();
+
+  const handleBack = () => {
+    navigate('/chat');
+  };
+
+  const handleRun = (macro) => {
+    // ChatInterface owns the background connection, so it starts the replay
+    navigate('/chat', { state: { runMacroId: macro.id, runMacroName: macro.name } });
+  };
+
+  const handleDelete = async (macro) => {
+    if (window.confirm(`Delete macro "${macro.name}"?`)) {
+      await deleteMacro(macro.id);
+    }
+  };
+
+  const formatDate = (timestamp) => {
+    if (!timestamp) return 'Never run';
+    return new Date(timestamp).toLocaleDateString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+  };
+
+  const containerStyle = {
+    width: '100%',
+    height: '100%',
+    display: 'flex',
+    flexDirection: 'column',
+    fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif',
+    backgroundColor: 'var(--bg-primary, #0a0f1e)',
+    overflow: 'hidden',
+    position: 'fixed',
+    top: 0,
+    left: 0,
+    right: 0,
+    bottom: 0
+  };
+
+  const headerStyle = {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: '12px 16px',
+    borderBottom: '1px solid var(--border-subtle, rgba(255,255,255,0.08))',
+    background: 'var(--gradient-header, linear-gradient(135deg, #1e1b4b 0%, #312e81 50%, #1e1b4b 100%))',
+    flexShrink: 0,
+    minHeight: '56px',
+    boxSizing: 'border-box',
+    position: 'relative',
+    zIndex: 1,
+    backdropFilter: 'blur(12px)'
+  };
+
+  const contentStyle = {
+    flex: 1,
+    overflowY: 'auto',
+    padding: '16px',
+    scrollbarWidth: 'none',
+    msOverflowStyle: 'none',
+    position: 'relative',
+    zIndex: 1
+  };
+
+  const iconButtonStyle = {
+    border: '1px solid rgba(99, 102, 241, 0.3)',
+    background: 'rgba(99, 102, 241, 0.15)',
+    color: 'var(--text-accent, #a5b4fc)',
+    cursor: 'pointer',
+    padding: '8px',
+    fontSize: '14px',
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    borderRadius: '8px',
+    minWidth: '32px',
+    height: '32px'
+  };
+
+  return (
+    <div className="macros-container" style={containerStyle}>
+      {/* Neon App Border */}
+      <div className="neon-app-border"></div>
+
+      {/* Header */}
+      <div className="chat-history-header" style={headerStyle}>
+        <button
+          onClick={handleBack}
+          className="chat-header-button"
+          style={{
+            padding: '7px 9px',
+            backgroundColor: 'rgba(99, 102, 241, 0.15)',
+            border: '1px solid rgba(99, 102, 241, 0.25)',
+            borderRadius: '10px',
+            cursor: 'pointer',
+            fontSize: '15px',
+            color: 'var(--text-accent, #a5b4fc)',
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'center',
+            transition: 'all 0.2s ease'
+          }}
+          title="Back"
+        >
+          <FaArrowLeft />
+        </button>
+
+        <div style={{ minWidth: 0, flex: 1, textAlign: 'center' }}>
+          <h3 className="chat-title" style={{
+            margin: 0,
+            color: 'var(--text-primary, #f1f5f9)',
+            fontSize: '17px',
+            fontWeight: '700',
+            lineHeight: '22px',
+            letterSpacing: '-0.02em',
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'center',
+            gap: '8px'
+          }}>
+            <FaBolt />
+            MACROS
+          </h3>
+          <p className="chat-subtitle" style={{
+            margin: 0,
+            color: 'var(--text-secondary, rgba(241,245,249,0.65))',
+            fontSize: '12px',
+            lineHeight: '14px',
+            marginTop: '2px'
+          }}>
+            {macros.length} saved macro{macros.length !== 1 ? 's' : ''}
+          </p>
+        </div>
+      </div>
+
+      {/* Content */}
+      <div className="chat-history-content" style={contentStyle}>
+        {loading ? (
+          <div style={{
+            display: 'flex',
+            justifyContent: 'center',
+            alignItems: 'center',
+            height: '200px'
+          }}>
+            <div style={{ transform: 'scale(0.7)' }}>
+              <div className="profile-loader" />
+            </div>
+          </div>
+        ) : macros.length === 0 ? (
+          <div style={{
+            display: 'flex',
+            flexDirection: 'column',
+            justifyContent: 'center',
+            alignItems: 'center',
+            height: '300px',
+            color: 'var(--text-secondary, rgba(241,245,249,0.65))',
+            textAlign: 'center',
+            padding: '0 32px'
+          }}>
+            <FaBolt style={{ fontSize: '48px', marginBottom: '16px', opacity: 0.5 }} />
+            <h4 style={{ margin: '0 0 8px 0', color: 'var(--text-primary, #f1f5f9)' }}>No Macros Yet</h4>
+            <p style={{ margin: 0, fontSize: '14px' }}>
+              After a task finishes successfully, use "Save as macro" under the answer to replay it later without AI calls
+            </p>
+          </div>
+        ) : (
+          <div style={{ display: 'flex', flexDirection: 'column', gap: '12px' }}>
+            {macros.map((macro) => (
+              <div
+                key={macro.id}
+                className="chat-card"
+                style={{
+                  backgroundColor: 'var(--bg-glass, rgba(255, 255, 255, 0.06))',
+                  borderRadius: '14px',
+                  padding: '16px',
+                  border: '1px solid var(--border-subtle, rgba(255,255,255,0.08))'
+                }}
+              >
+                <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+                  <div style={{ flex: 1, minWidth: 0 }}>
+                    <h4 style={{
+                      margin: '0 0 4px 0',
+                      fontSize: '14px',
+                      fontWeight: '600',
+                      color: 'var(--text-primary, #f1f5f9)',
+                      overflow: 'hidden',
+                      textOverflow: 'ellipsis',
+                      whiteSpace: 'nowrap'
+                    }}>
+                      {macro.name}
+                    </h4>
+                    <p style={{
+                      margin: '0 0 8px 0',
+                      fontSize: '12px',
+                      color: 'var(--text-secondary, rgba(241,245,249,0.65))',
+                      overflow: 'hidden',
+                      textOverflow: 'ellipsis',
+                      whiteSpace: 'nowrap'
+                    }}>
+                      {macro.task}
+                    </p>
+                    <div style={{
+                      display: 'flex',
+                      alignItems: 'center',
+                      gap: '12px',
+                      fontSize: '12px',
+                      color: 'var(--text-tertiary, rgba(241,245,249,0.45))'
+                    }}>
+                      <div style={{ display: 'flex', alignItems: 'center', gap: '4px' }}>
+                        <FaListOl style={{ fontSize: '10px' }} />
+                        {macro.steps.length} steps
+                      </div>
+                      <div style={{ display: 'flex', alignItems: 'center', gap: '4px' }}>
+                        <FaClock style={{ fontSize: '10px' }} />
+                        {formatDate(macro.lastRunAt)}
+                      </div>
+                    </div>
+                  </div>
+                  <button onClick={() => handleRun(macro)} style={iconButtonStyle} title="Run Macro">
+                    <FaPlay />
+                  </button>
+                  <button
+                    onClick={() => handleDelete(macro)}
+                    style={{
+                      ...iconButtonStyle,
+                      background: 'rgba(224, 36, 94, 0.1)',
+                      border: '1px solid rgba(224, 36, 94, 0.3)',
+                      color: '#e0245e'
+                    }}
+                    title="Delete Macro"
+                  >
+                    <FaTrash />
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default MacrosPage;
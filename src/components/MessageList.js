@@ -1,13 +1,20 @@
 import React, { useEffect, useRef, useState } from 'react';
 import ReactMarkdown from 'react-markdown';
 import remarkGfm from 'remark-gfm';
+import { formatCost, formatTokens } from '../utils/usageFormat';
+import ExtractionTable from './ExtractionTable';
+import ExportMenu from './ExportMenu';
+import StepApprovalCard from './StepApprovalCard';
+import PlanPreviewCard from './PlanPreviewCard';
+import { buildResultExport } from '../utils/exportData';
 
-const MessageList = ({ messages, onTemplateClick, onResumeExecution, onApproveTask, onDeclineTask, isTyping, updateMessageState }) => {
+const MessageList = ({ messages, onTemplateClick, onResumeExecution, onApproveTask, onDeclineTask, onSaveMacro, onStepDecision, onRunPlan, isTyping, updateMessageState }) => {
   const messagesEndRef = useRef(null);
   const containerRef = useRef(null);
   const [animatedMessages, setAnimatedMessages] = useState(new Set());
   const [isInitialLoad, setIsInitialLoad] = useState(true);
   const prevMessageCountRef = useRef(0);
+  const [macroDraft, setMacroDraft] = useState(null);
 
   const scrollToBottom = () => {
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
@@ -19,24 +26,52 @@ const MessageList = ({ messages, onTemplateClick, onResumeExecution, onApproveTa
     }
   };
 
-  const handleApprove = (messageId) => {
+  const handleApprove = (messageId, taskId) => {
     console.log('✅ Approve clicked for message:', messageId);
     // Update message state in storage immediately
     updateMessageState?.(messageId, { approved: true, declined: false });
-    onApproveTask?.();
+    onApproveTask?.(taskId);
   };
 
-  const handleDecline = (messageId) => {
+  const handleDecline = (messageId, taskId) => {
     console.log('❌ Decline clicked for message:', messageId);
     // Update message state in storage immediately
     updateMessageState?.(messageId, { approved: false, declined: true });
-    onDeclineTask?.();
+    onDeclineTask?.(taskId);
   };
 
-  const handleResume = (messageId) => {
+  const handleResume = (messageId, taskId) => {
     // Update message state in storage
     updateMessageState?.(messageId, { resumed: true });
-    onResumeExecution?.();
+    onResumeExecution?.(taskId);
+  };
+
+  const handleStepDecision = (messageId, stepId, decision, parameters, taskId) => {
+    updateMessageState?.(messageId, { stepDecision: decision });
+    onStepDecision?.(stepId, decision, parameters, taskId);
+  };
+
+  const handleRunPlan = (messageId, steps, taskId) => {
+    updateMessageState?.(messageId, { planDecision: 'run', steps });
+    onRunPlan?.(steps, taskId);
+  };
+
+  const handleCancelPlan = (messageId, taskId) => {
+    updateMessageState?.(messageId, { planDecision: 'cancelled' });
+    onDeclineTask?.(taskId);
+  };
+
+  // The user message that started the task an answer belongs to
+  const findTaskForMessage = (index) => {
+    for (let i = index - 1; i >= 0; i--) {
+      if (messages[i].type === 'user') return messages[i].content;
+    }
+    return '';
+  };
+
+  const handleSaveMacro = (messageId, runId) => {
+    onSaveMacro?.(messageId, runId, macroDraft?.name || '');
+    setMacroDraft(null);
   };
 
   useEffect(() => {
@@ -194,6 +229,8 @@ const MessageList = ({ messages, onTemplateClick, onResumeExecution, onApproveTa
           animation: animClass('FromLeft')
         };
       case 'approval':
+      case 'step_approval':
+      case 'plan_preview':
         return {
           ...baseStyle,
           backgroundColor: '#1a2035',
@@ -666,6 +703,12 @@ const MessageList = ({ messages, onTemplateClick, onResumeExecution, onApproveTa
             }
           }
           
+          @keyframes streamCursorBlink {
+            to {
+              visibility: hidden;
+            }
+          }
+          
           @keyframes fadeInScale {
             0% {
               opacity: 0;
@@ -749,11 +792,22 @@ const MessageList = ({ messages, onTemplateClick, onResumeExecution, onApproveTa
 
         return (
           <div key={message.id || `msg-${index}`} className={`message-item message-${message.type}`} style={style}>
-            {/* Special rendering for pause and approval messages */}
-            {message.type === 'pause' || message.type === 'approval' ? (
+            {/* Special rendering for step-by-step, pause and approval messages */}
+            {message.type === 'step_approval' ? (
+              <StepApprovalCard
+                message={message}
+                onDecision={(decision, parameters) => handleStepDecision(message.id || `msg-${index}`, message.stepId, decision, parameters, message.taskId)}
+              />
+            ) : message.type === 'plan_preview' ? (
+              <PlanPreviewCard
+                message={message}
+                onRun={(steps) => handleRunPlan(message.id || `msg-${index}`, steps, message.taskId)}
+                onCancel={() => handleCancelPlan(message.id || `msg-${index}`, message.taskId)}
+              />
+            ) : message.type === 'pause' || message.type === 'approval' ? (
               <div style={{ textAlign: 'center', width: '100%' }}>
                 <div style={{ marginBottom: '12px' }}>
-                  {message.pauseReason === 'signin' ? '🔐' : message.pauseReason === 'approval' ? '⏳' : '❓'} {message.content}
+                  {message.pauseReason === 'signin' ? '🔐' : message.pauseReason === 'approval' ? '⏳' : message.pauseReason === 'budget' ? '💰' : message.pauseReason === 'interrupted' ? '♻️' : message.pauseReason === 'user' ? '⏸️' : '❓'} {message.content}
                 </div>
                 {message.pauseDescription && (
                   <div style={{
@@ -813,7 +867,7 @@ const MessageList = ({ messages, onTemplateClick, onResumeExecution, onApproveTa
                       return (
                         <div style={{ display: 'flex', gap: '8px', justifyContent: 'center' }}>
                           <button
-                            onClick={() => handleDecline(messageId)}
+                            onClick={() => handleDecline(messageId, message.taskId)}
                             style={{
                               backgroundColor: '#f44336',
                               color: 'white',
@@ -840,7 +894,7 @@ const MessageList = ({ messages, onTemplateClick, onResumeExecution, onApproveTa
                             ✗ Decline
                           </button>
                           <button
-                            onClick={() => handleApprove(messageId)}
+                            onClick={() => handleApprove(messageId, message.taskId)}
                             style={{
                               backgroundColor: '#4CAF50',
                               color: 'white',
@@ -874,7 +928,7 @@ const MessageList = ({ messages, onTemplateClick, onResumeExecution, onApproveTa
                   // Pause message rendering (existing logic)
                   !message.resumed ? (
                     <button
-                      onClick={() => handleResume(message.id || `msg-${index}`)}
+                      onClick={() => handleResume(message.id || `msg-${index}`, message.taskId)}
                       style={{
                         backgroundColor: '#4ecdc4',
                         color: 'white',
@@ -943,6 +997,21 @@ const MessageList = ({ messages, onTemplateClick, onResumeExecution, onApproveTa
                 ) : (
                   message.content
                 )}
+                {/* Blinking cursor while the answer is still streaming in */}
+                {message.isStreaming && (
+                  <span
+                    className="stream-cursor"
+                    style={{
+                      display: 'inline-block',
+                      width: '7px',
+                      height: '14px',
+                      marginLeft: '2px',
+                      verticalAlign: 'text-bottom',
+                      backgroundColor: '#818cf8',
+                      animation: 'streamCursorBlink 1s steps(2, start) infinite'
+                    }}
+                  />
+                )}
               </div>
             )}
             {message.actions && message.actions.length > 0 && (
@@ -970,6 +1039,96 @@ const MessageList = ({ messages, onTemplateClick, onResumeExecution, onApproveTa
                 </div>
               </div>
             )}
+            {/* Structured data returned by extract actions */}
+            {(message.extractions || message.result?.extractions || []).map(extraction => (
+              <ExtractionTable key={extraction.id} extraction={extraction} />
+            ))}
+            {/* Download the answer (and its tables) as a file */}
+            {message.type === 'assistant' && message.content && !message.isStreaming && (
+              <div style={{ marginTop: '6px' }}>
+                <ExportMenu buildExport={(format) => buildResultExport(message, findTaskForMessage(index), format)} />
+              </div>
+            )}
+            {/* Per-task cost breakdown by agent */}
+            {message.usage && message.usage.totalTokens > 0 && (
+              <div style={{
+                marginTop: '6px',
+                fontSize: '10px',
+                opacity: 0.75,
+                color: 'var(--accent-warning, #f59e0b)'
+              }}>
+                💰 {formatCost(message.usage.totalCost)} · {formatTokens(message.usage.totalTokens)}
+                {Object.entries(message.usage.byAgent || {}).map(([agent, usage]) => (
+                  <span key={agent} style={{ marginLeft: '6px', opacity: 0.8 }}>
+                    {agent}: {formatCost(usage.cost)}
+                  </span>
+                ))}
+                {message.usage.unpricedCalls > 0 && (
+                  <span style={{ marginLeft: '6px', opacity: 0.8 }}>({message.usage.unpricedCalls} unpriced)</span>
+                )}
+              </div>
+            )}
+            {/* Save a successful run as a replayable macro */}
+            {(message.macroRunId || message.result?.macroRunId) && onSaveMacro && (
+              <div style={{ marginTop: '6px', fontSize: '11px' }}>
+                {message.macroSaved ? (
+                  <span style={{ color: '#6ee7b7' }}>💾 Saved as macro "{message.macroSaved}"</span>
+                ) : macroDraft?.messageId === message.id ? (
+                  <div style={{ display: 'flex', gap: '4px' }}>
+                    <input
+                      type="text"
+                      autoFocus
+                      value={macroDraft.name}
+                      placeholder="Macro name"
+                      onChange={(e) => setMacroDraft({ ...macroDraft, name: e.target.value })}
+                      onKeyDown={(e) => {
+                        if (e.key === 'Enter') handleSaveMacro(message.id, message.macroRunId || message.result?.macroRunId);
+                        if (e.key === 'Escape') setMacroDraft(null);
+                      }}
+                      style={{
+                        flex: 1,
+                        minWidth: 0,
+                        padding: '4px 8px',
+                        fontSize: '11px',
+                        borderRadius: '6px',
+                        border: '1px solid rgba(99, 102, 241, 0.4)',
+                        backgroundColor: 'rgba(0, 0, 0, 0.25)',
+                        color: 'var(--text-primary, #f1f5f9)'
+                      }}
+                    />
+                    <button
+                      onClick={() => handleSaveMacro(message.id, message.macroRunId || message.result?.macroRunId)}
+                      style={{
+                        padding: '4px 10px',
+                        fontSize: '11px',
+                        borderRadius: '6px',
+                        border: 'none',
+                        backgroundColor: '#6366f1',
+                        color: 'white',
+                        cursor: 'pointer'
+                      }}
+                    >
+                      Save
+                    </button>
+                  </div>
+                ) : (
+                  <button
+                    onClick={() => setMacroDraft({ messageId: message.id, name: '' })}
+                    style={{
+                      padding: '3px 8px',
+                      fontSize: '11px',
+                      borderRadius: '6px',
+                      border: '1px solid rgba(99, 102, 241, 0.3)',
+                      backgroundColor: 'rgba(99, 102, 241, 0.12)',
+                      color: 'var(--text-accent, #a5b4fc)',
+                      cursor: 'pointer'
+                    }}
+                  >
+                    💾 Save as macro
+                  </button>
+                )}
+              </div>
+            )}
             {/* Only show timestamp for last message in group */}
             {isLastInGroup && (
               <div style={{
@@ -985,8 +1144,8 @@ const MessageList = ({ messages, onTemplateClick, onResumeExecution, onApproveTa
         );
       })}
 
-      {/* Typing Indicator */}
-      {isTyping && (
+      {/* Typing Indicator (hidden while a streamed answer is already visible) */}
+      {isTyping && !messages.some(msg => msg.isStreaming) && (
         <div
           className="typing-indicator"
           style={getTypingIndicatorStyle()}
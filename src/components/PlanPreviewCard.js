@@ -0,0 +1,157 @@
+import React, { useState } from 'react';
+import { FaArrowUp, FaArrowDown, FaTrash, FaEdit } from 'react-icons/fa';
+
+// Short one-line summary of what a step will do
+const describeStep = (step) => {
+  const params = step.parameters || {};
+  const detail = params.url || (params.text !== undefined && params.text !== '' ? `"${params.text}"` : '') ||
+    params.direction || params.label || params.profile || params.key || params.option || params.value ||
+    (Array.isArray(params.files) ? params.files.join(', ') : '') || '';
+  const target = step.target
+    ? `[${step.target.index}] ${(step.target.tagName || '').toLowerCase()}${step.target.text ? ` "${step.target.text}"` : ''}`
+    : Number.isFinite(params.index) ? `[${params.index}]` : '';
+  return [target, detail].filter(Boolean).join(' · ');
+};
+
+// Batch produced in plan preview mode - nothing runs until the user clicks Run
+const PlanPreviewCard = ({ message, onRun, onCancel }) => {
+  const [steps, setSteps] = useState(message.steps || []);
+  const [editingIndex, setEditingIndex] = useState(null);
+  const [draft, setDraft] = useState('');
+  const [error, setError] = useState('');
+  const decided = message.planDecision;
+
+  const moveStep = (index, direction) => {
+    const next = [...steps];
+    const target = index + direction;
+    if (target < 0 || target >= next.length) return;
+    [next[index], next[target]] = [next[target], next[index]];
+    setSteps(next);
+  };
+
+  const deleteStep = (index) => {
+    setSteps(steps.filter((_, i) => i !== index));
+    if (editingIndex === index) setEditingIndex(null);
+  };
+
+  const startEditing = (index) => {
+    setDraft(JSON.stringify(steps[index].parameters || {}, null, 2));
+    setError('');
+    setEditingIndex(index);
+  };
+
+  const saveEdit = () => {
+    try {
+      const parameters = JSON.parse(draft);
+      if (!parameters || typeof parameters !== 'object' || Array.isArray(parameters)) {
+        throw new Error('Parameters must be a JSON object');
+      }
+      // The snapshot no longer describes an edited target
+      setSteps(steps.map((step, i) => i === editingIndex
+        ? { ...step, parameters, target: parameters.index === step.parameters?.index ? step.target : null }
+        : step));
+      setEditingIndex(null);
+    } catch (parseError) {
+      setError(parseError.message);
+    }
+  };
+
+  const iconButtonStyle = {
+    padding: '3px 5px',
+    fontSize: '10px',
+    borderRadius: '4px',
+    border: '1px solid rgba(255,255,255,0.15)',
+    backgroundColor: 'rgba(255,255,255,0.06)',
+    color: 'var(--text-primary, #f1f5f9)',
+    cursor: 'pointer'
+  };
+
+  const buttonStyle = (color) => ({
+    flex: 1,
+    padding: '6px 8px',
+    fontSize: '11px',
+    fontWeight: '600',
+    borderRadius: '6px',
+    border: 'none',
+    backgroundColor: color,
+    color: 'white',
+    cursor: 'pointer'
+  });
+
+  return (
+    <div style={{ textAlign: 'left', width: '100%' }}>
+      <div style={{ marginBottom: '4px', fontWeight: '600' }}>📝 {message.content || 'Plan preview'}</div>
+      {message.pauseDescription && (
+        <div style={{ marginBottom: '8px', fontSize: '11px', fontStyle: 'italic' }}>{message.pauseDescription}</div>
+      )}
+
+      <ol style={{ margin: '0 0 8px 0', paddingLeft: '18px' }}>
+        {steps.map((step, index) => (
+          <li key={index} style={{ marginBottom: '6px', fontSize: '11px' }}>
+            <div style={{ display: 'flex', alignItems: 'center', gap: '4px' }}>
+              <div style={{ flex: 1, minWidth: 0 }}>
+                <code>{step.action_type}</code> {describeStep(step)}
+                {step.parameters?.intent && (
+                  <div style={{ opacity: 0.7, fontSize: '10px' }}>{step.parameters.intent}</div>
+                )}
+              </div>
+              {!decided && (
+                <>
+                  <button onClick={() => moveStep(index, -1)} disabled={index === 0} style={iconButtonStyle} title="Move up"><FaArrowUp /></button>
+                  <button onClick={() => moveStep(index, 1)} disabled={index === steps.length - 1} style={iconButtonStyle} title="Move down"><FaArrowDown /></button>
+                  <button onClick={() => startEditing(index)} style={iconButtonStyle} title="Edit parameters"><FaEdit /></button>
+                  <button onClick={() => deleteStep(index)} style={{ ...iconButtonStyle, color: '#fca5a5' }} title="Delete step"><FaTrash /></button>
+                </>
+              )}
+            </div>
+
+            {editingIndex === index && (
+              <div style={{ marginTop: '4px' }}>
+                <textarea
+                  value={draft}
+                  onChange={(e) => setDraft(e.target.value)}
+                  rows={5}
+                  style={{
+                    width: '100%',
+                    boxSizing: 'border-box',
+                    padding: '6px',
+                    borderRadius: '6px',
+                    border: '1px solid rgba(59, 130, 246, 0.4)',
+                    backgroundColor: 'rgba(0,0,0,0.25)',
+                    color: 'var(--text-primary, #f1f5f9)',
+                    fontFamily: 'monospace',
+                    fontSize: '10px',
+                    resize: 'vertical'
+                  }}
+                />
+                {error && <div style={{ fontSize: '10px', color: '#fca5a5' }}>❌ {error}</div>}
+                <div style={{ display: 'flex', gap: '6px', marginTop: '4px' }}>
+                  <button onClick={() => setEditingIndex(null)} style={buttonStyle('#64748b')}>Cancel</button>
+                  <button onClick={saveEdit} style={buttonStyle('#3b82f6')}>Save step</button>
+                </div>
+              </div>
+            )}
+          </li>
+        ))}
+      </ol>
+      {steps.length === 0 && !decided && (
+        <div style={{ fontSize: '11px', marginBottom: '8px' }}>All steps removed - Run asks the planner for a new plan.</div>
+      )}
+
+      {decided ? (
+        <div style={{ fontSize: '11px', fontWeight: '600' }}>
+          {decided === 'run' ? `▶ Ran ${steps.length} step${steps.length !== 1 ? 's' : ''}` : '🛑 Cancelled'}
+        </div>
+      ) : (
+        <div style={{ display: 'flex', gap: '6px' }}>
+          <button onClick={onCancel} style={buttonStyle('#f44336')}>🛑 Cancel task</button>
+          <button onClick={() => onRun(steps)} disabled={editingIndex !== null} style={buttonStyle('#4CAF50')}>
+            ▶ Run {steps.length} step{steps.length !== 1 ? 's' : ''}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PlanPreviewCard;
@@ -0,0 +1,316 @@
+import React, { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useProfiles } from '../hooks/useProfiles';
+import {
+  FaAddressCard,
+  FaArrowLeft,
+  FaTrash,
+  FaEdit,
+  FaPlus,
+  FaLock
+} from 'react-icons/fa';
+
+// Same keys as PROFILE_FIELDS in the background ProfileManager
+const PROFILE_FORM_FIELDS = [
+  { key: 'firstName', label: 'First name' },
+  { key: 'lastName', label: 'Last name' },
+  { key: 'fullName', label: 'Full name' },
+  { key: 'email', label: 'Email' },
+  { key: 'phone', label: 'Phone' },
+  { key: 'company', label: 'Company' },
+  { key: 'address1', label: 'Address line 1' },
+  { key: 'address2', label: 'Address line 2' },
+  { key: 'city', label: 'City' },
+  { key: 'state', label: 'State / Region' },
+  { key: 'zip', label: 'ZIP / Postal code' },
+  { key: 'country', label: 'Country' }
+];
+
+const EMPTY_FORM = { id: null, name: '', fields: {} };
+
+const ProfilesPage = () => {
+  const navigate = useNavigate();
+  const { profiles, loading, saveProfile, deleteProfile } = useProfiles();
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [showForm, setShowForm] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleSave = async () => {
+    try {
+      setError('');
+      await saveProfile(form);
+      setForm(EMPTY_FORM);
+      setShowForm(false);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleEdit = (profile) => {
+    setForm({ id: profile.id, name: profile.name, fields: { ...profile.fields } });
+    setShowForm(true);
+  };
+
+  const handleDelete = async (profile) => {
+    if (window.confirm(`Delete profile "${profile.name}"?`)) {
+      try {
+        await deleteProfile(profile.id);
+      } catch (err) {
+        setError(err.message);
+      }
+    }
+  };
+
+  const setField = (key, value) => setForm({ ...form, fields: { ...form.fields, [key]: value } });
+
+  const containerStyle = {
+    width: '100%',
+    height: '100%',
+    display: 'flex',
+    flexDirection: 'column',
+    fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif',
+    backgroundColor: 'var(--bg-primary, #0a0f1e)',
+    overflow: 'hidden',
+    position: 'fixed',
+    top: 0,
+    left: 0,
+    right: 0,
+    bottom: 0
+  };
+
+  const headerStyle = {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: '12px 16px',
+    borderBottom: '1px solid var(--border-subtle, rgba(255,255,255,0.08))',
+    background: 'var(--gradient-header, linear-gradient(135deg, #1e1b4b 0%, #312e81 50%, #1e1b4b 100%))',
+    flexShrink: 0,
+    minHeight: '56px',
+    boxSizing: 'border-box',
+    position: 'relative',
+    zIndex: 1,
+    backdropFilter: 'blur(12px)'
+  };
+
+  const headerButtonStyle = {
+    padding: '7px 9px',
+    backgroundColor: 'rgba(99, 102, 241, 0.15)',
+    border: '1px solid rgba(99, 102, 241, 0.25)',
+    borderRadius: '10px',
+    cursor: 'pointer',
+    fontSize: '15px',
+    color: 'var(--text-accent, #a5b4fc)',
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    transition: 'all 0.2s ease'
+  };
+
+  const cardStyle = {
+    backgroundColor: 'var(--bg-glass, rgba(255, 255, 255, 0.06))',
+    borderRadius: '14px',
+    padding: '16px',
+    border: '1px solid var(--border-subtle, rgba(255,255,255,0.08))'
+  };
+
+  const inputStyle = {
+    width: '100%',
+    padding: '8px 10px',
+    fontSize: '13px',
+    borderRadius: '8px',
+    border: '1px solid rgba(99, 102, 241, 0.3)',
+    backgroundColor: 'rgba(0, 0, 0, 0.25)',
+    color: 'var(--text-primary, #f1f5f9)',
+    boxSizing: 'border-box',
+    marginBottom: '8px'
+  };
+
+  const iconButtonStyle = {
+    border: '1px solid rgba(99, 102, 241, 0.3)',
+    background: 'rgba(99, 102, 241, 0.15)',
+    color: 'var(--text-accent, #a5b4fc)',
+    cursor: 'pointer',
+    padding: '8px',
+    fontSize: '14px',
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    borderRadius: '8px',
+    minWidth: '32px',
+    height: '32px'
+  };
+
+  return (
+    <div className="profiles-container" style={containerStyle}>
+      {/* Neon App Border */}
+      <div className="neon-app-border"></div>
+
+      {/* Header */}
+      <div className="chat-history-header" style={headerStyle}>
+        <button onClick={() => navigate('/chat')} className="chat-header-button" style={headerButtonStyle} title="Back">
+          <FaArrowLeft />
+        </button>
+
+        <div style={{ minWidth: 0, flex: 1, textAlign: 'center' }}>
+          <h3 className="chat-title" style={{
+            margin: 0,
+            color: 'var(--text-primary, #f1f5f9)',
+            fontSize: '17px',
+            fontWeight: '700',
+            lineHeight: '22px',
+            letterSpacing: '-0.02em',
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'center',
+            gap: '8px'
+          }}>
+            <FaAddressCard />
+            PROFILES
+          </h3>
+          <p className="chat-subtitle" style={{
+            margin: 0,
+            color: 'var(--text-secondary, rgba(241,245,249,0.65))',
+            fontSize: '12px',
+            lineHeight: '14px',
+            marginTop: '2px',
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'center',
+            gap: '4px'
+          }}>
+            <FaLock style={{ fontSize: '9px' }} /> Encrypted on this device
+          </p>
+        </div>
+
+        <button
+          onClick={() => {
+            setForm(EMPTY_FORM);
+            setShowForm(!showForm);
+          }}
+          className="chat-header-button"
+          style={headerButtonStyle}
+          title="New Profile"
+        >
+          <FaPlus />
+        </button>
+      </div>
+
+      {/* Content */}
+      <div className="chat-history-content" style={{ flex: 1, overflowY: 'auto', padding: '16px', position: 'relative', zIndex: 1 }}>
+        {error && (
+          <div style={{ marginBottom: '12px', padding: '8px 12px', borderRadius: '8px', backgroundColor: 'rgba(239,68,68,0.15)', color: '#fca5a5', fontSize: '12px' }}>
+            ❌ {error}
+          </div>
+        )}
+
+        {showForm && (
+          <div style={{ ...cardStyle, marginBottom: '16px' }}>
+            <input
+              type="text"
+              placeholder="Profile name (e.g. home, work, shipping, billing)"
+              value={form.name}
+              onChange={(e) => setForm({ ...form, name: e.target.value })}
+              style={inputStyle}
+            />
+            <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', columnGap: '8px' }}>
+              {PROFILE_FORM_FIELDS.map(field => (
+                <input
+                  key={field.key}
+                  type="text"
+                  placeholder={field.label}
+                  value={form.fields[field.key] || ''}
+                  onChange={(e) => setField(field.key, e.target.value)}
+                  style={inputStyle}
+                />
+              ))}
+            </div>
+
+            <button
+              onClick={handleSave}
+              className="neon-btn"
+              style={{
+                width: '100%',
+                padding: '10px',
+                borderRadius: '10px',
+                border: 'none',
+                backgroundColor: 'var(--accent-primary, #6366f1)',
+                color: 'white',
+                fontWeight: '600',
+                cursor: 'pointer'
+              }}
+            >
+              Save Profile
+            </button>
+          </div>
+        )}
+
+        {loading ? null : profiles.length === 0 && !showForm ? (
+          <div style={{
+            display: 'flex',
+            flexDirection: 'column',
+            justifyContent: 'center',
+            alignItems: 'center',
+            height: '300px',
+            color: 'var(--text-secondary, rgba(241,245,249,0.65))',
+            textAlign: 'center',
+            padding: '0 32px'
+          }}>
+            <FaAddressCard style={{ fontSize: '48px', marginBottom: '16px', opacity: 0.5 }} />
+            <h4 style={{ margin: '0 0 8px 0', color: 'var(--text-primary, #f1f5f9)' }}>No Profiles</h4>
+            <p style={{ margin: 0, fontSize: '14px' }}>
+              Save your address and contact details once. The agent fills forms with them as {'{{profile.home.zip}}'} without sending the values to the AI.
+            </p>
+          </div>
+        ) : (
+          <div style={{ display: 'flex', flexDirection: 'column', gap: '12px' }}>
+            {profiles.map((profile) => (
+              <div key={profile.id} style={cardStyle}>
+                <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+                  <div style={{ flex: 1, minWidth: 0 }}>
+                    <h4 style={{
+                      margin: '0 0 4px 0',
+                      fontSize: '14px',
+                      fontWeight: '600',
+                      color: 'var(--text-primary, #f1f5f9)'
+                    }}>
+                      {profile.name}
+                    </h4>
+                    <p style={{
+                      margin: 0,
+                      fontSize: '12px',
+                      color: 'var(--text-secondary, rgba(241,245,249,0.65))',
+                      overflow: 'hidden',
+                      textOverflow: 'ellipsis',
+                      whiteSpace: 'nowrap'
+                    }}>
+                      {[profile.fields.fullName || [profile.fields.firstName, profile.fields.lastName].filter(Boolean).join(' '), profile.fields.city, profile.fields.country]
+                        .filter(Boolean).join(' · ') || `${Object.keys(profile.fields).length} fields`}
+                    </p>
+                  </div>
+                  <button onClick={() => handleEdit(profile)} style={iconButtonStyle} title="Edit Profile">
+                    <FaEdit />
+                  </button>
+                  <button
+                    onClick={() => handleDelete(profile)}
+                    style={{
+                      ...iconButtonStyle,
+                      background: 'rgba(224, 36, 94, 0.1)',
+                      border: '1px solid rgba(224, 36, 94, 0.3)',
+                      color: '#e0245e'
+                    }}
+                    title="Delete Profile"
+                  >
+                    <FaTrash />
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ProfilesPage;
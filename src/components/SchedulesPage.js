@@ -0,0 +1,365 @@
+import React, { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useSchedules } from '../hooks/useSchedules';
+import { useMacros } from '../hooks/useMacros';
+import {
+  FaCalendarAlt,
+  FaArrowLeft,
+  FaTrash,
+  FaPlay,
+  FaPlus,
+  FaClock
+} from 'react-icons/fa';
+
+const CRON_PRESETS = [
+  { label: 'Every morning (9:00)', cron: '0 9 * * *' },
+  { label: 'Weekdays (9:00)', cron: '0 9 * * 1-5' },
+  { label: 'Every Monday (9:00)', cron: '0 9 * * 1' },
+  { label: 'Every hour', cron: '0 * * * *' },
+  { label: 'Every 15 minutes', cron: '*/15 * * * *' }
+];
+
+const STATUS_ICONS = { success: '✅', failed: '⚠️', paused: '⏸️', error: '❌' };
+
+const EMPTY_FORM = { name: '', source: 'prompt', prompt: '', macroId: '', cron: '0 9 * * *' };
+
+const SchedulesPage = () => {
+  const navigate = useNavigate();
+  const { schedules, loading, saveSchedule, deleteSchedule, runScheduleNow } = useSchedules();
+  const { macros } = useMacros();
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [showForm, setShowForm] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleSave = async () => {
+    try {
+      setError('');
+      await saveSchedule({
+        name: form.name,
+        prompt: form.source === 'prompt' ? form.prompt : '',
+        macroId: form.source === 'macro' ? form.macroId : null,
+        cron: form.cron,
+        enabled: true
+      });
+      setForm(EMPTY_FORM);
+      setShowForm(false);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleToggle = async (schedule) => {
+    try {
+      await saveSchedule({ ...schedule, enabled: !schedule.enabled });
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleDelete = async (schedule) => {
+    if (window.confirm(`Delete schedule "${schedule.name}"?`)) {
+      await deleteSchedule(schedule.id);
+    }
+  };
+
+  const formatTime = (timestamp) => {
+    if (!timestamp) return '—';
+    return new Date(timestamp).toLocaleString([], { weekday: 'short', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+  };
+
+  const getMacroName = (macroId) => macros.find(macro => macro.id === macroId)?.name || 'Deleted macro';
+
+  const containerStyle = {
+    width: '100%',
+    height: '100%',
+    display: 'flex',
+    flexDirection: 'column',
+    fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif',
+    backgroundColor: 'var(--bg-primary, #0a0f1e)',
+    overflow: 'hidden',
+    position: 'fixed',
+    top: 0,
+    left: 0,
+    right: 0,
+    bottom: 0
+  };
+
+  const headerStyle = {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: '12px 16px',
+    borderBottom: '1px solid var(--border-subtle, rgba(255,255,255,0.08))',
+    background: 'var(--gradient-header, linear-gradient(135deg, #1e1b4b 0%, #312e81 50%, #1e1b4b 100%))',
+    flexShrink: 0,
+    minHeight: '56px',
+    boxSizing: 'border-box',
+    position: 'relative',
+    zIndex: 1,
+    backdropFilter: 'blur(12px)'
+  };
+
+  const headerButtonStyle = {
+    padding: '7px 9px',
+    backgroundColor: 'rgba(99, 102, 241, 0.15)',
+    border: '1px solid rgba(99, 102, 241, 0.25)',
+    borderRadius: '10px',
+    cursor: 'pointer',
+    fontSize: '15px',
+    color: 'var(--text-accent, #a5b4fc)',
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    transition: 'all 0.2s ease'
+  };
+
+  const cardStyle = {
+    backgroundColor: 'var(--bg-glass, rgba(255, 255, 255, 0.06))',
+    borderRadius: '14px',
+    padding: '16px',
+    border: '1px solid var(--border-subtle, rgba(255,255,255,0.08))'
+  };
+
+  const inputStyle = {
+    width: '100%',
+    padding: '8px 10px',
+    fontSize: '13px',
+    borderRadius: '8px',
+    border: '1px solid rgba(99, 102, 241, 0.3)',
+    backgroundColor: 'rgba(0, 0, 0, 0.25)',
+    color: 'var(--text-primary, #f1f5f9)',
+    boxSizing: 'border-box',
+    marginBottom: '8px'
+  };
+
+  const iconButtonStyle = {
+    border: '1px solid rgba(99, 102, 241, 0.3)',
+    background: 'rgba(99, 102, 241, 0.15)',
+    color: 'var(--text-accent, #a5b4fc)',
+    cursor: 'pointer',
+    padding: '8px',
+    fontSize: '14px',
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    borderRadius: '8px',
+    minWidth: '32px',
+    height: '32px'
+  };
+
+  return (
+    <div className="schedules-container" style={containerStyle}>
+      {/* Neon App Border */}
+      <div className="neon-app-border"></div>
+
+      {/* Header */}
+      <div className="chat-history-header" style={headerStyle}>
+        <button onClick={() => navigate('/chat')} className="chat-header-button" style={headerButtonStyle} title="Back">
+          <FaArrowLeft />
+        </button>
+
+        <div style={{ minWidth: 0, flex: 1, textAlign: 'center' }}>
+          <h3 className="chat-title" style={{
+            margin: 0,
+            color: 'var(--text-primary, #f1f5f9)',
+            fontSize: '17px',
+            fontWeight: '700',
+            lineHeight: '22px',
+            letterSpacing: '-0.02em',
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'center',
+            gap: '8px'
+          }}>
+            <FaCalendarAlt />
+            SCHEDULES
+          </h3>
+          <p className="chat-subtitle" style={{
+            margin: 0,
+            color: 'var(--text-secondary, rgba(241,245,249,0.65))',
+            fontSize: '12px',
+            lineHeight: '14px',
+            marginTop: '2px'
+          }}>
+            {schedules.filter(schedule => schedule.enabled).length} active
+          </p>
+        </div>
+
+        <button onClick={() => setShowForm(!showForm)} className="chat-header-button" style={headerButtonStyle} title="New Schedule">
+          <FaPlus />
+        </button>
+      </div>
+
+      {/* Content */}
+      <div className="chat-history-content" style={{ flex: 1, overflowY: 'auto', padding: '16px', position: 'relative', zIndex: 1 }}>
+        {error && (
+          <div style={{ marginBottom: '12px', padding: '8px 12px', borderRadius: '8px', backgroundColor: 'rgba(239,68,68,0.15)', color: '#fca5a5', fontSize: '12px' }}>
+            ❌ {error}
+          </div>
+        )}
+
+        {showForm && (
+          <div style={{ ...cardStyle, marginBottom: '16px' }}>
+            <input
+              type="text"
+              placeholder="Name (e.g. Morning price check)"
+              value={form.name}
+              onChange={(e) => setForm({ ...form, name: e.target.value })}
+              style={inputStyle}
+            />
+
+            <div style={{ display: 'flex', gap: '12px', marginBottom: '8px', fontSize: '12px', color: 'var(--text-secondary, rgba(241,245,249,0.65))' }}>
+              <label>
+                <input type="radio" checked={form.source === 'prompt'} onChange={() => setForm({ ...form, source: 'prompt' })} /> Task prompt
+              </label>
+              <label>
+                <input type="radio" checked={form.source === 'macro'} onChange={() => setForm({ ...form, source: 'macro' })} disabled={macros.length === 0} /> Saved macro
+              </label>
+            </div>
+
+            {form.source === 'prompt' ? (
+              <textarea
+                rows={3}
+                placeholder="e.g. Check the price of the Kindle Paperwhite on amazon.com"
+                value={form.prompt}
+                onChange={(e) => setForm({ ...form, prompt: e.target.value })}
+                style={{ ...inputStyle, resize: 'vertical', fontFamily: 'inherit' }}
+              />
+            ) : (
+              <select value={form.macroId} onChange={(e) => setForm({ ...form, macroId: e.target.value })} style={inputStyle}>
+                <option value="">Choose a macro...</option>
+                {macros.map(macro => (
+                  <option key={macro.id} value={macro.id}>{macro.name}</option>
+                ))}
+              </select>
+            )}
+
+            <select
+              value={CRON_PRESETS.some(preset => preset.cron === form.cron) ? form.cron : ''}
+              onChange={(e) => e.target.value && setForm({ ...form, cron: e.target.value })}
+              style={inputStyle}
+            >
+              <option value="">Custom</option>
+              {CRON_PRESETS.map(preset => (
+                <option key={preset.cron} value={preset.cron}>{preset.label}</option>
+              ))}
+            </select>
+            <input
+              type="text"
+              placeholder="minute hour day month weekday"
+              value={form.cron}
+              onChange={(e) => setForm({ ...form, cron: e.target.value })}
+              style={{ ...inputStyle, fontFamily: 'monospace' }}
+            />
+
+            <button
+              onClick={handleSave}
+              className="neon-btn"
+              style={{
+                width: '100%',
+                padding: '10px',
+                borderRadius: '10px',
+                border: 'none',
+                backgroundColor: 'var(--accent-primary, #6366f1)',
+                color: 'white',
+                fontWeight: '600',
+                cursor: 'pointer'
+              }}
+            >
+              Save Schedule
+            </button>
+          </div>
+        )}
+
+        {loading ? null : schedules.length === 0 && !showForm ? (
+          <div style={{
+            display: 'flex',
+            flexDirection: 'column',
+            justifyContent: 'center',
+            alignItems: 'center',
+            height: '300px',
+            color: 'var(--text-secondary, rgba(241,245,249,0.65))',
+            textAlign: 'center',
+            padding: '0 32px'
+          }}>
+            <FaCalendarAlt style={{ fontSize: '48px', marginBottom: '16px', opacity: 0.5 }} />
+            <h4 style={{ margin: '0 0 8px 0', color: 'var(--text-primary, #f1f5f9)' }}>No Schedules</h4>
+            <p style={{ margin: 0, fontSize: '14px' }}>
+              Run a task or macro automatically, e.g. "check the price of X every morning". Results arrive as notifications.
+            </p>
+          </div>
+        ) : (
+          <div style={{ display: 'flex', flexDirection: 'column', gap: '12px' }}>
+            {schedules.map((schedule) => (
+              <div key={schedule.id} style={{ ...cardStyle, opacity: schedule.enabled ? 1 : 0.6 }}>
+                <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+                  <input
+                    type="checkbox"
+                    checked={schedule.enabled}
+                    onChange={() => handleToggle(schedule)}
+                    title={schedule.enabled ? 'Disable' : 'Enable'}
+                  />
+                  <div style={{ flex: 1, minWidth: 0 }}>
+                    <h4 style={{
+                      margin: '0 0 4px 0',
+                      fontSize: '14px',
+                      fontWeight: '600',
+                      color: 'var(--text-primary, #f1f5f9)',
+                      overflow: 'hidden',
+                      textOverflow: 'ellipsis',
+                      whiteSpace: 'nowrap'
+                    }}>
+                      {schedule.name}
+                    </h4>
+                    <p style={{
+                      margin: '0 0 6px 0',
+                      fontSize: '12px',
+                      color: 'var(--text-secondary, rgba(241,245,249,0.65))',
+                      overflow: 'hidden',
+                      textOverflow: 'ellipsis',
+                      whiteSpace: 'nowrap'
+                    }}>
+                      {schedule.macroId ? `⚡ ${getMacroName(schedule.macroId)}` : schedule.prompt}
+                    </p>
+                    <div style={{ display: 'flex', alignItems: 'center', gap: '4px', fontSize: '11px', color: 'var(--text-tertiary, rgba(241,245,249,0.45))' }}>
+                      <FaClock style={{ fontSize: '10px' }} />
+                      <code>{schedule.cron}</code> · next {formatTime(schedule.nextRunAt)}
+                    </div>
+                  </div>
+                  <button onClick={() => runScheduleNow(schedule.id).catch(err => setError(err.message))} style={iconButtonStyle} title="Run Now">
+                    <FaPlay />
+                  </button>
+                  <button
+                    onClick={() => handleDelete(schedule)}
+                    style={{
+                      ...iconButtonStyle,
+                      background: 'rgba(224, 36, 94, 0.1)',
+                      border: '1px solid rgba(224, 36, 94, 0.3)',
+                      color: '#e0245e'
+                    }}
+                    title="Delete Schedule"
+                  >
+                    <FaTrash />
+                  </button>
+                </div>
+                {schedule.lastResult && (
+                  <div style={{
+                    marginTop: '8px',
+                    paddingTop: '8px',
+                    borderTop: '1px solid rgba(255,255,255,0.08)',
+                    fontSize: '11px',
+                    color: 'var(--text-secondary, rgba(241,245,249,0.65))'
+                  }}>
+                    {STATUS_ICONS[schedule.lastResult.status] || '⏰'} {formatTime(schedule.lastRunAt)}: {schedule.lastResult.message}
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SchedulesPage;
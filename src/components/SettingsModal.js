@@ -10,18 +10,97 @@ import {
   FaCompass,
   FaClipboardList,
   FaCheckCircle,
-  FaSave
+  FaSave,
+  FaSyncAlt,
+  FaRedoAlt,
+  FaArrowUp,
+  FaArrowDown,
+  FaCoins,
+  FaAddressCard,
+  FaKey,
+  FaPaperclip,
+  FaShieldAlt,
+  FaMousePointer
 } from 'react-icons/fa';
 
 const SettingsModal = () => {
   const { config, updateConfig } = useConfig();
   const [localConfig, setLocalConfig] = useState(config);
+  const [discoveredModels, setDiscoveredModels] = useState([]);
+  const [discoveryStatus, setDiscoveryStatus] = useState(null);
   const navigate = useNavigate();
 
   useEffect(() => {
     setLocalConfig(config);
   }, [config]);
 
+  // Refresh the model list once the saved OpenAI-compatible settings are loaded
+  useEffect(() => {
+    if (config.aiProvider === 'openaiCompatible' && config.openaiCompatibleBaseUrl) {
+      discoverCompatibleModels(config.openaiCompatibleBaseUrl, config.openaiCompatibleApiKey);
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [config.aiProvider, config.openaiCompatibleBaseUrl, config.openaiCompatibleApiKey]);
+
+  // Same normalisation as MultiLLMService: bare hosts get the standard /v1 prefix
+  const normalizeCompatibleBaseUrl = (rawUrl) => {
+    try {
+      const url = new URL((rawUrl || '').trim());
+      const path = url.pathname.replace(/\/+$/, '');
+      return `${url.origin}${path || '/v1'}`;
+    } catch (error) {
+      return null;
+    }
+  };
+
+  // Ask the OpenAI-compatible server which models it serves (GET /v1/models)
+  const discoverCompatibleModels = async (rawBaseUrl, apiKey) => {
+    const baseUrl = normalizeCompatibleBaseUrl(rawBaseUrl);
+    if (!baseUrl) {
+      setDiscoveredModels([]);
+      setDiscoveryStatus({ type: 'error', message: 'Enter a valid server URL, e.g. http://localhost:11434/v1' });
+      return;
+    }
+
+    setDiscoveryStatus({ type: 'loading', message: 'Looking for models...' });
+
+    try {
+      const headers = {};
+      if (apiKey) {
+        headers['Authorization'] = `Bearer ${apiKey}`;
+      }
+
+      const response = await fetch(`${baseUrl}/models`, { headers });
+      if (!response.ok) {
+        throw new Error(`${response.status} ${response.statusText}`);
+      }
+
+      const data = await response.json();
+      const models = (data.data || data.models || [])
+        .map(model => (typeof model === 'string' ? model : model.id || model.name))
+        .filter(Boolean)
+        .sort();
+
+      setDiscoveredModels(models);
+
+      // Pre-fill an empty model field with the first model the server offers
+      if (models.length > 0) {
+        setLocalConfig(prev => ({
+          ...prev,
+          openaiCompatibleModel: prev.openaiCompatibleModel || models[0]
+        }));
+      }
+      setDiscoveryStatus({
+        type: models.length > 0 ? 'success' : 'error',
+        message: models.length > 0 ? `Found ${models.length} model${models.length === 1 ? '' : 's'}` : 'Server returned no models - type a model name below'
+      });
+    } catch (error) {
+      console.error('Model discovery failed:', error);
+      setDiscoveredModels([]);
+      setDiscoveryStatus({ type: 'error', message: `Could not reach server: ${error.message}` });
+    }
+  };
+
   const handleClose = () => {
     navigate('/chat');
   };
@@ -104,6 +183,8 @@ const SettingsModal = () => {
           { value: 'gemini-1.5-pro', label: 'Gemini 1.5 Pro' },
           { value: 'gemini-1.5-flash', label: 'Gemini 1.5 Flash (Fast)' }
         ];
+      case 'openaiCompatible':
+        return discoveredModels.map(model => ({ value: model, label: model }));
       default:
         return [];
     }
@@ -217,6 +298,67 @@ const SettingsModal = () => {
     gap: '6px'
   };
 
+  const isCompatibleProvider = localConfig.aiProvider === 'openaiCompatible';
+
+  const PROVIDER_LABELS = {
+    anthropic: 'Anthropic Claude',
+    openai: 'OpenAI GPT',
+    gemini: 'Google Gemini',
+    openaiCompatible: 'OpenAI-compatible server'
+  };
+
+  const providerHasKey = (provider) => provider === 'openaiCompatible'
+    ? !!localConfig.openaiCompatibleBaseUrl && !!localConfig.openaiCompatibleModel
+    : !!localConfig[`${provider}ApiKey`];
+
+  // Fallback chain editing: enabled providers keep their order, others are appended
+  const fallbackProviders = (localConfig.fallbackProviders || []).filter(p => p !== localConfig.aiProvider);
+  const fallbackCandidates = [
+    ...fallbackProviders,
+    ...Object.keys(PROVIDER_LABELS).filter(p => p !== localConfig.aiProvider && !fallbackProviders.includes(p))
+  ];
+
+  const toggleFallbackProvider = (provider, enabled) => {
+    const next = enabled
+      ? [...fallbackProviders, provider]
+      : fallbackProviders.filter(p => p !== provider);
+    setLocalConfig({ ...localConfig, fallbackProviders: next });
+  };
+
+  const moveFallbackProvider = (provider, offset) => {
+    const next = [...fallbackProviders];
+    const index = next.indexOf(provider);
+    const target = index + offset;
+    if (index === -1 || target < 0 || target >= next.length) return;
+    [next[index], next[target]] = [next[target], next[index]];
+    setLocalConfig({ ...localConfig, fallbackProviders: next });
+  };
+
+  const smallIconButtonStyle = {
+    padding: '4px 6px',
+    backgroundColor: 'rgba(99, 102, 241, 0.15)',
+    border: '1px solid rgba(99, 102, 241, 0.25)',
+    borderRadius: '6px',
+    cursor: 'pointer',
+    color: 'var(--text-accent, #a5b4fc)',
+    display: 'flex',
+    alignItems: 'center',
+    fontSize: '10px'
+  };
+
+  // Free-form model name with discovered models as suggestions
+  const renderCompatibleModelInput = (field) => (
+    <input
+      type="text"
+      value={localConfig[field] || ''}
+      onChange={(e) => setLocalConfig({ ...localConfig, [field]: e.target.value })}
+      placeholder="e.g. llama3.1:8b"
+      list="compatible-models"
+      style={inputStyle}
+      className="settings-input"
+    />
+  );
+
   return (
     <div className="settings-container" style={containerStyle}>
       {/* Neon App Border */}
@@ -396,12 +538,16 @@ const SettingsModal = () => {
                   validatorModel: availableModels[2]?.value || availableModels[1]?.value || availableModels[0]?.value
                 };
                 setLocalConfig(newConfig);
+                if (newProvider === 'openaiCompatible') {
+                  discoverCompatibleModels(newConfig.openaiCompatibleBaseUrl, newConfig.openaiCompatibleApiKey);
+                }
               }}
               style={selectStyle}
             >
               <option value="anthropic">🔮 Anthropic Claude</option>
               <option value="openai">🚀 OpenAI GPT</option>
               <option value="gemini">💎 Google Gemini</option>
+              <option value="openaiCompatible">🖥️ OpenAI-Compatible (Ollama, LM Studio, vLLM)</option>
             </select>
           </div>
 
@@ -456,9 +602,185 @@ const SettingsModal = () => {
               </p>
             </div>
           )}
+
+          {isCompatibleProvider && (
+            <>
+              <div style={{ marginBottom: '12px' }}>
+                <label style={labelStyle}>
+                  Server Base URL:
+                </label>
+                <div style={{ display: 'flex', gap: '6px' }}>
+                  <input
+                    type="text"
+                    value={localConfig.openaiCompatibleBaseUrl || ''}
+                    onChange={(e) => setLocalConfig({ ...localConfig, openaiCompatibleBaseUrl: e.target.value })}
+                    onBlur={() => discoverCompatibleModels(localConfig.openaiCompatibleBaseUrl, localConfig.openaiCompatibleApiKey)}
+                    placeholder="http://localhost:11434/v1"
+                    style={inputStyle}
+                    className="settings-input"
+                  />
+                  <button
+                    type="button"
+                    title="Discover models"
+                    onClick={() => discoverCompatibleModels(localConfig.openaiCompatibleBaseUrl, localConfig.openaiCompatibleApiKey)}
+                    style={{
+                      padding: '0 12px',
+                      backgroundColor: 'rgba(99, 102, 241, 0.15)',
+                      border: '1px solid rgba(99, 102, 241, 0.25)',
+                      borderRadius: '8px',
+                      cursor: 'pointer',
+                      color: 'var(--text-accent, #a5b4fc)',
+                      display: 'flex',
+                      alignItems: 'center'
+                    }}
+                  >
+                    <FaSyncAlt />
+                  </button>
+                </div>
+                {discoveryStatus && (
+                  <p style={{
+                    fontSize: '11px',
+                    margin: '4px 0 0 0',
+                    color: discoveryStatus.type === 'error' ? '#fca5a5' :
+                      discoveryStatus.type === 'success' ? '#6ee7b7' : 'rgba(255, 220, 220, 0.7)'
+                  }}>
+                    {discoveryStatus.message}
+                  </p>
+                )}
+              </div>
+
+              <div style={{ marginBottom: '12px' }}>
+                <label style={labelStyle}>
+                  API Key (optional):
+                </label>
+                <input
+                  type="password"
+                  value={localConfig.openaiCompatibleApiKey || ''}
+                  onChange={(e) => setLocalConfig({ ...localConfig, openaiCompatibleApiKey: e.target.value })}
+                  placeholder="Leave empty for local servers"
+                  style={inputStyle}
+                  className="settings-input"
+                />
+              </div>
+
+              <div style={{ marginBottom: '12px' }}>
+                <label style={labelStyle}>
+                  Model:
+                </label>
+                {renderCompatibleModelInput('openaiCompatibleModel')}
+                <datalist id="compatible-models">
+                  {discoveredModels.map(model => (
+                    <option key={model} value={model} />
+                  ))}
+                </datalist>
+                <p style={{ fontSize: '11px', color: 'rgba(255, 220, 220, 0.7)', margin: '4px 0 0 0' }}>
+                  Every agent uses this model, also when the server is a fallback for another provider
+                </p>
+              </div>
+
+              <label style={{ ...labelStyle, display: 'flex', alignItems: 'center', gap: '8px', fontWeight: '500', cursor: 'pointer' }}>
+                <input
+                  type="checkbox"
+                  checked={!!localConfig.openaiCompatibleVision}
+                  onChange={(e) => setLocalConfig({ ...localConfig, openaiCompatibleVision: e.target.checked })}
+                />
+                Model supports images (send page screenshots)
+              </label>
+            </>
+          )}
         </div>
 
         {/* Agent Models Section */}
+        {!isCompatibleProvider && (
+          <div className="settings-provider-section" style={sectionStyle}>
+            <h4 style={{
+              color: '#FFDCDCFF',
+              fontSize: '16px',
+              fontWeight: '600',
+              margin: '0 0 12px 0',
+              display: 'flex',
+              alignItems: 'center',
+              gap: '8px'
+            }}>
+              <FaBrain />
+              Agent Models
+            </h4>
+
+            <div style={{ marginBottom: '12px' }}>
+              <label style={labelStyle}>
+                <FaClipboardList style={{ marginRight: '6px' }} />
+                Planner (strategy):
+              </label>
+              <select
+                value={localConfig.plannerModel || getAvailableModels(localConfig.aiProvider || 'anthropic')[0]?.value}
+                onChange={(e) => setLocalConfig({ ...localConfig, plannerModel: e.target.value })}
+                style={selectStyle}
+              >
+                {getAvailableModels(localConfig.aiProvider || 'anthropic').map(model => (
+                  <option key={model.value} value={model.value}>
+                    {model.label} {model.recommended ? '⭐' : ''}
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            <div style={{ marginBottom: '12px' }}>
+              <label style={labelStyle}>
+                <FaCompass style={{ marginRight: '6px' }} />
+                Navigator (actions):
+              </label>
+              <select
+                value={localConfig.navigatorModel || getAvailableModels(localConfig.aiProvider || 'anthropic')[0]?.value}
+                onChange={(e) => {
+                  const newConfig = { ...localConfig, navigatorModel: e.target.value };
+                  if (!localConfig.plannerModel || localConfig.plannerModel === getAvailableModels(localConfig.aiProvider || 'anthropic')[0]?.value) {
+                    newConfig.plannerModel = e.target.value;
+                  }
+                  setLocalConfig(newConfig);
+                }}
+                style={selectStyle}
+              >
+                {getAvailableModels(localConfig.aiProvider || 'anthropic').map(model => (
+                  <option key={model.value} value={model.value}>
+                    {model.label} {model.recommended ? '⭐' : ''}
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            <div style={{ marginBottom: '12px' }}>
+              <label style={labelStyle}>
+                <FaCheckCircle style={{ marginRight: '6px' }} />
+                Validator (check):
+              </label>
+              <select
+                value={localConfig.validatorModel || getAvailableModels(localConfig.aiProvider || 'anthropic')[2]?.value}
+                onChange={(e) => setLocalConfig({ ...localConfig, validatorModel: e.target.value })}
+                style={selectStyle}
+              >
+                {getAvailableModels(localConfig.aiProvider || 'anthropic').map(model => (
+                  <option key={model.value} value={model.value}>
+                    {model.label} {model.recommended ? '⭐' : ''}
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            <div style={{
+              backgroundColor: '#1e1b4b',
+              border: '1px solid rgba(99, 102, 241, 0.2)',
+              borderRadius: '6px',
+              padding: '8px',
+              marginTop: '10px'
+            }}>
+              <p style={{ margin: 0, fontSize: '11px', color: 'var(--text-secondary, rgba(241,245,249,0.7))' }}>
+                💡 Use faster models (Haiku, Mini, Flash) for validation to save costs
+              </p>
+            </div>
+          </div>
+        )}
+
+        {/* Reliability Section */}
         <div className="settings-provider-section" style={sectionStyle}>
           <h4 style={{
             color: '#FFDCDCFF',
@@ -469,81 +791,375 @@ const SettingsModal = () => {
             alignItems: 'center',
             gap: '8px'
           }}>
-            <FaBrain />
-            Agent Models
+            <FaRedoAlt />
+            Reliability
           </h4>
 
-          <div style={{ marginBottom: '12px' }}>
-            <label style={labelStyle}>
-              <FaClipboardList style={{ marginRight: '6px' }} />
-              Planner (strategy):
-            </label>
-            <select
-              value={localConfig.plannerModel || getAvailableModels(localConfig.aiProvider || 'anthropic')[0]?.value}
-              onChange={(e) => setLocalConfig({ ...localConfig, plannerModel: e.target.value })}
-              style={selectStyle}
-            >
-              {getAvailableModels(localConfig.aiProvider || 'anthropic').map(model => (
-                <option key={model.value} value={model.value}>
-                  {model.label} {model.recommended ? '⭐' : ''}
-                </option>
-              ))}
-            </select>
+          <div style={{ display: 'flex', gap: '8px', marginBottom: '12px' }}>
+            <div style={{ flex: 1 }}>
+              <label style={labelStyle}>
+                Max retries:
+              </label>
+              <input
+                type="number"
+                min="0"
+                max="10"
+                value={localConfig.maxRetries ?? 3}
+                onChange={(e) => setLocalConfig({ ...localConfig, maxRetries: Math.max(0, parseInt(e.target.value, 10) || 0) })}
+                style={inputStyle}
+                className="settings-input"
+              />
+            </div>
+            <div style={{ flex: 1 }}>
+              <label style={labelStyle}>
+                Timeout (seconds):
+              </label>
+              <input
+                type="number"
+                min="5"
+                max="600"
+                value={Math.round((localConfig.timeout || 30000) / 1000)}
+                onChange={(e) => setLocalConfig({ ...localConfig, timeout: Math.max(5, parseInt(e.target.value, 10) || 30) * 1000 })}
+                style={inputStyle}
+                className="settings-input"
+              />
+            </div>
           </div>
 
-          <div style={{ marginBottom: '12px' }}>
-            <label style={labelStyle}>
-              <FaCompass style={{ marginRight: '6px' }} />
-              Navigator (actions):
-            </label>
-            <select
-              value={localConfig.navigatorModel || getAvailableModels(localConfig.aiProvider || 'anthropic')[0]?.value}
-              onChange={(e) => {
-                const newConfig = { ...localConfig, navigatorModel: e.target.value };
-                if (!localConfig.plannerModel || localConfig.plannerModel === getAvailableModels(localConfig.aiProvider || 'anthropic')[0]?.value) {
-                  newConfig.plannerModel = e.target.value;
-                }
-                setLocalConfig(newConfig);
-              }}
-              style={selectStyle}
-            >
-              {getAvailableModels(localConfig.aiProvider || 'anthropic').map(model => (
-                <option key={model.value} value={model.value}>
-                  {model.label} {model.recommended ? '⭐' : ''}
-                </option>
-              ))}
-            </select>
+          <label style={labelStyle}>
+            Fallback providers (in order):
+          </label>
+          {fallbackCandidates.map(provider => {
+            const enabled = fallbackProviders.includes(provider);
+            const position = fallbackProviders.indexOf(provider);
+            return (
+              <div key={provider} style={{ display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '6px' }}>
+                <input
+                  type="checkbox"
+                  checked={enabled}
+                  onChange={(e) => toggleFallbackProvider(provider, e.target.checked)}
+                />
+                <span style={{ flex: 1, fontSize: '13px', color: 'var(--text-primary, #f1f5f9)' }}>
+                  {enabled ? `${position + 1}. ` : ''}{PROVIDER_LABELS[provider]}
+                  {!providerHasKey(provider) && (
+                    <span style={{ fontSize: '11px', color: '#fca5a5', marginLeft: '6px' }}>
+                      {provider === 'openaiCompatible' ? '(no server URL or model)' : '(no API key)'}
+                    </span>
+                  )}
+                </span>
+                {enabled && (
+                  <>
+                    <button type="button" onClick={() => moveFallbackProvider(provider, -1)} disabled={position === 0} style={smallIconButtonStyle}>
+                      <FaArrowUp />
+                    </button>
+                    <button type="button" onClick={() => moveFallbackProvider(provider, 1)} disabled={position === fallbackProviders.length - 1} style={smallIconButtonStyle}>
+                      <FaArrowDown />
+                    </button>
+                  </>
+                )}
+              </div>
+            );
+          })}
+          <p style={{ fontSize: '11px', color: 'rgba(255, 220, 220, 0.7)', margin: '4px 0 0 0' }}>
+            Used when the main provider is down or out of quota. Switch the provider above to enter other API keys.
+          </p>
+        </div>
+
+        {/* Cost Control Section */}
+        <div className="settings-provider-section" style={sectionStyle}>
+          <h4 style={{
+            color: '#FFDCDCFF',
+            fontSize: '16px',
+            fontWeight: '600',
+            margin: '0 0 12px 0',
+            display: 'flex',
+            alignItems: 'center',
+            gap: '8px'
+          }}>
+            <FaCoins />
+            Task Budget
+          </h4>
+
+          <div style={{ display: 'flex', gap: '8px' }}>
+            <div style={{ flex: 1 }}>
+              <label style={labelStyle}>
+                Max tokens per task:
+              </label>
+              <input
+                type="number"
+                min="0"
+                step="1000"
+                value={localConfig.taskBudgetTokens || 0}
+                onChange={(e) => setLocalConfig({ ...localConfig, taskBudgetTokens: Math.max(0, parseInt(e.target.value, 10) || 0) })}
+                style={inputStyle}
+                className="settings-input"
+              />
+            </div>
+            <div style={{ flex: 1 }}>
+              <label style={labelStyle}>
+                Max cost per task ($):
+              </label>
+              <input
+                type="number"
+                min="0"
+                step="0.01"
+                value={localConfig.taskBudgetUsd || 0}
+                onChange={(e) => setLocalConfig({ ...localConfig, taskBudgetUsd: Math.max(0, parseFloat(e.target.value) || 0) })}
+                style={inputStyle}
+                className="settings-input"
+              />
+            </div>
           </div>
+          <p style={{ fontSize: '11px', color: 'rgba(255, 220, 220, 0.7)', margin: '4px 0 0 0' }}>
+            The agent pauses when a task reaches either limit. Resume to allow the same amount again. Use 0 for no limit.
+          </p>
+        </div>
 
-          <div style={{ marginBottom: '12px' }}>
-            <label style={labelStyle}>
-              <FaCheckCircle style={{ marginRight: '6px' }} />
-              Validator (check):
-            </label>
+        {/* Form Autofill Section */}
+        <div className="settings-provider-section" style={sectionStyle}>
+          <h4 style={{
+            color: '#FFDCDCFF',
+            fontSize: '16px',
+            fontWeight: '600',
+            margin: '0 0 12px 0',
+            display: 'flex',
+            alignItems: 'center',
+            gap: '8px'
+          }}>
+            <FaAddressCard />
+            Form Autofill
+          </h4>
+
+          <label style={{ ...labelStyle, display: 'flex', alignItems: 'center', gap: '8px', fontWeight: '500', cursor: 'pointer' }}>
+            <input
+              type="checkbox"
+              checked={localConfig.autoLogin !== false}
+              onChange={(e) => setLocalConfig({ ...localConfig, autoLogin: e.target.checked })}
+            />
+            Let the agent fill forms from my saved profiles and logins
+          </label>
+          <button
+            onClick={() => navigate('/profiles')}
+            style={{
+              ...buttonStyle,
+              width: '100%',
+              marginTop: '4px',
+              backgroundColor: 'rgba(99, 102, 241, 0.15)',
+              color: 'var(--text-accent, #a5b4fc)',
+              border: '1px solid rgba(99, 102, 241, 0.3)'
+            }}
+          >
+            <FaAddressCard />
+            Manage profiles
+          </button>
+          <button
+            onClick={() => navigate('/vault')}
+            style={{
+              ...buttonStyle,
+              width: '100%',
+              marginTop: '8px',
+              backgroundColor: 'rgba(99, 102, 241, 0.15)',
+              color: 'var(--text-accent, #a5b4fc)',
+              border: '1px solid rgba(99, 102, 241, 0.3)'
+            }}
+          >
+            <FaKey />
+            Manage saved logins
+          </button>
+          <button
+            onClick={() => navigate('/uploads')}
+            style={{
+              ...buttonStyle,
+              width: '100%',
+              marginTop: '8px',
+              backgroundColor: 'rgba(99, 102, 241, 0.15)',
+              color: 'var(--text-accent, #a5b4fc)',
+              border: '1px solid rgba(99, 102, 241, 0.3)'
+            }}
+          >
+            <FaPaperclip />
+            Manage approved uploads
+          </button>
+          <p style={{ fontSize: '11px', color: 'rgba(255, 220, 220, 0.7)', margin: '4px 0 0 0' }}>
+            Profiles are encrypted on this device. The AI only sees placeholders like {'{{profile.home.zip}}'}, never the values.
+            Saved logins are locked with your passphrase and only filled after you approve in the sign-in popup.
+            Approved uploads stay on this device and are the only files the agent can attach.
+          </p>
+        </div>
+
+        {/* Site Policy Section */}
+        <div className="settings-provider-section" style={sectionStyle}>
+          <h4 style={{
+            color: '#FFDCDCFF',
+            fontSize: '16px',
+            fontWeight: '600',
+            margin: '0 0 12px 0',
+            display: 'flex',
+            alignItems: 'center',
+            gap: '8px'
+          }}>
+            <FaShieldAlt />
+            Site Policy
+          </h4>
+
+          <label style={labelStyle}>
+            Allowed sites (one per line, empty = all):
+          </label>
+          <textarea
+            rows={2}
+            placeholder="example.com"
+            value={(localConfig.allowedDomains || []).join('\n')}
+            onChange={(e) => setLocalConfig({ ...localConfig, allowedDomains: e.target.value.split('\n') })}
+            style={{ ...inputStyle, resize: 'vertical', marginBottom: '12px' }}
+            className="settings-input"
+          />
+
+          <label style={labelStyle}>
+            Blocked sites (one per line):
+          </label>
+          <textarea
+            rows={2}
+            placeholder="facebook.com"
+            value={(localConfig.blockedDomains || []).join('\n')}
+            onChange={(e) => setLocalConfig({ ...localConfig, blockedDomains: e.target.value.split('\n') })}
+            style={{ ...inputStyle, resize: 'vertical', marginBottom: '12px' }}
+            className="settings-input"
+          />
+
+          <label style={labelStyle}>
+            Allowed actions per site:
+          </label>
+          <textarea
+            rows={2}
+            placeholder="mybank.com: navigate, scroll, extract"
+            value={(localConfig.domainActionRules || []).join('\n')}
+            onChange={(e) => setLocalConfig({ ...localConfig, domainActionRules: e.target.value.split('\n') })}
+            style={{ ...inputStyle, resize: 'vertical', marginBottom: '12px' }}
+            className="settings-input"
+          />
+
+          <label style={{ ...labelStyle, display: 'flex', alignItems: 'center', gap: '8px', fontWeight: '500', cursor: 'pointer' }}>
+            <input
+              type="checkbox"
+              checked={localConfig.redactSensitiveData !== false}
+              onChange={(e) => setLocalConfig({ ...localConfig, redactSensitiveData: e.target.checked })}
+            />
+            Redact personal data before it is sent to the AI
+          </label>
+          <label style={{ ...labelStyle, display: 'flex', alignItems: 'center', gap: '8px', fontWeight: '500', cursor: 'pointer' }}>
+            <input
+              type="checkbox"
+              checked={localConfig.safeMode !== false}
+              onChange={(e) => setLocalConfig({ ...localConfig, safeMode: e.target.checked })}
+            />
+            Safe mode
+          </label>
+          {localConfig.safeMode !== false && (
+            <>
+              <label style={{ ...labelStyle, display: 'flex', alignItems: 'center', gap: '8px', fontWeight: '500', cursor: 'pointer' }}>
+                <input
+                  type="checkbox"
+                  checked={localConfig.blockPasswordTyping !== false}
+                  onChange={(e) => setLocalConfig({ ...localConfig, blockPasswordTyping: e.target.checked })}
+                />
+                Never type into password fields
+              </label>
+              <label style={labelStyle}>
+                Ask before clicking buttons matching:
+              </label>
+              <input
+                type="text"
+                placeholder="buy|pay|place order"
+                value={localConfig.approvalPattern ?? ''}
+                onChange={(e) => setLocalConfig({ ...localConfig, approvalPattern: e.target.value })}
+                style={inputStyle}
+                className="settings-input"
+              />
+            </>
+          )}
+          <p style={{ fontSize: '11px', color: 'rgba(255, 220, 220, 0.7)', margin: '4px 0 0 0' }}>
+            Checked before every action. Blocked actions are logged in the task history; matching clicks pause the task until you resume it.
+            Redaction swaps emails, phone and card numbers, IBANs and tokens for placeholders and blurs password and card fields in screenshots.
+          </p>
+        </div>
+
+        {/* Input Section */}
+        <div className="settings-provider-section" style={sectionStyle}>
+          <h4 style={{
+            color: '#FFDCDCFF',
+            fontSize: '16px',
+            fontWeight: '600',
+            margin: '0 0 12px 0',
+            display: 'flex',
+            alignItems: 'center',
+            gap: '8px'
+          }}>
+            <FaMousePointer />
+            Clicks & Typing
+          </h4>
+
+          <label style={labelStyle}>
+            Input events:
+          </label>
+          <select
+            value={localConfig.inputBackend || 'auto'}
+            onChange={(e) => setLocalConfig({ ...localConfig, inputBackend: e.target.value })}
+            style={{ ...selectStyle, marginBottom: '12px' }}
+          >
+            <option value="auto">Automatic - trusted typing and hovers when a page ignores synthetic ones</option>
+            <option value="synthetic">Synthetic events only</option>
+            <option value="trusted">Trusted input everywhere</option>
+          </select>
+
+          <label style={labelStyle}>
+            Always use trusted input on (one per line):
+          </label>
+          <textarea
+            rows={2}
+            placeholder="instagram.com"
+            value={(localConfig.trustedInputDomains || []).join('\n')}
+            onChange={(e) => setLocalConfig({ ...localConfig, trustedInputDomains: e.target.value.split('\n') })}
+            style={{ ...inputStyle, resize: 'vertical', marginBottom: '12px' }}
+            className="settings-input"
+          />
+
+          <label style={{ ...labelStyle, display: 'flex', alignItems: 'center', gap: '8px', fontWeight: '500', cursor: 'pointer' }}>
+            <input
+              type="checkbox"
+              checked={localConfig.humanDelay !== false}
+              onChange={(e) => setLocalConfig({ ...localConfig, humanDelay: e.target.checked })}
+            />
+            Human-like pacing
+          </label>
+          {localConfig.humanDelay !== false && (
             <select
-              value={localConfig.validatorModel || getAvailableModels(localConfig.aiProvider || 'anthropic')[2]?.value}
-              onChange={(e) => setLocalConfig({ ...localConfig, validatorModel: e.target.value })}
-              style={selectStyle}
+              value={localConfig.pacingProfile || 'natural'}
+              onChange={(e) => setLocalConfig({ ...localConfig, pacingProfile: e.target.value })}
+              style={{ ...selectStyle, marginBottom: '12px' }}
             >
-              {getAvailableModels(localConfig.aiProvider || 'anthropic').map(model => (
-                <option key={model.value} value={model.value}>
-                  {model.label} {model.recommended ? '⭐' : ''}
-                </option>
-              ))}
+              <option value="fast">Fast - short pauses</option>
+              <option value="natural">Natural</option>
+              <option value="careful">Careful - slow, long pauses between actions</option>
             </select>
-          </div>
+          )}
 
-          <div style={{
-            backgroundColor: '#1e1b4b',
-            border: '1px solid rgba(99, 102, 241, 0.2)',
-            borderRadius: '6px',
-            padding: '8px',
-            marginTop: '10px'
-          }}>
-            <p style={{ margin: 0, fontSize: '11px', color: 'var(--text-secondary, rgba(241,245,249,0.7))' }}>
-              💡 Use faster models (Haiku, Mini, Flash) for validation to save costs
-            </p>
-          </div>
+          <label style={labelStyle}>
+            Pacing per site (off, fast, natural or careful):
+          </label>
+          <textarea
+            rows={2}
+            placeholder="instagram.com: careful"
+            value={(localConfig.domainPacingRules || []).join('\n')}
+            onChange={(e) => setLocalConfig({ ...localConfig, domainPacingRules: e.target.value.split('\n') })}
+            style={{ ...inputStyle, resize: 'vertical', marginBottom: '12px' }}
+            className="settings-input"
+          />
+          <p style={{ fontSize: '11px', color: 'rgba(255, 220, 220, 0.7)', margin: '4px 0 0 0' }}>
+            Trusted input goes through the Chrome debugger, so pages cannot tell it from a real mouse and keyboard.
+            Chrome shows a "started debugging this browser" bar while it is in use.
+            Automatic mode never repeats clicks or key presses - list sites whose buttons ignore synthetic clicks above.
+            Pacing types key by key, moves the mouse along curved paths, eases scrolls and pauses between actions; the timing is shown after each batch.
+          </p>
         </div>
       </div>
 
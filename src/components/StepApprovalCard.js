@@ -0,0 +1,109 @@
+import React, { useState } from 'react';
+
+const DECISION_LABELS = {
+  approve: '✅ Approved',
+  edit: '✏️ Ran with edits',
+  skip: '⏭️ Skipped',
+  abort: '🛑 Aborted'
+};
+
+// One pending action in step-by-step mode: shows exactly what will run and lets the user decide
+const StepApprovalCard = ({ message, onDecision }) => {
+  const [editing, setEditing] = useState(false);
+  const [draft, setDraft] = useState('');
+  const [error, setError] = useState('');
+  const { action, parameters = {}, target, position, total, step, stepDecision } = message;
+
+  const startEditing = () => {
+    setDraft(JSON.stringify(parameters, null, 2));
+    setError('');
+    setEditing(true);
+  };
+
+  const runEdited = () => {
+    try {
+      const edited = JSON.parse(draft);
+      if (!edited || typeof edited !== 'object' || Array.isArray(edited)) {
+        throw new Error('Parameters must be a JSON object');
+      }
+      setEditing(false);
+      onDecision('edit', edited);
+    } catch (parseError) {
+      setError(parseError.message);
+    }
+  };
+
+  const buttonStyle = (color) => ({
+    flex: 1,
+    padding: '6px 8px',
+    fontSize: '11px',
+    fontWeight: '600',
+    borderRadius: '6px',
+    border: 'none',
+    backgroundColor: color,
+    color: 'white',
+    cursor: 'pointer'
+  });
+
+  const codeStyle = {
+    margin: '6px 0',
+    padding: '6px 8px',
+    borderRadius: '6px',
+    backgroundColor: 'rgba(0,0,0,0.25)',
+    color: 'var(--text-primary, #f1f5f9)',
+    fontSize: '10px',
+    fontFamily: 'monospace',
+    whiteSpace: 'pre-wrap',
+    wordBreak: 'break-word',
+    maxHeight: '140px',
+    overflowY: 'auto'
+  };
+
+  return (
+    <div style={{ textAlign: 'left', width: '100%' }}>
+      <div style={{ marginBottom: '6px', fontWeight: '600' }}>
+        👣 Step {step} · action {position}/{total}: <code>{action}</code>
+      </div>
+
+      {target && (
+        <div style={{ fontSize: '11px', marginBottom: '4px' }}>
+          🎯 [{target.index}] {(target.tagName || '').toLowerCase()}
+          {target.purpose ? ` (${target.purpose})` : ''}
+          {target.text ? ` "${target.text}"` : ''}
+        </div>
+      )}
+
+      {editing ? (
+        <>
+          <textarea
+            value={draft}
+            onChange={(e) => setDraft(e.target.value)}
+            rows={6}
+            style={{ ...codeStyle, width: '100%', boxSizing: 'border-box', border: '1px solid rgba(59, 130, 246, 0.4)', resize: 'vertical' }}
+          />
+          {error && <div style={{ fontSize: '10px', color: '#fca5a5', marginBottom: '6px' }}>❌ {error}</div>}
+        </>
+      ) : (
+        <pre style={codeStyle}>{JSON.stringify(parameters, null, 2)}</pre>
+      )}
+
+      {stepDecision ? (
+        <div style={{ fontSize: '11px', fontWeight: '600' }}>{DECISION_LABELS[stepDecision] || stepDecision}</div>
+      ) : editing ? (
+        <div style={{ display: 'flex', gap: '6px' }}>
+          <button onClick={() => setEditing(false)} style={buttonStyle('#64748b')}>Cancel</button>
+          <button onClick={runEdited} style={buttonStyle('#4CAF50')}>▶ Run edited</button>
+        </div>
+      ) : (
+        <div style={{ display: 'flex', gap: '6px' }}>
+          <button onClick={() => onDecision('abort')} style={buttonStyle('#f44336')} title="Stop the whole task">🛑 Abort</button>
+          <button onClick={() => onDecision('skip')} style={buttonStyle('#64748b')} title="Do not run this action">⏭ Skip</button>
+          <button onClick={startEditing} style={buttonStyle('#3b82f6')} title="Change the parameters first">✏️ Edit</button>
+          <button onClick={() => onDecision('approve')} style={buttonStyle('#4CAF50')} title="Run this action">✓ Approve</button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default StepApprovalCard;
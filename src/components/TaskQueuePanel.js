@@ -0,0 +1,126 @@
+import React, { useState } from 'react';
+import { FaTimes, FaPause, FaPlay, FaStop } from 'react-icons/fa';
+
+const STATUS_LABELS = {
+  queued: '⏳ Queued',
+  starting: '🚀 Starting',
+  running: '⚙️ Running',
+  paused: '⏸️ Paused',
+  completed: '✅ Done',
+  error: '❌ Failed',
+  cancelled: '🛑 Cancelled'
+};
+
+// Queued, running and finished tasks with per-task controls
+const TaskQueuePanel = ({ queue, onCancel, onPause, onResume, onQueueTask, onClose }) => {
+  const [draft, setDraft] = useState('');
+  const { queued = [], running = [], done = [], maxConcurrentTasks } = queue || {};
+
+  const iconButtonStyle = (color) => ({
+    padding: '3px 6px',
+    fontSize: '10px',
+    borderRadius: '4px',
+    border: '1px solid rgba(255,255,255,0.15)',
+    backgroundColor: 'rgba(255,255,255,0.06)',
+    color,
+    cursor: 'pointer',
+    display: 'flex',
+    alignItems: 'center'
+  });
+
+  const submit = (e) => {
+    e.preventDefault();
+    const text = draft.trim();
+    if (!text) return;
+    onQueueTask(text);
+    setDraft('');
+  };
+
+  const renderTask = (task, controls) => (
+    <div key={task.id} style={{ display: 'flex', alignItems: 'center', gap: '6px', padding: '4px 0', fontSize: '11px' }}>
+      <div style={{ flex: 1, minWidth: 0 }}>
+        <div style={{ overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }} title={task.task}>
+          {task.task || 'Task'}
+        </div>
+        <div style={{ opacity: 0.7, fontSize: '10px' }}>
+          {STATUS_LABELS[task.status] || task.status}
+          {task.step ? ` · step ${task.step}` : ''}
+          {task.dedicatedWindow ? ' · own window' : ''}
+          {task.error ? ` · ${task.error}` : ''}
+        </div>
+      </div>
+      {controls}
+    </div>
+  );
+
+  const sectionTitle = (text) => (
+    <div style={{ fontSize: '10px', fontWeight: '600', textTransform: 'uppercase', opacity: 0.6, marginTop: '6px' }}>{text}</div>
+  );
+
+  return (
+    <div style={{
+      margin: '8px 12px 0',
+      padding: '8px 10px',
+      borderRadius: '10px',
+      border: '1px solid rgba(99, 102, 241, 0.25)',
+      backgroundColor: 'rgba(15, 23, 42, 0.85)',
+      color: 'var(--text-primary, #f1f5f9)',
+      maxHeight: '260px',
+      overflowY: 'auto'
+    }}>
+      <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
+        <div style={{ fontWeight: '600', fontSize: '12px' }}>
+          Tasks · {running.length}/{maxConcurrentTasks || 1} running
+        </div>
+        <button onClick={onClose} style={iconButtonStyle('var(--text-primary, #f1f5f9)')} title="Close"><FaTimes /></button>
+      </div>
+
+      <form onSubmit={submit} style={{ display: 'flex', gap: '6px', marginTop: '6px' }}>
+        <input
+          value={draft}
+          onChange={(e) => setDraft(e.target.value)}
+          placeholder="Queue another task..."
+          style={{
+            flex: 1,
+            padding: '5px 8px',
+            fontSize: '11px',
+            borderRadius: '6px',
+            border: '1px solid rgba(99, 102, 241, 0.3)',
+            backgroundColor: 'rgba(0,0,0,0.25)',
+            color: 'var(--text-primary, #f1f5f9)'
+          }}
+        />
+        <button
+          type="submit"
+          disabled={!draft.trim()}
+          style={{ padding: '5px 10px', fontSize: '11px', fontWeight: '600', borderRadius: '6px', border: 'none', backgroundColor: '#3b82f6', color: 'white', cursor: 'pointer' }}
+        >
+          Add
+        </button>
+      </form>
+
+      {sectionTitle(`Running (${running.length})`)}
+      {running.length === 0 && <div style={{ fontSize: '11px', opacity: 0.6 }}>Nothing running</div>}
+      {running.map(task => renderTask(task, (
+        <>
+          {task.status === 'paused' ? (
+            <button onClick={() => onResume(task.id)} style={iconButtonStyle('#86efac')} title="Resume"><FaPlay /></button>
+          ) : (
+            <button onClick={() => onPause(task.id)} disabled={task.status !== 'running'} style={iconButtonStyle('#fcd34d')} title="Pause after the current step"><FaPause /></button>
+          )}
+          <button onClick={() => onCancel(task.id)} style={iconButtonStyle('#fca5a5')} title="Cancel"><FaStop /></button>
+        </>
+      )))}
+
+      {queued.length > 0 && sectionTitle(`Queued (${queued.length})`)}
+      {queued.map(task => renderTask(task, (
+        <button onClick={() => onCancel(task.id)} style={iconButtonStyle('#fca5a5')} title="Remove from queue"><FaTimes /></button>
+      )))}
+
+      {done.length > 0 && sectionTitle(`Done (${done.length})`)}
+      {done.map(task => renderTask(task, null))}
+    </div>
+  );
+};
+
+export default TaskQueuePanel;
@@ -0,0 +1,232 @@
+import React, { useRef, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useUploads } from '../hooks/useUploads';
+import {
+  FaPaperclip,
+  FaArrowLeft,
+  FaTrash,
+  FaPlus
+} from 'react-icons/fa';
+
+const formatSize = (bytes) => {
+  if (bytes >= 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+  return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+};
+
+const UploadsPage = () => {
+  const navigate = useNavigate();
+  const { uploads, loading, addFiles, deleteUpload } = useUploads();
+  const fileInputRef = useRef(null);
+  const [error, setError] = useState('');
+  const [adding, setAdding] = useState(false);
+
+  const handleFiles = async (e) => {
+    const files = e.target.files;
+    if (!files || files.length === 0) return;
+    try {
+      setError('');
+      setAdding(true);
+      await addFiles(files);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setAdding(false);
+      e.target.value = '';
+    }
+  };
+
+  const handleDelete = async (upload) => {
+    if (window.confirm(`Remove "${upload.name}" from approved uploads?`)) {
+      try {
+        await deleteUpload(upload.id);
+      } catch (err) {
+        setError(err.message);
+      }
+    }
+  };
+
+  const containerStyle = {
+    width: '100%',
+    height: '100%',
+    display: 'flex',
+    flexDirection: 'column',
+    fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif',
+    backgroundColor: 'var(--bg-primary, #0a0f1e)',
+    overflow: 'hidden',
+    position: 'fixed',
+    top: 0,
+    left: 0,
+    right: 0,
+    bottom: 0
+  };
+
+  const headerStyle = {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: '12px 16px',
+    borderBottom: '1px solid var(--border-subtle, rgba(255,255,255,0.08))',
+    background: 'var(--gradient-header, linear-gradient(135deg, #1e1b4b 0%, #312e81 50%, #1e1b4b 100%))',
+    flexShrink: 0,
+    minHeight: '56px',
+    boxSizing: 'border-box',
+    position: 'relative',
+    zIndex: 1,
+    backdropFilter: 'blur(12px)'
+  };
+
+  const headerButtonStyle = {
+    padding: '7px 9px',
+    backgroundColor: 'rgba(99, 102, 241, 0.15)',
+    border: '1px solid rgba(99, 102, 241, 0.25)',
+    borderRadius: '10px',
+    cursor: 'pointer',
+    fontSize: '15px',
+    color: 'var(--text-accent, #a5b4fc)',
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    transition: 'all 0.2s ease'
+  };
+
+  const cardStyle = {
+    backgroundColor: 'var(--bg-glass, rgba(255, 255, 255, 0.06))',
+    borderRadius: '14px',
+    padding: '16px',
+    border: '1px solid var(--border-subtle, rgba(255,255,255,0.08))'
+  };
+
+  const iconButtonStyle = {
+    border: '1px solid rgba(224, 36, 94, 0.3)',
+    background: 'rgba(224, 36, 94, 0.1)',
+    color: '#e0245e',
+    cursor: 'pointer',
+    padding: '8px',
+    fontSize: '14px',
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    borderRadius: '8px',
+    minWidth: '32px',
+    height: '32px'
+  };
+
+  return (
+    <div className="uploads-container" style={containerStyle}>
+      {/* Neon App Border */}
+      <div className="neon-app-border"></div>
+
+      {/* Header */}
+      <div className="chat-history-header" style={headerStyle}>
+        <button onClick={() => navigate('/chat')} className="chat-header-button" style={headerButtonStyle} title="Back">
+          <FaArrowLeft />
+        </button>
+
+        <div style={{ minWidth: 0, flex: 1, textAlign: 'center' }}>
+          <h3 className="chat-title" style={{
+            margin: 0,
+            color: 'var(--text-primary, #f1f5f9)',
+            fontSize: '17px',
+            fontWeight: '700',
+            lineHeight: '22px',
+            letterSpacing: '-0.02em',
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'center',
+            gap: '8px'
+          }}>
+            <FaPaperclip />
+            UPLOADS
+          </h3>
+          <p className="chat-subtitle" style={{
+            margin: 0,
+            color: 'var(--text-secondary, rgba(241,245,249,0.65))',
+            fontSize: '12px',
+            lineHeight: '14px',
+            marginTop: '2px'
+          }}>
+            Files the agent may attach to forms
+          </p>
+        </div>
+
+        <button
+          onClick={() => fileInputRef.current?.click()}
+          disabled={adding}
+          className="chat-header-button"
+          style={headerButtonStyle}
+          title="Approve Files"
+        >
+          <FaPlus />
+        </button>
+        <input ref={fileInputRef} type="file" multiple onChange={handleFiles} style={{ display: 'none' }} />
+      </div>
+
+      {/* Content */}
+      <div className="chat-history-content" style={{ flex: 1, overflowY: 'auto', padding: '16px', position: 'relative', zIndex: 1 }}>
+        {error && (
+          <div style={{ marginBottom: '12px', padding: '8px 12px', borderRadius: '8px', backgroundColor: 'rgba(239,68,68,0.15)', color: '#fca5a5', fontSize: '12px' }}>
+            ❌ {error}
+          </div>
+        )}
+        {adding && (
+          <div style={{ marginBottom: '12px', fontSize: '12px', color: 'var(--text-secondary, rgba(241,245,249,0.65))' }}>
+            Adding files...
+          </div>
+        )}
+
+        {loading ? null : uploads.length === 0 ? (
+          <div style={{
+            display: 'flex',
+            flexDirection: 'column',
+            justifyContent: 'center',
+            alignItems: 'center',
+            height: '300px',
+            color: 'var(--text-secondary, rgba(241,245,249,0.65))',
+            textAlign: 'center',
+            padding: '0 32px'
+          }}>
+            <FaPaperclip style={{ fontSize: '48px', marginBottom: '16px', opacity: 0.5 }} />
+            <h4 style={{ margin: '0 0 8px 0', color: 'var(--text-primary, #f1f5f9)' }}>No Approved Files</h4>
+            <p style={{ margin: 0, fontSize: '14px' }}>
+              Add the files the agent may upload (a resume, a photo, a document). It can only attach files from this list, by name - never anything else from your disk.
+            </p>
+          </div>
+        ) : (
+          <div style={{ display: 'flex', flexDirection: 'column', gap: '12px' }}>
+            {uploads.map((upload) => (
+              <div key={upload.id} style={cardStyle}>
+                <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+                  <div style={{ flex: 1, minWidth: 0 }}>
+                    <h4 style={{
+                      margin: '0 0 4px 0',
+                      fontSize: '14px',
+                      fontWeight: '600',
+                      color: 'var(--text-primary, #f1f5f9)',
+                      overflow: 'hidden',
+                      textOverflow: 'ellipsis',
+                      whiteSpace: 'nowrap'
+                    }}>
+                      {upload.name}
+                    </h4>
+                    <p style={{
+                      margin: 0,
+                      fontSize: '12px',
+                      color: 'var(--text-secondary, rgba(241,245,249,0.65))'
+                    }}>
+                      {upload.type} · {formatSize(upload.size)}
+                    </p>
+                  </div>
+                  <button onClick={() => handleDelete(upload)} style={iconButtonStyle} title="Remove File">
+                    <FaTrash />
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default UploadsPage;
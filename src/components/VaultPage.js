@@ -0,0 +1,374 @@
+import React, { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useVault } from '../hooks/useVault';
+import {
+  FaKey,
+  FaArrowLeft,
+  FaTrash,
+  FaPlus,
+  FaLock,
+  FaLockOpen
+} from 'react-icons/fa';
+
+const EMPTY_FORM = { origin: '', username: '', password: '' };
+
+const VaultPage = () => {
+  const navigate = useNavigate();
+  const { status, credentials, loading, setupVault, unlockVault, lockVault, resetVault, saveCredential, deleteCredential } = useVault();
+  const [passphrase, setPassphrase] = useState('');
+  const [confirmPassphrase, setConfirmPassphrase] = useState('');
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [showForm, setShowForm] = useState(false);
+  const [error, setError] = useState('');
+
+  // Run a vault request, surface its error and never keep the passphrase around
+  const runVaultAction = async (action) => {
+    try {
+      setError('');
+      await action();
+      return true;
+    } catch (err) {
+      setError(err.message);
+      return false;
+    } finally {
+      setPassphrase('');
+      setConfirmPassphrase('');
+    }
+  };
+
+  const handleSetup = () => {
+    if (passphrase !== confirmPassphrase) {
+      setError('Passphrases do not match');
+      return;
+    }
+    runVaultAction(() => setupVault(passphrase));
+  };
+
+  const handleReset = () => {
+    if (window.confirm('Delete the vault and every saved login? This cannot be undone.')) {
+      runVaultAction(resetVault);
+    }
+  };
+
+  const handleSave = async () => {
+    const saved = await runVaultAction(() => saveCredential(form));
+    if (saved) {
+      setForm(EMPTY_FORM);
+      setShowForm(false);
+    }
+  };
+
+  const handleDelete = (credential) => {
+    if (window.confirm(`Delete the saved login for ${credential.origin}?`)) {
+      runVaultAction(() => deleteCredential(credential.id));
+    }
+  };
+
+  const formatDate = (timestamp) => {
+    if (!timestamp) return 'Never used';
+    return `Used ${new Date(timestamp).toLocaleDateString([], { month: 'short', day: 'numeric' })}`;
+  };
+
+  const containerStyle = {
+    width: '100%',
+    height: '100%',
+    display: 'flex',
+    flexDirection: 'column',
+    fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif',
+    backgroundColor: 'var(--bg-primary, #0a0f1e)',
+    overflow: 'hidden',
+    position: 'fixed',
+    top: 0,
+    left: 0,
+    right: 0,
+    bottom: 0
+  };
+
+  const headerStyle = {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: '12px 16px',
+    borderBottom: '1px solid var(--border-subtle, rgba(255,255,255,0.08))',
+    background: 'var(--gradient-header, linear-gradient(135deg, #1e1b4b 0%, #312e81 50%, #1e1b4b 100%))',
+    flexShrink: 0,
+    minHeight: '56px',
+    boxSizing: 'border-box',
+    position: 'relative',
+    zIndex: 1,
+    backdropFilter: 'blur(12px)'
+  };
+
+  const headerButtonStyle = {
+    padding: '7px 9px',
+    backgroundColor: 'rgba(99, 102, 241, 0.15)',
+    border: '1px solid rgba(99, 102, 241, 0.25)',
+    borderRadius: '10px',
+    cursor: 'pointer',
+    fontSize: '15px',
+    color: 'var(--text-accent, #a5b4fc)',
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    transition: 'all 0.2s ease'
+  };
+
+  const cardStyle = {
+    backgroundColor: 'var(--bg-glass, rgba(255, 255, 255, 0.06))',
+    borderRadius: '14px',
+    padding: '16px',
+    border: '1px solid var(--border-subtle, rgba(255,255,255,0.08))'
+  };
+
+  const inputStyle = {
+    width: '100%',
+    padding: '8px 10px',
+    fontSize: '13px',
+    borderRadius: '8px',
+    border: '1px solid rgba(99, 102, 241, 0.3)',
+    backgroundColor: 'rgba(0, 0, 0, 0.25)',
+    color: 'var(--text-primary, #f1f5f9)',
+    boxSizing: 'border-box',
+    marginBottom: '8px'
+  };
+
+  const iconButtonStyle = {
+    border: '1px solid rgba(99, 102, 241, 0.3)',
+    background: 'rgba(99, 102, 241, 0.15)',
+    color: 'var(--text-accent, #a5b4fc)',
+    cursor: 'pointer',
+    padding: '8px',
+    fontSize: '14px',
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    borderRadius: '8px',
+    minWidth: '32px',
+    height: '32px'
+  };
+
+  const primaryButtonStyle = {
+    width: '100%',
+    padding: '10px',
+    borderRadius: '10px',
+    border: 'none',
+    backgroundColor: 'var(--accent-primary, #6366f1)',
+    color: 'white',
+    fontWeight: '600',
+    cursor: 'pointer'
+  };
+
+  const hintStyle = {
+    margin: '0 0 12px 0',
+    fontSize: '12px',
+    color: 'var(--text-secondary, rgba(241,245,249,0.65))'
+  };
+
+  return (
+    <div className="vault-container" style={containerStyle}>
+      {/* Neon App Border */}
+      <div className="neon-app-border"></div>
+
+      {/* Header */}
+      <div className="chat-history-header" style={headerStyle}>
+        <button onClick={() => navigate('/chat')} className="chat-header-button" style={headerButtonStyle} title="Back">
+          <FaArrowLeft />
+        </button>
+
+        <div style={{ minWidth: 0, flex: 1, textAlign: 'center' }}>
+          <h3 className="chat-title" style={{
+            margin: 0,
+            color: 'var(--text-primary, #f1f5f9)',
+            fontSize: '17px',
+            fontWeight: '700',
+            lineHeight: '22px',
+            letterSpacing: '-0.02em',
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'center',
+            gap: '8px'
+          }}>
+            <FaKey />
+            SAVED LOGINS
+          </h3>
+          <p className="chat-subtitle" style={{
+            margin: 0,
+            color: 'var(--text-secondary, rgba(241,245,249,0.65))',
+            fontSize: '12px',
+            lineHeight: '14px',
+            marginTop: '2px'
+          }}>
+            {!status.configured ? 'Not set up' : status.unlocked ? 'Unlocked' : 'Locked'}
+          </p>
+        </div>
+
+        {status.unlocked ? (
+          <div style={{ display: 'flex', gap: '6px' }}>
+            <button onClick={() => setShowForm(!showForm)} className="chat-header-button" style={headerButtonStyle} title="Add Login">
+              <FaPlus />
+            </button>
+            <button onClick={() => runVaultAction(lockVault)} className="chat-header-button" style={headerButtonStyle} title="Lock Vault">
+              <FaLock />
+            </button>
+          </div>
+        ) : (
+          <div style={{ width: '33px' }} />
+        )}
+      </div>
+
+      {/* Content */}
+      <div className="chat-history-content" style={{ flex: 1, overflowY: 'auto', padding: '16px', position: 'relative', zIndex: 1 }}>
+        {error && (
+          <div style={{ marginBottom: '12px', padding: '8px 12px', borderRadius: '8px', backgroundColor: 'rgba(239,68,68,0.15)', color: '#fca5a5', fontSize: '12px' }}>
+            ❌ {error}
+          </div>
+        )}
+
+        {loading ? null : !status.configured ? (
+          <div style={cardStyle}>
+            <p style={hintStyle}>
+              Optional: keep logins encrypted under a passphrase. When a task pauses for sign-in, the popup on the page offers
+              "Use saved login" and fills the form only after you click it. Passwords are never sent to the AI or stored in chat history.
+            </p>
+            <input
+              type="password"
+              placeholder="Passphrase (at least 8 characters)"
+              value={passphrase}
+              onChange={(e) => setPassphrase(e.target.value)}
+              style={inputStyle}
+            />
+            <input
+              type="password"
+              placeholder="Repeat passphrase"
+              value={confirmPassphrase}
+              onChange={(e) => setConfirmPassphrase(e.target.value)}
+              style={inputStyle}
+            />
+            <button onClick={handleSetup} className="neon-btn" style={primaryButtonStyle}>
+              Create Vault
+            </button>
+          </div>
+        ) : !status.unlocked ? (
+          <div style={cardStyle}>
+            <p style={hintStyle}>
+              {status.count} saved login{status.count !== 1 ? 's' : ''}. Unlock to use them in tasks or manage them. The vault locks itself after 15 minutes.
+            </p>
+            <input
+              type="password"
+              placeholder="Passphrase"
+              value={passphrase}
+              onChange={(e) => setPassphrase(e.target.value)}
+              onKeyDown={(e) => e.key === 'Enter' && runVaultAction(() => unlockVault(passphrase))}
+              style={inputStyle}
+            />
+            <button onClick={() => runVaultAction(() => unlockVault(passphrase))} className="neon-btn" style={primaryButtonStyle}>
+              <FaLockOpen style={{ marginRight: '6px' }} />
+              Unlock
+            </button>
+            <button
+              onClick={handleReset}
+              style={{ marginTop: '12px', background: 'none', border: 'none', color: '#fca5a5', fontSize: '11px', cursor: 'pointer' }}
+            >
+              Forgot passphrase? Reset vault
+            </button>
+          </div>
+        ) : (
+          <>
+            {showForm && (
+              <div style={{ ...cardStyle, marginBottom: '16px' }}>
+                <input
+                  type="text"
+                  placeholder="Site (e.g. https://example.com)"
+                  value={form.origin}
+                  onChange={(e) => setForm({ ...form, origin: e.target.value })}
+                  style={inputStyle}
+                />
+                <input
+                  type="text"
+                  placeholder="Username or email"
+                  autoComplete="off"
+                  value={form.username}
+                  onChange={(e) => setForm({ ...form, username: e.target.value })}
+                  style={inputStyle}
+                />
+                <input
+                  type="password"
+                  placeholder="Password"
+                  autoComplete="new-password"
+                  value={form.password}
+                  onChange={(e) => setForm({ ...form, password: e.target.value })}
+                  style={inputStyle}
+                />
+                <button onClick={handleSave} className="neon-btn" style={primaryButtonStyle}>
+                  Save Login
+                </button>
+              </div>
+            )}
+
+            {credentials.length === 0 && !showForm ? (
+              <div style={{
+                display: 'flex',
+                flexDirection: 'column',
+                justifyContent: 'center',
+                alignItems: 'center',
+                height: '300px',
+                color: 'var(--text-secondary, rgba(241,245,249,0.65))',
+                textAlign: 'center',
+                padding: '0 32px'
+              }}>
+                <FaKey style={{ fontSize: '48px', marginBottom: '16px', opacity: 0.5 }} />
+                <h4 style={{ margin: '0 0 8px 0', color: 'var(--text-primary, #f1f5f9)' }}>No Saved Logins</h4>
+                <p style={{ margin: 0, fontSize: '14px' }}>
+                  Add a login with the + button. Each one only works on its own site.
+                </p>
+              </div>
+            ) : (
+              <div style={{ display: 'flex', flexDirection: 'column', gap: '12px' }}>
+                {credentials.map((credential) => (
+                  <div key={credential.id} style={cardStyle}>
+                    <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+                      <div style={{ flex: 1, minWidth: 0 }}>
+                        <h4 style={{
+                          margin: '0 0 4px 0',
+                          fontSize: '14px',
+                          fontWeight: '600',
+                          color: 'var(--text-primary, #f1f5f9)',
+                          overflow: 'hidden',
+                          textOverflow: 'ellipsis',
+                          whiteSpace: 'nowrap'
+                        }}>
+                          {credential.origin}
+                        </h4>
+                        <p style={{
+                          margin: 0,
+                          fontSize: '12px',
+                          color: 'var(--text-secondary, rgba(241,245,249,0.65))'
+                        }}>
+                          {credential.username} · {formatDate(credential.lastUsedAt)}
+                        </p>
+                      </div>
+                      <button
+                        onClick={() => handleDelete(credential)}
+                        style={{
+                          ...iconButtonStyle,
+                          background: 'rgba(224, 36, 94, 0.1)',
+                          border: '1px solid rgba(224, 36, 94, 0.3)',
+                          color: '#e0245e'
+                        }}
+                        title="Delete Login"
+                      >
+                        <FaTrash />
+                      </button>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default VaultPage;
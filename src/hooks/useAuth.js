@@ -18,7 +18,9 @@ export const useAuth = () => {
         // Checking agentConfig for API keys
         chrome.storage.sync.get(['agentConfig'], (result) => {
           const config = result.agentConfig || {};
-          const hasKeys = !!(config.anthropicApiKey || config.openaiApiKey || config.geminiApiKey);
+          // Local OpenAI-compatible servers need only a base URL, not a key
+          const hasKeys = !!(config.anthropicApiKey || config.openaiApiKey || config.geminiApiKey ||
+            (config.aiProvider === 'openaiCompatible' && config.openaiCompatibleBaseUrl));
 
           setAuthState({
             isLoggedIn: hasKeys,
@@ -56,7 +58,9 @@ export const useAuth = () => {
           ...config,
           anthropicApiKey: '',
           openaiApiKey: '',
-          geminiApiKey: ''
+          geminiApiKey: '',
+          openaiCompatibleApiKey: '',
+          openaiCompatibleBaseUrl: ''
         };
 
         await new Promise(resolve => chrome.storage.sync.set({ agentConfig: newConfig }, resolve));
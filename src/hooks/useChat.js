@@ -1,5 +1,5 @@
 /* global chrome */
-import { useState, useEffect, useCallback } from 'react';
+import { useState, useEffect, useCallback, useRef } from 'react';
 import { useChatHistory } from './useChatHistory';
 
 export const useChat = (chatId = null) => {
@@ -7,6 +7,9 @@ export const useChat = (chatId = null) => {
   const [loading, setLoading] = useState(true);
   const [currentChatId, setCurrentChatId] = useState(chatId);
   const [totalTokens, setTotalTokens] = useState(0);
+  const [totalCost, setTotalCost] = useState(0);
+  // Latest usage reported for each task in this chat, keyed by task id
+  const usageByTaskRef = useRef({});
   const { saveChatHistory, updateChatHistory } = useChatHistory();
 
   useEffect(() => {
@@ -40,12 +43,18 @@ export const useChat = (chatId = null) => {
         if (chatHistory && chatHistory.messages) {
           setMessages(chatHistory.messages);
           setTotalTokens(chatHistory.totalTokens || 0);
+          setTotalCost(chatHistory.totalCost || 0);
+          usageByTaskRef.current = {
+            history: { tokens: chatHistory.totalTokens || 0, cost: chatHistory.totalCost || 0 }
+          };
           setCurrentChatId(id);
           console.log('Loaded chat history:', chatHistory.title, 'with', chatHistory.messages.length, 'messages');
         } else {
           console.warn('Chat history not found for ID:', id);
           setMessages([]);
           setTotalTokens(0);
+          setTotalCost(0);
+          usageByTaskRef.current = {};
           setCurrentChatId(null);
         }
       }
@@ -63,11 +72,15 @@ export const useChat = (chatId = null) => {
     try {
       if (typeof chrome !== 'undefined' && chrome.storage) {
         // Check if there's an active connection that will handle message restoration
-        const storage = await chrome.storage.local.get(['isExecuting', 'activeTaskId', 'currentSessionMessages', 'disconnectedMessages', 'currentSessionTokens']);
+        const storage = await chrome.storage.local.get(['isExecuting', 'activeTaskId', 'currentSessionMessages', 'disconnectedMessages', 'currentSessionTokens', 'currentSessionCost', 'currentSessionUsage']);
 
         if (storage.currentSessionTokens) {
           setTotalTokens(storage.currentSessionTokens);
         }
+        if (storage.currentSessionCost) {
+          setTotalCost(storage.currentSessionCost);
+        }
+        usageByTaskRef.current = storage.currentSessionUsage || {};
 
         // If there's an active task OR disconnected messages exist, don't load messages here
         // ConnectionManager will handle restoration via restore_message events
@@ -230,13 +243,18 @@ export const useChat = (chatId = null) => {
         return prev;
       }
 
-      const updated = [...prev, newMessage];
+      // The final message of a stream replaces its live preview
+      const base = message.streamId
+        ? prev.filter(m => !(m.isStreaming && m.streamId === message.streamId))
+        : prev;
+
+      const updated = [...base, { ...newMessage, isStreaming: false }];
       const limited = updated.slice(-100); // Keep last 100 messages
 
       // Save current session messages to storage for persistence during active tasks
       if (typeof chrome !== 'undefined' && chrome.storage) {
         chrome.storage.local.set({
-          currentSessionMessages: limited,
+          currentSessionMessages: limited.filter(m => !m.isStreaming),
           lastMessageTimestamp: timestamp // Store last message timestamp
         }).catch(console.error);
       }
@@ -249,11 +267,13 @@ export const useChat = (chatId = null) => {
     setMessages([]);
     setCurrentChatId(null);
     setTotalTokens(0);
+    setTotalCost(0);
+    usageByTaskRef.current = {};
 
     try {
       if (typeof chrome !== 'undefined' && chrome.storage) {
         // Clear session messages and ensure no duplicates remain
-        await chrome.storage.local.remove(['currentSessionMessages', 'currentSessionTokens']);
+        await chrome.storage.local.remove(['currentSessionMessages', 'currentSessionTokens', 'currentSessionCost', 'currentSessionUsage']);
 
         // Also clear any stored disconnected messages to prevent duplicates
         await chrome.storage.local.remove(['disconnectedMessages']);
@@ -265,6 +285,33 @@ export const useChat = (chatId = null) => {
     }
   }, []);
 
+  // Create or grow the live preview of a streamed answer (kept in memory only)
+  const upsertStreamingMessage = useCallback((streamId, content) => {
+    if (!streamId || !content) return;
+
+    setMessages(prev => {
+      const existing = prev.find(m => m.isStreaming && m.streamId === streamId);
+      if (existing) {
+        return prev.map(m => m === existing ? { ...m, content } : m);
+      }
+
+      // Ignore late chunks that arrive after the final message was added
+      if (prev.some(m => m.streamId === streamId)) {
+        return prev;
+      }
+
+      return [...prev, {
+        id: `stream-${streamId}`,
+        type: 'assistant',
+        content,
+        timestamp: Date.now(),
+        isMarkdown: true,
+        isStreaming: true,
+        streamId
+      }];
+    });
+  }, []);
+
   const updateMessage = useCallback((messageId, updates) => {
     setMessages(prev => {
       const updated = prev.map(msg =>
@@ -308,7 +355,37 @@ export const useChat = (chatId = null) => {
     });
   }, []);
 
+  // Store the running usage of one task; the chat totals are the sum over its tasks
+  const updateTaskUsage = useCallback(({ taskId, tokens = 0, cost = 0 }) => {
+    usageByTaskRef.current = {
+      ...usageByTaskRef.current,
+      [taskId || 'current']: { tokens, cost }
+    };
+
+    const totals = Object.values(usageByTaskRef.current).reduce((sum, usage) => ({
+      tokens: sum.tokens + (usage.tokens || 0),
+      cost: sum.cost + (usage.cost || 0)
+    }), { tokens: 0, cost: 0 });
+
+    setTotalTokens(totals.tokens);
+    setTotalCost(totals.cost);
+    if (typeof chrome !== 'undefined' && chrome.storage) {
+      chrome.storage.local.set({
+        currentSessionTokens: totals.tokens,
+        currentSessionCost: totals.cost,
+        currentSessionUsage: usageByTaskRef.current
+      }).catch(console.error);
+    }
+  }, []);
+
   const updateTotalTokens = useCallback((tokens) => {
+    if (tokens === 0) {
+      usageByTaskRef.current = {};
+      setTotalCost(0);
+      if (typeof chrome !== 'undefined' && chrome.storage) {
+        chrome.storage.local.remove(['currentSessionCost', 'currentSessionUsage']).catch(console.error);
+      }
+    }
     setTotalTokens(tokens);
     if (typeof chrome !== 'undefined' && chrome.storage) {
       chrome.storage.local.set({ currentSessionTokens: tokens }).catch(console.error);
@@ -321,9 +398,9 @@ export const useChat = (chatId = null) => {
       const userMessages = messages.filter(msg => msg.type === 'user' || msg.type === 'assistant');
       if (userMessages.length >= 1) {
         if (currentChatId) {
-          await updateChatHistory(currentChatId, messages, totalTokens);
+          await updateChatHistory(currentChatId, messages, totalTokens, totalCost);
         } else {
-          const newChatId = await saveChatHistory(messages, totalTokens);
+          const newChatId = await saveChatHistory(messages, totalTokens, null, totalCost);
           if (newChatId) {
             setCurrentChatId(newChatId);
           }
@@ -331,11 +408,11 @@ export const useChat = (chatId = null) => {
 
         // Clear current session after saving to history
         if (typeof chrome !== 'undefined' && chrome.storage) {
-          chrome.storage.local.remove(['currentSessionMessages', 'currentSessionTokens']).catch(console.error);
+          chrome.storage.local.remove(['currentSessionMessages', 'currentSessionTokens', 'currentSessionCost', 'currentSessionUsage']).catch(console.error);
         }
       }
     }
-  }, [messages, currentChatId, updateChatHistory, saveChatHistory, totalTokens]);
+  }, [messages, currentChatId, updateChatHistory, saveChatHistory, totalTokens, totalCost]);
 
   return {
     messages,
@@ -343,10 +420,13 @@ export const useChat = (chatId = null) => {
     clearMessages,
     updateMessage,
     updateMessageState,
+    upsertStreamingMessage,
     loading,
     currentChatId,
     saveCurrentChat,
     totalTokens,
-    updateTotalTokens
+    totalCost,
+    updateTotalTokens,
+    updateTaskUsage
   };
 };
\ No newline at end of file
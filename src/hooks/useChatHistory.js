@@ -26,7 +26,7 @@ export const useChatHistory = () => {
     loadChatHistories();
   }, []); // Only run once on mount
 
-  const saveChatHistory = useCallback(async (messages, tokens = 0, title = null) => {
+  const saveChatHistory = useCallback(async (messages, tokens = 0, title = null, cost = 0) => {
     if (!messages || messages.length === 0) return null;
 
     try {
@@ -40,6 +40,7 @@ export const useChatHistory = () => {
         title: title || autoTitle || 'New Chat',
         messages: messages,
         totalTokens: tokens,
+        totalCost: cost,
         createdAt: Date.now(),
         updatedAt: Date.now()
       };
@@ -67,7 +68,7 @@ export const useChatHistory = () => {
     }
   }, []);
 
-  const updateChatHistory = useCallback(async (chatId, messages, tokens = 0) => {
+  const updateChatHistory = useCallback(async (chatId, messages, tokens = 0, cost = 0) => {
     try {
       // Get fresh data from storage
       if (typeof chrome !== 'undefined' && chrome.storage) {
@@ -76,7 +77,7 @@ export const useChatHistory = () => {
 
         const updatedHistories = currentHistories.map(chat =>
           chat.id === chatId
-            ? { ...chat, messages, totalTokens: tokens, updatedAt: Date.now() }
+            ? { ...chat, messages, totalTokens: tokens, totalCost: cost, updatedAt: Date.now() }
             : chat
         );
 
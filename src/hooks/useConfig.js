@@ -6,13 +6,32 @@ const DEFAULT_CONFIG = {
   navigatorModel: 'gemini-2.5-flash',
   plannerModel: 'gemini-2.5-flash', 
   validatorModel: 'gemini-2.5-flash',
+  openaiCompatibleBaseUrl: 'http://localhost:11434/v1',
+  openaiCompatibleApiKey: '',
+  openaiCompatibleModel: '',
+  openaiCompatibleVision: false,
   autoLogin: true,
   safeMode: true,
+  allowedDomains: [],
+  blockedDomains: [],
+  domainActionRules: [],
+  blockPasswordTyping: true,
+  approvalPattern: 'buy|pay|place order',
+  redactSensitiveData: true,
+  inputBackend: 'auto',
+  trustedInputDomains: [],
   voiceInput: true,
   humanDelay: true,
+  pacingProfile: 'natural',
+  domainPacingRules: [],
   debugMode: true,
+  streamResponses: true,
+  toolCalling: true,
+  fallbackProviders: [],
   maxRetries: 3,
-  timeout: 30000
+  timeout: 30000,
+  taskBudgetTokens: 0,
+  taskBudgetUsd: 0
 };
 
 export const useConfig = () => {
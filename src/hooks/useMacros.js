@@ -0,0 +1,45 @@
+/* global chrome */
+import { useState, useEffect, useCallback } from 'react';
+
+export const useMacros = () => {
+  const [macros, setMacros] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  const loadMacros = useCallback(async () => {
+    try {
+      setLoading(true);
+      if (typeof chrome !== 'undefined' && chrome.storage) {
+        const result = await chrome.storage.local.get(['savedMacros']);
+        setMacros(result.savedMacros || []);
+      }
+    } catch (error) {
+      console.error('Error loading macros:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadMacros();
+  }, [loadMacros]);
+
+  const deleteMacro = useCallback(async (macroId) => {
+    try {
+      const updatedMacros = macros.filter(macro => macro.id !== macroId);
+      setMacros(updatedMacros);
+
+      if (typeof chrome !== 'undefined' && chrome.storage) {
+        await chrome.storage.local.set({ savedMacros: updatedMacros });
+      }
+    } catch (error) {
+      console.error('Error deleting macro:', error);
+    }
+  }, [macros]);
+
+  return {
+    macros,
+    loading,
+    deleteMacro,
+    loadMacros
+  };
+};
@@ -0,0 +1,51 @@
+/* global chrome */
+import { useState, useEffect, useCallback } from 'react';
+
+// Profiles are stored encrypted; only the background script holds the key
+const sendProfileMessage = async (message) => {
+  const response = await chrome.runtime.sendMessage(message);
+  if (!response?.success) {
+    throw new Error(response?.error || 'Profile store did not respond');
+  }
+  return response;
+};
+
+export const useProfiles = () => {
+  const [profiles, setProfiles] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  const loadProfiles = useCallback(async () => {
+    try {
+      if (typeof chrome !== 'undefined' && chrome.runtime) {
+        const response = await sendProfileMessage({ action: 'GET_PROFILES' });
+        setProfiles(response.profiles || []);
+      }
+    } catch (error) {
+      console.error('Error loading profiles:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadProfiles();
+  }, [loadProfiles]);
+
+  const saveProfile = useCallback(async (profile) => {
+    const response = await sendProfileMessage({ action: 'SAVE_PROFILE', profile });
+    await loadProfiles();
+    return response.profile;
+  }, [loadProfiles]);
+
+  const deleteProfile = useCallback(async (profileId) => {
+    await sendProfileMessage({ action: 'DELETE_PROFILE', profileId });
+    await loadProfiles();
+  }, [loadProfiles]);
+
+  return {
+    profiles,
+    loading,
+    saveProfile,
+    deleteProfile
+  };
+};
@@ -0,0 +1,65 @@
+/* global chrome */
+import { useState, useEffect, useCallback } from 'react';
+
+// Schedules are read from storage here, but alarms are owned by the background script
+const sendSchedulerMessage = async (message) => {
+  const response = await chrome.runtime.sendMessage(message);
+  if (!response?.success) {
+    throw new Error(response?.error || 'Scheduler did not respond');
+  }
+  return response;
+};
+
+export const useSchedules = () => {
+  const [schedules, setSchedules] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  const loadSchedules = useCallback(async () => {
+    try {
+      if (typeof chrome !== 'undefined' && chrome.storage) {
+        const result = await chrome.storage.local.get(['scheduledTasks']);
+        setSchedules(result.scheduledTasks || []);
+      }
+    } catch (error) {
+      console.error('Error loading schedules:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadSchedules();
+
+    if (typeof chrome === 'undefined' || !chrome.storage) return;
+
+    // Pick up last-run results written by the background script
+    const handleStorageChange = (changes, namespace) => {
+      if (namespace === 'local' && changes.scheduledTasks) {
+        setSchedules(changes.scheduledTasks.newValue || []);
+      }
+    };
+    chrome.storage.onChanged.addListener(handleStorageChange);
+    return () => chrome.storage.onChanged.removeListener(handleStorageChange);
+  }, [loadSchedules]);
+
+  const saveSchedule = useCallback(async (schedule) => {
+    const response = await sendSchedulerMessage({ action: 'SAVE_SCHEDULE', schedule });
+    return response.schedule;
+  }, []);
+
+  const deleteSchedule = useCallback(async (scheduleId) => {
+    await sendSchedulerMessage({ action: 'DELETE_SCHEDULE', scheduleId });
+  }, []);
+
+  const runScheduleNow = useCallback(async (scheduleId) => {
+    await sendSchedulerMessage({ action: 'RUN_SCHEDULE_NOW', scheduleId });
+  }, []);
+
+  return {
+    schedules,
+    loading,
+    saveSchedule,
+    deleteSchedule,
+    runScheduleNow
+  };
+};
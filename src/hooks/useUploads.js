@@ -0,0 +1,60 @@
+/* global chrome */
+import { useState, useEffect, useCallback } from 'react';
+
+const sendUploadMessage = async (message) => {
+  const response = await chrome.runtime.sendMessage(message);
+  if (!response?.success) {
+    throw new Error(response?.error || 'Upload store did not respond');
+  }
+  return response;
+};
+
+// Base64 content without the data URL prefix
+const readFileAsBase64 = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(String(reader.result).split(',')[1] || '');
+  reader.onerror = () => reject(reader.error || new Error(`Could not read ${file.name}`));
+  reader.readAsDataURL(file);
+});
+
+export const useUploads = () => {
+  const [uploads, setUploads] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  const loadUploads = useCallback(async () => {
+    try {
+      if (typeof chrome !== 'undefined' && chrome.runtime) {
+        const response = await sendUploadMessage({ action: 'GET_UPLOADS' });
+        setUploads(response.uploads || []);
+      }
+    } catch (error) {
+      console.error('Error loading approved uploads:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadUploads();
+  }, [loadUploads]);
+
+  const addFiles = useCallback(async (files) => {
+    for (const file of Array.from(files || [])) {
+      const data = await readFileAsBase64(file);
+      await sendUploadMessage({ action: 'ADD_UPLOAD', file: { name: file.name, type: file.type, data } });
+    }
+    await loadUploads();
+  }, [loadUploads]);
+
+  const deleteUpload = useCallback(async (uploadId) => {
+    await sendUploadMessage({ action: 'DELETE_UPLOAD', uploadId });
+    await loadUploads();
+  }, [loadUploads]);
+
+  return {
+    uploads,
+    loading,
+    addFiles,
+    deleteUpload
+  };
+};
@@ -0,0 +1,87 @@
+/* global chrome */
+import { useState, useEffect, useCallback } from 'react';
+
+// The vault key only exists in the background script; the panel sends requests and never sees passwords
+const sendVaultMessage = async (message) => {
+  const response = await chrome.runtime.sendMessage(message);
+  if (!response?.success) {
+    throw new Error(response?.error || 'Vault did not respond');
+  }
+  return response;
+};
+
+export const useVault = () => {
+  const [status, setStatus] = useState({ configured: false, unlocked: false, count: 0 });
+  const [credentials, setCredentials] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  const applyStatus = useCallback(async (nextStatus) => {
+    setStatus(nextStatus);
+    if (nextStatus.unlocked) {
+      const response = await sendVaultMessage({ action: 'VAULT_LIST' });
+      setCredentials(response.credentials || []);
+    } else {
+      setCredentials([]);
+    }
+  }, []);
+
+  const loadStatus = useCallback(async () => {
+    try {
+      if (typeof chrome !== 'undefined' && chrome.runtime) {
+        const response = await sendVaultMessage({ action: 'VAULT_STATUS' });
+        await applyStatus(response.status);
+      }
+    } catch (error) {
+      console.error('Error loading vault status:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [applyStatus]);
+
+  useEffect(() => {
+    loadStatus();
+  }, [loadStatus]);
+
+  const setupVault = useCallback(async (passphrase) => {
+    const response = await sendVaultMessage({ action: 'VAULT_SETUP', passphrase });
+    await applyStatus(response.status);
+  }, [applyStatus]);
+
+  const unlockVault = useCallback(async (passphrase) => {
+    const response = await sendVaultMessage({ action: 'VAULT_UNLOCK', passphrase });
+    await applyStatus(response.status);
+  }, [applyStatus]);
+
+  const lockVault = useCallback(async () => {
+    const response = await sendVaultMessage({ action: 'VAULT_LOCK' });
+    await applyStatus(response.status);
+  }, [applyStatus]);
+
+  const resetVault = useCallback(async () => {
+    const response = await sendVaultMessage({ action: 'VAULT_RESET' });
+    await applyStatus(response.status);
+  }, [applyStatus]);
+
+  const saveCredential = useCallback(async (credential) => {
+    const response = await sendVaultMessage({ action: 'VAULT_SAVE', credential });
+    setCredentials(response.credentials || []);
+  }, []);
+
+  const deleteCredential = useCallback(async (credentialId) => {
+    const response = await sendVaultMessage({ action: 'VAULT_DELETE', credentialId });
+    setCredentials(response.credentials || []);
+  }, []);
+
+  return {
+    status,
+    credentials,
+    loading,
+    setupVault,
+    unlockVault,
+    lockVault,
+    resetVault,
+    saveCredential,
+    deleteCredential,
+    reloadVault: loadStatus
+  };
+};
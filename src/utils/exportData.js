@@ -0,0 +1,133 @@
+/* global chrome */
+import { recordsToCSV, recordsToJSON, recordsToMarkdown } from './tableFormat';
+
+export const EXPORT_FORMATS = [
+  { id: 'csv', label: 'CSV', extension: 'csv', mimeType: 'text/csv' },
+  { id: 'json', label: 'JSON', extension: 'json', mimeType: 'application/json' },
+  { id: 'md', label: 'Markdown', extension: 'md', mimeType: 'text/markdown' }
+];
+
+const getFormat = (format) => EXPORT_FORMATS.find(item => item.id === format) || EXPORT_FORMATS[1];
+
+// Safe file name from a title, e.g. "Laptops under $1000" -> "laptops-under-1000-2025-01-31"
+const buildFilename = (title, format) => {
+  const slug = (title || 'omnibrowse-export')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .substring(0, 50) || 'omnibrowse-export';
+  return `${slug}-${new Date().toISOString().slice(0, 10)}.${getFormat(format).extension}`;
+};
+
+const formatTimestamp = (timestamp) => timestamp ? new Date(timestamp).toISOString() : '';
+
+const extractionToMarkdown = (extraction) => {
+  const heading = `### ${extraction.title || 'Extracted data'}`;
+  const source = extraction.url ? `\nSource: ${extraction.url}` : '';
+  return `${heading}${source}\n\n${recordsToMarkdown(extraction.columns, extraction.records)}`;
+};
+
+const getExtractions = (message) => message.extractions || message.result?.extractions || [];
+
+export const buildExtractionExport = (extraction, format) => {
+  const { columns = [], records = [] } = extraction;
+  const content = format === 'csv'
+    ? recordsToCSV(columns, records)
+    : format === 'md'
+      ? extractionToMarkdown(extraction)
+      : recordsToJSON(records);
+
+  return { filename: buildFilename(extraction.title, format), content, mimeType: getFormat(format).mimeType };
+};
+
+// One task result: the answer plus any tables the task extracted
+export const buildResultExport = (message, task, format) => {
+  const extractions = getExtractions(message);
+  let content;
+
+  if (format === 'csv') {
+    // Spreadsheets want the table itself; answers without a table become a single-row sheet
+    content = extractions.length > 0
+      ? extractions.map(extraction => recordsToCSV(extraction.columns, extraction.records)).join('\n\n')
+      : recordsToCSV(['task', 'response', 'timestamp'], [{ task, response: message.content, timestamp: formatTimestamp(message.timestamp) }]);
+  } else if (format === 'md') {
+    content = [
+      task ? `## ${task}` : '## Task result',
+      '',
+      message.content || '',
+      ...extractions.map(extraction => `\n${extractionToMarkdown(extraction)}`)
+    ].join('\n');
+  } else {
+    content = JSON.stringify({
+      task,
+      response: message.content,
+      timestamp: formatTimestamp(message.timestamp),
+      extractions,
+      usage: message.usage || null
+    }, null, 2);
+  }
+
+  return { filename: buildFilename(task || 'task-result', format), content, mimeType: getFormat(format).mimeType };
+};
+
+// A whole conversation as stored by useChatHistory
+export const buildConversationExport = (chat, format) => {
+  const messages = (chat.messages || []).filter(message => message.content);
+  let content;
+
+  if (format === 'csv') {
+    content = recordsToCSV(['timestamp', 'type', 'content'], messages.map(message => ({
+      timestamp: formatTimestamp(message.timestamp),
+      type: message.type,
+      content: message.content
+    })));
+  } else if (format === 'md') {
+    content = [
+      `# ${chat.title || 'Conversation'}`,
+      '',
+      ...messages.map(message => {
+        const author = message.type === 'user' ? '🧑 User' : message.type === 'assistant' ? '🤖 Assistant' : `⚙️ ${message.type}`;
+        const tables = getExtractions(message).map(extraction => `\n${extractionToMarkdown(extraction)}`).join('\n');
+        return `**${author}** · ${new Date(message.timestamp).toLocaleString()}\n\n${message.content}${tables}\n`;
+      })
+    ].join('\n');
+  } else {
+    content = JSON.stringify({
+      title: chat.title,
+      createdAt: formatTimestamp(chat.createdAt),
+      updatedAt: formatTimestamp(chat.updatedAt),
+      totalTokens: chat.totalTokens || 0,
+      totalCost: chat.totalCost || 0,
+      messages: messages.map(message => ({
+        type: message.type,
+        content: message.content,
+        timestamp: formatTimestamp(message.timestamp),
+        extractions: getExtractions(message).length > 0 ? getExtractions(message) : undefined
+      }))
+    }, null, 2);
+  }
+
+  return { filename: buildFilename(chat.title || 'conversation', format), content, mimeType: getFormat(format).mimeType };
+};
+
+// Save through chrome.downloads when available, otherwise fall back to a plain Blob link
+export const downloadExport = async ({ filename, content, mimeType }) => {
+  const blob = new Blob([content], { type: `${mimeType};charset=utf-8` });
+  const url = URL.createObjectURL(blob);
+
+  try {
+    if (typeof chrome !== 'undefined' && chrome.downloads?.download) {
+      await chrome.downloads.download({ url, filename, saveAs: false });
+    } else {
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = filename;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+    }
+  } finally {
+    // The download keeps its own reference once it has started
+    setTimeout(() => URL.revokeObjectURL(url), 10000);
+  }
+};
@@ -0,0 +1,32 @@
+// Shared conversions for extracted tables (columns + records)
+const escapeCSVValue = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  // Scraped text starting like a formula would run in a spreadsheet - a leading ' keeps it text.
+  // Real numbers stay as they are, so -5 is still a number
+  if (typeof value !== 'number' && /^[=+\-@\t\r]/.test(text)) {
+    return `"'${text.replace(/"/g, '""')}"`;
+  }
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const recordsToCSV = (columns = [], records = []) => {
+  const header = columns.map(escapeCSVValue).join(',');
+  const rows = records.map(record => columns.map(column => escapeCSVValue(record[column])).join(','));
+  return [header, ...rows].join('\n');
+};
+
+export const recordsToJSON = (records = []) => JSON.stringify(records, null, 2);
+
+const escapeMarkdownCell = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return text.replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+};
+
+export const recordsToMarkdown = (columns = [], records = []) => {
+  const header = `| ${columns.map(escapeMarkdownCell).join(' | ')} |`;
+  const divider = `| ${columns.map(() => '---').join(' | ')} |`;
+  const rows = records.map(record => `| ${columns.map(column => escapeMarkdownCell(record[column])).join(' | ')} |`);
+  return [header, divider, ...rows].join('\n');
+};
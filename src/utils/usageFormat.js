@@ -0,0 +1,8 @@
+// Shared formatting for token and cost badges
+export const formatCost = (cost = 0) => {
+  if (!cost) return '$0.00';
+  if (cost < 0.01) return `$${cost.toFixed(4)}`;
+  return `$${cost.toFixed(2)}`;
+};
+
+export const formatTokens = (tokens = 0) => `${(tokens || 0).toLocaleString()} tokens`;